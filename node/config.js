@@ -5,10 +5,48 @@ export default {
 
     // Spot check configuration
     SPOT_CHECK_COUNT: 3,         // Number of reviews to spot check for validation
+    SPOT_CHECK_CHUNK_SIZE: 25,   // Review URLs per Apify actor run, the runs of a batch go in parallel
+    SPOT_CHECK_CHUNK_TIMEOUT: 90, // Seconds each actor run may take
+    SPOT_CHECK_RETRIES: 1,       // Extra attempts of a failed actor run before its reviews count as inconclusive, and of a failed spot check batch
+    SPOT_CHECK_REDRAWS: 1,       // Times a review not found is replaced by another review of the same miner
+
+    // Spot check field rules, applied in order to each review found by the actor (see score/field-rules.js)
+    // Rules: exact, normalized-text, similar-text (threshold in [0, 1]), numeric-equal (tolerance), date-within and review-date (tolerance in seconds)
+    // A failed rule fails the review unless enforce is false, then it is only reported in the review's checks
+    SPOT_CHECK_RULES: [
+      { field: 'fid', rule: 'exact', source: 'round' },      // Compared with the FID of the round
+      { field: 'reviewerId', rule: 'exact' },
+      { field: 'placeId', rule: 'exact' },
+      { field: 'text', rule: 'similar-text', threshold: 0.9 }, // Normalized Levenshtein ratio, absorbs scraping and encoding differences
+      { field: 'lastEditedAtDate', rule: 'review-date', tolerance: 0 }, // Last edit dates, the publication date of unedited reviews, widened by the datePrecision of relative dates (see score/review-dates.js)
+      { field: 'totalScore', rule: 'numeric-equal', enforce: false },
+      { field: 'reviewerName', rule: 'normalized-text', enforce: false },
+      { field: 'likesCount', rule: 'numeric-equal', tolerance: 5, enforce: false }, // Likes keep coming in after scraping
+      { field: 'responseFromOwnerText', rule: 'normalized-text', enforce: false },
+      { field: 'reviewUrl', rule: 'exact', enforce: false },
+    ],
+
+    // Review date policy (see score/review-dates.js)
+    REVIEW_DATES: {
+      CLOCK_SKEW: 300,            // Seconds a submitted review date may lie ahead of the validator clock
+    },
 
     // Synthetic task creation
     MIN_REVIEWS_REQUIRED: 20,    // Minimum number of reviews required for a place to be eligible
 
+    // Where synthetic tasks are searched
+    // COUNTRIES: relative weight of each ISO 3166-1 alpha-2 country code, '*' for every country not listed
+    // STRATEGY: 'population' = a city of the country (states with more cities more often), 'uniform' = a state, then a city
+    GEOGRAPHY: {
+      COUNTRIES: {
+        US: 4, CA: 1, MX: 1, BR: 1, AR: 1,
+        GB: 1, DE: 1, FR: 1, ES: 1, IT: 1, NL: 1, PL: 1,
+        IN: 1, JP: 1, KR: 1, ID: 1, PH: 1, TR: 1,
+        AU: 1, ZA: 1, NG: 1, EG: 1,
+      },
+      STRATEGY: 'population',
+    },
+
     // Apify actor names
     APIFY_ACTORS: {
       GOOGLE_MAPS_SEARCH: 'agents/google-maps-search',
@@ -18,6 +56,65 @@ export default {
     // Apify actor parameters
     APIFY_SEARCH_MAX_ITEMS: 20,
 
+    // Pool of eligible places synthetic tasks are drawn from, filled by the place searches
+    TASK_POOL: {
+      ENABLED: true,                      // Set VALIDATOR_TASK_POOL=false to search places for every task
+      MIN_SIZE: 20,                       // Places that can be drawn below which the pool is refilled
+      TARGET_SIZE: 60,                    // Places that can be drawn after a refill
+      MAX_SEARCHES: 5,                    // Apify searches run by one refill at most
+      EXCLUSION_WINDOW: 86_400,           // Seconds a place drawn is not drawn again (24 hours)
+      MAX_AGE: 604_800,                   // Seconds a place stays in the pool (7 days)
+      REFILL_INTERVAL: 300,               // Seconds between checks of the background refill job
+    },
+
+    // Scoring profile, echoed in the /score-responses output so scores can be reproduced after a change
+    // Weights are relative to their sum. Normalizers: linear, log, rank or capped (see score/normalizers.js)
+    SCORING: {
+      PROFILE: 'default',
+      WEIGHTS: {
+        SPEED: 0.3,
+        VOLUME: 0.5,
+        RECENCY: 0.2,
+      },
+      NORMALIZERS: {
+        SPEED: 'linear',           // Fastest response time over the response time
+        VOLUME: 'linear',          // Review count over the highest review count
+        RECENCY: 'linear',         // Days between the oldest and this most recent review, over the widest gap
+      },
+      // Targets of the capped normalizer
+      CAPS: {
+        SPEED: 30,                 // Seconds, full speed score at or under it
+        VOLUME: 100,               // Reviews, full volume score at or above it
+        RECENCY: 30,               // Days after the oldest most recent review, full recency score at or above it
+      },
+      // Share of its score kept by a miner whose spot check was inconclusive, its reviews could not be looked up
+      INCONCLUSIVE_CREDIT: 0,
+    },
+
+    // Reviews verified by the spot check actor, reused across rounds by reviewId
+    VERIFICATION_CACHE: {
+      ENABLED: true,                      // Set VALIDATOR_VERIFICATION_CACHE=false to verify every review
+      BACKEND: 'file',                    // 'file', 'redis' or 'memory', overridden by VALIDATOR_VERIFICATION_CACHE_BACKEND
+      TTL: 21_600,                        // Seconds a verified review is reused (6 hours)
+      FILE: 'data/verified-reviews.ndjson',
+      MEMORY_MAX_ENTRIES: 10_000,
+    },
+
+    // Per-miner score history behind /miners/:uid/history and /leaderboard
+    SCORE_HISTORY: {
+      FILE: 'data/score-history.ndjson',  // One line per miner and scoring round
+      MAX_ROUNDS: 500,                    // Rounds kept per miner
+      WINDOW: 10,                         // Rounds covered by moving averages, pass rates and trends
+      TREND_THRESHOLD: 0.01,              // Minimum moving average change reported as up or down
+    },
+
+    // Audit log of /score-responses rounds (inputs, spot check sample, verified reviews, outputs), see npm run validator:replay
+    AUDIT_LOG: {
+      ENABLED: true,                      // Set VALIDATOR_AUDIT_LOG=false to turn it off
+      DIR: 'data/audit',                  // One score-rounds-YYYY-MM-DD.ndjson file per UTC day
+      MAX_DAYS: 14,                       // Days of files kept, older files are deleted
+    },
+
     // Synapse configurations
     // Parameters used in synapse queries for different task types
     GOOGLE_REVIEWS_SYNAPSE_PARAMS: {
@@ -51,5 +148,58 @@ export default {
     APIFY_ACTORS: {
       GOOGLE_MAPS_REVIEWS: 'agents/google-maps-reviews'
     },
+
+    // Request deadline, built from the synapse timeout the Python miner sends (in seconds)
+    DEADLINE: {
+      DEFAULT_TIMEOUT: 120,        // Synapse timeout in seconds when the request has none
+      SAFETY_MARGIN: 3000,         // Milliseconds kept back for the response to reach the validator
+    },
+
+    // Review provider chains - providers are tried in order until one returns reviews
+    // Available providers: apify, puppeteer, redis-cache, local-store
+    // MINER_REVIEW_PROVIDERS (comma separated) overrides both chains
+    REVIEW_PROVIDERS: {
+      CHAIN: ['apify'],                                                // Default chain
+      TURBO_CHAIN: ['redis-cache', 'local-store', 'puppeteer', 'apify'], // Chain used when MINER_TURBO_MODE=true
+      APIFY_MAX_RETRIES: 10,                                           // Retries of the Apify actor per request
+      LOCAL_STORE_DIR: 'data/reviews',                                 // Directory of the local-store provider
+      LOCAL_STORE_TTL: 7200,                                           // Max age of local-store entries in seconds
+    },
+
+    // TurboScraper (puppeteer provider) configuration
+    TURBO: {
+      CONCURRENCY: 8,              // Number of browsers in the pool
+      MAX_REVIEWS: 300,            // Max reviews scraped per place
+      SCRAPE_TIMEOUT: 30_000,      // Max scrape duration in milliseconds
+    },
+
+    // FIDPredictor search combinations, drawn from config.VALIDATOR.GEOGRAPHY
+    PREDICTION: {
+      MAX_CITIES: 10_000,          // Cities shared out between the countries by weight
+    },
+
+    // Miner /stats endpoint
+    STATS: {
+      LATENCY_WINDOW: 500,         // Number of recent review requests the latency percentiles cover
+    },
+
+    // SmartCache (redis-cache provider) storage
+    // 'redis' = Redis only, 'memory' = in-process LRU only, 'auto' = Redis with in-process LRU fallback
+    CACHE: {
+      BACKEND: 'auto',             // Overridden by MINER_CACHE_BACKEND
+      MEMORY_MAX_ENTRIES: 1000,    // Max keys held by the in-process LRU
+      MAX_AGE: 300,                // Seconds cached reviews are considered fresh
+      // Serve stale reviews immediately and refresh them in the background through the rest of the chain
+      STALE_WHILE_REVALIDATE: true, // Set MINER_CACHE_STALE_WHILE_REVALIDATE=false to refresh stale reviews before answering
+    },
+  },
+  // Local registry of known places, used to resolve CIDs and placeIds to FIDs
+  PLACE_REGISTRY: {
+    FILE: 'data/places.ndjson',
+  },
+  // Logging of both nodes, LOG_LEVEL and LOG_FORMAT override these
+  LOGGER: {
+    LEVEL: 'info',               // debug, info, warning, error or silent
+    FORMAT: 'text',              // 'text' = coloured lines, 'json' = one JSON object per line
   },
 };
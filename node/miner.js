@@ -2,7 +2,14 @@ import dotenv from 'dotenv';
 import express from 'express';
 import logger from '#modules/logger/index.js';
 import googleMapsReviewsRoute from '#routes/miner/google-maps/reviews.js';
+import healthRoute from '#routes/miner/health.js';
+import readyRoute from '#routes/miner/ready.js';
+import statsRoute from '#routes/miner/stats.js';
+import metricsRoute from '#routes/metrics.js';
 import localhostOnly from '#modules/middlewares/localhost-only.js';
+import requestId from '#modules/middlewares/request-id.js';
+import requestMetrics from '#modules/middlewares/metrics.js';
+import reviewProviders from '#modules/review-providers/index.js';
 
 dotenv.config();
 
@@ -10,18 +17,44 @@ const app = express();
 const PORT = process.env.MINER_NODE_PORT || 3001;
 
 // Middleware
+app.use(requestId);
 app.use(localhostOnly);
+app.use(requestMetrics);
 app.use(express.json());
 
 // Routes
 // Google Maps
 app.get('/google-maps/reviews/:fid', googleMapsReviewsRoute.execute);
 
+// Health check endpoint
+app.get('/health', healthRoute.execute);
+
+// Readiness endpoint - 503 until the review providers (browser pool, cache) are initialized
+app.get('/ready', readyRoute.execute);
+
+// Cache, browser pool, provider, Apify and latency statistics
+app.get('/stats', statsRoute.execute);
+
+// Prometheus metrics
+app.get('/metrics', metricsRoute.execute);
+
+// Release browsers and cache connections on shutdown, then let the signal terminate the process
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await reviewProviders.cleanup();
+    process.kill(process.pid, signal);
+  });
+}
+
 // Start server and log configuration
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   logger.info('='.repeat(50));
   logger.info(`[Miner] Node running on port ${PORT}`);
   logger.info(`[Miner] Google Reviews endpoint: GET /google-maps/reviews/:fid`);
+  logger.info(`[Miner] Health endpoints: GET /health, GET /ready, GET /stats, GET /metrics`);
   logger.info(`[Miner] Apify token configured: ${Boolean(process.env.APIFY_TOKEN)}`);
+  logger.info(`[Miner] Review providers: ${reviewProviders.getChain().join(' -> ')}`);
   logger.info('='.repeat(50));
+
+  await reviewProviders.initialize();
 });
@@ -0,0 +1,49 @@
+/**
+ * Settle with a promise, or reject with the signal's reason as soon as it is aborted
+ * The promise itself keeps running, the caller just stops waiting for it.
+ * @param {Promise<any>} promise - The promise to wait for
+ * @param {AbortSignal} [signal] - The signal, the promise is returned as is without one
+ * @returns {Promise<any>} - The result of the promise
+ */
+async function race(promise, signal) {
+  if (!signal) {
+    return await promise;
+  }
+
+  signal.throwIfAborted();
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  try {
+    return await Promise.race([promise, aborted]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Wait for a delay, or reject with the signal's reason as soon as it is aborted
+ * @param {number} delay - The delay in milliseconds
+ * @param {AbortSignal} [signal] - The signal
+ * @returns {Promise<void>}
+ */
+async function sleep(delay, signal) {
+  let timer;
+
+  try {
+    await race(new Promise(resolve => {
+      timer = setTimeout(resolve, delay);
+    }), signal);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export default {
+  race,
+  sleep
+};
@@ -0,0 +1,61 @@
+import abort from './index.js';
+
+describe('modules/abort', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('.race()', () => {
+    test('should return the result without a signal', async () => {
+      expect(await abort.race(Promise.resolve('result'))).toBe('result');
+    });
+
+    test('should return the result if the signal is not aborted', async () => {
+      const controller = new AbortController();
+
+      expect(await abort.race(Promise.resolve('result'), controller.signal)).toBe('result');
+    });
+
+    test('should reject with the abort reason', async () => {
+      const controller = new AbortController();
+      const promise = abort.race(new Promise(() => {}), controller.signal);
+
+      controller.abort(new Error('Client disconnected'));
+
+      await expect(promise).rejects.toThrow('Client disconnected');
+    });
+
+    test('should reject right away if the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Client disconnected'));
+
+      await expect(abort.race(Promise.resolve('result'), controller.signal)).rejects.toThrow('Client disconnected');
+    });
+  });
+
+  describe('.sleep()', () => {
+    test('should wait for the delay', async () => {
+      jest.useFakeTimers();
+      const resolved = jest.fn();
+
+      const promise = abort.sleep(1000).then(resolved);
+      await jest.advanceTimersByTimeAsync(999);
+      expect(resolved).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(1);
+      await promise;
+
+      expect(resolved).toHaveBeenCalled();
+    });
+
+    test('should stop waiting when aborted', async () => {
+      jest.useFakeTimers();
+      const controller = new AbortController();
+
+      const promise = abort.sleep(1000, controller.signal);
+      controller.abort(new Error('Client disconnected'));
+
+      await expect(promise).rejects.toThrow('Client disconnected');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
@@ -1,10 +1,30 @@
 import { ApifyClient } from 'apify-client';
 import logger from '#modules/logger/index.js';
+import abort from '#modules/abort/index.js';
+import metrics from '#modules/metrics/index.js';
+
+const actorRuns = metrics.counter('apify_actor_runs_total', 'Apify actor runs by actor and outcome', ['actor', 'outcome']);
+const actorRunDuration = metrics.histogram('apify_actor_run_duration_seconds', 'Apify actor run duration in seconds by actor', ['actor'], [1, 5, 10, 20, 30, 60, 90, 120, 300]);
+
+// Statuses of a run stopped by the deadline, or still running when we stopped waiting for it
+const PARTIAL_STATUSES = new Set(['RUNNING', 'TIMING-OUT', 'TIMED-OUT']);
+
+// Actor run usage since the process started
+const usage = {
+  runs: 0,
+  succeeded: 0,
+  failed: 0,
+  aborted: 0,
+  items: 0,
+  totalDuration: 0
+};
 
 /**
  * Run any Apify actor and get the results
- * First it calls the actor with the parameters
+ * First it starts the actor with the parameters and waits for the run to finish
  * Then it gets the results from the dataset
+ * A run that did not succeed fails, its dataset only holds part of the results, unless partial results are accepted.
+ * If the signal is aborted while waiting, the remote run is aborted too so it stops billing.
  *
  * @example
  * const results = await runActorAndGetResults('agents/google-maps-reviews', {
@@ -16,16 +36,73 @@ import logger from '#modules/logger/index.js';
  *
  * @param {string} actorId - The ID of the actor to run
  * @param {Object} parameters - The parameters to pass to the actor
+ * @param {Object} [options] - The options
+ * @param {import('#modules/deadline/index.js').default} [options.deadline] - Bounds the actor run
+ * @param {AbortSignal} [options.signal] - Aborts the actor run
+ * @param {boolean} [options.partial] - Return what a run stopped by the deadline scraped so far instead of failing
  * @returns {Promise<Object>} - The results of the actor run
+ * @throws {Error} - If the run failed, was aborted or, without partial, did not finish in time
  */
-async function runActorAndGetResults(actorId, parameters) {
+async function runActorAndGetResults(actorId, parameters, { deadline, signal, partial = false } = {}) {
+  signal?.throwIfAborted();
+
   // Initialize Apify client
   const apifyClient = new ApifyClient({
     token: process.env.APIFY_TOKEN,
   });
 
+  const startTime = Date.now();
+  usage.runs++;
+
+  let outcome = 'succeeded';
+  try {
+    const items = await startAndWait(apifyClient, actorId, parameters, { deadline, signal, partial });
+    usage.items += items.length;
+    return items;
+  } catch (error) {
+    outcome = signal?.aborted ? 'aborted' : 'failed';
+    throw error;
+  } finally {
+    const duration = Date.now() - startTime;
+    usage[outcome]++;
+    usage.totalDuration += duration;
+    actorRuns.inc({ actor: actorId, outcome });
+    actorRunDuration.observe({ actor: actorId }, duration / 1000);
+  }
+}
+
+/**
+ * Start an actor run, wait for it and get its dataset items
+ * @param {ApifyClient} apifyClient - The Apify client
+ * @param {string} actorId - The ID of the actor to run
+ * @param {Object} parameters - The parameters to pass to the actor
+ * @param {Object} options - The deadline, signal and partial option, see runActorAndGetResults()
+ * @returns {Promise<Array<Object>>} - The dataset items
+ * @throws {Error} - If the run did not succeed and its partial results are not accepted
+ */
+async function startAndWait(apifyClient, actorId, parameters, { deadline, signal, partial }) {
   // Run the Google Reviews actor with specified parameters
-  const run = await apifyClient.actor(actorId).call(parameters);
+  // With a deadline, the platform stops the run in time and we stop waiting for it
+  const seconds = deadline && Math.max(1, Math.floor(deadline.remaining() / 1000));
+  const started = await apifyClient.actor(actorId).start(parameters, deadline ? { timeout: seconds } : {});
+
+  const abortRun = () => {
+    apifyClient.run(started.id).abort().catch(error => {
+      logger.error(`Failed to abort Apify run ${started.id}: ${error.message}`);
+    });
+  };
+  signal?.addEventListener('abort', abortRun, { once: true });
+
+  let run;
+  try {
+    run = await abort.race(apifyClient.run(started.id).waitForFinish(deadline ? { waitSecs: seconds } : {}), signal);
+  } finally {
+    signal?.removeEventListener('abort', abortRun);
+  }
+
+  if (run.status !== 'SUCCEEDED' && !(partial && PARTIAL_STATUSES.has(run.status))) {
+    throw new Error(`Apify run ${started.id} of ${actorId} did not succeed: ${run.status}`);
+  }
 
   // Get the scraped results from Apify dataset
   const { items } = await apifyClient.dataset(run.defaultDatasetId).listItems();
@@ -36,6 +113,18 @@ async function runActorAndGetResults(actorId, parameters) {
   return items;
 }
 
+/**
+ * Get the actor run usage since the process started
+ * @returns {Object} - The number of runs by outcome, the dataset items fetched and the run durations
+ */
+function getUsage() {
+  return {
+    ...usage,
+    averageDuration: usage.runs > 0 ? usage.totalDuration / usage.runs : 0
+  };
+}
+
 export default {
-  runActorAndGetResults
+  runActorAndGetResults,
+  getUsage
 };
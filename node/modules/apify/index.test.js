@@ -1,21 +1,10 @@
+import { ApifyClient } from 'apify-client';
 import apify from './index.js';
+import logger from '#modules/logger/index.js';
+import metrics from '#modules/metrics/index.js';
 
 jest.mock('apify-client', () => ({
-  ApifyClient: jest.fn().mockImplementation(() => ({
-    actor: jest.fn().mockReturnValue({
-      call: jest.fn().mockResolvedValue({
-        defaultDatasetId: 'mock-dataset-id'
-      })
-    }),
-    dataset: jest.fn().mockReturnValue({
-      listItems: jest.fn().mockResolvedValue({
-        items: [
-          { id: 1, review: 'Mock review 1' },
-          { id: 2, review: 'Mock review 2' }
-        ]
-      })
-    })
-  }))
+  ApifyClient: jest.fn()
 }));
 jest.mock('#modules/logger/index.js', () => ({
   info: jest.fn(),
@@ -24,6 +13,31 @@ jest.mock('#modules/logger/index.js', () => ({
 }));
 
 describe('modules/apify', () => {
+  let client;
+  let waitForFinish;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    waitForFinish = jest.fn().mockResolvedValue({ status: 'SUCCEEDED', defaultDatasetId: 'mock-dataset-id' });
+    client = {
+      actor: jest.fn().mockReturnValue({
+        start: jest.fn().mockResolvedValue({ id: 'mock-run-id' })
+      }),
+      run: jest.fn().mockReturnValue({
+        waitForFinish,
+        abort: jest.fn().mockResolvedValue({})
+      }),
+      dataset: jest.fn().mockReturnValue({
+        listItems: jest.fn().mockResolvedValue({
+          items: [
+            { id: 1, review: 'Mock review 1' },
+            { id: 2, review: 'Mock review 2' }
+          ]
+        })
+      })
+    };
+    ApifyClient.mockImplementation(() => client);
+  });
 
   describe('.runActorAndGetResults()', () => {
     test('should be able to return the results of the actor run', async () => {
@@ -41,6 +55,111 @@ describe('modules/apify', () => {
         id: 2,
         review: 'Mock review 2'
       }]);
+      expect(client.run).toHaveBeenCalledWith('mock-run-id');
+      expect(client.dataset).toHaveBeenCalledWith('mock-dataset-id');
+    });
+
+    test('should bound the actor run by the deadline', async () => {
+      const deadline = { remaining: () => 42_500 };
+
+      await apify.runActorAndGetResults('test-actor', { placeFIDs: ['1234567890'] }, { deadline });
+
+      expect(client.actor().start).toHaveBeenCalledWith({ placeFIDs: ['1234567890'] }, { timeout: 42 });
+      expect(waitForFinish).toHaveBeenCalledWith({ waitSecs: 42 });
+    });
+
+    test('should fail when the run timed out', async () => {
+      waitForFinish.mockResolvedValueOnce({ status: 'TIMED-OUT', defaultDatasetId: 'mock-dataset-id' });
+
+      await expect(apify.runActorAndGetResults('test-actor', {}, { deadline: { remaining: () => 1000 } }))
+        .rejects.toThrow('Apify run mock-run-id of test-actor did not succeed: TIMED-OUT');
+      expect(client.dataset).not.toHaveBeenCalled();
+    });
+
+    test('should return the partial results of a timed out run when accepted', async () => {
+      waitForFinish.mockResolvedValueOnce({ status: 'TIMED-OUT', defaultDatasetId: 'mock-dataset-id' });
+
+      const result = await apify.runActorAndGetResults('test-actor', {}, { deadline: { remaining: () => 1000 }, partial: true });
+
+      expect(result).toHaveLength(2);
+    });
+
+    test('should fail when the run failed even if partial results are accepted', async () => {
+      waitForFinish.mockResolvedValueOnce({ status: 'FAILED', defaultDatasetId: 'mock-dataset-id' });
+
+      await expect(apify.runActorAndGetResults('test-actor', {}, { partial: true })).rejects.toThrow('did not succeed: FAILED');
+    });
+
+    test('should not start the actor if the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Client disconnected'));
+
+      await expect(apify.runActorAndGetResults('test-actor', {}, { signal: controller.signal })).rejects.toThrow('Client disconnected');
+      expect(ApifyClient).not.toHaveBeenCalled();
+    });
+
+    test('should abort the remote run when the signal is aborted', async () => {
+      const controller = new AbortController();
+      waitForFinish.mockReturnValue(new Promise(() => {}));
+
+      const promise = apify.runActorAndGetResults('test-actor', {}, { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort(new Error('Client disconnected'));
+
+      await expect(promise).rejects.toThrow('Client disconnected');
+      expect(client.run().abort).toHaveBeenCalled();
+      expect(client.dataset).not.toHaveBeenCalled();
+    });
+
+    test('should log if the remote run cannot be aborted', async () => {
+      const controller = new AbortController();
+      waitForFinish.mockReturnValue(new Promise(() => {}));
+      client.run().abort.mockRejectedValue(new Error('Run already finished'));
+
+      const promise = apify.runActorAndGetResults('test-actor', {}, { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort(new Error('Client disconnected'));
+      await expect(promise).rejects.toThrow('Client disconnected');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(logger.error).toHaveBeenCalledWith('Failed to abort Apify run mock-run-id: Run already finished');
+    });
+  });
+
+  describe('.getUsage()', () => {
+    test('should count the runs by outcome', async () => {
+      const before = apify.getUsage();
+      const controller = new AbortController();
+
+      await apify.runActorAndGetResults('test-actor', {});
+      waitForFinish.mockRejectedValueOnce(new Error('Apify down'));
+      await expect(apify.runActorAndGetResults('test-actor', {})).rejects.toThrow('Apify down');
+      waitForFinish.mockReturnValueOnce(new Promise(() => {}));
+      const aborted = apify.runActorAndGetResults('test-actor', {}, { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort(new Error('Client disconnected'));
+      await expect(aborted).rejects.toThrow('Client disconnected');
+
+      const usage = apify.getUsage();
+      expect(usage.runs - before.runs).toBe(3);
+      expect(usage.succeeded - before.succeeded).toBe(1);
+      expect(usage.failed - before.failed).toBe(1);
+      expect(usage.aborted - before.aborted).toBe(1);
+      expect(usage.items - before.items).toBe(2);
+      expect(usage.averageDuration).toEqual(expect.any(Number));
+    });
+
+    test('should export the runs and their duration per actor', async () => {
+      metrics.reset();
+
+      await apify.runActorAndGetResults('test-actor', {});
+      waitForFinish.mockRejectedValueOnce(new Error('Apify down'));
+      await expect(apify.runActorAndGetResults('test-actor', {})).rejects.toThrow('Apify down');
+
+      const rendered = metrics.render();
+      expect(rendered).toContain('apify_actor_runs_total{actor="test-actor",outcome="succeeded"} 1');
+      expect(rendered).toContain('apify_actor_runs_total{actor="test-actor",outcome="failed"} 1');
+      expect(rendered).toContain('apify_actor_run_duration_seconds_count{actor="test-actor"} 2');
     });
   });
 });
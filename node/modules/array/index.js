@@ -18,6 +18,25 @@ const uniqueBy = (array, key) => {
   return [...new Map(array.map(item => [item[key], item])).values()];
 };
 
+/**
+ * Splits an array into chunks of at most a given size.
+ * @param {Array<any>} array - The input array
+ * @param {number} size - The maximum chunk size, at least 1
+ * @returns {Array<Array<any>>} The chunks, in order
+ * @example
+ * chunk([1, 2, 3, 4, 5], 2);
+ * // Result: [[1, 2], [3, 4], [5]]
+ */
+const chunk = (array, size) => {
+  const step = Math.max(1, Math.floor(size));
+  const chunks = [];
+  for (let index = 0; index < array.length; index += step) {
+    chunks.push(array.slice(index, index + step));
+  }
+
+  return chunks;
+};
+
 /**
  * Validates an array of objects against a set of required fields with type checking and custom validation.
  * @param {Array<Object>} array - The array of objects to validate
@@ -91,5 +110,6 @@ const validateArray = (array, requiredFields) => {
 
 export default {
   uniqueBy,
+  chunk,
   validateArray
 };
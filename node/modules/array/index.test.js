@@ -21,6 +21,18 @@ describe('modules/array', () => {
     });
   });
 
+  describe('.chunk()', () => {
+    test('should split the array into chunks of at most the size', () => {
+      expect(array.chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+      expect(array.chunk([1, 2], 5)).toEqual([[1, 2]]);
+      expect(array.chunk([], 2)).toEqual([]);
+    });
+
+    test('should use chunks of one below a size of one', () => {
+      expect(array.chunk([1, 2], 0)).toEqual([[1], [2]]);
+    });
+  });
+
   describe('.validateArray()', () => {
     const requiredFields = [
       { name: 'a', type: 'string' },
@@ -0,0 +1,166 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from '#modules/logger/index.js';
+
+/**
+ * Append-only audit log
+ * Records are appended as NDJSON to one file per UTC day, `<prefix>-YYYY-MM-DD.ndjson`, so old days
+ * can be archived or deleted without touching the current file. With maxDays, the files of older days
+ * are deleted by the first append of each day.
+ */
+class AuditLog {
+  /**
+   * @param {Object} options - The options
+   * @param {string} options.dir - The directory of the log files
+   * @param {string} [options.prefix] - The file name prefix
+   * @param {number} [options.maxDays] - The days of files kept, the current one included, all of them if unset
+   */
+  constructor({ dir, prefix = 'audit', maxDays }) {
+    this.dir = dir;
+    this.prefix = prefix;
+    this.maxDays = maxDays;
+    this.prunedDay = undefined;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Get the file of a day
+   * @param {Date} date - The day
+   * @returns {string} - The file path
+   */
+  getFilePath(date) {
+    return path.join(this.dir, `${this.prefix}-${date.toISOString().slice(0, 10)}.ndjson`);
+  }
+
+  /**
+   * Delete the files older than maxDays days
+   * Never rejects, a failed deletion is only logged.
+   * @param {Date} [now] - The current time
+   * @returns {Promise<number>} - The number of files deleted
+   */
+  async prune(now = new Date()) {
+    if (!(this.maxDays > 0)) {
+      return 0;
+    }
+
+    const oldest = this.getFilePath(new Date(now.getTime() - ((this.maxDays - 1) * 86_400_000)));
+    let deleted = 0;
+    try {
+      for (const file of await this.listFiles()) {
+        if (path.basename(file) < path.basename(oldest)) {
+          await fs.unlink(file);
+          deleted++;
+        }
+      }
+    } catch (error) {
+      logger.error(`[AuditLog] Failed to delete old files in ${this.dir}: ${error.message}`);
+    }
+
+    if (deleted > 0) {
+      logger.info(`[AuditLog] Deleted ${deleted} files older than ${this.maxDays} days`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Append a record
+   * Never rejects, an audit failure must not fail the request being audited.
+   * @param {Object} record - The record, stamped with recordedAt
+   * @returns {Promise<boolean>} - True once written
+   */
+  append(record) {
+    const now = new Date();
+    const line = `${JSON.stringify({ recordedAt: now.toISOString(), ...record })}\n`;
+
+    // Appends are chained so large records never interleave
+    const appending = this.writing.then(async () => {
+      const day = now.toISOString().slice(0, 10);
+      if (this.prunedDay !== day) {
+        this.prunedDay = day;
+        await this.prune(now);
+      }
+
+      try {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.appendFile(this.getFilePath(now), line);
+        return true;
+      } catch (error) {
+        logger.error(`[AuditLog] Failed to append to ${this.getFilePath(now)}: ${error.message}`);
+        return false;
+      }
+    });
+
+    this.writing = appending;
+    return appending;
+  }
+
+  /**
+   * List the log files, newest first
+   * @returns {Promise<Array<string>>} - The file paths
+   */
+  async listFiles() {
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return names
+      .filter(name => name.startsWith(`${this.prefix}-`) && name.endsWith('.ndjson'))
+      .toSorted()
+      .toReversed()
+      .map(name => path.join(this.dir, name));
+  }
+
+  /**
+   * Read the records of a file, skipping unreadable lines
+   * @param {string} file - The file path
+   * @returns {Promise<Array<Object>>} - The records, oldest first
+   */
+  async readFile(file) {
+    const content = await fs.readFile(file, 'utf8');
+    const records = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        logger.warning(`[AuditLog] Skipping unreadable line in ${file}`);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Find a record, searching the newest files first
+   * @param {Function} predicate - (record) => boolean
+   * @param {Object} [options] - The options
+   * @param {string} [options.file] - Only search this file
+   * @returns {Promise<Object|undefined>} - The newest matching record
+   */
+  async search(predicate, { file } = {}) {
+    const files = file ? [file] : await this.listFiles();
+
+    for (const current of files) {
+      const records = await this.readFile(current);
+      const record = records.findLast(entry => predicate(entry));
+      if (record) {
+        return record;
+      }
+    }
+
+    return;
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,148 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from '#modules/logger/index.js';
+import AuditLog from './index.js';
+
+jest.mock('node:fs/promises', () => ({
+  readFile: jest.fn(),
+  readdir: jest.fn(),
+  appendFile: jest.fn(),
+  mkdir: jest.fn(),
+  unlink: jest.fn()
+}));
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('modules/audit-log', () => {
+  let auditLog;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-02T03:04:05.000Z') });
+    auditLog = new AuditLog({ dir: 'data/audit', prefix: 'score-rounds' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('.append()', () => {
+    test('should append the record to the file of the day', async () => {
+      expect(await auditLog.append({ roundId: 'abc' })).toBe(true);
+
+      expect(fs.mkdir).toHaveBeenCalledWith('data/audit', { recursive: true });
+      expect(fs.appendFile).toHaveBeenCalledWith(
+        path.join('data/audit', 'score-rounds-2025-01-02.ndjson'),
+        '{"recordedAt":"2025-01-02T03:04:05.000Z","roundId":"abc"}\n'
+      );
+    });
+
+    test('should write concurrent records one after the other', async () => {
+      const order = [];
+      fs.appendFile.mockImplementation(async (file, line) => {
+        await Promise.resolve();
+        order.push(JSON.parse(line).roundId);
+      });
+
+      await Promise.all([auditLog.append({ roundId: 'first' }), auditLog.append({ roundId: 'second' })]);
+
+      expect(order).toEqual(['first', 'second']);
+    });
+
+    test('should log write failures without rejecting', async () => {
+      fs.appendFile.mockRejectedValue(new Error('disk full'));
+
+      expect(await auditLog.append({ roundId: 'abc' })).toBe(false);
+      expect(logger.error).toHaveBeenCalledWith(`[AuditLog] Failed to append to ${path.join('data/audit', 'score-rounds-2025-01-02.ndjson')}: disk full`);
+    });
+  });
+
+  describe('.prune()', () => {
+    beforeEach(() => {
+      fs.readdir.mockResolvedValue(['score-rounds-2024-12-30.ndjson', 'score-rounds-2024-12-31.ndjson', 'score-rounds-2025-01-01.ndjson', 'score-rounds-2025-01-02.ndjson']);
+      auditLog = new AuditLog({ dir: 'data/audit', prefix: 'score-rounds', maxDays: 2 });
+    });
+
+    test('should delete the files older than maxDays days', async () => {
+      expect(await auditLog.prune()).toBe(2);
+
+      expect(fs.unlink.mock.calls).toEqual([
+        [path.join('data/audit', 'score-rounds-2024-12-31.ndjson')],
+        [path.join('data/audit', 'score-rounds-2024-12-30.ndjson')]
+      ]);
+    });
+
+    test('should keep every file without maxDays', async () => {
+      auditLog = new AuditLog({ dir: 'data/audit', prefix: 'score-rounds' });
+
+      expect(await auditLog.prune()).toBe(0);
+      expect(fs.readdir).not.toHaveBeenCalled();
+    });
+
+    test('should prune once a day on append', async () => {
+      await auditLog.append({ roundId: 'first' });
+      await auditLog.append({ roundId: 'second' });
+
+      expect(fs.readdir).toHaveBeenCalledTimes(1);
+      expect(fs.unlink).toHaveBeenCalledTimes(2);
+      expect(fs.appendFile).toHaveBeenCalledTimes(2);
+    });
+
+    test('should log deletion failures without rejecting', async () => {
+      fs.unlink.mockRejectedValue(new Error('permission denied'));
+
+      expect(await auditLog.prune()).toBe(0);
+      expect(logger.error).toHaveBeenCalledWith('[AuditLog] Failed to delete old files in data/audit: permission denied');
+    });
+  });
+
+  describe('.listFiles()', () => {
+    test('should list the log files newest first', async () => {
+      fs.readdir.mockResolvedValue(['score-rounds-2025-01-01.ndjson', 'notes.txt', 'score-rounds-2025-01-02.ndjson']);
+
+      expect(await auditLog.listFiles()).toEqual([
+        path.join('data/audit', 'score-rounds-2025-01-02.ndjson'),
+        path.join('data/audit', 'score-rounds-2025-01-01.ndjson')
+      ]);
+    });
+
+    test('should list nothing without a log directory', async () => {
+      fs.readdir.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      expect(await auditLog.listFiles()).toEqual([]);
+    });
+
+    test('should throw other errors', async () => {
+      fs.readdir.mockRejectedValue(new Error('permission denied'));
+
+      await expect(auditLog.listFiles()).rejects.toThrow('permission denied');
+    });
+  });
+
+  describe('.search()', () => {
+    beforeEach(() => {
+      fs.readdir.mockResolvedValue(['score-rounds-2025-01-01.ndjson', 'score-rounds-2025-01-02.ndjson']);
+      fs.readFile.mockImplementation(async (file) => (file.endsWith('02.ndjson')
+        ? '{"roundId":"c"}\n{broken\n'
+        : '{"roundId":"a"}\n{"roundId":"b"}\n\n'));
+    });
+
+    test('should return the newest matching record', async () => {
+      expect(await auditLog.search(() => true)).toEqual({ roundId: 'c' });
+      expect(await auditLog.search(record => record.roundId !== 'c')).toEqual({ roundId: 'b' });
+      expect(logger.warning).toHaveBeenCalledWith(`[AuditLog] Skipping unreadable line in ${path.join('data/audit', 'score-rounds-2025-01-02.ndjson')}`);
+    });
+
+    test('should only search the given file', async () => {
+      expect(await auditLog.search(() => true, { file: 'old.ndjson' })).toEqual({ roundId: 'b' });
+      expect(fs.readdir).not.toHaveBeenCalled();
+    });
+
+    test('should return undefined without a match', async () => {
+      expect(await auditLog.search(record => record.roundId === 'z')).toBeUndefined();
+    });
+  });
+});
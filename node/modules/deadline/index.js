@@ -0,0 +1,79 @@
+import config from '#config';
+
+/**
+ * Time budget of a request
+ * Created once per request and passed down so every stage can cut its work short
+ * and the response still lands before the caller gives up.
+ *
+ * @example
+ * const deadline = Deadline.fromTimeout(request.query.timeout);
+ * await page.goto(url, { timeout: deadline.cap(30_000) });
+ */
+class Deadline {
+  /**
+   * @param {number} budget - The time budget in milliseconds
+   */
+  constructor(budget) {
+    this.budget = Math.max(0, budget);
+    this.startedAt = Date.now();
+    this.expiresAt = this.startedAt + this.budget;
+  }
+
+  /**
+   * Create a deadline from a timeout in seconds, as sent by the Python miner
+   * The safety margin is kept back for the response to travel back to the caller.
+   * @param {number|string} [timeout] - The timeout in seconds, config.MINER.DEADLINE.DEFAULT_TIMEOUT if missing or invalid
+   * @returns {Deadline}
+   */
+  static fromTimeout(timeout) {
+    const { DEFAULT_TIMEOUT, SAFETY_MARGIN } = config.MINER.DEADLINE;
+    const seconds = Number(timeout) > 0 ? Number(timeout) : DEFAULT_TIMEOUT;
+    return new Deadline((seconds * 1000) - SAFETY_MARGIN);
+  }
+
+  /**
+   * Get the time left in milliseconds
+   * @returns {number}
+   */
+  remaining() {
+    return Math.max(0, this.expiresAt - Date.now());
+  }
+
+  /**
+   * Get the time spent since the deadline was created in milliseconds
+   * @returns {number}
+   */
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  /**
+   * Check if the deadline has passed
+   * @returns {boolean}
+   */
+  isExpired() {
+    return this.remaining() === 0;
+  }
+
+  /**
+   * Bound a timeout by the time left
+   * Never returns 0, which means "no timeout" for most APIs.
+   * @param {number} timeout - The timeout in milliseconds
+   * @returns {number} - The bounded timeout in milliseconds
+   */
+  cap(timeout) {
+    return Math.max(1, Math.min(timeout, this.remaining()));
+  }
+
+  /**
+   * Throw if the deadline has passed
+   * @param {string} [stage] - The stage about to start, for the error message
+   */
+  throwIfExpired(stage) {
+    if (this.isExpired()) {
+      throw new Error(stage ? `Deadline exceeded before ${stage}` : 'Deadline exceeded');
+    }
+  }
+}
+
+export default Deadline;
@@ -0,0 +1,68 @@
+import Deadline from './index.js';
+import config from '#config';
+
+describe('modules/deadline', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('.fromTimeout()', () => {
+    test('should convert seconds to a budget minus the safety margin', () => {
+      const deadline = Deadline.fromTimeout('120');
+
+      expect(deadline.budget).toBe(120_000 - config.MINER.DEADLINE.SAFETY_MARGIN);
+    });
+
+    test('should fall back to the default timeout', () => {
+      const expected = (config.MINER.DEADLINE.DEFAULT_TIMEOUT * 1000) - config.MINER.DEADLINE.SAFETY_MARGIN;
+
+      expect(Deadline.fromTimeout().budget).toBe(expected);
+      expect(Deadline.fromTimeout('abc').budget).toBe(expected);
+      expect(Deadline.fromTimeout(0).budget).toBe(expected);
+    });
+
+    test('should never have a negative budget', () => {
+      expect(Deadline.fromTimeout(1).budget).toBe(0);
+    });
+  });
+
+  test('should track the remaining and elapsed time', () => {
+    const deadline = new Deadline(10_000);
+    jest.advanceTimersByTime(4000);
+
+    expect(deadline.remaining()).toBe(6000);
+    expect(deadline.elapsed()).toBe(4000);
+    expect(deadline.isExpired()).toBe(false);
+
+    jest.advanceTimersByTime(10_000);
+
+    expect(deadline.remaining()).toBe(0);
+    expect(deadline.isExpired()).toBe(true);
+  });
+
+  test('should cap timeouts by the remaining time', () => {
+    const deadline = new Deadline(10_000);
+
+    expect(deadline.cap(5000)).toBe(5000);
+    expect(deadline.cap(30_000)).toBe(10_000);
+
+    jest.advanceTimersByTime(10_000);
+
+    expect(deadline.cap(5000)).toBe(1);
+  });
+
+  test('should throw once expired', () => {
+    const deadline = new Deadline(1000);
+
+    expect(() => deadline.throwIfExpired('apify')).not.toThrow();
+
+    jest.advanceTimersByTime(1000);
+
+    expect(() => deadline.throwIfExpired('apify')).toThrow('Deadline exceeded before apify');
+    expect(() => deadline.throwIfExpired()).toThrow('Deadline exceeded');
+  });
+});
@@ -1,20 +1,31 @@
 import logger from '../logger/index.js';
-import { City, State } from 'country-state-city';
+import geography from '../geography/index.js';
+import config from '#config';
 import crypto from 'crypto';
 
 /**
  * FID Prediction System
  * Pre-generates potential FIDs based on validator patterns
+ * The cities come from the countries validators search in (config.VALIDATOR.GEOGRAPHY), so the
+ * predicted searches cover the same places as the synthetic tasks.
  */
 class FIDPredictor {
-  constructor() {
+  /**
+   * @param {Object} [options] - The options
+   * @param {Object<string, number>} [options.countries] - The country weights, see geography.resolveCountries()
+   * @param {number} [options.maxCities] - The cities shared out between the countries by weight
+   */
+  constructor(options = {}) {
+    this.countries = options.countries || config.VALIDATOR.GEOGRAPHY.COUNTRIES;
+    this.maxCities = options.maxCities || config.MINER.PREDICTION.MAX_CITIES;
+
     this.placeTypes = [
       "restaurant", "cafe", "hospital", "hotel", "museum", "park",
       "shopping mall", "gym", "library", "pharmacy", "gas station",
       "supermarket", "bank", "movie theater", "bar"
     ];
     
-    // High-probability US cities (population-weighted)
+    // High-probability cities (weighted by country)
     this.hotCities = this.getHighProbabilityCities();
     
     // Pre-computed search combinations
@@ -24,53 +35,48 @@ class FIDPredictor {
   }
 
   /**
-   * Get high-probability US cities based on population and frequency
+   * Get high-probability cities of the configured countries
+   * Each country gets a share of maxCities proportional to its weight, taken from its states with
+   * the most cities first. The major US metros come first when the US is searched.
    */
   getHighProbabilityCities() {
-    const states = State.getStatesOfCountry('US');
+    const countries = geography.resolveCountries(this.countries);
+    const totalWeight = countries.reduce((sum, { weight }) => sum + weight, 0);
     const hotCities = [];
-    
+
     // Major metros with high validator probability
     const priorityCities = [
-      { name: 'New York', state: 'NY' },
-      { name: 'Los Angeles', state: 'CA' },
-      { name: 'Chicago', state: 'IL' },
-      { name: 'Houston', state: 'TX' },
-      { name: 'Phoenix', state: 'AZ' },
-      { name: 'Philadelphia', state: 'PA' },
-      { name: 'San Antonio', state: 'TX' },
-      { name: 'San Diego', state: 'CA' },
-      { name: 'Dallas', state: 'TX' },
-      { name: 'San Jose', state: 'CA' }
+      { name: 'New York', state: 'New York' },
+      { name: 'Los Angeles', state: 'California' },
+      { name: 'Chicago', state: 'Illinois' },
+      { name: 'Houston', state: 'Texas' },
+      { name: 'Phoenix', state: 'Arizona' },
+      { name: 'Philadelphia', state: 'Pennsylvania' },
+      { name: 'San Antonio', state: 'Texas' },
+      { name: 'San Diego', state: 'California' },
+      { name: 'Dallas', state: 'Texas' },
+      { name: 'San Jose', state: 'California' }
     ];
 
-    // Add all cities from top 10 most populous states
-    const topStates = ['CA', 'TX', 'FL', 'NY', 'PA', 'IL', 'OH', 'GA', 'NC', 'MI'];
-    
-    for (const stateCode of topStates) {
-      const state = states.find(s => s.isoCode === stateCode);
-      if (state) {
-        const cities = City.getCitiesOfState('US', stateCode);
-        hotCities.push(...cities.map(city => ({
-          name: city.name,
-          state: state.name,
-          location: `${city.name}, ${state.name}`
-        })));
-      }
+    for (const { country, weight } of countries) {
+      const share = Math.ceil(this.maxCities * weight / totalWeight);
+      hotCities.push(...geography.getCities(country.isoCode, share).map(city => ({
+        name: city.name,
+        state: city.state,
+        country: city.countryCode,
+        location: city.location
+      })));
     }
 
     // Add priority cities with higher weight
-    priorityCities.forEach(city => {
-      const state = states.find(s => s.isoCode === city.state);
-      if (state) {
-        hotCities.unshift({
-          name: city.name,
-          state: state.name,
-          location: `${city.name}, ${state.name}`,
-          priority: true
-        });
-      }
-    });
+    if (countries.some(({ country }) => country.isoCode === 'US')) {
+      hotCities.unshift(...priorityCities.map(city => ({
+        ...city,
+        country: 'US',
+        location: geography.formatLocation(city.name, city.state, 'United States'),
+        priority: true
+      })));
+    }
 
     return hotCities;
   }
@@ -87,6 +93,7 @@ class FIDPredictor {
           query: `${placeType} in ${city.location}`,
           placeType,
           location: city.location,
+          country: city.country,
           priority: city.priority || false,
           hash: this.hashQuery(`${placeType} in ${city.location}`)
         });
@@ -0,0 +1,62 @@
+import geography from '#modules/geography/index.js';
+import FIDPredictor from './index.js';
+
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn()
+}));
+jest.mock('#modules/geography/index.js', () => ({
+  resolveCountries: jest.fn(),
+  getCities: jest.fn(),
+  formatLocation: jest.fn((...parts) => parts.join(', '))
+}));
+
+// Cities of a country, named <code>-<index>
+const cities = (code, count) => Array.from({ length: count }, (_, index) => ({
+  name: `${code}-${index}`,
+  state: 'State',
+  countryCode: code,
+  location: `${code}-${index}, State`
+}));
+
+describe('modules/fid-predictor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    geography.getCities.mockImplementation((code, limit) => cities(code, limit));
+  });
+
+  test('should share the cities out between the countries by weight', () => {
+    geography.resolveCountries.mockReturnValue([
+      { country: { isoCode: 'JP' }, weight: 3 },
+      { country: { isoCode: 'BR' }, weight: 1 }
+    ]);
+
+    const predictor = new FIDPredictor({ countries: { JP: 3, BR: 1 }, maxCities: 8 });
+
+    expect(geography.resolveCountries).toHaveBeenCalledWith({ JP: 3, BR: 1 });
+    expect(geography.getCities).toHaveBeenCalledWith('JP', 6);
+    expect(geography.getCities).toHaveBeenCalledWith('BR', 2);
+    expect(predictor.getStats()).toEqual({
+      totalCombinations: 8 * predictor.placeTypes.length,
+      placeTypes: predictor.placeTypes.length,
+      cities: 8,
+      priorityCities: 0
+    });
+    expect(predictor.getCombinationsForLocation('BR-1, State')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ query: 'cafe in BR-1, State', placeType: 'cafe', country: 'BR', priority: false })
+    ]));
+  });
+
+  test('should put the major US metros first when the US is searched', () => {
+    geography.resolveCountries.mockReturnValue([{ country: { isoCode: 'US' }, weight: 1 }]);
+
+    const predictor = new FIDPredictor({ countries: { US: 1 }, maxCities: 5 });
+    const [first] = predictor.getTopCombinations(1);
+
+    expect(predictor.getStats().priorityCities).toBe(10);
+    expect(first).toEqual(expect.objectContaining({
+      location: 'New York, New York, United States',
+      country: 'US',
+      priority: true
+    }));
+  });
+});
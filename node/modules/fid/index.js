@@ -0,0 +1,208 @@
+/**
+ * Google Maps place identifiers
+ * A FID (feature ID) is two 64-bit hex numbers, 0x<feature>:0x<cid>. Its second half is the hex form
+ * of the place's CID (customer ID), the decimal number of maps.google.com/?cid=… URLs.
+ * Review URLs carry the FID too, sometimes with a 0x0 first half, so places are compared by CID.
+ */
+
+const FID_PATTERN = /^0x([\da-f]{1,16}):0x([\da-f]{1,16})$/i;
+const URL_FID_PATTERN = /0x[\da-f]{1,16}:0x[\da-f]{1,16}(?![\da-f])/i;
+const URL_CID_PATTERN = /[?&](?:cid|ludocid)=(\d{1,20})(?:&|#|$)/;
+const URL_PLACE_ID_PATTERN = /[?&](?:query_place_id|place_id)=([\w-]+)/;
+const PLACE_ID_PATTERN = /^(?:place_id:)?([\w-]{16,})$/;
+const MAX_CID = (1n << 64n) - 1n;
+
+/**
+ * Check the syntax of a FID
+ * @example
+ * isValid('0x89c259af336b3341:0xe6f4aa2b4ecbb1e6') // true
+ * isValid('ChIJ...')                              // false
+ *
+ * @param {any} fid - The FID
+ * @returns {boolean} - Whether the FID is well-formed
+ */
+const isValid = (fid) => typeof fid === 'string' && FID_PATTERN.test(fid);
+
+/**
+ * Split a FID into its feature and CID halves
+ * @param {string} fid - The FID
+ * @returns {{fid: string, feature: string, cidHex: string, cid: string}|undefined} - The lowercased FID,
+ *   both halves in hex and the decimal CID, undefined if the FID is malformed
+ */
+const parse = (fid) => {
+  const match = typeof fid === 'string' ? FID_PATTERN.exec(fid) : undefined;
+  if (!match) {
+    return;
+  }
+
+  const [, feature, cidHex] = match;
+  return {
+    fid: fid.toLowerCase(),
+    feature: `0x${feature.toLowerCase()}`,
+    cidHex: `0x${cidHex.toLowerCase()}`,
+    cid: BigInt(`0x${cidHex}`).toString()
+  };
+};
+
+/**
+ * Convert a FID to its decimal CID
+ * @example
+ * toCid('0x89c259af336b3341:0xe6f4aa2b4ecbb1e6') // '16642113626023113190'
+ *
+ * @param {string} fid - The FID
+ * @returns {string|undefined} - The decimal CID, undefined if the FID is malformed
+ */
+const toCid = (fid) => parse(fid)?.cid;
+
+/**
+ * Convert a decimal CID to hex
+ * @example
+ * cidToHex('16642113626023113190') // '0xe6f4aa2b4ecbb1e6'
+ *
+ * @param {string|number|bigint} cid - The decimal CID
+ * @returns {string|undefined} - The hex CID, undefined if it is not a 64-bit unsigned integer
+ */
+const cidToHex = (cid) => {
+  if (!/^\d{1,20}$/.test(String(cid))) {
+    return;
+  }
+
+  const value = BigInt(cid);
+  return value <= MAX_CID ? `0x${value.toString(16)}` : undefined;
+};
+
+/**
+ * Convert a hex CID to decimal
+ * @example
+ * hexToCid('0xe6f4aa2b4ecbb1e6') // '16642113626023113190'
+ *
+ * @param {string} hex - The hex CID, with or without 0x
+ * @returns {string|undefined} - The decimal CID, undefined if it is not a 64-bit hex number
+ */
+const hexToCid = (hex) => {
+  const match = /^(?:0x)?([\da-f]{1,16})$/i.exec(String(hex));
+  return match ? BigInt(`0x${match[1]}`).toString() : undefined;
+};
+
+/**
+ * Check that a CID belongs to a FID
+ * @param {string} fid - The FID
+ * @param {string|number} cid - The decimal CID
+ * @returns {boolean} - Whether the CID is the second half of the FID
+ */
+const matchesCid = (fid, cid) => {
+  const expected = toCid(fid);
+  return expected !== undefined && String(cid) === expected;
+};
+
+/**
+ * Check that two FIDs point to the same place, by CID
+ * @param {string} first - The first FID
+ * @param {string} second - The second FID
+ * @returns {boolean} - Whether both FIDs are valid and share their CID
+ */
+const samePlace = (first, second) => {
+  const cid = toCid(first);
+  return cid !== undefined && cid === toCid(second);
+};
+
+/**
+ * Extract the FID of a Google Maps URL
+ * Finds the FID of place, review and search URLs (…!1s0x…:0x…, ftid=0x…:0x…), encoded or not.
+ * @example
+ * fromUrl('https://www.google.com/maps/place/Joe/@40.7,-73.9,17z/data=!4m6!3m5!1s0x89c259af336b3341:0xe6f4aa2b4ecbb1e6') // '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6'
+ *
+ * @param {string} url - The URL
+ * @returns {string|undefined} - The lowercased FID, undefined if the URL has none
+ */
+const fromUrl = (url) => {
+  if (typeof url !== 'string') {
+    return;
+  }
+
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch {
+    // Keep the URL as is when it is not valid percent-encoding
+  }
+
+  return URL_FID_PATTERN.exec(decoded)?.[0].toLowerCase();
+};
+
+/**
+ * Extract the decimal CID of a Google Maps URL
+ * Reads ?cid= and ?ludocid= URLs, else the CID half of the FID in the URL.
+ * @example
+ * cidFromUrl('https://maps.google.com/?cid=16642113626023113190') // '16642113626023113190'
+ *
+ * @param {string} url - The URL
+ * @returns {string|undefined} - The decimal CID, undefined if the URL has none
+ */
+const cidFromUrl = (url) => {
+  if (typeof url !== 'string') {
+    return;
+  }
+
+  const cid = URL_CID_PATTERN.exec(url)?.[1];
+  return cid && cidToHex(cid) ? cid : toCid(fromUrl(url));
+};
+
+/**
+ * Identify what a place identifier is
+ * Accepts a FID, a decimal CID, a Google Maps URL carrying any of them or a placeId (ChIJ…),
+ * the forms callers have at hand before the FID is known.
+ * @example
+ * parseIdentifier('0x89c259af336b3341:0xE6F4AA2B4ECBB1E6')             // { fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6' }
+ * parseIdentifier('16642113626023113190')                             // { cid: '16642113626023113190' }
+ * parseIdentifier('https://maps.google.com/?cid=16642113626023113190') // { cid: '16642113626023113190' }
+ * parseIdentifier('ChIJN1t_tDeuEmsRUsoyG83frY4')                      // { placeId: 'ChIJN1t_tDeuEmsRUsoyG83frY4' }
+ *
+ * @param {string} identifier - The identifier
+ * @returns {{fid: string}|{cid: string}|{placeId: string}|undefined} - The FID, CID or placeId, undefined if the identifier is none of them
+ */
+const parseIdentifier = (identifier) => {
+  if (typeof identifier !== 'string') {
+    return;
+  }
+
+  const value = identifier.trim();
+  if (isValid(value)) {
+    return { fid: value.toLowerCase() };
+  }
+
+  if (/^\d{1,20}$/.test(value)) {
+    return cidToHex(value) ? { cid: value } : undefined;
+  }
+
+  if (/^https?:\/\//i.test(value)) {
+    const fid = fromUrl(value);
+    if (fid) {
+      return { fid };
+    }
+
+    const cid = cidFromUrl(value);
+    if (cid) {
+      return { cid };
+    }
+
+    const placeId = URL_PLACE_ID_PATTERN.exec(value)?.[1];
+    return placeId ? { placeId } : undefined;
+  }
+
+  const placeId = PLACE_ID_PATTERN.exec(value)?.[1];
+  return placeId ? { placeId } : undefined;
+};
+
+export default {
+  isValid,
+  parse,
+  toCid,
+  cidToHex,
+  hexToCid,
+  matchesCid,
+  samePlace,
+  fromUrl,
+  cidFromUrl,
+  parseIdentifier
+};
@@ -0,0 +1,125 @@
+import fidUtils from '#modules/fid/index.js';
+
+describe('modules/fid', () => {
+  const fid = '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6';
+  const cid = '16642113626023113190';
+
+  describe('.isValid()', () => {
+    test('should accept two hex numbers', () => {
+      expect(fidUtils.isValid(fid)).toBe(true);
+      expect(fidUtils.isValid('0x0:0x1')).toBe(true);
+      expect(fidUtils.isValid(fid.toUpperCase().replaceAll('0X', '0x'))).toBe(true);
+    });
+
+    test('should reject anything else', () => {
+      expect(fidUtils.isValid('1234567890')).toBe(false);
+      expect(fidUtils.isValid('ChIJN1t_tDeuEmsRUsoyG83frY4')).toBe(false);
+      expect(fidUtils.isValid(`${fid}0`)).toBe(false);
+      expect(fidUtils.isValid(` ${fid}`)).toBe(false);
+      expect(fidUtils.isValid()).toBe(false);
+    });
+  });
+
+  describe('.parse()', () => {
+    test('should split the FID into its halves', () => {
+      expect(fidUtils.parse(fid.replace('e6f4', 'E6F4'))).toEqual({
+        fid,
+        feature: '0x89c259af336b3341',
+        cidHex: '0xe6f4aa2b4ecbb1e6',
+        cid
+      });
+    });
+
+    test('should return undefined for malformed FIDs', () => {
+      expect(fidUtils.parse('not-a-fid')).toBeUndefined();
+    });
+  });
+
+  describe('.toCid()', () => {
+    test('should convert the second half of the FID to a decimal CID', () => {
+      expect(fidUtils.toCid(fid)).toBe(cid);
+    });
+
+    test('should return undefined for malformed FIDs', () => {
+      expect(fidUtils.toCid('not-a-fid')).toBeUndefined();
+      expect(fidUtils.toCid()).toBeUndefined();
+    });
+  });
+
+  describe('.cidToHex() and .hexToCid()', () => {
+    test('should convert between decimal and hex CIDs', () => {
+      expect(fidUtils.cidToHex(cid)).toBe('0xe6f4aa2b4ecbb1e6');
+      expect(fidUtils.hexToCid('0xe6f4aa2b4ecbb1e6')).toBe(cid);
+      expect(fidUtils.hexToCid('e6f4aa2b4ecbb1e6')).toBe(cid);
+    });
+
+    test('should reject values that are not 64-bit unsigned integers', () => {
+      expect(fidUtils.cidToHex('18446744073709551616')).toBeUndefined();
+      expect(fidUtils.cidToHex('-1')).toBeUndefined();
+      expect(fidUtils.hexToCid('0x10000000000000000')).toBeUndefined();
+      expect(fidUtils.hexToCid('xyz')).toBeUndefined();
+    });
+  });
+
+  describe('.matchesCid() and .samePlace()', () => {
+    test('should compare places by CID', () => {
+      expect(fidUtils.matchesCid(fid, cid)).toBe(true);
+      expect(fidUtils.matchesCid(fid, '123')).toBe(false);
+      expect(fidUtils.matchesCid('not-a-fid', cid)).toBe(false);
+      expect(fidUtils.samePlace(fid, '0x0:0xe6f4aa2b4ecbb1e6')).toBe(true);
+      expect(fidUtils.samePlace(fid, '0x89c259af336b3341:0x1')).toBe(false);
+    });
+  });
+
+  describe('.fromUrl()', () => {
+    test('should extract the FID of place and review URLs', () => {
+      expect(fidUtils.fromUrl(`https://www.google.com/maps/place/Joe/@40.7,-73.9,17z/data=!4m6!3m5!1s${fid}!8m2`)).toBe(fid);
+      expect(fidUtils.fromUrl(`https://www.google.com/maps?ftid=${encodeURIComponent(fid)}`)).toBe(fid);
+    });
+
+    test('should return undefined when the URL has no FID', () => {
+      expect(fidUtils.fromUrl('https://www.google.com/maps/reviews/review1')).toBeUndefined();
+      expect(fidUtils.fromUrl('%E0%A4%A')).toBeUndefined();
+      expect(fidUtils.fromUrl()).toBeUndefined();
+    });
+  });
+
+  describe('.cidFromUrl()', () => {
+    test('should read cid and ludocid URLs', () => {
+      expect(fidUtils.cidFromUrl(`https://maps.google.com/?cid=${cid}`)).toBe(cid);
+      expect(fidUtils.cidFromUrl(`https://www.google.com/search?q=joe&ludocid=${cid}#lrd`)).toBe(cid);
+    });
+
+    test('should fall back to the FID of the URL', () => {
+      expect(fidUtils.cidFromUrl(`https://www.google.com/maps/place/data=!1s${fid}`)).toBe(cid);
+      expect(fidUtils.cidFromUrl('https://www.google.com/maps/reviews/review1')).toBeUndefined();
+    });
+  });
+
+  describe('.parseIdentifier()', () => {
+    test('should identify FIDs and CIDs', () => {
+      expect(fidUtils.parseIdentifier(` ${fid.toUpperCase().replaceAll('0X', '0x')} `)).toEqual({ fid });
+      expect(fidUtils.parseIdentifier(cid)).toEqual({ cid });
+      expect(fidUtils.parseIdentifier('18446744073709551616')).toBeUndefined();
+    });
+
+    test('should identify the place of Google Maps URLs', () => {
+      expect(fidUtils.parseIdentifier(`https://www.google.com/maps/place/Joe/data=!1s${fid}`)).toEqual({ fid });
+      expect(fidUtils.parseIdentifier(`https://maps.google.com/?cid=${cid}`)).toEqual({ cid });
+      expect(fidUtils.parseIdentifier('https://www.google.com/maps/search/?api=1&query=Joe&query_place_id=ChIJN1t_tDeuEmsRUsoyG83frY4'))
+        .toEqual({ placeId: 'ChIJN1t_tDeuEmsRUsoyG83frY4' });
+      expect(fidUtils.parseIdentifier('https://www.google.com/maps/search/joe')).toBeUndefined();
+    });
+
+    test('should identify placeIds', () => {
+      expect(fidUtils.parseIdentifier('ChIJN1t_tDeuEmsRUsoyG83frY4')).toEqual({ placeId: 'ChIJN1t_tDeuEmsRUsoyG83frY4' });
+      expect(fidUtils.parseIdentifier('place_id:ChIJN1t_tDeuEmsRUsoyG83frY4')).toEqual({ placeId: 'ChIJN1t_tDeuEmsRUsoyG83frY4' });
+    });
+
+    test('should reject anything else', () => {
+      expect(fidUtils.parseIdentifier('not a place')).toBeUndefined();
+      expect(fidUtils.parseIdentifier('short')).toBeUndefined();
+      expect(fidUtils.parseIdentifier()).toBeUndefined();
+    });
+  });
+});
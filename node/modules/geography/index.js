@@ -0,0 +1,145 @@
+import { City, Country, State } from 'country-state-city';
+import random from '#modules/random/index.js';
+
+/**
+ * Sampling strategies of pickLocation()
+ * country-state-city has no population figures, so the number of cities it lists for an area stands in
+ * for its population: 'population' draws a city uniformly among the cities of the country, so states
+ * with more cities come up more often, 'uniform' draws a state first and then one of its cities.
+ */
+const STRATEGIES = ['population', 'uniform'];
+
+/**
+ * Format a location for a search query, leaving out the parts that are missing
+ * @example
+ * formatLocation('Lyon', 'Auvergne-Rhône-Alpes', 'France') // 'Lyon, Auvergne-Rhône-Alpes, France'
+ *
+ * @param {...string} parts - The city, state and country names
+ * @returns {string} - The location
+ */
+const formatLocation = (...parts) => parts.filter(Boolean).join(', ');
+
+/**
+ * Resolve country weights to the countries of country-state-city
+ * @example
+ * resolveCountries({ US: 3, FR: 1 })    // [{ country: { isoCode: 'US', ... }, weight: 3 }, { country: { isoCode: 'FR', ... }, weight: 1 }]
+ * resolveCountries({ US: 3, '*': 0.1 }) // the US, and every other country with a weight of 0.1
+ *
+ * @param {Object<string, number>} weights - The relative weight of each ISO 3166-1 alpha-2 country code,
+ *   '*' for every country not listed
+ * @returns {Array<{country: Object, weight: number}>} - The countries with a positive weight
+ * @throws {Error} - If a country code is unknown
+ */
+const resolveCountries = (weights) => {
+  const countries = Object.entries(weights)
+    .filter(([code]) => code !== '*')
+    .map(([code, weight]) => {
+      const country = Country.getCountryByCode(code.toUpperCase());
+      if (!country) {
+        throw new Error(`Unknown country code: ${code}`);
+      }
+
+      return { country, weight };
+    });
+
+  if (weights['*'] > 0) {
+    const listed = new Set(countries.map(({ country }) => country.isoCode));
+    for (const country of Country.getAllCountries()) {
+      if (!listed.has(country.isoCode)) {
+        countries.push({ country, weight: weights['*'] });
+      }
+    }
+  }
+
+  return countries.filter(({ weight }) => weight > 0);
+};
+
+/**
+ * Pick a random location
+ * The country is drawn by weight, then the city by strategy. A state without cities is searched by
+ * its own name, and a country without states by its name.
+ * @example
+ * pickLocation(rng, { countries: { US: 3, FR: 1 }, strategy: 'population' })
+ * // { location: 'Lyon, Auvergne-Rhône-Alpes, France', city: 'Lyon', state: 'Auvergne-Rhône-Alpes', country: 'France', countryCode: 'FR' }
+ *
+ * @param {import('#modules/random/index.js').Random} [rng] - The random generator, seeded for a reproducible pick
+ * @param {Object} options - The options
+ * @param {Object<string, number>} options.countries - The country weights, see resolveCountries()
+ * @param {string} [options.strategy] - 'population' or 'uniform', see STRATEGIES
+ * @returns {{location: string, city: string|undefined, state: string|undefined, country: string, countryCode: string}} - The location
+ * @throws {Error} - If no country has a positive weight or the strategy is unknown
+ */
+const pickLocation = (rng = random, { countries, strategy = 'population' }) => {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown location strategy: ${strategy}`);
+  }
+
+  const candidates = resolveCountries(countries);
+  if (candidates.length === 0) {
+    throw new Error('No country to pick a location in');
+  }
+
+  // A single country takes no draw, so its seeds do not depend on the weights
+  const { country } = candidates.length === 1 ? candidates[0] : rng.weighted(candidates, candidate => candidate.weight);
+  const states = State.getStatesOfCountry(country.isoCode);
+
+  let state;
+  let city;
+  if (strategy === 'uniform') {
+    state = states.length > 0 ? rng.fromArray(states) : undefined;
+    const cities = state ? City.getCitiesOfState(country.isoCode, state.isoCode) : [];
+    city = cities.length > 0 ? rng.fromArray(cities) : undefined;
+  } else {
+    const cities = City.getCitiesOfCountry(country.isoCode) || [];
+    city = cities.length > 0 ? rng.fromArray(cities) : undefined;
+    state = city ? states.find(candidate => candidate.isoCode === city.stateCode) : rng.fromArray(states);
+  }
+
+  return {
+    location: formatLocation(city?.name, state?.name, country.name),
+    city: city?.name,
+    state: state?.name,
+    country: country.name,
+    countryCode: country.isoCode
+  };
+};
+
+/**
+ * Get the cities of a country, those of the states with the most cities first
+ * @param {string} countryCode - The ISO 3166-1 alpha-2 country code
+ * @param {number} [limit] - The maximum number of cities
+ * @returns {Array<{name: string, state: string|undefined, country: string, countryCode: string, location: string}>} - The cities
+ */
+const getCities = (countryCode, limit = Infinity) => {
+  const country = Country.getCountryByCode(countryCode);
+  if (!country) {
+    return [];
+  }
+
+  const states = new Map(State.getStatesOfCountry(countryCode).map(state => [state.isoCode, state]));
+  const byState = new Map();
+  for (const city of City.getCitiesOfCountry(countryCode) || []) {
+    const stateCities = byState.get(city.stateCode) || [];
+    stateCities.push(city);
+    byState.set(city.stateCode, stateCities);
+  }
+
+  return [...byState.entries()]
+    .sort(([, first], [, second]) => second.length - first.length)
+    .flatMap(([stateCode, cities]) => cities.map(city => ({
+      name: city.name,
+      state: states.get(stateCode)?.name,
+      country: country.name,
+      countryCode,
+      location: formatLocation(city.name, states.get(stateCode)?.name, country.name)
+    })))
+    .slice(0, limit);
+};
+
+export default {
+  STRATEGIES,
+  formatLocation,
+  resolveCountries,
+  pickLocation,
+  getCities
+};
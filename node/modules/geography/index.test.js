@@ -0,0 +1,128 @@
+import { Random } from '#modules/random/index.js';
+import geography from './index.js';
+
+jest.mock('country-state-city', () => {
+  const countries = [
+    { name: 'United States', isoCode: 'US' },
+    { name: 'France', isoCode: 'FR' },
+    { name: 'Monaco', isoCode: 'MC' }
+  ];
+  const states = [
+    { name: 'Texas', isoCode: 'TX', countryCode: 'US' },
+    { name: 'Vermont', isoCode: 'VT', countryCode: 'US' },
+    { name: 'Guam', isoCode: 'GU', countryCode: 'US' },
+    { name: 'Île-de-France', isoCode: 'IDF', countryCode: 'FR' }
+  ];
+  const cities = [
+    { name: 'Austin', stateCode: 'TX', countryCode: 'US' },
+    { name: 'Dallas', stateCode: 'TX', countryCode: 'US' },
+    { name: 'Houston', stateCode: 'TX', countryCode: 'US' },
+    { name: 'Burlington', stateCode: 'VT', countryCode: 'US' },
+    { name: 'Paris', stateCode: 'IDF', countryCode: 'FR' }
+  ];
+
+  return {
+    Country: {
+      getAllCountries: () => countries,
+      getCountryByCode: code => countries.find(country => country.isoCode === code)
+    },
+    State: {
+      getStatesOfCountry: code => states.filter(state => state.countryCode === code)
+    },
+    City: {
+      getCitiesOfCountry: code => cities.filter(city => city.countryCode === code),
+      getCitiesOfState: (code, stateCode) => cities.filter(city => city.countryCode === code && city.stateCode === stateCode)
+    }
+  };
+});
+
+// A generator returning the given values in turn
+const sequence = (...values) => new Random(() => values.shift() ?? 0);
+
+describe('modules/geography', () => {
+  describe('.formatLocation()', () => {
+    test('should join the parts given', () => {
+      expect(geography.formatLocation('Austin', 'Texas', 'United States')).toBe('Austin, Texas, United States');
+      expect(geography.formatLocation(undefined, 'Guam', 'United States')).toBe('Guam, United States');
+    });
+  });
+
+  describe('.resolveCountries()', () => {
+    test('should resolve the weighted country codes', () => {
+      expect(geography.resolveCountries({ us: 3, FR: 1, MC: 0 })).toEqual([
+        { country: { name: 'United States', isoCode: 'US' }, weight: 3 },
+        { country: { name: 'France', isoCode: 'FR' }, weight: 1 }
+      ]);
+    });
+
+    test('should weigh every other country with the wildcard', () => {
+      const countries = geography.resolveCountries({ US: 3, '*': 0.5 });
+
+      expect(countries.map(({ country, weight }) => [country.isoCode, weight])).toEqual([['US', 3], ['FR', 0.5], ['MC', 0.5]]);
+    });
+
+    test('should throw on an unknown country code', () => {
+      expect(() => geography.resolveCountries({ XX: 1 })).toThrow('Unknown country code: XX');
+    });
+  });
+
+  describe('.pickLocation()', () => {
+    test('should pick a city of the country in population mode', () => {
+      expect(geography.pickLocation(sequence(0.5), { countries: { US: 1 } })).toEqual({
+        location: 'Houston, Texas, United States',
+        city: 'Houston',
+        state: 'Texas',
+        country: 'United States',
+        countryCode: 'US'
+      });
+    });
+
+    test('should pick a state and then a city in uniform mode', () => {
+      const location = geography.pickLocation(sequence(0.5, 0), { countries: { US: 1 }, strategy: 'uniform' });
+
+      expect(location.location).toBe('Burlington, Vermont, United States');
+    });
+
+    test('should pick the country by weight', () => {
+      const countries = { US: 3, FR: 1 };
+
+      expect(geography.pickLocation(sequence(0.7), { countries }).countryCode).toBe('US');
+      expect(geography.pickLocation(sequence(0.8), { countries }).location).toBe('Paris, Île-de-France, France');
+    });
+
+    test('should search a state without cities or a country without states by name', () => {
+      expect(geography.pickLocation(sequence(0.9), { countries: { US: 1 }, strategy: 'uniform' }).location).toBe('Guam, United States');
+      expect(geography.pickLocation(sequence(0), { countries: { MC: 1 } })).toEqual({
+        location: 'Monaco',
+        city: undefined,
+        state: undefined,
+        country: 'Monaco',
+        countryCode: 'MC'
+      });
+    });
+
+    test('should throw without countries or with an unknown strategy', () => {
+      expect(() => geography.pickLocation(sequence(0), { countries: { US: 0 } })).toThrow('No country to pick a location in');
+      expect(() => geography.pickLocation(sequence(0), { countries: { US: 1 }, strategy: 'random' })).toThrow('Unknown location strategy: random');
+    });
+  });
+
+  describe('.getCities()', () => {
+    test('should list the cities of the states with the most cities first', () => {
+      const cities = geography.getCities('US', 4);
+
+      expect(cities.map(city => city.location)).toEqual([
+        'Austin, Texas, United States',
+        'Dallas, Texas, United States',
+        'Houston, Texas, United States',
+        'Burlington, Vermont, United States'
+      ]);
+      expect(cities[0]).toEqual({ name: 'Austin', state: 'Texas', country: 'United States', countryCode: 'US', location: 'Austin, Texas, United States' });
+      expect(geography.getCities('US', 1)).toHaveLength(1);
+    });
+
+    test('should return no cities for an unknown country', () => {
+      expect(geography.getCities('XX')).toEqual([]);
+    });
+  });
+});
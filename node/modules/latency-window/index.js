@@ -0,0 +1,56 @@
+/**
+ * Rolling window of recent latencies
+ * Keeps the last `size` samples in a ring buffer and reports percentiles over them.
+ */
+class LatencyWindow {
+  constructor(size = 500) {
+    this.size = size;
+    this.samples = [];
+    this.next = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Record a latency
+   * @param {number} latency - The latency in milliseconds
+   */
+  record(latency) {
+    this.samples[this.next] = latency;
+    this.next = (this.next + 1) % this.size;
+    this.count++;
+  }
+
+  /**
+   * Get a percentile of the recent latencies (nearest rank)
+   * @param {number} percentile - The percentile, between 0 and 100
+   * @param {Array<number>} [sorted] - The samples sorted ascending, computed if omitted
+   * @returns {number|undefined} - The latency in milliseconds, or undefined without samples
+   */
+  percentile(percentile, sorted = this.samples.toSorted((a, b) => a - b)) {
+    if (sorted.length === 0) {
+      return;
+    }
+
+    const rank = Math.max(1, Math.ceil((percentile / 100) * sorted.length));
+    return sorted[rank - 1];
+  }
+
+  /**
+   * Get latency statistics
+   */
+  getStats() {
+    const sorted = this.samples.toSorted((a, b) => a - b);
+
+    return {
+      count: this.count,
+      window: sorted.length,
+      p50: this.percentile(50, sorted),
+      p90: this.percentile(90, sorted),
+      p95: this.percentile(95, sorted),
+      p99: this.percentile(99, sorted),
+      max: sorted.at(-1)
+    };
+  }
+}
+
+export default LatencyWindow;
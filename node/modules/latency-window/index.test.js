@@ -0,0 +1,34 @@
+import LatencyWindow from './index.js';
+
+describe('modules/latency-window', () => {
+  test('should report no percentiles without samples', () => {
+    expect(new LatencyWindow().getStats()).toEqual({
+      count: 0,
+      window: 0,
+      p50: undefined,
+      p90: undefined,
+      p95: undefined,
+      p99: undefined,
+      max: undefined
+    });
+  });
+
+  test('should report percentiles of the recorded latencies', () => {
+    const latencies = new LatencyWindow();
+    for (let latency = 100; latency >= 1; latency--) {
+      latencies.record(latency);
+    }
+
+    expect(latencies.getStats()).toEqual({ count: 100, window: 100, p50: 50, p90: 90, p95: 95, p99: 99, max: 100 });
+    expect(latencies.percentile(0)).toBe(1);
+  });
+
+  test('should only keep the most recent latencies', () => {
+    const latencies = new LatencyWindow(3);
+    for (const latency of [1000, 1, 2, 3]) {
+      latencies.record(latency);
+    }
+
+    expect(latencies.getStats()).toEqual(expect.objectContaining({ count: 4, window: 3, max: 3 }));
+  });
+});
@@ -1,15 +1,145 @@
 /* eslint-disable no-console */
+import { AsyncLocalStorage } from 'node:async_hooks';
 import chalk from 'chalk';
+import config from '#config';
 import time from '#modules/time/index.js';
 
+// Messages below the configured level are dropped, 'silent' drops everything
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warning: 30,
+  error: 40,
+  silent: 50
+};
+
+// Fields attached to every line logged while a request is handled, see runWithContext()
+const context = new AsyncLocalStorage();
+
+/**
+ * Get the configured log level
+ * Read on every call so LOG_LEVEL applies even when set after the modules are loaded (dotenv).
+ * @returns {string} - The log level
+ */
+function getLevel() {
+  const level = (process.env.LOG_LEVEL || config.LOGGER.LEVEL).toLowerCase();
+  if (level === 'warn') {
+    return 'warning';
+  }
+
+  return LEVELS[level] ? level : 'info';
+}
+
+/**
+ * Check if a level is logged
+ * @param {string} level - The level of the message
+ * @returns {boolean} - True if the level is at or above the configured level
+ */
+function isEnabled(level) {
+  return LEVELS[level] >= LEVELS[getLevel()];
+}
+
+/**
+ * Check if lines are written as JSON
+ * @returns {boolean} - True with LOG_FORMAT=json
+ */
+function isJson() {
+  return (process.env.LOG_FORMAT || config.LOGGER.FORMAT) === 'json';
+}
+
+/**
+ * Run a function with context fields attached to every line it logs, including from async continuations
+ * @example
+ * logger.runWithContext({ requestId: 'abc' }, next);
+ *
+ * @param {Object} fields - The context fields, merged over the current ones
+ * @param {Function} function_ - The function to run
+ * @returns {any} - The result of the function
+ */
+function runWithContext(fields, function_) {
+  return context.run({ ...getContext(), ...fields }, function_);
+}
+
+/**
+ * Get the context fields of the current execution
+ * @returns {Object} - The context fields, empty outside runWithContext()
+ */
+function getContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Convert an additional argument to something JSON can represent
+ * @param {any} argument - The argument
+ * @returns {any} - The argument, with errors expanded to their name, message and stack
+ */
+function serialize(argument) {
+  if (argument instanceof Error) {
+    return { name: argument.name, message: argument.message, stack: argument.stack };
+  }
+
+  return argument;
+}
+
+/**
+ * Build a JSON log line
+ * A leading [Component] tag of the message, as in "[SmartCache] Cache HIT", becomes the component field.
+ * @param {string} level - The level of the message
+ * @param {string} message - The message
+ * @param {Array} arguments_ - The additional arguments
+ * @returns {string} - One JSON object
+ */
+function toJson(level, message, arguments_) {
+  const text = String(message);
+  const tag = /^\[([^\]]+)\]\s*/.exec(text);
+  const entry = {
+    level,
+    timestamp: new Date().toISOString(),
+    ...(tag && { component: tag[1] }),
+    ...getContext(),
+    message: tag ? text.slice(tag[0].length) : text,
+    ...(arguments_.length > 0 && { details: arguments_.map(argument => serialize(argument)) })
+  };
+
+  try {
+    return JSON.stringify(entry);
+  } catch {
+    // Circular or otherwise unserializable details
+    return JSON.stringify({ ...entry, details: arguments_.map(String) });
+  }
+}
+
+/**
+ * Write a log line if its level is enabled
+ * @param {string} level - The level of the message
+ * @param {Function} colour - Colours the text line
+ * @param {Function} write - console.log or console.error
+ * @param {string} message - The message to log
+ * @param {Array} arguments_ - Additional arguments to log
+ */
+function log(level, colour, write, message, arguments_) {
+  if (!isEnabled(level)) {
+    return;
+  }
+
+  if (isJson()) {
+    write(toJson(level, message, arguments_));
+    return;
+  }
+
+  const timestamp = time.getCurrentTimestamp();
+  const { requestId } = getContext();
+  const prefix = `${timestamp} [${level.toUpperCase()}]${requestId ? ` [${requestId}]` : ''}`;
+  write(colour(`${prefix} ${message}`), ...arguments_);
+}
+
 /**
  * Log a message with a timestamp and green color
  * @param {string} message - The message to log
  * @param {...any} args - Additional arguments to log
  */
 function info(message, ...arguments_) {
-  const timestamp = time.getCurrentTimestamp();
-  console.log(chalk.green(`${timestamp} [INFO] ${message}`), ...arguments_);
+  log('info', chalk.green, console.log, message, arguments_);
 }
 
 /**
@@ -18,8 +148,7 @@ function info(message, ...arguments_) {
  * @param {...any} args - Additional arguments to log
  */
 function warning(message, ...arguments_) {
-  const timestamp = time.getCurrentTimestamp();
-  console.log(chalk.yellow(`${timestamp} [WARNING] ${message}`), ...arguments_);
+  log('warning', chalk.yellow, console.log, message, arguments_);
 }
 
 /**
@@ -37,8 +166,7 @@ function warn(message, ...arguments_) {
  * @param {...any} args - Additional arguments to log
  */
 function debug(message, ...arguments_) {
-  const timestamp = time.getCurrentTimestamp();
-  console.log(chalk.gray(`${timestamp} [DEBUG] ${message}`), ...arguments_);
+  log('debug', chalk.gray, console.log, message, arguments_);
 }
 
 /**
@@ -47,8 +175,7 @@ function debug(message, ...arguments_) {
  * @param {...any} args - Additional arguments to log
  */
 function error(message, ...arguments_) {
-  const timestamp = time.getCurrentTimestamp();
-  console.error(chalk.red(`${timestamp} [ERROR] ${message}`), ...arguments_);
+  log('error', chalk.red, console.error, message, arguments_);
 }
 
 export default {
@@ -56,5 +183,7 @@ export default {
   warning,
   warn,
   debug,
-  error
+  error,
+  runWithContext,
+  getContext
 };
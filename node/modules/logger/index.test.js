@@ -6,7 +6,8 @@ jest.mock('#modules/time/index.js');
 jest.mock('chalk', () => ({
   green: jest.fn((text) => `GREEN:${text}`),
   yellow: jest.fn((text) => `YELLOW:${text}`),
-  red: jest.fn((text) => `RED:${text}`)
+  red: jest.fn((text) => `RED:${text}`),
+  gray: jest.fn((text) => `GRAY:${text}`)
 }));
 
 describe('modules/logger', () => {
@@ -18,6 +19,11 @@ describe('modules/logger', () => {
     jest.spyOn(console, 'log').mockImplementation();
     jest.spyOn(console, 'error').mockImplementation();
   });
+
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_FORMAT;
+  });
   describe('.info()', () => {
     test('should log info message with timestamp and green color', () => {
       const message = 'Test info message';
@@ -116,4 +122,107 @@ describe('modules/logger', () => {
       );
     });
   });
+
+  describe('.debug()', () => {
+    test('should not log debug messages at the default level', () => {
+      logger.debug('Selected review 1 for spot check');
+
+      expect(console.log).not.toHaveBeenCalled();
+    });
+
+    test('should log debug messages with gray color when LOG_LEVEL is debug', () => {
+      process.env.LOG_LEVEL = 'debug';
+
+      logger.debug('Selected review 1 for spot check');
+
+      expect(console.log).toHaveBeenCalledWith(`GRAY:${mockTimestamp} [DEBUG] Selected review 1 for spot check`);
+    });
+  });
+
+  describe('log level', () => {
+    test('should drop messages below the configured level', () => {
+      process.env.LOG_LEVEL = 'warn';
+
+      logger.info('Dropped');
+      logger.warning('Kept');
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(console.log).toHaveBeenCalledWith(`YELLOW:${mockTimestamp} [WARNING] Kept`);
+    });
+
+    test('should drop everything when silent', () => {
+      process.env.LOG_LEVEL = 'silent';
+
+      logger.error('Dropped');
+
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to info for an unknown level', () => {
+      process.env.LOG_LEVEL = 'verbose';
+
+      logger.debug('Dropped');
+      logger.info('Kept');
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('.runWithContext()', () => {
+    test('should add the request ID to text lines', () => {
+      logger.runWithContext({ requestId: 'abc-123' }, () => logger.info('Scoring 3 responses'));
+
+      expect(console.log).toHaveBeenCalledWith(`GREEN:${mockTimestamp} [INFO] [abc-123] Scoring 3 responses`);
+    });
+
+    test('should keep the context across async continuations and merge nested contexts', async () => {
+      await logger.runWithContext({ requestId: 'abc-123' }, async () => {
+        await Promise.resolve();
+        logger.runWithContext({ minerUID: 7 }, () => {
+          expect(logger.getContext()).toEqual({ requestId: 'abc-123', minerUID: 7 });
+        });
+      });
+
+      expect(logger.getContext()).toEqual({});
+    });
+  });
+
+  describe('JSON format', () => {
+    beforeEach(() => {
+      process.env.LOG_FORMAT = 'json';
+    });
+
+    test('should write one JSON object per line with the component and context', () => {
+      logger.runWithContext({ requestId: 'abc-123' }, () => logger.info('[SmartCache] Cache HIT for fid'));
+
+      expect(JSON.parse(console.log.mock.calls[0][0])).toEqual({
+        level: 'info',
+        timestamp: expect.any(String),
+        component: 'SmartCache',
+        requestId: 'abc-123',
+        message: 'Cache HIT for fid'
+      });
+    });
+
+    test('should write errors to stderr with their details', () => {
+      logger.error('Batch spot check failed:', new Error('Apify down'), { fid: 'fid' });
+
+      const entry = JSON.parse(console.error.mock.calls[0][0]);
+      expect(entry).toEqual(expect.objectContaining({ level: 'error', message: 'Batch spot check failed:' }));
+      expect(entry.component).toBeUndefined();
+      expect(entry.details).toEqual([
+        { name: 'Error', message: 'Apify down', stack: expect.any(String) },
+        { fid: 'fid' }
+      ]);
+    });
+
+    test('should stringify details that cannot be serialized', () => {
+      const circular = {};
+      circular.self = circular;
+
+      logger.warning('Odd payload', circular);
+
+      expect(JSON.parse(console.log.mock.calls[0][0]).details).toEqual(['[object Object]']);
+    });
+  });
 });
@@ -0,0 +1,229 @@
+/**
+ * Prometheus metrics
+ * A process-wide registry of counters and histograms, rendered in the Prometheus text exposition format.
+ * Modules declare their metrics at import time, so each node only exposes the metrics of the code it runs.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds, from a cache hit to a full synapse timeout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const registry = new Map();
+
+/**
+ * Escape a label value
+ * @param {string} value - The label value
+ * @returns {string} - The escaped value
+ */
+const escape = (value) => String(value).replaceAll('\\', '\\\\').replaceAll('"', String.raw`\"`).replaceAll('\n', String.raw`\n`);
+
+/**
+ * Format a set of labels
+ * @param {Object} labels - The labels
+ * @returns {string} - The labels between braces, or an empty string without labels
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escape(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Format a sample value
+ * @param {number} value - The value
+ * @returns {string} - The value, with infinities spelled the Prometheus way
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+
+  return String(value);
+};
+
+/**
+ * Base class of the metric types, keeping one series per combination of label values
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Pick the declared labels in order, so the same values always map to the same series
+   * @param {Object} labels - The label values
+   * @returns {Object} - The declared labels
+   */
+  pick(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  /**
+   * Get or create the series of a set of labels
+   * @param {Object} labels - The label values
+   * @param {Function} create - () => Object, the initial state of a new series
+   * @returns {Object} - The series state
+   */
+  get(labels, create) {
+    const picked = this.pick(labels);
+    const key = JSON.stringify(picked);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Render the HELP and TYPE lines followed by the samples
+   * @returns {string} - The metric in the text exposition format
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples()
+    ].join('\n');
+  }
+}
+
+/**
+ * A value that only goes up
+ */
+class Counter extends Metric {
+  type = 'counter';
+
+  /**
+   * Increment the counter
+   * @param {Object} [labels] - The label values
+   * @param {number} [value] - The increment, 1 by default
+   */
+  inc(labels, value = 1) {
+    this.get(labels, () => ({ value: 0 })).value += value;
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+/**
+ * Observations counted into cumulative buckets
+ */
+class Histogram extends Metric {
+  type = 'histogram';
+
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets.toSorted((a, b) => a - b), Infinity];
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} [labels] - The label values
+   * @param {number} value - The observed value
+   */
+  observe(labels, value) {
+    const series = this.get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => {
+      let cumulative = 0;
+      const buckets = this.buckets.map((bound, index) => {
+        cumulative += counts[index];
+        return `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`;
+      });
+
+      return [
+        ...buckets,
+        `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+        `${this.name}_count${formatLabels(labels)} ${count}`
+      ];
+    });
+  }
+}
+
+/**
+ * Register a metric, or get the one already registered under the same name
+ * @param {Function} Type - The metric class
+ * @param {Array} parameters - The constructor parameters, starting with the name
+ * @returns {Metric} - The registered metric
+ */
+const register = (Type, parameters) => {
+  const [name] = parameters;
+  const existing = registry.get(name);
+
+  if (existing) {
+    if (!(existing instanceof Type)) {
+      throw new TypeError(`Metric ${name} is already registered as a ${existing.type}`);
+    }
+    return existing;
+  }
+
+  const metric = new Type(...parameters);
+  registry.set(name, metric);
+  return metric;
+};
+
+/**
+ * Register a counter
+ * @example
+ * const requests = metrics.counter('http_requests_total', 'HTTP requests', ['method', 'status']);
+ * requests.inc({ method: 'GET', status: 200 });
+ *
+ * @param {string} name - The metric name
+ * @param {string} help - The metric description
+ * @param {Array<string>} [labelNames] - The label names
+ * @returns {Counter} - The counter
+ */
+const counter = (name, help, labelNames) => register(Counter, [name, help, labelNames]);
+
+/**
+ * Register a histogram
+ * @example
+ * const duration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration', ['route']);
+ * duration.observe({ route: '/health' }, 0.003);
+ *
+ * @param {string} name - The metric name
+ * @param {string} help - The metric description
+ * @param {Array<string>} [labelNames] - The label names
+ * @param {Array<number>} [buckets] - The bucket upper bounds, +Inf is always added
+ * @returns {Histogram} - The histogram
+ */
+const histogram = (name, help, labelNames, buckets) => register(Histogram, [name, help, labelNames, buckets]);
+
+/**
+ * Render every registered metric
+ * @returns {string} - The metrics in the Prometheus text exposition format
+ */
+const render = () => {
+  const rendered = [...registry.values()].map(metric => metric.render());
+  return rendered.length > 0 ? `${rendered.join('\n')}\n` : '';
+};
+
+/**
+ * Clear the recorded series, keeping the registered metrics
+ */
+const reset = () => {
+  for (const metric of registry.values()) {
+    metric.series.clear();
+  }
+};
+
+export default {
+  CONTENT_TYPE,
+  counter,
+  histogram,
+  render,
+  reset
+};
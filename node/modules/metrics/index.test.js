@@ -0,0 +1,102 @@
+import metrics from './index.js';
+
+describe('modules/metrics', () => {
+  beforeEach(() => {
+    metrics.reset();
+  });
+
+  describe('.counter()', () => {
+    test('should count per combination of labels', () => {
+      const counter = metrics.counter('test_requests_total', 'Test requests', ['method', 'status']);
+
+      counter.inc({ method: 'GET', status: 200 });
+      counter.inc({ status: 200, method: 'GET' });
+      counter.inc({ method: 'GET', status: 500 }, 3);
+
+      expect(counter.render()).toBe([
+        '# HELP test_requests_total Test requests',
+        '# TYPE test_requests_total counter',
+        'test_requests_total{method="GET",status="200"} 2',
+        'test_requests_total{method="GET",status="500"} 3'
+      ].join('\n'));
+    });
+
+    test('should render a counter without labels', () => {
+      const counter = metrics.counter('test_events_total', 'Test events');
+
+      counter.inc();
+
+      expect(counter.render()).toContain('\ntest_events_total 1');
+    });
+
+    test('should only keep the declared labels and escape their values', () => {
+      const counter = metrics.counter('test_escaped_total', 'Test escaping', ['path']);
+
+      counter.inc({ path: 'a"b\\c\nd', ignored: 'x' });
+
+      expect(counter.render()).toContain(String.raw`test_escaped_total{path="a\"b\\c\nd"} 1`);
+    });
+
+    test('should return the metric already registered under the same name', () => {
+      expect(metrics.counter('test_shared_total', 'Shared')).toBe(metrics.counter('test_shared_total', 'Shared'));
+    });
+
+    test('should refuse to register a name under another type', () => {
+      metrics.histogram('test_conflict', 'Conflict');
+
+      expect(() => metrics.counter('test_conflict', 'Conflict')).toThrow('Metric test_conflict is already registered as a histogram');
+    });
+  });
+
+  describe('.histogram()', () => {
+    test('should count observations into cumulative buckets', () => {
+      const histogram = metrics.histogram('test_duration_seconds', 'Test duration', ['route'], [1, 0.5]);
+
+      histogram.observe({ route: '/health' }, 0.2);
+      histogram.observe({ route: '/health' }, 0.7);
+      histogram.observe({ route: '/health' }, 4);
+
+      expect(histogram.render()).toBe([
+        '# HELP test_duration_seconds Test duration',
+        '# TYPE test_duration_seconds histogram',
+        'test_duration_seconds_bucket{route="/health",le="0.5"} 1',
+        'test_duration_seconds_bucket{route="/health",le="1"} 2',
+        'test_duration_seconds_bucket{route="/health",le="+Inf"} 3',
+        'test_duration_seconds_sum{route="/health"} 4.9',
+        'test_duration_seconds_count{route="/health"} 3'
+      ].join('\n'));
+    });
+
+    test('should use the default buckets', () => {
+      const histogram = metrics.histogram('test_default_seconds', 'Test default buckets');
+
+      histogram.observe({}, 45);
+
+      expect(histogram.render()).toContain('test_default_seconds_bucket{le="30"} 0\ntest_default_seconds_bucket{le="60"} 1');
+    });
+  });
+
+  describe('.render()', () => {
+    test('should render every registered metric', () => {
+      metrics.counter('test_rendered_total', 'Rendered').inc();
+
+      const rendered = metrics.render();
+
+      expect(rendered).toContain('# TYPE test_rendered_total counter\ntest_rendered_total 1\n');
+      expect(rendered).toContain('# TYPE test_duration_seconds histogram');
+      expect(rendered.endsWith('\n')).toBe(true);
+    });
+  });
+
+  describe('.reset()', () => {
+    test('should clear the series but keep the metrics', () => {
+      const counter = metrics.counter('test_reset_total', 'Reset');
+      counter.inc();
+
+      metrics.reset();
+
+      expect(metrics.render()).toContain('# TYPE test_reset_total counter\n');
+      expect(metrics.render()).not.toContain('test_reset_total 1');
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import metrics from '#modules/metrics/index.js';
+
+const requests = metrics.counter('http_requests_total', 'HTTP requests by route and status code', ['method', 'route', 'status']);
+const duration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration in seconds by route', ['method', 'route']);
+
+/**
+ * Request metrics middleware
+ * Counts requests and observes their duration once the response is sent.
+ * Requests are labelled with the matched route pattern, not the URL, so a place FID does not create a new series.
+ * @param {import('express').Request} request - The request object
+ * @param {import('express').Response} response - The response object
+ * @param {import('express').NextFunction} next - The next function
+ * @returns {void}
+ */
+const requestMetrics = (request, response, next) => {
+  const startTime = process.hrtime.bigint();
+
+  response.on('finish', () => {
+    const route = request.route ? `${request.baseUrl}${request.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+
+    requests.inc({ method: request.method, route, status: response.statusCode });
+    duration.observe({ method: request.method, route }, seconds);
+  });
+
+  next();
+};
+
+export default requestMetrics;
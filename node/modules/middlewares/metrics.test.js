@@ -0,0 +1,53 @@
+import requestMetrics from './metrics.js';
+import metrics from '#modules/metrics/index.js';
+
+describe('modules/middlewares/metrics', () => {
+  describe('.requestMetrics()', () => {
+    let request;
+    let response;
+    let next;
+
+    beforeEach(() => {
+      metrics.reset();
+      next = jest.fn();
+      response = {
+        statusCode: 200,
+        on: jest.fn((event, listener) => {
+          response.finish = listener;
+        })
+      };
+      request = {
+        method: 'GET',
+        baseUrl: '',
+        route: { path: '/google-maps/reviews/:fid' }
+      };
+    });
+
+    test('should call next()', () => {
+      requestMetrics(request, response, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should record the request by route pattern once the response is sent', () => {
+      requestMetrics(request, response, next);
+      expect(metrics.render()).not.toContain('http_requests_total{');
+
+      response.finish();
+
+      const rendered = metrics.render();
+      expect(rendered).toContain('http_requests_total{method="GET",route="/google-maps/reviews/:fid",status="200"} 1');
+      expect(rendered).toContain('http_request_duration_seconds_count{method="GET",route="/google-maps/reviews/:fid"} 1');
+    });
+
+    test('should label requests that matched no route as unmatched', () => {
+      delete request.route;
+      response.statusCode = 404;
+
+      requestMetrics(request, response, next);
+      response.finish();
+
+      expect(metrics.render()).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    });
+  });
+});
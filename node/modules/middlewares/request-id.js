@@ -0,0 +1,28 @@
+import { randomUUID } from 'node:crypto';
+import logger from '#modules/logger/index.js';
+
+const HEADER = 'X-Request-Id';
+
+// Accepted incoming IDs, anything else is replaced so it cannot forge or flood log lines
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Reuses the X-Request-Id header of the caller or generates one, echoes it on the response
+ * and attaches it to every log line written while the request is handled.
+ * @param {import('express').Request} request - The request object
+ * @param {import('express').Response} response - The response object
+ * @param {import('express').NextFunction} next - The next function
+ * @returns {void}
+ */
+const requestId = (request, response, next) => {
+  const incoming = request.get(HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+  request.id = id;
+  response.set(HEADER, id);
+
+  logger.runWithContext({ requestId: id }, next);
+};
+
+export default requestId;
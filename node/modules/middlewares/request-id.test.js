@@ -0,0 +1,48 @@
+import requestId from './request-id.js';
+import logger from '#modules/logger/index.js';
+
+jest.mock('chalk', () => ({}));
+
+describe('modules/middlewares/request-id', () => {
+  describe('.requestId()', () => {
+    let request;
+    let response;
+    let context;
+    let next;
+
+    beforeEach(() => {
+      next = jest.fn(() => {
+        context = logger.getContext();
+      });
+      response = { set: jest.fn() };
+      request = { get: jest.fn() };
+    });
+
+    test('should generate a request ID when the caller sent none', () => {
+      requestId(request, response, next);
+
+      expect(request.id).toMatch(/^[\da-f-]{36}$/);
+      expect(response.set).toHaveBeenCalledWith('X-Request-Id', request.id);
+      expect(context).toEqual({ requestId: request.id });
+    });
+
+    test('should reuse the request ID of the caller', () => {
+      request.get.mockReturnValue('round-42:uid-7');
+
+      requestId(request, response, next);
+
+      expect(request.get).toHaveBeenCalledWith('X-Request-Id');
+      expect(request.id).toBe('round-42:uid-7');
+      expect(context).toEqual({ requestId: 'round-42:uid-7' });
+    });
+
+    test('should replace an invalid request ID', () => {
+      request.get.mockReturnValue('bad id\n[ERROR] forged');
+
+      requestId(request, response, next);
+
+      expect(request.id).not.toBe('bad id\n[ERROR] forged');
+      expect(response.set).toHaveBeenCalledWith('X-Request-Id', request.id);
+    });
+  });
+});
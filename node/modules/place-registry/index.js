@@ -0,0 +1,289 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import config from '#config';
+import logger from '#modules/logger/index.js';
+import fidUtils from '#modules/fid/index.js';
+
+/**
+ * Local registry of known Google Maps places, by FID
+ * Filled by the validator from its place searches and by the miner from the places it scrapes,
+ * and queried by type and location to reuse places instead of searching them again.
+ * Places are held in memory and appended to an NDJSON file as they are added, a later line of
+ * the same place updating the earlier ones. The file is read on first use and rewritten with
+ * one line per place when it holds superseded lines.
+ * Never rejects: an unreadable file reads as an empty registry and a failed write is only logged.
+ */
+class PlaceRegistry {
+  /**
+   * @param {Object} options - The options
+   * @param {string} options.file - The NDJSON file
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.places = new Map();
+    this.byCid = new Map();
+    this.byPlaceId = new Map();
+    this.loading = undefined;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the file once
+   */
+  load() {
+    this.loading ||= this.read();
+    return this.loading;
+  }
+
+  /**
+   * Read the file into memory, skipping unreadable lines
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`[PlaceRegistry] Failed to read ${this.file}: ${error.message}`);
+      }
+      return;
+    }
+
+    let lines = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      lines++;
+      try {
+        this.merge(JSON.parse(line));
+      } catch {
+        logger.warning(`[PlaceRegistry] Skipping unreadable line ${lines} of ${this.file}`);
+      }
+    }
+
+    if (this.places.size < lines) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the file with one line per place
+   */
+  async compact() {
+    const temporaryFile = `${this.file}.tmp`;
+    const lines = [...this.places.values()].map(place => `${JSON.stringify(place)}\n`);
+
+    try {
+      await fs.writeFile(temporaryFile, lines.join(''));
+      await fs.rename(temporaryFile, this.file);
+    } catch (error) {
+      logger.error(`[PlaceRegistry] Failed to compact ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge a place into memory
+   * The FID is lowercased and the CID derived from it, fields left undefined keep their known value.
+   * @param {Object} place - The place, with its fid
+   * @returns {Object} - The merged place
+   * @throws {Error} - If the FID of the place is malformed
+   */
+  merge(place) {
+    const parsed = fidUtils.parse(place?.fid);
+    if (!parsed) {
+      throw new Error(`Invalid place fid: ${place?.fid}`);
+    }
+
+    const known = this.places.get(parsed.fid);
+    const defined = Object.fromEntries(Object.entries(place).filter(([, value]) => value !== undefined));
+    const merged = { ...known, ...defined, fid: parsed.fid, cid: parsed.cid };
+
+    this.places.set(merged.fid, merged);
+    this.byCid.set(merged.cid, merged.fid);
+    if (merged.placeId) {
+      this.byPlaceId.set(merged.placeId, merged.fid);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Add or update a place
+   * @param {Object} place - The place, with its fid and any of placeId, name and the other known fields
+   * @returns {Promise<Object|undefined>} - The place as stored, undefined if its FID is malformed
+   */
+  async add(place) {
+    const [added] = await this.addMany([place]);
+    return added;
+  }
+
+  /**
+   * Add or update places, as seen now
+   * Places with a malformed FID are skipped. Appends are chained so concurrent lines never interleave.
+   * @example
+   * await registry.addMany([{ fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', name: 'Joe', reviewCount: 1200, placeType: 'cafe', location: 'Austin, Texas, United States', country: 'US' }])
+   *
+   * @param {Array<Object>} places - The places, each with its fid and any of placeId, name, reviewCount,
+   *   placeType, location (the searched "City, State, Country"), country (its ISO code) and coordinates ({ lat, lng })
+   * @returns {Promise<Array<Object>>} - The places as stored
+   */
+  async addMany(places) {
+    await this.load();
+
+    const lastSeen = new Date().toISOString();
+    const added = [];
+    for (const place of places) {
+      try {
+        added.push(this.merge({ ...place, lastSeen }));
+      } catch (error) {
+        logger.warning(`[PlaceRegistry] ${error.message}`);
+      }
+    }
+
+    if (added.length === 0) {
+      return added;
+    }
+
+    const lines = added.map(place => `${JSON.stringify(place)}\n`).join('');
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, lines);
+    }).catch((error) => {
+      logger.error(`[PlaceRegistry] Failed to write ${this.file}: ${error.message}`);
+    });
+
+    await this.writing;
+    return added;
+  }
+
+  /**
+   * Get a place
+   * @param {string} fid - The FID
+   * @returns {Promise<Object|undefined>} - The place, undefined if unknown
+   */
+  async get(fid) {
+    await this.load();
+    return this.places.get(fidUtils.parse(fid)?.fid);
+  }
+
+  /**
+   * Find a place by its decimal CID
+   * @param {string} cid - The CID
+   * @returns {Promise<Object|undefined>} - The place, undefined if unknown
+   */
+  async findByCid(cid) {
+    await this.load();
+    return this.places.get(this.byCid.get(String(cid)));
+  }
+
+  /**
+   * Find a place by its placeId
+   * @param {string} placeId - The placeId
+   * @returns {Promise<Object|undefined>} - The place, undefined if unknown
+   */
+  async findByPlaceId(placeId) {
+    await this.load();
+    return this.places.get(this.byPlaceId.get(placeId));
+  }
+
+  /**
+   * Find places by type and location
+   * @example
+   * await registry.find({ placeType: 'cafe', location: 'austin, texas, united states', minReviews: 100 })
+   *
+   * @param {Object} [query] - The query, every criterion given must match
+   * @param {string} [query.placeType] - The place type searched for, e.g. 'cafe'
+   * @param {string} [query.location] - The location searched in, "City, State, Country", case-insensitive
+   * @param {number} [query.minReviews] - The minimum review count
+   * @param {number} [query.limit] - The maximum number of places
+   * @returns {Promise<Array<Object>>} - The places, most recently seen first
+   */
+  async find({ placeType, location, minReviews, limit = Infinity } = {}) {
+    await this.load();
+
+    const wanted = location?.toLowerCase();
+    return [...this.places.values()]
+      .filter(place => placeType === undefined || place.placeType === placeType)
+      .filter(place => wanted === undefined || place.location?.toLowerCase() === wanted)
+      .filter(place => minReviews === undefined || (place.reviewCount || 0) >= minReviews)
+      .sort((first, second) => (second.lastSeen || '').localeCompare(first.lastSeen || ''))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the FID a search would find, from the registry or by running the search
+   * The place found by the search is registered with the type and location searched.
+   * Rejects when the search does.
+   * @param {Object} combination - The search, as made by FIDPredictor ({ query, placeType, location })
+   * @param {Function} search - async (query) => string|undefined, searches the FID of the query
+   * @returns {Promise<string|undefined>} - The FID, undefined if the search found none
+   */
+  async discover({ query, placeType, location }, search) {
+    const [known] = await this.find({ placeType, location, limit: 1 });
+    if (known) {
+      return known.fid;
+    }
+
+    const fid = await search(query);
+    const place = fid ? await this.add({ fid, placeType, location }) : undefined;
+    return place?.fid;
+  }
+
+  /**
+   * Resolve a place identifier to its FID
+   * A FID resolves to itself, or to the registered FID of its CID when a review URL gave it with a
+   * 0x0 first half. A CID or placeId resolves only when the place is registered.
+   * @example
+   * await registry.resolve('https://maps.google.com/?cid=16642113626023113190') // '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6'
+   *
+   * @param {string} identifier - A FID, a decimal CID, a Google Maps URL or a placeId, see fidUtils.parseIdentifier()
+   * @returns {Promise<string|undefined>} - The FID, undefined if the identifier is malformed or unknown
+   */
+  async resolve(identifier) {
+    const parsed = fidUtils.parseIdentifier(identifier);
+    if (!parsed) {
+      return;
+    }
+
+    if (parsed.fid) {
+      const registered = await this.findByCid(fidUtils.toCid(parsed.fid));
+      return registered && parsed.fid.startsWith('0x0:') ? registered.fid : parsed.fid;
+    }
+
+    const place = parsed.cid ? await this.findByCid(parsed.cid) : await this.findByPlaceId(parsed.placeId);
+    return place?.fid;
+  }
+
+  /**
+   * Get the registry statistics
+   */
+  getStats() {
+    return {
+      file: this.file,
+      size: this.places.size
+    };
+  }
+
+  /**
+   * Wait for pending appends
+   */
+  async close() {
+    await this.writing;
+  }
+}
+
+let registry;
+
+/**
+ * Get the registry shared by the routes and jobs of a node, creating it on first use
+ * @returns {PlaceRegistry} - The registry of config.PLACE_REGISTRY.FILE
+ */
+const getRegistry = () => {
+  registry ||= new PlaceRegistry({ file: config.PLACE_REGISTRY.FILE });
+  return registry;
+};
+
+export { getRegistry };
+export default PlaceRegistry;
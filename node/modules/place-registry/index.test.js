@@ -0,0 +1,199 @@
+import fs from 'node:fs/promises';
+import logger from '#modules/logger/index.js';
+import PlaceRegistry, { getRegistry } from './index.js';
+import config from '#config';
+
+jest.mock('node:fs/promises', () => ({
+  readFile: jest.fn(),
+  writeFile: jest.fn(),
+  rename: jest.fn(),
+  appendFile: jest.fn(),
+  mkdir: jest.fn()
+}));
+jest.mock('#modules/logger/index.js', () => ({
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const fid = '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6';
+const cid = '16642113626023113190';
+
+// One line of the file
+const line = (place) => `${JSON.stringify(place)}\n`;
+
+describe('modules/place-registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+    registry = new PlaceRegistry({ file: 'data/places.ndjson' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should load the places of the file once, later lines updating earlier ones', async () => {
+    fs.readFile.mockResolvedValue(line({ fid, name: 'Old' }) + line({ fid: fid.toUpperCase().replace('0X', '0x').replace(':0X', ':0x'), name: 'New', placeId: 'ChIJ1' }) + '{broken\n');
+
+    expect(await registry.get(fid)).toEqual({ fid, cid, name: 'New', placeId: 'ChIJ1' });
+    expect(await registry.findByPlaceId('ChIJ1')).toEqual(expect.objectContaining({ fid }));
+    expect(fs.readFile).toHaveBeenCalledTimes(1);
+    expect(logger.warning).toHaveBeenCalledWith('[PlaceRegistry] Skipping unreadable line 3 of data/places.ndjson');
+    expect(fs.writeFile).toHaveBeenCalledWith('data/places.ndjson.tmp', line({ fid, name: 'New', cid, placeId: 'ChIJ1' }));
+    expect(fs.rename).toHaveBeenCalledWith('data/places.ndjson.tmp', 'data/places.ndjson');
+  });
+
+  test('should start empty when the file cannot be read', async () => {
+    fs.readFile.mockRejectedValue(new Error('permission denied'));
+
+    expect(await registry.get(fid)).toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('[PlaceRegistry] Failed to read data/places.ndjson: permission denied');
+  });
+
+  describe('.add()', () => {
+    test('should append the place with its CID and last-seen time', async () => {
+      const place = await registry.add({ fid, placeId: 'ChIJ1', name: 'Joe' });
+
+      expect(place).toEqual({ fid, cid, placeId: 'ChIJ1', name: 'Joe', lastSeen: '2025-01-01T00:00:00.000Z' });
+      expect(fs.mkdir).toHaveBeenCalledWith('data', { recursive: true });
+      expect(fs.appendFile).toHaveBeenCalledWith('data/places.ndjson', line(place));
+      expect(await registry.findByCid(cid)).toEqual(place);
+    });
+
+    test('should keep the known fields a new sighting leaves out', async () => {
+      await registry.add({ fid, placeId: 'ChIJ1', name: 'Joe' });
+      const place = await registry.add({ fid, placeId: undefined, reviewCount: 10 });
+
+      expect(place).toEqual(expect.objectContaining({ placeId: 'ChIJ1', name: 'Joe', reviewCount: 10 }));
+    });
+
+    test('should not add a place with a malformed fid', async () => {
+      expect(await registry.add({ fid: 'facility123' })).toBeUndefined();
+      expect(fs.appendFile).not.toHaveBeenCalled();
+      expect(logger.warning).toHaveBeenCalledWith('[PlaceRegistry] Invalid place fid: facility123');
+    });
+
+    test('should log failed writes and keep the place in memory', async () => {
+      fs.appendFile.mockRejectedValueOnce(new Error('disk full'));
+
+      await registry.add({ fid });
+
+      expect(logger.error).toHaveBeenCalledWith('[PlaceRegistry] Failed to write data/places.ndjson: disk full');
+      expect(await registry.get(fid)).toEqual(expect.objectContaining({ fid }));
+    });
+  });
+
+  describe('.addMany()', () => {
+    test('should append the places found by a search at once and skip malformed FIDs', async () => {
+      const places = await registry.addMany([
+        { fid, name: 'Joe', reviewCount: 1200, placeType: 'cafe', location: 'Austin, Texas' },
+        { fid: 'facility123' },
+        { fid: '0x1:0x2', name: 'Bar', reviewCount: 10, placeType: 'bar', location: 'Austin, Texas' }
+      ]);
+
+      expect(places.map(place => place.fid)).toEqual([fid, '0x1:0x2']);
+      expect(fs.appendFile).toHaveBeenCalledTimes(1);
+      expect(fs.appendFile).toHaveBeenCalledWith('data/places.ndjson', places.map(place => line(place)).join(''));
+    });
+
+    test('should not write when no place is valid', async () => {
+      expect(await registry.addMany([{ fid: 'facility123' }])).toEqual([]);
+      expect(fs.appendFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('.find()', () => {
+    beforeEach(async () => {
+      await registry.add({ fid: '0x1:0x1', placeType: 'cafe', location: 'Austin, Texas', reviewCount: 50 });
+      jest.advanceTimersByTime(1000);
+      await registry.addMany([
+        { fid: '0x1:0x2', placeType: 'cafe', location: 'Austin, Texas', reviewCount: 500 },
+        { fid: '0x1:0x3', placeType: 'bar', location: 'Austin, Texas', reviewCount: 500 },
+        { fid: '0x1:0x4', placeType: 'cafe', location: 'Dallas, Texas' }
+      ]);
+    });
+
+    test('should find places by type and location, most recently seen first', async () => {
+      const places = await registry.find({ placeType: 'cafe', location: 'austin, texas' });
+
+      expect(places.map(place => place.fid)).toEqual(['0x1:0x2', '0x1:0x1']);
+    });
+
+    test('should filter by review count and limit the places', async () => {
+      const popular = await registry.find({ minReviews: 100 });
+
+      expect(popular.map(place => place.fid)).toEqual(['0x1:0x2', '0x1:0x3']);
+      expect(await registry.find({ location: 'Dallas, Texas', minReviews: 1 })).toEqual([]);
+      expect(await registry.find({ limit: 1 })).toHaveLength(1);
+      expect(await registry.find()).toHaveLength(4);
+    });
+  });
+
+  describe('.discover()', () => {
+    const combination = { query: 'cafe in Austin, Texas', placeType: 'cafe', location: 'Austin, Texas' };
+
+    test('should search and register the place of an unknown search', async () => {
+      const search = jest.fn().mockResolvedValue(fid);
+
+      expect(await registry.discover(combination, search)).toBe(fid);
+      expect(search).toHaveBeenCalledWith('cafe in Austin, Texas');
+      expect(await registry.get(fid)).toEqual(expect.objectContaining({ placeType: 'cafe', location: 'Austin, Texas' }));
+    });
+
+    test('should reuse the place registered for a search', async () => {
+      await registry.add({ fid, placeType: 'cafe', location: 'Austin, Texas' });
+      const search = jest.fn();
+
+      expect(await registry.discover(combination, search)).toBe(fid);
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    test('should find nothing when the search finds no valid FID', async () => {
+      expect(await registry.discover(combination, jest.fn().mockResolvedValue())).toBeUndefined();
+      expect(await registry.discover(combination, jest.fn().mockResolvedValue('facility123'))).toBeUndefined();
+    });
+  });
+
+  describe('.resolve()', () => {
+    beforeEach(async () => {
+      await registry.add({ fid, placeId: 'ChIJN1t_tDeuEmsRUsoyG83frY4' });
+    });
+
+    test('should resolve FIDs and place URLs to themselves', async () => {
+      expect(await registry.resolve(fid.toUpperCase().replaceAll('0X', '0x'))).toBe(fid);
+      expect(await registry.resolve('0x1:0x2')).toBe('0x1:0x2');
+      expect(await registry.resolve(`https://www.google.com/maps/place/Joe/data=!4m6!3m5!1s${encodeURIComponent(fid)}`)).toBe(fid);
+    });
+
+    test('should resolve the 0x0 FID of review URLs to the registered FID', async () => {
+      expect(await registry.resolve('0x0:0xe6f4aa2b4ecbb1e6')).toBe(fid);
+    });
+
+    test('should resolve registered CIDs and placeIds', async () => {
+      expect(await registry.resolve(cid)).toBe(fid);
+      expect(await registry.resolve(`https://maps.google.com/?cid=${cid}`)).toBe(fid);
+      expect(await registry.resolve('ChIJN1t_tDeuEmsRUsoyG83frY4')).toBe(fid);
+      expect(await registry.resolve('https://www.google.com/maps/search/?api=1&query=Joe&query_place_id=ChIJN1t_tDeuEmsRUsoyG83frY4')).toBe(fid);
+    });
+
+    test('should not resolve unknown or malformed identifiers', async () => {
+      expect(await registry.resolve('123')).toBeUndefined();
+      expect(await registry.resolve('ChIJ_unknown_place_0000')).toBeUndefined();
+      expect(await registry.resolve('not a place')).toBeUndefined();
+    });
+  });
+
+  test('should share one registry of the configured file', () => {
+    expect(getRegistry()).toBe(getRegistry());
+    expect(getRegistry().file).toBe(config.PLACE_REGISTRY.FILE);
+  });
+
+  test('should report its size', async () => {
+    await registry.add({ fid });
+
+    expect(registry.getStats()).toEqual({ file: 'data/places.ndjson', size: 1 });
+  });
+});
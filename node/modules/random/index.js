@@ -1,10 +1,167 @@
+import { randomBytes } from 'node:crypto';
+
+/**
+ * Hash a seed to a 32-bit integer (FNV-1a)
+ * @param {string|number} seed - The seed
+ * @returns {number} - The 32-bit state
+ */
+const hashSeed = (seed) => {
+  let hash = 0x81_1C_9D_C5;
+  for (const character of String(seed)) {
+    hash ^= character.codePointAt(0);
+    hash = Math.imul(hash, 0x01_00_01_93);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Mulberry32 generator
+ * Small and fast with a full 2^32 period, plenty for picking places and reviews.
+ * @param {number} state - The 32-bit initial state
+ * @returns {Function} - Returns a number in [0, 1) on every call
+ */
+const mulberry32 = (state) => {
+  let current = state;
+  return () => {
+    current = (current + 0x6D_2B_79_F5) >>> 0;
+    let value = Math.imul(current ^ (current >>> 15), 1 | current);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4_294_967_296;
+  };
+};
+
+/**
+ * Random helpers over a source of numbers in [0, 1)
+ * The shared default uses Math.random, seeded() gives a reproducible sequence.
+ */
+class Random {
+  /**
+   * @param {Function} [next] - Returns a number in [0, 1)
+   * @param {string} [seed] - The seed of the sequence, if any
+   */
+  constructor(next = Math.random, seed) {
+    this.next = next;
+    this.seed = seed;
+  }
+
+  /**
+   * Get a random element from an array
+   * @param {Array} array - The array to get a random element from
+   * @returns {any} - The random element
+   */
+  fromArray(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Get a random number between a min and max
+   * @param {number} min - The minimum number
+   * @param {number} max - The maximum number
+   * @returns {number} - The random number
+   */
+  between(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Shuffle an array with an unbiased Fisher-Yates shuffle
+   * @param {Array} array - The array, left untouched
+   * @returns {Array} - A shuffled copy
+   */
+  shuffle(array) {
+    return this.sample(array, array.length);
+  }
+
+  /**
+   * Pick elements without replacement, a partial Fisher-Yates shuffle
+   * @example
+   * random.sample(['a', 'b', 'c', 'd'], 2) // ['c', 'a']
+   *
+   * @param {Array} array - The array, left untouched
+   * @param {number} count - The number of elements, at most the array length
+   * @returns {Array} - The picked elements in the order picked
+   */
+  sample(array, count) {
+    const copy = [...array];
+    const size = Math.max(0, Math.min(count, copy.length));
+
+    for (let index = 0; index < size; index++) {
+      const swap = index + Math.floor(this.next() * (copy.length - index));
+      [copy[index], copy[swap]] = [copy[swap], copy[index]];
+    }
+
+    return copy.slice(0, size);
+  }
+
+  /**
+   * Get a random element with a probability proportional to its weight
+   * @example
+   * random.weighted(['rare', 'common'], [1, 9])             // 'common' 9 times out of 10
+   * random.weighted(places, place => place.reviewCount)
+   *
+   * @param {Array} array - The elements
+   * @param {Array<number>|Function} weights - The weight of each element, or (element, index) => weight
+   * @returns {any} - The picked element, undefined if no element has a positive weight
+   */
+  weighted(array, weights) {
+    const values = array.map((element, index) => {
+      const weight = typeof weights === 'function' ? weights(element, index) : weights[index];
+      return Number.isFinite(weight) && weight > 0 ? weight : 0;
+    });
+
+    let total = 0;
+    for (const value of values) {
+      total += value;
+    }
+
+    if (total === 0) {
+      return;
+    }
+
+    let threshold = this.next() * total;
+    for (const [index, value] of values.entries()) {
+      threshold -= value;
+      if (value > 0 && threshold < 0) {
+        return array[index];
+      }
+    }
+
+    // Rounding left a sliver past the last weight
+    return array[values.findLastIndex(value => value > 0)];
+  }
+}
+
+/**
+ * Create a new random seed
+ * @returns {string} - 16 hex characters
+ */
+function createSeed() {
+  return randomBytes(8).toString('hex');
+}
+
+/**
+ * Create a reproducible generator, the same seed always gives the same sequence
+ * @example
+ * const rng = random.seeded('5f2a9c0d1e3b4a76');
+ * rng.shuffle([1, 2, 3]);
+ *
+ * @param {string|number} seed - The seed
+ * @returns {Random} - The generator, with its seed
+ */
+function seeded(seed) {
+  return new Random(mulberry32(hashSeed(seed)), String(seed));
+}
+
+const defaultRandom = new Random();
+
 /**
  * Get a random element from an array
  * @param {Array} array - The array to get a random element from
  * @returns {any} - The random element
  */
 function fromArray(array) {
-  return array[Math.floor(Math.random() * array.length)];
+  return defaultRandom.fromArray(array);
 }
 
 /**
@@ -14,10 +171,48 @@ function fromArray(array) {
  * @returns {number} - The random number
  */
 function between(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return defaultRandom.between(min, max);
+}
+
+/**
+ * Shuffle a copy of an array
+ * @param {Array} array - The array
+ * @returns {Array} - A shuffled copy
+ */
+function shuffle(array) {
+  return defaultRandom.shuffle(array);
+}
+
+/**
+ * Pick elements without replacement
+ * @param {Array} array - The array
+ * @param {number} count - The number of elements
+ * @returns {Array} - The picked elements
+ */
+function sample(array, count) {
+  return defaultRandom.sample(array, count);
 }
 
+/**
+ * Get a random element with a probability proportional to its weight
+ * @param {Array} array - The elements
+ * @param {Array<number>|Function} weights - The weights, or (element, index) => weight
+ * @returns {any} - The picked element
+ */
+function weighted(array, weights) {
+  return defaultRandom.weighted(array, weights);
+}
+
+export {
+  Random
+};
+
 export default {
   fromArray,
-  between
+  between,
+  shuffle,
+  sample,
+  weighted,
+  createSeed,
+  seeded
 };
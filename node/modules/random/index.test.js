@@ -1,4 +1,10 @@
-import random from './index.js';
+import random, { Random } from './index.js';
+
+// Returns the given numbers in turn, to pin the picks of a generator
+const sequence = (...values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
 
 describe('modules/random', () => {
   describe('.fromArray()', () => {
@@ -18,4 +24,105 @@ describe('modules/random', () => {
       expect(result).toBeLessThanOrEqual(10);
     });
   });
+
+  describe('.shuffle()', () => {
+    test('should return a shuffled copy', () => {
+      const array = [1, 2, 3, 4, 5];
+      const result = random.shuffle(array);
+
+      expect(result.toSorted()).toEqual([1, 2, 3, 4, 5]);
+      expect(array).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should swap each position with a later one', () => {
+      const rng = new Random(sequence(0.99, 0, 0.5));
+
+      // 0.99 swaps 1 with 4, 0 keeps 2 in place, 0.5 swaps 3 with 1
+      expect(rng.shuffle([1, 2, 3, 4])).toEqual([4, 2, 1, 3]);
+    });
+
+    test('should give every order the same chance', () => {
+      const rng = random.seeded('uniform');
+      const counts = new Map();
+      for (let index = 0; index < 6000; index++) {
+        const order = rng.shuffle(['a', 'b', 'c']).join('');
+        counts.set(order, (counts.get(order) || 0) + 1);
+      }
+
+      expect(counts.size).toBe(6);
+      for (const count of counts.values()) {
+        expect(count).toBeGreaterThan(900);
+        expect(count).toBeLessThan(1100);
+      }
+    });
+  });
+
+  describe('.sample()', () => {
+    test('should pick distinct elements', () => {
+      const result = random.sample([1, 2, 3, 4, 5], 3);
+
+      expect(result).toHaveLength(3);
+      expect(new Set(result).size).toBe(3);
+    });
+
+    test('should pick at most the array length', () => {
+      expect(random.sample([1, 2], 5).toSorted()).toEqual([1, 2]);
+      expect(random.sample([1, 2], -1)).toEqual([]);
+    });
+  });
+
+  describe('.weighted()', () => {
+    test('should pick proportionally to the weights', () => {
+      const rng = new Random(sequence(0.05, 0.15, 0.99));
+
+      expect(rng.weighted(['a', 'b', 'c'], [1, 1, 8])).toBe('a');
+      expect(rng.weighted(['a', 'b', 'c'], [1, 1, 8])).toBe('b');
+      expect(rng.weighted(['a', 'b', 'c'], [1, 1, 8])).toBe('c');
+    });
+
+    test('should accept a weight function and skip non-positive weights', () => {
+      const places = [{ reviewCount: 0 }, { reviewCount: -5 }, { reviewCount: 10 }];
+
+      expect(random.weighted(places, place => place.reviewCount)).toBe(places[2]);
+    });
+
+    test('should return undefined without a positive weight', () => {
+      expect(random.weighted(['a', 'b'], [0, Number.NaN])).toBeUndefined();
+      expect(random.weighted([], [])).toBeUndefined();
+    });
+  });
+
+  describe('.createSeed()', () => {
+    test('should create distinct hex seeds', () => {
+      const seed = random.createSeed();
+
+      expect(seed).toMatch(/^[\da-f]{16}$/);
+      expect(random.createSeed()).not.toBe(seed);
+    });
+  });
+
+  describe('.seeded()', () => {
+    test('should repeat the sequence of a seed', () => {
+      const first = random.seeded('seed');
+      const second = random.seeded('seed');
+
+      expect(first.seed).toBe('seed');
+      expect(Array.from({ length: 5 }, () => first.next())).toEqual(Array.from({ length: 5 }, () => second.next()));
+      expect(first.shuffle([1, 2, 3, 4, 5, 6, 7, 8])).toEqual(second.shuffle([1, 2, 3, 4, 5, 6, 7, 8]));
+    });
+
+    test('should give different sequences for different seeds', () => {
+      expect(random.seeded('a').next()).not.toBe(random.seeded('b').next());
+      expect(random.seeded(42).seed).toBe('42');
+    });
+
+    test('should return numbers in [0, 1)', () => {
+      const rng = random.seeded('range');
+      for (let index = 0; index < 1000; index++) {
+        const value = rng.next();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
 });
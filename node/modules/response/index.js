@@ -44,6 +44,30 @@ function blockedRequest(response, message) {
   });
 }
 
+/**
+ * Service Unavailable
+ * @param {import('express').Response} response - The response object
+ * @param {Object} message - The message object
+ * @returns {import('express').Response}
+ */
+function serviceUnavailable(response, message) {
+  return response.status(503).json({
+    status: 'Service Unavailable',
+    ...message,
+  });
+}
+
+/**
+ * Plain text
+ * @param {import('express').Response} response - The response object
+ * @param {string} body - The text
+ * @param {string} [contentType] - The content type
+ * @returns {import('express').Response}
+ */
+function text(response, body, contentType = 'text/plain; charset=utf-8') {
+  return response.status(200).set('Content-Type', contentType).send(body);
+}
+
 function success(response, message) {
   return response.status(200).json({
     status: 'Success',
@@ -56,5 +80,7 @@ export default {
   internalServerError,
   notFound,
   blockedRequest,
-  success
+  serviceUnavailable,
+  success,
+  text
 };
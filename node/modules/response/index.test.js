@@ -6,7 +6,9 @@ describe('modules/response', () => {
   beforeEach(() => {
     mockResponse = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
     };
   });
 
@@ -143,6 +145,38 @@ describe('modules/response', () => {
     });
   });
 
+  describe('.serviceUnavailable()', () => {
+    test('should return 503 status with Service Unavailable message', () => {
+      const message = { ready: false };
+
+      const result = response.serviceUnavailable(mockResponse, message);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(503);
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        status: 'Service Unavailable',
+        ready: false
+      });
+      expect(result).toBe(mockResponse);
+    });
+  });
+
+  describe('.text()', () => {
+    test('should return 200 status with a plain text body', () => {
+      const result = response.text(mockResponse, 'up 1\n');
+
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      expect(mockResponse.set).toHaveBeenCalledWith('Content-Type', 'text/plain; charset=utf-8');
+      expect(mockResponse.send).toHaveBeenCalledWith('up 1\n');
+      expect(result).toBe(mockResponse);
+    });
+
+    test('should use the given content type', () => {
+      response.text(mockResponse, 'up 1\n', 'text/plain; version=0.0.4');
+
+      expect(mockResponse.set).toHaveBeenCalledWith('Content-Type', 'text/plain; version=0.0.4');
+    });
+  });
+
   describe('.success()', () => {
     test('should return 200 status with Success message', () => {
       const message = { data: 'Operation completed' };
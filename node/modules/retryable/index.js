@@ -1,22 +1,33 @@
 import logger from '#modules/logger/index.js';
+import abort from '#modules/abort/index.js';
 
 /**
  * Retry a function
  * @param {Function} function_ - The function to retry
  * @param {number} maxRetries - The maximum number of retries
  * @param {number} delay - The delay between retries
+ * @param {Object} [options] - The options
+ * @param {import('#modules/deadline/index.js').default} [options.deadline] - Stops retrying once it has passed
+ * @param {AbortSignal} [options.signal] - Stops retrying and throws its reason once aborted
  * @returns {Promise<any>} - The result of the function
  */
-async function retryable(function_, maxRetries = 3, delay = 1000) {
+async function retryable(function_, maxRetries = 3, delay = 1000, { deadline, signal } = {}) {
   let retries = 0;
   while (retries < maxRetries) {
+    signal?.throwIfAborted();
+
+    if (deadline?.isExpired()) {
+      logger.error(`Retryable function stopped after ${retries}/${maxRetries} attempts: deadline exceeded`);
+      break;
+    }
+
     try {
       logger.info(`Retrying function... ${retries + 1}/${maxRetries}`);
       return await function_();
     } catch (error) {
       logger.error(`Retryable function failed: ${error.message}`);
       retries++;
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await abort.sleep(deadline ? deadline.cap(delay) : delay, signal);
     }
   }
 
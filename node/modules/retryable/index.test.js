@@ -46,5 +46,34 @@ describe('modules/retryable', () => {
       expect(logger.error).toHaveBeenCalledTimes(3);
       expect(result).toBe(undefined);
     });
+
+    test('should stop retrying once the deadline has passed', async () => {
+      let remaining = 1000;
+      const deadline = {
+        isExpired: () => remaining === 0,
+        cap: delay => Math.max(1, Math.min(delay, remaining))
+      };
+      function_.mockImplementation(async () => {
+        remaining = 0;
+        throw new Error('test');
+      });
+
+      const result = await retryable(function_, 10, 5000, { deadline });
+
+      expect(function_).toHaveBeenCalledTimes(1);
+      expect(logger.error).toHaveBeenLastCalledWith('Retryable function stopped after 1/10 attempts: deadline exceeded');
+      expect(result).toBe(undefined);
+    });
+
+    test('should stop retrying and throw once aborted', async () => {
+      const controller = new AbortController();
+      function_.mockImplementation(async () => {
+        controller.abort(new Error('Client disconnected'));
+        throw new Error('test');
+      });
+
+      await expect(retryable(function_, 10, 5000, { signal: controller.signal })).rejects.toThrow('Client disconnected');
+      expect(function_).toHaveBeenCalledTimes(1);
+    });
   });
 });
@@ -0,0 +1,38 @@
+import config from '#config';
+import apify from '#modules/apify/index.js';
+import retryable from '#modules/retryable/index.js';
+
+/**
+ * Fetch reviews with the Apify Google Maps reviews actor
+ * @param {Object} request - The review request
+ * @param {string} request.fid - The FID of the place
+ * @param {string} request.language - The language of the reviews
+ * @param {string} request.sort - The sort of the reviews
+ * @param {number} request.count - The number of reviews to fetch
+ * @param {import('#modules/deadline/index.js').default} [request.deadline] - Bounds the actor runs and the retries, a run it stops returns the reviews scraped so far
+ * @param {AbortSignal} [request.signal] - Aborts the actor run and the retries
+ * @returns {Promise<Array<Object>>} - The reviews
+ */
+const fetchReviews = async ({ fid, language, sort, count, deadline, signal }) => {
+  const items = await retryable(async () => {
+    return await apify.runActorAndGetResults(config.MINER.APIFY_ACTORS.GOOGLE_MAPS_REVIEWS, {
+      placeFIDs: [fid],
+      maxItems: count,
+      language,
+      sort,
+    }, { deadline, signal, partial: true });
+  }, config.MINER.REVIEW_PROVIDERS.APIFY_MAX_RETRIES, 1000, { deadline, signal });
+
+  // retryable() gives up silently, but for the chain this is a failure, not an empty place
+  if (!items) {
+    throw new Error('Apify actor failed after all retries');
+  }
+
+  return items;
+};
+
+export default {
+  name: 'apify',
+  source: 'apify',
+  fetchReviews
+};
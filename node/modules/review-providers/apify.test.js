@@ -0,0 +1,43 @@
+import apifyProvider from './apify.js';
+import apify from '#modules/apify/index.js';
+import retryable from '#modules/retryable/index.js';
+import config from '#config';
+
+jest.mock('#modules/apify/index.js', () => ({
+  runActorAndGetResults: jest.fn()
+}));
+jest.mock('#modules/retryable/index.js', () => jest.fn());
+
+describe('modules/review-providers/apify', () => {
+  let request;
+
+  beforeEach(() => {
+    request = { fid: 'fid', language: 'en', sort: 'newest', count: 100, deadline: { remaining: jest.fn() }, signal: new AbortController().signal };
+    retryable.mockImplementation((function_) => function_());
+    apify.runActorAndGetResults.mockResolvedValue([{ reviewId: '1' }]);
+  });
+
+  describe('.fetchReviews()', () => {
+    test('should run the reviews actor with the request parameters', async () => {
+      const result = await apifyProvider.fetchReviews(request);
+
+      expect(result).toEqual([{ reviewId: '1' }]);
+      expect(apify.runActorAndGetResults).toHaveBeenCalledWith(config.MINER.APIFY_ACTORS.GOOGLE_MAPS_REVIEWS, {
+        placeFIDs: ['fid'],
+        maxItems: 100,
+        language: 'en',
+        sort: 'newest'
+      }, { deadline: request.deadline, signal: request.signal, partial: true });
+      expect(retryable).toHaveBeenCalledWith(expect.any(Function), config.MINER.REVIEW_PROVIDERS.APIFY_MAX_RETRIES, 1000, {
+        deadline: request.deadline,
+        signal: request.signal
+      });
+    });
+
+    test('should throw if every retry failed', async () => {
+      retryable.mockResolvedValue();
+
+      await expect(apifyProvider.fetchReviews(request)).rejects.toThrow('Apify actor failed after all retries');
+    });
+  });
+});
@@ -0,0 +1,327 @@
+import config from '#config';
+import logger from '#modules/logger/index.js';
+import reviewSchema from '#modules/review-schema/index.js';
+import FIDPredictor from '#modules/fid-predictor/index.js';
+import { getRegistry } from '#modules/place-registry/index.js';
+import apify from './apify.js';
+import puppeteer from './puppeteer.js';
+import redisCache from './redis-cache.js';
+import localStore from './local-store.js';
+
+/**
+ * A review provider fetches the reviews of a place from one source.
+ * @typedef {Object} ReviewProvider
+ * @property {string} name - The name used in provider chains
+ * @property {string} source - The review-schema source of its reviews ('apify', 'turbo' or 'cache')
+ * @property {Function} fetchReviews - async (request, context) => Array<Object>, where request is { fid, language, sort, count, deadline?, signal? }
+ *   and context.refresh fetches from the providers after it. Caches may instead return { reviews, age, stale }.
+ * @property {Function} [storeReviews] - async (request, reviews) => void, receives reviews found further down the chain
+ * @property {Function} [initialize] - async () => void
+ * @property {Function} [getStats] - () => Object|undefined, statistics of the resources the provider holds
+ * @property {Function} [cleanup] - async () => void
+ */
+const providers = {
+  [apify.name]: apify,
+  [puppeteer.name]: puppeteer,
+  [redisCache.name]: redisCache,
+  [localStore.name]: localStore
+};
+
+const stats = {};
+const readiness = {};
+let initialized = false;
+let prefetchInterval;
+
+/**
+ * Get the place context the reviews of a request are normalized with
+ * TurboScraper only scrapes the reviews, their placeId and the place rating come from the place registry.
+ * @param {string} fid - The FID of the place
+ * @returns {Promise<Object>} - The place context ({ fid, placeId, totalScore }), undefined fields for unregistered places
+ */
+const getPlace = async (fid) => {
+  const { placeId, totalScore } = await getRegistry().get(fid) || {};
+  return { fid, placeId, totalScore };
+};
+
+/**
+ * Check if the miner runs in turbo mode
+ * @returns {boolean}
+ */
+const isTurboMode = () => process.env.MINER_TURBO_MODE === 'true';
+
+/**
+ * Get the provider chain to use
+ * MINER_REVIEW_PROVIDERS (comma separated) takes precedence over the configured chains.
+ * @returns {Array<string>} - The provider names, in order
+ */
+const getChain = () => {
+  const { CHAIN, TURBO_CHAIN } = config.MINER.REVIEW_PROVIDERS;
+  const chain = process.env.MINER_REVIEW_PROVIDERS
+    ? process.env.MINER_REVIEW_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : (isTurboMode() ? TURBO_CHAIN : CHAIN);
+
+  const unknown = chain.filter(name => !providers[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown review providers: ${unknown.join(', ')}`);
+  }
+
+  return chain;
+};
+
+/**
+ * Record the outcome of one provider call
+ * @param {string} name - The provider name
+ * @param {string} status - 'hit', 'empty' or 'failure'
+ * @param {number} count - The number of reviews returned
+ * @param {number} latency - The call duration in milliseconds
+ */
+const record = (name, status, count, latency) => {
+  stats[name] ??= { calls: 0, hits: 0, empty: 0, failures: 0, reviews: 0, totalLatency: 0 };
+  const providerStats = stats[name];
+  providerStats.calls++;
+  providerStats[status === 'hit' ? 'hits' : (status === 'empty' ? 'empty' : 'failures')]++;
+  providerStats.reviews += count;
+  providerStats.totalLatency += latency;
+};
+
+/**
+ * Hand reviews to the providers earlier in the chain that can keep them (caches)
+ * @param {Array<string>} names - The provider names that missed
+ * @param {Object} request - The review request
+ * @param {Array<Object>} reviews - The canonical reviews
+ */
+const storeUpstream = async (names, request, reviews) => {
+  for (const name of names) {
+    if (!providers[name].storeReviews) {
+      continue;
+    }
+
+    try {
+      await providers[name].storeReviews(request, reviews);
+    } catch (error) {
+      logger.error(`[ReviewProviders] ${name} failed to store reviews:`, error);
+    }
+  }
+};
+
+/**
+ * Fetch reviews by walking the provider chain until one returns reviews.
+ * Every provider's output is normalized onto the canonical review model.
+ * Reviews served from a cache carry the cache age (in seconds) and whether they are stale.
+ * Providers are skipped once request.deadline has passed, and the walk stops with the abort reason
+ * as soon as request.signal is aborted.
+ * If every provider fails, the last error is thrown.
+ *
+ * @example
+ * const { reviews, provider, attempts, cache } = await fetchReviews({ fid, language: 'en', sort: 'newest', count: 100 });
+ *
+ * @param {Object} request - The review request ({ fid, language, sort, count, deadline, signal })
+ * @param {Array<string>} [chain] - The provider names, defaults to getChain()
+ * @returns {Promise<{reviews: Array<Object>, provider: string|undefined, attempts: Array<Object>, cache: Object|undefined}>}
+ */
+const fetchReviews = async (request, chain = getChain()) => {
+  const attempts = [];
+  let lastError;
+  let place;
+
+  for (const [index, name] of chain.entries()) {
+    const provider = providers[name];
+    const startTime = Date.now();
+    request.signal?.throwIfAborted();
+
+    if (request.deadline?.isExpired()) {
+      attempts.push({ provider: name, status: 'skipped', count: 0, latency: 0 });
+      logger.warning(`[ReviewProviders] ${name} skipped: deadline exceeded`);
+      lastError ??= new Error('Deadline exceeded before any review provider returned reviews');
+      continue;
+    }
+
+    try {
+      // Background refreshes outlive the caller, so they do not follow its signal
+      const refresh = async () => {
+        const { reviews } = await fetchReviews({ ...request, signal: undefined }, chain.slice(index + 1));
+        return reviews;
+      };
+      const result = await provider.fetchReviews(request, { refresh });
+      const items = Array.isArray(result) ? result : result?.reviews;
+      const cache = result?.stale === undefined ? undefined : { age: result.age, stale: result.stale };
+      place ??= await getPlace(request.fid);
+      const reviews = reviewSchema.normalizeAll(items, { source: provider.source, place });
+      const latency = Date.now() - startTime;
+      const status = reviews.length > 0 ? 'hit' : 'empty';
+
+      record(name, status, reviews.length, latency);
+      attempts.push({ provider: name, status, count: reviews.length, latency });
+      logger.info(`[ReviewProviders] ${name}: ${reviews.length} reviews in ${latency}ms`);
+
+      if (reviews.length > 0) {
+        await storeUpstream(chain.slice(0, index), request, reviews);
+        return { reviews, provider: name, attempts, cache };
+      }
+    } catch (error) {
+      if (request.signal?.aborted) {
+        throw request.signal.reason;
+      }
+
+      const latency = Date.now() - startTime;
+      record(name, 'failure', 0, latency);
+      attempts.push({ provider: name, status: 'failure', count: 0, latency, error: error.message });
+      logger.warning(`[ReviewProviders] ${name} failed after ${latency}ms: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  if (lastError && attempts.every(attempt => attempt.status === 'failure' || attempt.status === 'skipped')) {
+    throw lastError;
+  }
+
+  return { reviews: [], provider: undefined, attempts };
+};
+
+/**
+ * Get latency and yield statistics per provider
+ * @returns {Object} - The statistics keyed by provider name
+ */
+const getStats = () => {
+  return Object.fromEntries(Object.entries(stats).map(([name, providerStats]) => [name, {
+    ...providerStats,
+    successRate: providerStats.hits / providerStats.calls,
+    averageLatency: providerStats.totalLatency / providerStats.calls,
+    averageYield: providerStats.reviews / providerStats.calls
+  }]));
+};
+
+/**
+ * Reset the provider statistics
+ */
+const resetStats = () => {
+  for (const name of Object.keys(stats)) {
+    delete stats[name];
+  }
+};
+
+/**
+ * Prefetch the top predicted places into the cache every 30 minutes
+ * The FIDs of the predicted searches come from the place registry, or from a TurboScraper search
+ * whose place is then registered.
+ */
+const startBackgroundPrefetching = () => {
+  const fidPredictor = new FIDPredictor();
+
+  prefetchInterval = setInterval(async () => {
+    try {
+      logger.info('[ReviewProviders] Starting background prefetch...');
+      const scraper = puppeteer.getScraper();
+      const topCombinations = fidPredictor.getTopCombinations(20);
+
+      const results = await Promise.allSettled(topCombinations.map(combo => getRegistry().discover(combo, query => scraper.extractFIDFromSearch(query))));
+      const fids = results
+        .filter(result => result.status === 'fulfilled' && result.value)
+        .map(result => result.value);
+
+      if (fids.length > 0) {
+        await redisCache.getCache().prefetchReviews(fids, scraper);
+        logger.info(`[ReviewProviders] Prefetched ${fids.length} FIDs`);
+      }
+    } catch (error) {
+      logger.error('[ReviewProviders] Background prefetch error:', error);
+    }
+  }, 30 * 60 * 1000);
+};
+
+/**
+ * Get the statistics of the resources held by the providers (cache, browser pool)
+ * @returns {Object} - The statistics keyed by provider name, for the providers that hold resources
+ */
+const getResourceStats = () => {
+  return Object.fromEntries(Object.values(providers)
+    .map(provider => [provider.name, provider.getStats?.()])
+    .filter(([, providerStats]) => providerStats !== undefined));
+};
+
+/**
+ * Initialize the providers of a chain
+ * Starts background prefetching when the chain both scrapes and caches.
+ * @param {Array<string>} [chain] - The provider names, defaults to getChain()
+ * @returns {Promise<void>}
+ */
+const initialize = async (chain = getChain()) => {
+  for (const name of chain) {
+    readiness[name] = { status: 'pending' };
+  }
+
+  for (const name of chain) {
+    if (!providers[name].initialize) {
+      readiness[name] = { status: 'ready' };
+      continue;
+    }
+
+    try {
+      await providers[name].initialize();
+      readiness[name] = { status: 'ready' };
+    } catch (error) {
+      readiness[name] = { status: 'failed', error: error.message };
+      logger.error(`[ReviewProviders] Failed to initialize ${name}:`, error);
+    }
+  }
+
+  initialized = true;
+
+  if (!prefetchInterval && chain.includes(puppeteer.name) && chain.includes(redisCache.name)) {
+    startBackgroundPrefetching();
+  }
+
+  logger.info(`[ReviewProviders] Provider chain: ${chain.join(' -> ')}`);
+};
+
+/**
+ * Get the readiness of the providers of a chain
+ * The chain is ready once initialize() has completed and every provider initialized successfully.
+ * @param {Array<string>} [chain] - The provider names, defaults to getChain()
+ * @returns {{ready: boolean, providers: Object}} - The readiness, with the status of each provider
+ */
+const getReadiness = (chain = getChain()) => {
+  const chainReadiness = Object.fromEntries(chain.map(name => [name, readiness[name] ?? { status: 'pending' }]));
+
+  return {
+    ready: initialized && Object.values(chainReadiness).every(({ status }) => status === 'ready'),
+    providers: chainReadiness
+  };
+};
+
+/**
+ * Release the resources held by every provider
+ * @returns {Promise<void>}
+ */
+const cleanup = async () => {
+  clearInterval(prefetchInterval);
+  prefetchInterval = undefined;
+  initialized = false;
+  for (const name of Object.keys(readiness)) {
+    delete readiness[name];
+  }
+
+  for (const provider of Object.values(providers)) {
+    if (!provider.cleanup) {
+      continue;
+    }
+
+    try {
+      await provider.cleanup();
+    } catch (error) {
+      logger.error(`[ReviewProviders] Failed to clean up ${provider.name}:`, error);
+    }
+  }
+};
+
+export default {
+  isTurboMode,
+  getChain,
+  fetchReviews,
+  getStats,
+  resetStats,
+  getResourceStats,
+  initialize,
+  getReadiness,
+  cleanup
+};
@@ -0,0 +1,429 @@
+import reviewProviders from './index.js';
+import apify from './apify.js';
+import puppeteer from './puppeteer.js';
+import redisCache from './redis-cache.js';
+import localStore from './local-store.js';
+import logger from '#modules/logger/index.js';
+import reviewSchema from '#modules/review-schema/index.js';
+import FIDPredictor from '#modules/fid-predictor/index.js';
+import { getRegistry } from '#modules/place-registry/index.js';
+import config from '#config';
+
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('#modules/review-schema/index.js', () => ({
+  normalizeAll: jest.fn()
+}));
+jest.mock('#modules/fid-predictor/index.js', () => jest.fn());
+jest.mock('#modules/place-registry/index.js', () => {
+  const registry = { get: jest.fn(), discover: jest.fn() };
+  return { getRegistry: () => registry };
+});
+jest.mock('./apify.js', () => ({
+  name: 'apify',
+  source: 'apify',
+  fetchReviews: jest.fn()
+}));
+jest.mock('./puppeteer.js', () => ({
+  name: 'puppeteer',
+  source: 'turbo',
+  getScraper: jest.fn(),
+  initialize: jest.fn(),
+  fetchReviews: jest.fn(),
+  getStats: jest.fn(),
+  cleanup: jest.fn()
+}));
+jest.mock('./redis-cache.js', () => ({
+  name: 'redis-cache',
+  source: 'cache',
+  getCache: jest.fn(),
+  fetchReviews: jest.fn(),
+  storeReviews: jest.fn(),
+  getStats: jest.fn(),
+  cleanup: jest.fn()
+}));
+jest.mock('./local-store.js', () => ({
+  name: 'local-store',
+  source: 'cache',
+  fetchReviews: jest.fn(),
+  storeReviews: jest.fn()
+}));
+
+describe('modules/review-providers', () => {
+  let request;
+  let reviews;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MINER_TURBO_MODE;
+    delete process.env.MINER_REVIEW_PROVIDERS;
+    reviewProviders.resetStats();
+
+    request = { fid: 'fid', language: 'en', sort: 'newest', count: 100 };
+    reviews = [{ reviewId: '1' }, { reviewId: '2' }];
+
+    reviewSchema.normalizeAll.mockImplementation((items) => items || []);
+    getRegistry().get.mockResolvedValue();
+    apify.fetchReviews.mockResolvedValue(reviews);
+    puppeteer.fetchReviews.mockResolvedValue([]);
+    redisCache.fetchReviews.mockResolvedValue();
+    localStore.fetchReviews.mockResolvedValue([]);
+  });
+
+  afterEach(async () => {
+    await reviewProviders.cleanup();
+  });
+
+  describe('.getChain()', () => {
+    test('should return the default chain', () => {
+      expect(reviewProviders.getChain()).toEqual(config.MINER.REVIEW_PROVIDERS.CHAIN);
+    });
+
+    test('should return the turbo chain in turbo mode', () => {
+      process.env.MINER_TURBO_MODE = 'true';
+
+      expect(reviewProviders.isTurboMode()).toBe(true);
+      expect(reviewProviders.getChain()).toEqual(config.MINER.REVIEW_PROVIDERS.TURBO_CHAIN);
+    });
+
+    test('should prefer the chain from the environment', () => {
+      process.env.MINER_REVIEW_PROVIDERS = 'local-store, apify,';
+
+      expect(reviewProviders.getChain()).toEqual(['local-store', 'apify']);
+    });
+
+    test('should throw on unknown providers', () => {
+      process.env.MINER_REVIEW_PROVIDERS = 'apify,unknown';
+
+      expect(() => reviewProviders.getChain()).toThrow('Unknown review providers: unknown');
+    });
+  });
+
+  describe('.fetchReviews()', () => {
+    test('should use the default chain', async () => {
+      const result = await reviewProviders.fetchReviews(request);
+
+      expect(result.provider).toBe('apify');
+      expect(result.reviews).toEqual(reviews);
+      expect(apify.fetchReviews).toHaveBeenCalledWith(request, { refresh: expect.any(Function) });
+      expect(reviewSchema.normalizeAll).toHaveBeenCalledWith(reviews, { source: 'apify', place: { fid: 'fid', placeId: undefined, totalScore: undefined } });
+    });
+
+    test('should normalize the reviews with the place from the registry', async () => {
+      getRegistry().get.mockResolvedValue({ fid: 'fid', placeId: 'ChIJ123', totalScore: 4.5, name: 'Place' });
+
+      await reviewProviders.fetchReviews(request);
+
+      expect(getRegistry().get).toHaveBeenCalledWith('fid');
+      expect(reviewSchema.normalizeAll).toHaveBeenCalledWith(reviews, { source: 'apify', place: { fid: 'fid', placeId: 'ChIJ123', totalScore: 4.5 } });
+    });
+
+    describe('with TurboScraper reviews', () => {
+      const fid = '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6';
+
+      beforeEach(() => {
+        const { normalizeAll } = jest.requireActual('#modules/review-schema/index.js').default;
+        reviewSchema.normalizeAll.mockImplementation(normalizeAll);
+        request.fid = fid;
+        puppeteer.fetchReviews.mockResolvedValue([{
+          reviewId: 'review1',
+          author: 'Jane Doe',
+          reviewerUrl: 'https://www.google.com/maps/contrib/456/reviews?hl=en',
+          rating: 4,
+          text: 'Nice',
+          date: '3 weeks ago',
+          helpful: 1,
+          photos: 0,
+          response: undefined
+        }]);
+      });
+
+      test('should serve them once the place is registered', async () => {
+        getRegistry().get.mockResolvedValue({ fid, placeId: 'ChIJ123', totalScore: 4.5 });
+
+        const result = await reviewProviders.fetchReviews(request, ['puppeteer', 'apify']);
+
+        expect(result.provider).toBe('puppeteer');
+        expect(apify.fetchReviews).not.toHaveBeenCalled();
+        expect(result.reviews).toEqual([expect.objectContaining({
+          reviewId: 'review1',
+          reviewerId: '456',
+          reviewerName: 'Jane Doe',
+          placeId: 'ChIJ123',
+          fid,
+          totalScore: 4.5
+        })]);
+      });
+
+      test('should fall through to the next provider for unregistered places', async () => {
+        const result = await reviewProviders.fetchReviews(request, ['puppeteer', 'apify']);
+
+        expect(result.attempts[0]).toEqual(expect.objectContaining({ provider: 'puppeteer', status: 'empty' }));
+        expect(apify.fetchReviews).toHaveBeenCalled();
+      });
+    });
+
+    test('should walk the chain until a provider returns reviews and store them upstream', async () => {
+      const result = await reviewProviders.fetchReviews(request, ['redis-cache', 'local-store', 'puppeteer', 'apify']);
+
+      expect(result.provider).toBe('apify');
+      expect(result.attempts.map(attempt => attempt.status)).toEqual(['empty', 'empty', 'empty', 'hit']);
+      expect(redisCache.storeReviews).toHaveBeenCalledWith(request, reviews);
+      expect(localStore.storeReviews).toHaveBeenCalledWith(request, reviews);
+    });
+
+    test('should stop at the first provider with reviews', async () => {
+      redisCache.fetchReviews.mockResolvedValue(reviews);
+
+      const result = await reviewProviders.fetchReviews(request, ['redis-cache', 'apify']);
+
+      expect(result.provider).toBe('redis-cache');
+      expect(apify.fetchReviews).not.toHaveBeenCalled();
+      expect(redisCache.storeReviews).not.toHaveBeenCalled();
+    });
+
+    test('should pass the cache age of cached reviews through', async () => {
+      redisCache.fetchReviews.mockResolvedValue({ reviews, age: 600, stale: true });
+
+      const result = await reviewProviders.fetchReviews(request, ['redis-cache', 'apify']);
+
+      expect(result.provider).toBe('redis-cache');
+      expect(result.reviews).toEqual(reviews);
+      expect(result.cache).toEqual({ age: 600, stale: true });
+    });
+
+    test('should skip the remaining providers once the deadline has passed', async () => {
+      const deadline = { isExpired: jest.fn().mockReturnValueOnce(false).mockReturnValue(true) };
+
+      const result = await reviewProviders.fetchReviews({ ...request, deadline }, ['local-store', 'apify']);
+
+      expect(result.attempts.map(attempt => attempt.status)).toEqual(['empty', 'skipped']);
+      expect(apify.fetchReviews).not.toHaveBeenCalled();
+      expect(result.reviews).toEqual([]);
+    });
+
+    test('should stop walking the chain once the request is aborted', async () => {
+      const controller = new AbortController();
+      localStore.fetchReviews.mockImplementation(async () => {
+        controller.abort(new Error('Client disconnected'));
+        throw new Error('Aborted');
+      });
+
+      await expect(reviewProviders.fetchReviews({ ...request, signal: controller.signal }, ['local-store', 'apify'])).rejects.toThrow('Client disconnected');
+      expect(apify.fetchReviews).not.toHaveBeenCalled();
+    });
+
+    test('should not start walking the chain if the request is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Client disconnected'));
+
+      await expect(reviewProviders.fetchReviews({ ...request, signal: controller.signal }, ['apify'])).rejects.toThrow('Client disconnected');
+      expect(apify.fetchReviews).not.toHaveBeenCalled();
+    });
+
+    test('should throw if the deadline passed before any provider ran', async () => {
+      const deadline = { isExpired: jest.fn().mockReturnValue(true) };
+
+      await expect(reviewProviders.fetchReviews({ ...request, deadline }, ['apify'])).rejects.toThrow('Deadline exceeded before any review provider returned reviews');
+    });
+
+    test('should let a provider refresh from the rest of the chain', async () => {
+      redisCache.fetchReviews.mockResolvedValue({ reviews, age: 600, stale: true });
+      await reviewProviders.fetchReviews(request, ['redis-cache', 'puppeteer', 'apify']);
+      const { refresh } = redisCache.fetchReviews.mock.calls[0][1];
+
+      const refreshed = await refresh();
+
+      expect(refreshed).toEqual(reviews);
+      expect(puppeteer.fetchReviews).toHaveBeenCalledWith({ ...request, signal: undefined }, expect.any(Object));
+      expect(apify.fetchReviews).toHaveBeenCalledTimes(1);
+      expect(redisCache.fetchReviews).toHaveBeenCalledTimes(1);
+    });
+
+    test('should continue after a failing provider', async () => {
+      puppeteer.fetchReviews.mockRejectedValue(new Error('Scrape timeout'));
+
+      const result = await reviewProviders.fetchReviews(request, ['puppeteer', 'apify']);
+
+      expect(result.provider).toBe('apify');
+      expect(result.attempts[0]).toEqual(expect.objectContaining({ provider: 'puppeteer', status: 'failure', error: 'Scrape timeout' }));
+      expect(logger.warning).toHaveBeenCalledWith(expect.stringContaining('puppeteer failed'));
+    });
+
+    test('should log and ignore failures to store reviews upstream', async () => {
+      redisCache.storeReviews.mockRejectedValue(new Error('Redis down'));
+
+      const result = await reviewProviders.fetchReviews(request, ['redis-cache', 'apify']);
+
+      expect(result.provider).toBe('apify');
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('redis-cache failed to store reviews'), expect.any(Error));
+    });
+
+    test('should throw the last error if every provider failed', async () => {
+      puppeteer.fetchReviews.mockRejectedValue(new Error('Scrape timeout'));
+      apify.fetchReviews.mockRejectedValue(new Error('Apify down'));
+
+      await expect(reviewProviders.fetchReviews(request, ['puppeteer', 'apify'])).rejects.toThrow('Apify down');
+    });
+
+    test('should return no reviews if no provider had any', async () => {
+      apify.fetchReviews.mockRejectedValue(new Error('Apify down'));
+
+      const result = await reviewProviders.fetchReviews(request, ['local-store', 'apify']);
+
+      expect(result).toEqual({ reviews: [], provider: undefined, attempts: expect.any(Array) });
+    });
+  });
+
+  describe('.getStats()', () => {
+    test('should report latency and yield per provider', async () => {
+      puppeteer.fetchReviews.mockRejectedValue(new Error('Scrape timeout'));
+      await reviewProviders.fetchReviews(request, ['local-store', 'puppeteer', 'apify']);
+      await reviewProviders.fetchReviews(request, ['apify']);
+
+      const stats = reviewProviders.getStats();
+
+      expect(stats.apify).toEqual(expect.objectContaining({
+        calls: 2,
+        hits: 2,
+        reviews: 4,
+        successRate: 1,
+        averageYield: 2,
+        averageLatency: expect.any(Number)
+      }));
+      expect(stats['local-store']).toEqual(expect.objectContaining({ calls: 1, empty: 1, successRate: 0 }));
+      expect(stats.puppeteer).toEqual(expect.objectContaining({ calls: 1, failures: 1, successRate: 0 }));
+    });
+  });
+
+  describe('.initialize()', () => {
+    let scraper;
+    let cache;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      // The first search finds no FID, the second one does
+      scraper = { extractFIDFromSearch: jest.fn().mockResolvedValueOnce().mockResolvedValue('0x1:0x2') };
+      cache = { prefetchReviews: jest.fn().mockResolvedValue() };
+      puppeteer.getScraper.mockReturnValue(scraper);
+      redisCache.getCache.mockReturnValue(cache);
+      FIDPredictor.mockImplementation(() => ({
+        getTopCombinations: jest.fn().mockReturnValue([{ query: 'cafe in Austin, Texas' }, { query: 'bar in Austin, Texas' }])
+      }));
+      getRegistry().discover.mockImplementation((combo, search) => search(combo.query));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should initialize the providers of the chain', async () => {
+      await reviewProviders.initialize(['apify', 'puppeteer']);
+
+      expect(puppeteer.initialize).toHaveBeenCalled();
+      expect(FIDPredictor).not.toHaveBeenCalled();
+    });
+
+    test('should use the configured chain by default', async () => {
+      await reviewProviders.initialize();
+
+      expect(logger.info).toHaveBeenCalledWith('[ReviewProviders] Provider chain: apify');
+    });
+
+    test('should log providers that fail to initialize', async () => {
+      puppeteer.initialize.mockRejectedValue(new Error('No browser'));
+
+      await reviewProviders.initialize(['puppeteer']);
+
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Failed to initialize puppeteer'), expect.any(Error));
+    });
+
+    test('should prefetch predicted places when the chain scrapes and caches', async () => {
+      await reviewProviders.initialize(['redis-cache', 'puppeteer']);
+      await reviewProviders.initialize(['redis-cache', 'puppeteer']);
+      await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+
+      expect(FIDPredictor).toHaveBeenCalledTimes(1);
+      expect(cache.prefetchReviews).toHaveBeenCalledWith(['0x1:0x2'], scraper);
+      expect(getRegistry().discover).toHaveBeenCalledWith({ query: 'cafe in Austin, Texas' }, expect.any(Function));
+    });
+
+    test('should skip the prefetch if no FID was found', async () => {
+      scraper.extractFIDFromSearch.mockReset().mockRejectedValue(new Error('Not found'));
+
+      await reviewProviders.initialize(['redis-cache', 'puppeteer']);
+      await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+
+      expect(cache.prefetchReviews).not.toHaveBeenCalled();
+    });
+
+    test('should log prefetch errors', async () => {
+      cache.prefetchReviews.mockRejectedValue(new Error('Redis down'));
+
+      await reviewProviders.initialize(['redis-cache', 'puppeteer']);
+      await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+
+      expect(logger.error).toHaveBeenCalledWith('[ReviewProviders] Background prefetch error:', expect.any(Error));
+    });
+  });
+
+  describe('.getResourceStats()', () => {
+    test('should report the resources of the providers that hold some', () => {
+      puppeteer.getStats.mockReturnValue({ browsers: 8 });
+      redisCache.getStats.mockReturnValue();
+
+      expect(reviewProviders.getResourceStats()).toEqual({ puppeteer: { browsers: 8 } });
+    });
+  });
+
+  describe('.getReadiness()', () => {
+    test('should not be ready before initialization', async () => {
+      await reviewProviders.cleanup();
+
+      expect(reviewProviders.getReadiness(['apify'])).toEqual({
+        ready: false,
+        providers: { apify: { status: 'pending' } }
+      });
+    });
+
+    test('should be ready once every provider of the chain initialized', async () => {
+      puppeteer.initialize.mockResolvedValue();
+      await reviewProviders.initialize(['puppeteer', 'apify']);
+
+      expect(reviewProviders.getReadiness(['puppeteer', 'apify'])).toEqual({
+        ready: true,
+        providers: { puppeteer: { status: 'ready' }, apify: { status: 'ready' } }
+      });
+      await reviewProviders.cleanup();
+    });
+
+    test('should not be ready if a provider failed to initialize', async () => {
+      puppeteer.initialize.mockRejectedValue(new Error('No browsers could be launched'));
+      await reviewProviders.initialize(['puppeteer']);
+
+      expect(reviewProviders.getReadiness(['puppeteer'])).toEqual({
+        ready: false,
+        providers: { puppeteer: { status: 'failed', error: 'No browsers could be launched' } }
+      });
+      await reviewProviders.cleanup();
+    });
+
+    test('should use the configured chain by default', () => {
+      expect(reviewProviders.getReadiness().providers).toEqual({ apify: expect.any(Object) });
+    });
+  });
+
+  describe('.cleanup()', () => {
+    test('should clean up every provider and log failures', async () => {
+      redisCache.cleanup.mockRejectedValue(new Error('Already closed'));
+
+      await reviewProviders.cleanup();
+
+      expect(puppeteer.cleanup).toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Failed to clean up redis-cache'), expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import config from '#config';
+
+/**
+ * Get the file that holds the reviews of a request
+ * Every part comes from the query and is encoded, so none can leave the store directory.
+ * @param {Object} request - The review request
+ * @returns {string} - The file path
+ */
+const getFilePath = ({ fid, language, sort }) => {
+  const fileName = `${[fid, language, sort].map(part => encodeURIComponent(part)).join('_')}.json`;
+  return path.join(config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_DIR, fileName);
+};
+
+/**
+ * Get reviews from the local disk store
+ * Entries older than config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_TTL seconds are ignored.
+ * @param {Object} request - The review request
+ * @param {string} request.fid - The FID of the place
+ * @param {string} request.language - The language of the reviews
+ * @param {string} request.sort - The sort of the reviews
+ * @returns {Promise<Array<Object>>} - The stored reviews
+ */
+const fetchReviews = async (request) => {
+  let content;
+  try {
+    content = await fs.readFile(getFilePath(request), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const { storedAt, reviews } = JSON.parse(content);
+  const age = (Date.now() - storedAt) / 1000;
+
+  return age < config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_TTL ? reviews : [];
+};
+
+/**
+ * Store reviews found further down the chain
+ * @param {Object} request - The review request
+ * @param {Array<Object>} reviews - The canonical reviews
+ * @returns {Promise<void>}
+ */
+const storeReviews = async (request, reviews) => {
+  await fs.mkdir(config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_DIR, { recursive: true });
+  await fs.writeFile(getFilePath(request), JSON.stringify({ storedAt: Date.now(), reviews }));
+};
+
+export default {
+  name: 'local-store',
+  source: 'cache',
+  fetchReviews,
+  storeReviews
+};
@@ -0,0 +1,68 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import config from '#config';
+import localStore from './local-store.js';
+
+jest.mock('node:fs/promises', () => ({
+  readFile: jest.fn(),
+  writeFile: jest.fn(),
+  mkdir: jest.fn()
+}));
+
+describe('modules/review-providers/local-store', () => {
+  const filePath = path.join(config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_DIR, '0x1%3A0x2_en_newest.json');
+  let request;
+
+  beforeEach(() => {
+    request = { fid: '0x1:0x2', language: 'en', sort: 'newest' };
+  });
+
+  describe('.fetchReviews()', () => {
+    test('should return the stored reviews', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ storedAt: Date.now(), reviews: [{ reviewId: '1' }] }));
+
+      const result = await localStore.fetchReviews(request);
+
+      expect(fs.readFile).toHaveBeenCalledWith(filePath, 'utf8');
+      expect(result).toEqual([{ reviewId: '1' }]);
+    });
+
+    test('should ignore expired entries', async () => {
+      const storedAt = Date.now() - ((config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_TTL + 1) * 1000);
+      fs.readFile.mockResolvedValue(JSON.stringify({ storedAt, reviews: [{ reviewId: '1' }] }));
+
+      expect(await localStore.fetchReviews(request)).toEqual([]);
+    });
+
+    test('should return no reviews if nothing is stored', async () => {
+      fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      expect(await localStore.fetchReviews(request)).toEqual([]);
+    });
+
+    test('should keep the language and sort of the query inside the store directory', async () => {
+      fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      await localStore.fetchReviews({ fid: '0x1:0x2', language: '../../../etc/passwd', sort: '../x' });
+
+      const [file] = fs.readFile.mock.calls.at(-1);
+      expect(path.dirname(file)).toBe(path.normalize(config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_DIR));
+      expect(path.basename(file)).toBe('0x1%3A0x2_..%2F..%2F..%2Fetc%2Fpasswd_..%2Fx.json');
+    });
+
+    test('should throw other read errors', async () => {
+      fs.readFile.mockRejectedValue(new Error('permission denied'));
+
+      await expect(localStore.fetchReviews(request)).rejects.toThrow('permission denied');
+    });
+  });
+
+  describe('.storeReviews()', () => {
+    test('should write the reviews with the store time', async () => {
+      await localStore.storeReviews(request, [{ reviewId: '1' }]);
+
+      expect(fs.mkdir).toHaveBeenCalledWith(config.MINER.REVIEW_PROVIDERS.LOCAL_STORE_DIR, { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledWith(filePath, expect.stringContaining('"reviews":[{"reviewId":"1"}]'));
+    });
+  });
+});
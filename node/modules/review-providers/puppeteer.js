@@ -0,0 +1,92 @@
+import config from '#config';
+import TurboScraper from '#modules/turbo-scraper/index.js';
+import abort from '#modules/abort/index.js';
+
+let scraper;
+
+/**
+ * Get the shared TurboScraper instance, creating it on first use
+ * @returns {TurboScraper} - The scraper
+ */
+const getScraper = () => {
+  if (!scraper) {
+    scraper = new TurboScraper({
+      concurrency: config.MINER.TURBO.CONCURRENCY,
+      maxReviews: config.MINER.TURBO.MAX_REVIEWS,
+      timeout: config.MINER.TURBO.SCRAPE_TIMEOUT
+    });
+  }
+
+  return scraper;
+};
+
+/**
+ * Launch the browser pool
+ * TurboScraper keeps going without browsers, but then every scrape fails, so this does not.
+ * @returns {Promise<void>}
+ */
+const initialize = async () => {
+  const turboScraper = getScraper();
+  await turboScraper.initialize();
+
+  if (turboScraper.browserPool.length === 0) {
+    throw new Error('No browsers could be launched');
+  }
+};
+
+/**
+ * Scrape reviews with the local browser pool
+ * The scraper wraps up when the deadline is near, and the scrape is abandoned after
+ * config.MINER.TURBO.SCRAPE_TIMEOUT (or the deadline, if sooner) so the chain can move on.
+ * @param {Object} request - The review request
+ * @param {string} request.fid - The FID of the place
+ * @param {string} request.language - The language of the reviews
+ * @param {string} request.sort - The sort of the reviews
+ * @param {import('#modules/deadline/index.js').default} [request.deadline] - The request deadline
+ * @param {AbortSignal} [request.signal] - Closes the pages of the scrape
+ * @returns {Promise<Array<Object>>} - The reviews
+ */
+const fetchReviews = async ({ fid, language, sort, deadline, signal }) => {
+  await initialize();
+
+  const { SCRAPE_TIMEOUT } = config.MINER.TURBO;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Scrape timeout')), deadline ? deadline.cap(SCRAPE_TIMEOUT) : SCRAPE_TIMEOUT);
+  });
+
+  try {
+    return await abort.race(Promise.race([
+      getScraper().scrapeReviewsByFID(fid, { language, sort, deadline, signal }),
+      timeout
+    ]), signal);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Get the browser pool statistics
+ * @returns {Object|undefined} - The statistics, or undefined if the scraper was never created
+ */
+const getStats = () => scraper?.getStats();
+
+/**
+ * Close the browser pool
+ * @returns {Promise<void>}
+ */
+const cleanup = async () => {
+  if (scraper) {
+    await scraper.cleanup();
+  }
+};
+
+export default {
+  name: 'puppeteer',
+  source: 'turbo',
+  getScraper,
+  initialize,
+  fetchReviews,
+  getStats,
+  cleanup
+};
@@ -0,0 +1,126 @@
+import config from '#config';
+
+jest.mock('#modules/turbo-scraper/index.js', () => {
+  const TurboScraper = jest.fn();
+  TurboScraper.prototype.initialize = jest.fn();
+  TurboScraper.prototype.scrapeReviewsByFID = jest.fn();
+  TurboScraper.prototype.cleanup = jest.fn();
+  TurboScraper.prototype.getStats = jest.fn();
+  return TurboScraper;
+});
+
+describe('modules/review-providers/puppeteer', () => {
+  let puppeteerProvider;
+  let TurboScraper;
+  let request;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.useRealTimers();
+    ({ default: TurboScraper } = await import('#modules/turbo-scraper/index.js'));
+    TurboScraper.prototype.initialize.mockImplementation(async function () {
+      this.browserPool = [{}];
+    });
+    TurboScraper.prototype.scrapeReviewsByFID.mockResolvedValue([{ reviewId: '1' }]);
+    TurboScraper.prototype.cleanup.mockResolvedValue();
+    ({ default: puppeteerProvider } = await import('./puppeteer.js'));
+    request = { fid: 'fid', language: 'en', sort: 'newest' };
+  });
+
+  describe('.getScraper()', () => {
+    test('should create the scraper once with the turbo configuration', () => {
+      const scraper = puppeteerProvider.getScraper();
+
+      expect(puppeteerProvider.getScraper()).toBe(scraper);
+      expect(TurboScraper).toHaveBeenCalledTimes(1);
+      expect(TurboScraper).toHaveBeenCalledWith({
+        concurrency: config.MINER.TURBO.CONCURRENCY,
+        maxReviews: config.MINER.TURBO.MAX_REVIEWS,
+        timeout: config.MINER.TURBO.SCRAPE_TIMEOUT
+      });
+    });
+  });
+
+  describe('.initialize()', () => {
+    test('should fail if no browser could be launched', async () => {
+      TurboScraper.prototype.initialize.mockImplementation(async function () {
+        this.browserPool = [];
+      });
+
+      await expect(puppeteerProvider.initialize()).rejects.toThrow('No browsers could be launched');
+    });
+  });
+
+  describe('.getStats()', () => {
+    test('should report nothing if the scraper was never created', () => {
+      expect(puppeteerProvider.getStats()).toBeUndefined();
+    });
+
+    test('should report the browser pool statistics', () => {
+      TurboScraper.prototype.getStats.mockReturnValue({ browsers: 8 });
+      puppeteerProvider.getScraper();
+
+      expect(puppeteerProvider.getStats()).toEqual({ browsers: 8 });
+    });
+  });
+
+  describe('.fetchReviews()', () => {
+    test('should initialize the pool and scrape the reviews', async () => {
+      const result = await puppeteerProvider.fetchReviews(request);
+
+      expect(result).toEqual([{ reviewId: '1' }]);
+      expect(TurboScraper.prototype.initialize).toHaveBeenCalled();
+      expect(TurboScraper.prototype.scrapeReviewsByFID).toHaveBeenCalledWith('fid', { language: 'en', sort: 'newest', deadline: undefined, signal: undefined });
+    });
+
+    test('should fail if the scrape takes too long', async () => {
+      jest.useFakeTimers();
+      TurboScraper.prototype.scrapeReviewsByFID.mockReturnValue(new Promise(() => {}));
+
+      const promise = puppeteerProvider.fetchReviews(request);
+      promise.catch(() => {});
+      await jest.advanceTimersByTimeAsync(config.MINER.TURBO.SCRAPE_TIMEOUT);
+
+      await expect(promise).rejects.toThrow('Scrape timeout');
+    });
+
+    test('should stop waiting when the request is aborted', async () => {
+      TurboScraper.prototype.scrapeReviewsByFID.mockReturnValue(new Promise(() => {}));
+      const controller = new AbortController();
+
+      const promise = puppeteerProvider.fetchReviews({ ...request, signal: controller.signal });
+      controller.abort(new Error('Client disconnected'));
+
+      await expect(promise).rejects.toThrow('Client disconnected');
+    });
+
+    test('should give up when the deadline is sooner than the scrape timeout', async () => {
+      jest.useFakeTimers();
+      TurboScraper.prototype.scrapeReviewsByFID.mockReturnValue(new Promise(() => {}));
+      const deadline = { cap: jest.fn().mockReturnValue(1000) };
+
+      const promise = puppeteerProvider.fetchReviews({ ...request, deadline });
+      promise.catch(() => {});
+      await jest.advanceTimersByTimeAsync(1000);
+
+      await expect(promise).rejects.toThrow('Scrape timeout');
+      expect(deadline.cap).toHaveBeenCalledWith(config.MINER.TURBO.SCRAPE_TIMEOUT);
+      expect(TurboScraper.prototype.scrapeReviewsByFID).toHaveBeenCalledWith('fid', { language: 'en', sort: 'newest', deadline, signal: undefined });
+    });
+  });
+
+  describe('.cleanup()', () => {
+    test('should do nothing if the scraper was never created', async () => {
+      await puppeteerProvider.cleanup();
+
+      expect(TurboScraper.prototype.cleanup).not.toHaveBeenCalled();
+    });
+
+    test('should close the browser pool', async () => {
+      puppeteerProvider.getScraper();
+      await puppeteerProvider.cleanup();
+
+      expect(TurboScraper.prototype.cleanup).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import config from '#config';
+import SmartCache from '#modules/smart-cache/index.js';
+
+const { CACHE } = config.MINER;
+
+let cache;
+
+/**
+ * Get the shared SmartCache instance, creating it on first use
+ * Created lazily so MINER_CACHE_BACKEND, MINER_CACHE_STALE_WHILE_REVALIDATE and the Redis host and port
+ * are read after the .env file is loaded.
+ * @returns {SmartCache} - The cache
+ */
+const getCache = () => {
+  if (!cache) {
+    cache = new SmartCache({
+      ttl: 3600,
+      shortTTL: 300, // 5 minutes for hot data
+      longTTL: 7200,
+      backend: process.env.MINER_CACHE_BACKEND || CACHE.BACKEND,
+      maxEntries: CACHE.MEMORY_MAX_ENTRIES,
+      maxAge: CACHE.MAX_AGE,
+      staleWhileRevalidate: process.env.MINER_CACHE_STALE_WHILE_REVALIDATE === undefined
+        ? CACHE.STALE_WHILE_REVALIDATE
+        : process.env.MINER_CACHE_STALE_WHILE_REVALIDATE !== 'false',
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT && Number(process.env.REDIS_PORT)
+    });
+  }
+
+  return cache;
+};
+
+/**
+ * Connect the cache, settling on the in-memory backend if Redis is unreachable
+ * @returns {Promise<void>}
+ */
+const initialize = async () => {
+  await getCache().initialize();
+};
+
+/**
+ * Get reviews from the cache
+ * Stale reviews are returned in stale-while-revalidate mode, and refreshed in the background.
+ * @param {Object} request - The review request
+ * @param {string} request.fid - The FID of the place
+ * @param {string} request.language - The language of the reviews
+ * @param {string} request.sort - The sort of the reviews
+ * @param {Object} [context] - The chain context
+ * @param {Function} [context.refresh] - async () => Array<Object>, fetches the reviews from the rest of the chain
+ * @returns {Promise<{reviews: Array<Object>, age: number, stale: boolean}|Array>} - The cache entry, or no reviews on a miss
+ */
+const fetchReviews = async ({ fid, language, sort }, { refresh } = {}) => {
+  const entry = await getCache().getEntry(fid, { language, sort }, { refresh });
+  return entry || [];
+};
+
+/**
+ * Store reviews found further down the chain
+ * @param {Object} request - The review request
+ * @param {Array<Object>} reviews - The canonical reviews
+ * @returns {Promise<void>}
+ */
+const storeReviews = async ({ fid, language, sort }, reviews) => {
+  await getCache().storeReviews(fid, reviews, { language, sort });
+};
+
+/**
+ * Get the cache statistics
+ * @returns {Object|undefined} - The statistics, or undefined if the cache was never created
+ */
+const getStats = () => cache?.getStats();
+
+/**
+ * Close the cache backend
+ * @returns {Promise<void>}
+ */
+const cleanup = async () => {
+  if (cache) {
+    await cache.close();
+  }
+};
+
+export default {
+  name: 'redis-cache',
+  source: 'cache',
+  getCache,
+  initialize,
+  fetchReviews,
+  storeReviews,
+  getStats,
+  cleanup
+};
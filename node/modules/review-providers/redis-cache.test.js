@@ -0,0 +1,119 @@
+jest.mock('#modules/smart-cache/index.js', () => {
+  const SmartCache = jest.fn();
+  SmartCache.prototype.initialize = jest.fn();
+  SmartCache.prototype.getEntry = jest.fn();
+  SmartCache.prototype.storeReviews = jest.fn();
+  SmartCache.prototype.close = jest.fn();
+  SmartCache.prototype.getStats = jest.fn();
+  return SmartCache;
+});
+
+describe('modules/review-providers/redis-cache', () => {
+  let redisCacheProvider;
+  let SmartCache;
+  let request;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    ({ default: SmartCache } = await import('#modules/smart-cache/index.js'));
+    SmartCache.prototype.getEntry.mockResolvedValue({ reviews: [{ reviewId: '1' }], age: 10, stale: false });
+    ({ default: redisCacheProvider } = await import('./redis-cache.js'));
+    request = { fid: 'fid', language: 'en', sort: 'newest' };
+  });
+
+  describe('.getCache()', () => {
+    test('should create the cache once', () => {
+      const cache = redisCacheProvider.getCache();
+
+      expect(redisCacheProvider.getCache()).toBe(cache);
+      expect(SmartCache).toHaveBeenCalledTimes(1);
+    });
+
+    test('should configure the cache backend', () => {
+      redisCacheProvider.getCache();
+
+      expect(SmartCache).toHaveBeenCalledWith(expect.objectContaining({
+        backend: 'auto',
+        maxEntries: 1000,
+        maxAge: 300,
+        staleWhileRevalidate: true
+      }));
+    });
+
+    test('should take the cache backend from the environment', () => {
+      process.env.MINER_CACHE_BACKEND = 'memory';
+      redisCacheProvider.getCache();
+      delete process.env.MINER_CACHE_BACKEND;
+
+      expect(SmartCache).toHaveBeenCalledWith(expect.objectContaining({ backend: 'memory' }));
+    });
+
+    test('should turn stale-while-revalidate off with MINER_CACHE_STALE_WHILE_REVALIDATE=false', () => {
+      process.env.MINER_CACHE_STALE_WHILE_REVALIDATE = 'false';
+      redisCacheProvider.getCache();
+      delete process.env.MINER_CACHE_STALE_WHILE_REVALIDATE;
+
+      expect(SmartCache).toHaveBeenCalledWith(expect.objectContaining({ staleWhileRevalidate: false }));
+    });
+  });
+
+  describe('.initialize()', () => {
+    test('should initialize the cache', async () => {
+      await redisCacheProvider.initialize();
+
+      expect(SmartCache.prototype.initialize).toHaveBeenCalled();
+    });
+  });
+
+  describe('.fetchReviews()', () => {
+    test('should get the cache entry with the chain refresh', async () => {
+      const refresh = jest.fn();
+      const result = await redisCacheProvider.fetchReviews(request, { refresh });
+
+      expect(result).toEqual({ reviews: [{ reviewId: '1' }], age: 10, stale: false });
+      expect(SmartCache.prototype.getEntry).toHaveBeenCalledWith('fid', { language: 'en', sort: 'newest' }, { refresh });
+    });
+
+    test('should return no reviews on a miss', async () => {
+      SmartCache.prototype.getEntry.mockResolvedValue();
+
+      expect(await redisCacheProvider.fetchReviews(request)).toEqual([]);
+    });
+  });
+
+  describe('.storeReviews()', () => {
+    test('should store the reviews in the cache', async () => {
+      await redisCacheProvider.storeReviews(request, [{ reviewId: '1' }]);
+
+      expect(SmartCache.prototype.storeReviews).toHaveBeenCalledWith('fid', [{ reviewId: '1' }], { language: 'en', sort: 'newest' });
+    });
+  });
+
+  describe('.getStats()', () => {
+    test('should report nothing if the cache was never created', () => {
+      expect(redisCacheProvider.getStats()).toBeUndefined();
+    });
+
+    test('should report the cache statistics', () => {
+      SmartCache.prototype.getStats.mockReturnValue({ hitRate: '50.00%' });
+      redisCacheProvider.getCache();
+
+      expect(redisCacheProvider.getStats()).toEqual({ hitRate: '50.00%' });
+    });
+  });
+
+  describe('.cleanup()', () => {
+    test('should do nothing if the cache was never created', async () => {
+      await redisCacheProvider.cleanup();
+
+      expect(SmartCache.prototype.close).not.toHaveBeenCalled();
+    });
+
+    test('should close the cache', async () => {
+      redisCacheProvider.getCache();
+      await redisCacheProvider.cleanup();
+
+      expect(SmartCache.prototype.close).toHaveBeenCalled();
+    });
+  });
+});
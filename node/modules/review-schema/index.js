@@ -0,0 +1,205 @@
+import fidUtils from '#modules/fid/index.js';
+
+/**
+ * Canonical review model shared by every miner source (Apify, TurboScraper, cache).
+ * These are the fields and types the validator requires in prepareResponses.
+ */
+const REQUIRED_FIELDS = [
+  { name: 'reviewerId', type: 'string' },
+  { name: 'reviewerUrl', type: 'string' },
+  { name: 'reviewerName', type: 'string' },
+  { name: 'reviewId', type: 'string' },
+  { name: 'reviewUrl', type: 'string' },
+  { name: 'publishedAtDate', type: 'string' },
+  { name: 'placeId', type: 'string' },
+  { name: 'cid', type: 'string' },
+  { name: 'fid', type: 'string' },
+  { name: 'totalScore', type: 'number' }
+];
+
+/**
+ * Units of the relative dates Google Maps renders, in milliseconds
+ * The precision of a relative date is the duration of its unit.
+ */
+const RELATIVE_DATE_UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a review date into an ISO string and the precision it is known to.
+ * Accepts absolute dates as well as the relative strings Google Maps renders,
+ * e.g. "3 weeks ago", "a month ago" or "Edited 2 days ago". A relative date is estimated
+ * from the reference time and only known to within its unit, which is its precision.
+ * @example
+ * parseReviewDateWithPrecision('3 weeks ago', Date.parse('2025-01-22')) // { date: '2025-01-01T00:00:00.000Z', precision: 'week' }
+ * parseReviewDateWithPrecision('2025-01-01T00:00:00Z')                  // { date: '2025-01-01T00:00:00.000Z', precision: undefined }
+ *
+ * @param {string} value - The date to parse
+ * @param {number} [now=Date.now()] - The reference time for relative dates
+ * @returns {{date: string|undefined, precision: string|undefined}} - The ISO date string, undefined if it cannot be parsed,
+ *   and the unit of a relative date, undefined for an exact date
+ */
+const parseReviewDateWithPrecision = (value, now = Date.now()) => {
+  if (!value || typeof value !== 'string') {
+    return {};
+  }
+
+  const relative = /(a|an|\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago/i.exec(value);
+  if (relative) {
+    const amount = Number.isNaN(Number(relative[1])) ? 1 : Number(relative[1]);
+    const precision = relative[2].toLowerCase();
+    return { date: new Date(now - (amount * RELATIVE_DATE_UNITS[precision])).toISOString(), precision };
+  }
+
+  const date = new Date(value);
+  return { date: Number.isNaN(date.getTime()) ? undefined : date.toISOString() };
+};
+
+/**
+ * Parse a review date into an ISO string, see parseReviewDateWithPrecision()
+ * @param {string} value - The date to parse
+ * @param {number} [now=Date.now()] - The reference time for relative dates
+ * @returns {string|undefined} - The ISO date string, or undefined if it cannot be parsed
+ */
+const parseReviewDate = (value, now = Date.now()) => parseReviewDateWithPrecision(value, now).date;
+
+/**
+ * Build a review URL for sources that do not return one
+ * @param {string} reviewId - The ID of the review
+ * @param {string} fid - The FID of the place
+ * @returns {string} - The review URL
+ */
+const buildReviewUrl = (reviewId, fid) => {
+  return `https://www.google.com/maps/reviews/data=!4m8!14m7!1m6!2m5!1s${reviewId}!2m1!1s${fid}!3m1!1s2@1:${reviewId}`;
+};
+
+/**
+ * Map a review returned by the Apify reviews actor onto the canonical model.
+ * Apify already uses the canonical field names, so this only fills gaps from the place context.
+ * @param {Object} review - The Apify review
+ * @param {Object} place - The place context ({ fid, cid, placeId, totalScore })
+ * @returns {Object} - The canonical review
+ */
+const fromApify = (review, place) => {
+  const fid = review.fid ?? place.fid;
+  const publishedAtDate = parseReviewDate(review.publishedAtDate);
+
+  return {
+    reviewId: review.reviewId,
+    reviewUrl: review.reviewUrl,
+    reviewerId: review.reviewerId,
+    reviewerUrl: review.reviewerUrl,
+    reviewerName: review.reviewerName,
+    text: review.text,
+    stars: review.stars ?? review.rating,
+    likesCount: review.likesCount ?? 0,
+    responseFromOwnerText: review.responseFromOwnerText,
+    publishedAtDate,
+    lastEditedAtDate: parseReviewDate(review.lastEditedAtDate) ?? publishedAtDate,
+    placeId: review.placeId ?? place.placeId,
+    cid: review.cid ?? place.cid ?? fidUtils.toCid(fid),
+    fid,
+    totalScore: review.totalScore ?? place.totalScore
+  };
+};
+
+/**
+ * Map a review scraped by TurboScraper onto the canonical model.
+ * TurboScraper returns { reviewId, author, reviewerUrl, rating, text, date, helpful, photos, response },
+ * where date is the (possibly edited) date Google Maps displays, so it is used for both dates.
+ * That date is mostly relative, so the review carries its datePrecision when it is only an estimate.
+ * Fields neither the review nor the place context provide are left undefined, the review then
+ * fails isCanonical() rather than being sent with made-up values.
+ * @param {Object} review - The TurboScraper review
+ * @param {Object} place - The place context ({ fid, cid, placeId, totalScore })
+ * @returns {Object} - The canonical review
+ */
+const fromTurbo = (review, place) => {
+  const reviewerId = /\/contrib\/(\d+)/.exec(review.reviewerUrl ?? '')?.[1];
+  const { date, precision } = parseReviewDateWithPrecision(review.date);
+
+  return {
+    reviewId: review.reviewId,
+    reviewUrl: buildReviewUrl(review.reviewId, place.fid),
+    reviewerId,
+    reviewerUrl: review.reviewerUrl,
+    reviewerName: review.author,
+    text: review.text,
+    stars: review.rating,
+    likesCount: review.helpful,
+    responseFromOwnerText: review.response,
+    publishedAtDate: date,
+    lastEditedAtDate: date,
+    datePrecision: precision,
+    placeId: place.placeId,
+    cid: place.cid ?? fidUtils.toCid(place.fid),
+    fid: place.fid,
+    totalScore: place.totalScore
+  };
+};
+
+const MAPPERS = {
+  apify: fromApify,
+  turbo: fromTurbo
+};
+
+/**
+ * Detect which source a review came from by its shape.
+ * Cached reviews may have been stored by any source, including before normalization existed.
+ * @param {Object} review - The review
+ * @returns {string} - The source name
+ */
+const detectSource = (review) => {
+  return 'author' in review && !('reviewerName' in review) ? 'turbo' : 'apify';
+};
+
+/**
+ * Check whether a review has every required field with the expected type
+ * @param {Object} review - The review
+ * @returns {boolean} - True if the review matches the canonical model
+ */
+const isCanonical = (review) => {
+  return REQUIRED_FIELDS.every(({ name, type }) => typeof review[name] === type);
+};
+
+/**
+ * Normalize a single review onto the canonical model
+ * @param {Object} review - The review
+ * @param {Object} [options] - The options
+ * @param {string} [options.source] - 'apify', 'turbo' or 'cache'; detected from the review shape when omitted or 'cache'
+ * @param {Object} [options.place] - The place context ({ fid, cid, placeId, totalScore })
+ * @returns {Object} - The canonical review
+ */
+const normalize = (review, { source, place = {} } = {}) => {
+  const mapper = MAPPERS[source] || MAPPERS[detectSource(review)];
+  return mapper(review, place);
+};
+
+/**
+ * Normalize a list of reviews and drop the ones that cannot satisfy the canonical model.
+ * One malformed review fails structural validation for the whole response, so it is better not to send it.
+ * @param {Array<Object>} reviews - The reviews
+ * @param {Object} [options] - The options, see normalize()
+ * @returns {Array<Object>} - The canonical reviews
+ */
+const normalizeAll = (reviews, options) => {
+  return (reviews || [])
+    .map(review => normalize(review, options))
+    .filter(review => isCanonical(review));
+};
+
+export default {
+  REQUIRED_FIELDS,
+  RELATIVE_DATE_UNITS,
+  parseReviewDate,
+  parseReviewDateWithPrecision,
+  isCanonical,
+  normalize,
+  normalizeAll
+};
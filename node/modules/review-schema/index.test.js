@@ -0,0 +1,181 @@
+import reviewSchema from './index.js';
+
+describe('modules/review-schema', () => {
+  const fid = '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6';
+  const cid = '16642113626023113190';
+  const now = new Date('2025-01-15T00:00:00.000Z').getTime();
+  let apifyReview;
+  let turboReview;
+
+  beforeEach(() => {
+    apifyReview = {
+      reviewId: 'review1',
+      reviewUrl: 'https://www.google.com/maps/reviews/review1',
+      reviewerId: '123',
+      reviewerUrl: 'https://www.google.com/maps/contrib/123',
+      reviewerName: 'John Doe',
+      text: 'Great place!',
+      stars: 5,
+      likesCount: 2,
+      responseFromOwnerText: 'Thanks!',
+      publishedAtDate: '2025-01-01T10:00:00.000Z',
+      lastEditedAtDate: '2025-01-02T10:00:00.000Z',
+      placeId: 'ChIJ123',
+      cid,
+      fid,
+      totalScore: 4.5,
+      reviewImageUrls: []
+    };
+    turboReview = {
+      reviewId: 'review2',
+      author: 'Jane Doe',
+      reviewerUrl: 'https://www.google.com/maps/contrib/456/reviews?hl=en',
+      rating: 4,
+      text: 'Nice',
+      date: '2025-01-10T00:00:00.000Z',
+      helpful: 1,
+      photos: 0,
+      response: undefined
+    };
+  });
+
+  describe('.parseReviewDate()', () => {
+    test('should parse absolute dates', () => {
+      expect(reviewSchema.parseReviewDate('2025-01-01T10:00:00Z')).toBe('2025-01-01T10:00:00.000Z');
+    });
+
+    test('should parse relative dates with a number', () => {
+      expect(reviewSchema.parseReviewDate('3 days ago', now)).toBe('2025-01-12T00:00:00.000Z');
+    });
+
+    test('should parse relative dates with an article and an edit marker', () => {
+      expect(reviewSchema.parseReviewDate('Edited a week ago', now)).toBe('2025-01-08T00:00:00.000Z');
+      expect(reviewSchema.parseReviewDate('an hour ago', now)).toBe('2025-01-14T23:00:00.000Z');
+    });
+
+    test('should use the current time for relative dates by default', () => {
+      expect(reviewSchema.parseReviewDate('1 second ago')).toEqual(expect.any(String));
+    });
+
+    test('should report the precision of relative dates', () => {
+      expect(reviewSchema.parseReviewDateWithPrecision('2 weeks ago', now)).toEqual({ date: '2025-01-01T00:00:00.000Z', precision: 'week' });
+      expect(reviewSchema.parseReviewDateWithPrecision('2025-01-01T10:00:00Z')).toEqual({ date: '2025-01-01T10:00:00.000Z' });
+      expect(reviewSchema.parseReviewDateWithPrecision()).toEqual({});
+    });
+
+    test('should return undefined for missing or unparsable dates', () => {
+      expect(reviewSchema.parseReviewDate()).toBeUndefined();
+      expect(reviewSchema.parseReviewDate(12_345)).toBeUndefined();
+      expect(reviewSchema.parseReviewDate('yesterday-ish')).toBeUndefined();
+    });
+  });
+
+  describe('.normalize()', () => {
+    test('should keep canonical fields of Apify reviews', () => {
+      const { reviewImageUrls, ...expected } = apifyReview;
+      expect(reviewImageUrls).toEqual([]);
+      expect(reviewSchema.normalize(apifyReview, { source: 'apify' })).toEqual(expected);
+    });
+
+    test('should fall back to publishedAtDate when the review was never edited', () => {
+      delete apifyReview.lastEditedAtDate;
+      const result = reviewSchema.normalize(apifyReview, { source: 'apify' });
+      expect(result.lastEditedAtDate).toBe(apifyReview.publishedAtDate);
+    });
+
+    test('should fill missing Apify fields from the place context', () => {
+      delete apifyReview.fid;
+      delete apifyReview.cid;
+      delete apifyReview.placeId;
+      delete apifyReview.totalScore;
+      delete apifyReview.text;
+      delete apifyReview.stars;
+      delete apifyReview.likesCount;
+      delete apifyReview.responseFromOwnerText;
+      apifyReview.rating = 3;
+
+      const result = reviewSchema.normalize(apifyReview, {
+        source: 'apify',
+        place: { fid, placeId: 'ChIJ456', totalScore: 4 }
+      });
+
+      expect(result).toMatchObject({
+        fid,
+        cid,
+        placeId: 'ChIJ456',
+        totalScore: 4,
+        text: undefined,
+        stars: 3,
+        likesCount: 0,
+        responseFromOwnerText: undefined
+      });
+    });
+
+    test('should map TurboScraper reviews onto the canonical model', () => {
+      const result = reviewSchema.normalize(turboReview, { source: 'turbo', place: { fid, placeId: 'ChIJ123', totalScore: 4.5 } });
+
+      expect(result).toEqual({
+        reviewId: 'review2',
+        reviewUrl: expect.stringContaining('review2'),
+        reviewerId: '456',
+        reviewerUrl: turboReview.reviewerUrl,
+        reviewerName: 'Jane Doe',
+        text: 'Nice',
+        stars: 4,
+        likesCount: 1,
+        responseFromOwnerText: undefined,
+        publishedAtDate: '2025-01-10T00:00:00.000Z',
+        lastEditedAtDate: '2025-01-10T00:00:00.000Z',
+        placeId: 'ChIJ123',
+        cid,
+        fid,
+        totalScore: 4.5
+      });
+      expect(reviewSchema.isCanonical(result)).toBe(true);
+    });
+
+    test('should leave the fields TurboScraper and the place do not provide undefined', () => {
+      const result = reviewSchema.normalize({ reviewId: 'review3', author: 'A', response: 'Thanks' }, { source: 'turbo', place: { fid } });
+
+      expect(result).toMatchObject({
+        reviewerId: undefined,
+        reviewerUrl: undefined,
+        text: undefined,
+        stars: undefined,
+        likesCount: undefined,
+        responseFromOwnerText: 'Thanks',
+        publishedAtDate: undefined,
+        placeId: undefined,
+        totalScore: undefined,
+        cid
+      });
+      expect(reviewSchema.isCanonical(result)).toBe(false);
+    });
+
+    test('should mark relative TurboScraper dates with their precision', () => {
+      const result = reviewSchema.normalize({ ...turboReview, date: '3 weeks ago' }, { source: 'turbo', place: { fid, placeId: 'ChIJ123', totalScore: 4.5 } });
+
+      expect(result.datePrecision).toBe('week');
+      expect(result.publishedAtDate).toBe(result.lastEditedAtDate);
+    });
+
+    test('should detect the source of cached reviews', () => {
+      expect(reviewSchema.normalize(turboReview, { source: 'cache', place: { fid } }).reviewerName).toBe('Jane Doe');
+      expect(reviewSchema.normalize(apifyReview, { source: 'cache' }).reviewerName).toBe('John Doe');
+      expect(reviewSchema.normalize(apifyReview).reviewerName).toBe('John Doe');
+    });
+  });
+
+  describe('.normalizeAll()', () => {
+    test('should drop reviews that do not match the canonical model', () => {
+      const result = reviewSchema.normalizeAll([apifyReview, { reviewId: 'broken' }], { source: 'apify' });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].reviewId).toBe('review1');
+    });
+
+    test('should handle missing input', () => {
+      expect(reviewSchema.normalizeAll(undefined, { source: 'apify' })).toEqual([]);
+    });
+  });
+});
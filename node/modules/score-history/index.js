@@ -0,0 +1,266 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from '#modules/logger/index.js';
+
+/**
+ * Average of a list of numbers
+ * @param {Array<number>} values - The numbers
+ * @returns {number} - The average, 0 without numbers
+ */
+const average = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/**
+ * Round to 4 decimals, like the scores
+ * @param {number} value - The number
+ * @returns {number} - The rounded number
+ */
+const round4 = value => Number.parseFloat(value.toFixed(4));
+
+/**
+ * Per-miner score history
+ * Every scoring round appends one line per miner to an NDJSON file, and the last `maxRounds`
+ * rounds of each miner are kept in memory to compute moving averages, pass rates and trends.
+ * The file is loaded on first use and compacted to the kept rounds when it holds more, then again
+ * by the appends once it holds twice as many lines as rounds kept.
+ */
+class ScoreHistory {
+  /**
+   * @param {Object} options - The options
+   * @param {string} options.file - The NDJSON file
+   * @param {number} [options.maxRounds] - Rounds kept per miner
+   * @param {number} [options.window] - Rounds covered by the moving average, the pass rate and the trend
+   * @param {number} [options.trendThreshold] - Minimum moving average change reported as 'up' or 'down'
+   */
+  constructor({ file, maxRounds = 500, window = 10, trendThreshold = 0.01 }) {
+    this.file = file;
+    this.maxRounds = maxRounds;
+    this.window = window;
+    this.trendThreshold = trendThreshold;
+    this.miners = new Map();
+    this.lines = 0;
+    this.loading = undefined;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the history file once
+   * @returns {Promise<void>}
+   */
+  load() {
+    this.loading ||= this.read();
+    return this.loading;
+  }
+
+  /**
+   * Read the history file into memory, skipping unreadable lines
+   * @returns {Promise<void>}
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      logger.error(`[ScoreHistory] Failed to read ${this.file}: ${error.message}`);
+      return;
+    }
+
+    let lines = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      lines++;
+      try {
+        this.keep(JSON.parse(line));
+      } catch {
+        logger.warning(`[ScoreHistory] Skipping unreadable line ${lines} of ${this.file}`);
+      }
+    }
+
+    this.lines = lines;
+    if (this.countKept() < lines) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Count the rounds kept in memory, over every miner
+   * @returns {number} - The number of rounds
+   */
+  countKept() {
+    return [...this.miners.values()].reduce((total, rounds) => total + rounds.length, 0);
+  }
+
+  /**
+   * Rewrite the history file with the kept rounds only
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    const entries = [...this.miners.values()].flat().toSorted((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+    const temporaryFile = `${this.file}.tmp`;
+
+    try {
+      await fs.writeFile(temporaryFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      await fs.rename(temporaryFile, this.file);
+      this.lines = entries.length;
+    } catch (error) {
+      logger.error(`[ScoreHistory] Failed to compact ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keep an entry in memory, dropping the oldest rounds of the miner beyond maxRounds
+   * @param {Object} entry - The history entry
+   */
+  keep(entry) {
+    const uid = String(entry.minerUID);
+    const rounds = this.miners.get(uid) || [];
+
+    rounds.push(entry);
+    if (rounds.length > this.maxRounds) {
+      rounds.splice(0, rounds.length - this.maxRounds);
+    }
+
+    this.miners.set(uid, rounds);
+  }
+
+  /**
+   * Record a scoring round
+   * Never rejects, a history failure must not fail the scoring.
+   * @param {Object} round - The scoring round
+   * @param {string} round.fid - The FID of the place the miners were scored on
+   * @param {Array<Object>} round.finalScores - The final scores from calculateFinalScores()
+   * @param {string} [round.profile] - The name of the scoring profile
+   * @returns {Promise<void>}
+   */
+  async record({ fid, finalScores, profile }) {
+    await this.load();
+
+    const recordedAt = new Date().toISOString();
+    const entries = finalScores
+      .filter(result => result.minerUID !== undefined && result.minerUID !== null)
+      .map(result => ({
+        recordedAt,
+        fid,
+        profile,
+        minerUID: result.minerUID,
+        score: result.score,
+        components: result.components,
+        passedValidation: result.passedValidation,
+        validationError: result.validationError,
+        responseTime: result.responseTime,
+        count: result.count
+      }));
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    for (const entry of entries) {
+      this.keep(entry);
+    }
+
+    // Appends and compactions are chained so the lines of concurrent rounds never interleave
+    this.writing = this.writing.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        this.lines += entries.length;
+      } catch (error) {
+        logger.error(`[ScoreHistory] Failed to record round for ${fid}: ${error.message}`);
+        return;
+      }
+
+      // The rounds dropped from memory would otherwise stay in the file of a long-running validator
+      if (this.lines > 2 * this.countKept()) {
+        await this.compact();
+      }
+    });
+
+    await this.writing;
+  }
+
+  /**
+   * Summarize the rounds of a miner
+   * @param {Array<Object>} rounds - The rounds, oldest first
+   * @returns {Object} - The moving averages and pass rate over the last window rounds, and the trend against the window before
+   */
+  summarize(rounds) {
+    const recent = rounds.slice(-this.window);
+    const previous = rounds.slice(-2 * this.window, -this.window);
+    const movingAverage = average(recent.map(entry => entry.score || 0));
+    const change = previous.length > 0 ? movingAverage - average(previous.map(entry => entry.score || 0)) : 0;
+    const passed = recent.filter(entry => entry.passedValidation);
+    const last = rounds.at(-1);
+
+    let trend = 'flat';
+    if (change >= this.trendThreshold) {
+      trend = 'up';
+    } else if (change <= -this.trendThreshold) {
+      trend = 'down';
+    }
+
+    return {
+      rounds: rounds.length,
+      window: recent.length,
+      movingAverage: round4(movingAverage),
+      passRate: round4(passed.length / recent.length),
+      components: {
+        speedScore: round4(average(passed.map(entry => entry.components?.speedScore || 0))),
+        volumeScore: round4(average(passed.map(entry => entry.components?.volumeScore || 0))),
+        recencyScore: round4(average(passed.map(entry => entry.components?.recencyScore || 0)))
+      },
+      averageResponseTime: round4(average(passed.map(entry => entry.responseTime || 0))),
+      averageCount: round4(average(passed.map(entry => entry.count || 0))),
+      trend,
+      change: round4(change),
+      lastScore: last.score,
+      lastSeen: last.recordedAt,
+      lastError: rounds.findLast(entry => !entry.passedValidation)?.validationError
+    };
+  }
+
+  /**
+   * Get the history of a miner
+   * @param {string|number} uid - The miner UID
+   * @param {Object} [options] - The options
+   * @param {number} [options.limit] - The max number of rounds returned, newest first
+   * @returns {Promise<Object|undefined>} - The summary and the rounds, or undefined for an unknown miner
+   */
+  async getHistory(uid, { limit = 50 } = {}) {
+    await this.load();
+
+    const rounds = this.miners.get(String(uid));
+    if (!rounds) {
+      return;
+    }
+
+    return {
+      minerUID: rounds.at(-1).minerUID,
+      summary: this.summarize(rounds),
+      rounds: rounds.slice(-limit).toReversed()
+    };
+  }
+
+  /**
+   * Get the miners ranked by moving average
+   * @param {Object} [options] - The options
+   * @param {number} [options.limit] - The max number of miners returned
+   * @returns {Promise<Array<Object>>} - The rank, UID and summary of each miner
+   */
+  async getLeaderboard({ limit = 256 } = {}) {
+    await this.load();
+
+    return [...this.miners.values()]
+      .map(rounds => ({ minerUID: rounds.at(-1).minerUID, ...this.summarize(rounds) }))
+      .toSorted((a, b) => b.movingAverage - a.movingAverage || b.passRate - a.passRate)
+      .slice(0, limit)
+      .map((miner, index) => ({ rank: index + 1, ...miner }));
+  }
+}
+
+export default ScoreHistory;
@@ -0,0 +1,192 @@
+import fs from 'node:fs/promises';
+import logger from '#modules/logger/index.js';
+import ScoreHistory from './index.js';
+
+jest.mock('node:fs/promises', () => ({
+  readFile: jest.fn(),
+  writeFile: jest.fn(),
+  appendFile: jest.fn(),
+  rename: jest.fn(),
+  mkdir: jest.fn()
+}));
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const result = (minerUID, score, passedValidation = true) => ({
+  minerUID,
+  score,
+  components: { speedScore: score, volumeScore: score, recencyScore: score },
+  passedValidation,
+  validationError: passedValidation ? undefined : 'Failed spot check verification',
+  responseTime: 10,
+  count: passedValidation ? 100 : 0
+});
+
+const line = (minerUID, score, recordedAt = '2025-01-01T00:00:00.000Z') => JSON.stringify({ recordedAt, ...result(minerUID, score) });
+
+describe('modules/score-history', () => {
+  let history;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+    fs.writeFile.mockResolvedValue();
+    fs.appendFile.mockResolvedValue();
+    history = new ScoreHistory({ file: 'data/score-history.ndjson', maxRounds: 3, window: 2 });
+  });
+
+  describe('.load()', () => {
+    test('should start empty without a history file', async () => {
+      await history.load();
+
+      expect(history.miners.size).toBe(0);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    test('should read the history file once', async () => {
+      fs.readFile.mockResolvedValue(`${line(1, 0.5)}\n${line(2, 0.7)}\n`);
+
+      await Promise.all([history.load(), history.load()]);
+
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+      expect(fs.readFile).toHaveBeenCalledWith('data/score-history.ndjson', 'utf8');
+      expect(history.miners.get('1')).toHaveLength(1);
+      expect(history.miners.get('2')).toHaveLength(1);
+    });
+
+    test('should skip unreadable lines', async () => {
+      fs.readFile.mockResolvedValue(`${line(1, 0.5)}\n{broken\n`);
+
+      await history.load();
+
+      expect(history.miners.get('1')).toHaveLength(1);
+      expect(logger.warning).toHaveBeenCalledWith('[ScoreHistory] Skipping unreadable line 2 of data/score-history.ndjson');
+    });
+
+    test('should compact the file when it holds more rounds than kept', async () => {
+      const lines = [0.1, 0.2, 0.3, 0.4].map((score, index) => line(1, score, `2025-01-0${index + 1}T00:00:00.000Z`));
+      fs.readFile.mockResolvedValue(lines.join('\n'));
+
+      await history.load();
+
+      expect(history.miners.get('1').map(entry => entry.score)).toEqual([0.2, 0.3, 0.4]);
+      expect(fs.writeFile).toHaveBeenCalledWith('data/score-history.ndjson.tmp', `${lines.slice(1).join('\n')}\n`);
+      expect(fs.rename).toHaveBeenCalledWith('data/score-history.ndjson.tmp', 'data/score-history.ndjson');
+    });
+
+    test('should log compaction and read failures', async () => {
+      fs.readFile.mockResolvedValue([0.1, 0.2, 0.3, 0.4].map(score => line(1, score)).join('\n'));
+      fs.writeFile.mockRejectedValue(new Error('disk full'));
+      await history.load();
+      expect(logger.error).toHaveBeenCalledWith('[ScoreHistory] Failed to compact data/score-history.ndjson: disk full');
+
+      const unreadable = new ScoreHistory({ file: 'data/score-history.ndjson' });
+      fs.readFile.mockRejectedValue(new Error('permission denied'));
+      await unreadable.load();
+      expect(logger.error).toHaveBeenCalledWith('[ScoreHistory] Failed to read data/score-history.ndjson: permission denied');
+    });
+  });
+
+  describe('.record()', () => {
+    test('should append one line per miner', async () => {
+      await history.record({ fid: 'fid', finalScores: [result(1, 0.8), result(undefined, 0.5)], profile: 'default' });
+
+      expect(fs.mkdir).toHaveBeenCalledWith('data', { recursive: true });
+      const [file, content] = fs.appendFile.mock.calls[0];
+      expect(file).toBe('data/score-history.ndjson');
+      expect(content.trim().split('\n').map(entry => JSON.parse(entry))).toEqual([{
+        recordedAt: expect.any(String),
+        fid: 'fid',
+        profile: 'default',
+        ...result(1, 0.8)
+      }]);
+      expect(history.miners.get('1')).toHaveLength(1);
+    });
+
+    test('should compact the file once it holds twice the rounds kept', async () => {
+      for (const score of [0.1, 0.2, 0.3, 0.4, 0.5, 0.6]) {
+        await history.record({ fid: 'fid', finalScores: [result(1, score)] });
+      }
+      expect(fs.writeFile).not.toHaveBeenCalled();
+
+      await history.record({ fid: 'fid', finalScores: [result(1, 0.7)] });
+
+      const [, content] = fs.writeFile.mock.calls[0];
+      expect(content.trim().split('\n').map(entry => JSON.parse(entry).score)).toEqual([0.5, 0.6, 0.7]);
+      expect(fs.rename).toHaveBeenCalledWith('data/score-history.ndjson.tmp', 'data/score-history.ndjson');
+      expect(history.lines).toBe(3);
+    });
+
+    test('should not write rounds without miner UIDs', async () => {
+      await history.record({ fid: 'fid', finalScores: [result(undefined, 0.5)] });
+
+      expect(fs.appendFile).not.toHaveBeenCalled();
+    });
+
+    test('should log write failures without rejecting', async () => {
+      fs.appendFile.mockRejectedValue(new Error('disk full'));
+
+      await history.record({ fid: 'fid', finalScores: [result(1, 0.8)] });
+
+      expect(logger.error).toHaveBeenCalledWith('[ScoreHistory] Failed to record round for fid: disk full');
+      expect(history.miners.get('1')).toHaveLength(1);
+    });
+  });
+
+  describe('.getHistory()', () => {
+    test('should return undefined for an unknown miner', async () => {
+      expect(await history.getHistory(42)).toBeUndefined();
+    });
+
+    test('should summarize the rounds and return them newest first', async () => {
+      for (const score of [0.2, 0.4, 0.6]) {
+        await history.record({ fid: 'fid', finalScores: [result(1, score)] });
+      }
+      await history.record({ fid: 'fid', finalScores: [result(1, 0, false)] });
+
+      const { minerUID, summary, rounds } = await history.getHistory('1', { limit: 2 });
+
+      expect(minerUID).toBe(1);
+      expect(rounds.map(entry => entry.score)).toEqual([0, 0.6]);
+      expect(summary).toEqual({
+        rounds: 3,
+        window: 2,
+        movingAverage: 0.3,
+        passRate: 0.5,
+        components: { speedScore: 0.6, volumeScore: 0.6, recencyScore: 0.6 },
+        averageResponseTime: 10,
+        averageCount: 100,
+        trend: 'down', // Against 0.4, the first of the 3 kept rounds
+        change: -0.1,
+        lastScore: 0,
+        lastSeen: expect.any(String),
+        lastError: 'Failed spot check verification'
+      });
+    });
+  });
+
+  describe('.summarize()', () => {
+    test('should report the trend against the previous window', () => {
+      const rounds = [0.2, 0.2, 0.6, 0.8].map(score => ({ recordedAt: 'now', ...result(1, score) }));
+
+      expect(history.summarize(rounds)).toEqual(expect.objectContaining({ movingAverage: 0.7, trend: 'up', change: 0.5 }));
+      expect(history.summarize(rounds.toReversed())).toEqual(expect.objectContaining({ trend: 'down', change: -0.5 }));
+    });
+  });
+
+  describe('.getLeaderboard()', () => {
+    test('should rank the miners by moving average', async () => {
+      await history.record({ fid: 'fid', finalScores: [result(1, 0.4), result(2, 0.9), result(3, 0.4, false)] });
+
+      const leaderboard = await history.getLeaderboard({ limit: 2 });
+
+      expect(leaderboard.map(({ rank, minerUID }) => ({ rank, minerUID }))).toEqual([
+        { rank: 1, minerUID: 2 },
+        { rank: 2, minerUID: 1 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import abort from '#modules/abort/index.js';
+
+/**
+ * Single-flight request coalescing
+ * Concurrent calls with the same key share one in-flight execution and receive the same result.
+ * Each caller can bound its own wait with a timeout, or stop waiting with an abort signal,
+ * without cancelling the shared execution for the others. The shared execution is only aborted
+ * once every caller waiting for it has been aborted.
+ */
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+    this.stats = {
+      calls: 0,
+      executions: 0,
+      coalesced: 0,
+      timeouts: 0,
+      aborted: 0
+    };
+  }
+
+  /**
+   * Run a function once per key at a time
+   * @param {string} key - The key identifying the work
+   * @param {Function} function_ - async (signal) => any, started only if no call for the key is in flight
+   * @param {Object} [options] - The options
+   * @param {number} [options.timeout] - The max time this caller waits in milliseconds
+   * @param {AbortSignal} [options.signal] - Stops this caller waiting once aborted
+   * @returns {Promise<any>} - The shared result
+   */
+  run(key, function_, { timeout, signal } = {}) {
+    this.stats.calls++;
+
+    let flight = this.inFlight.get(key);
+    if (flight) {
+      this.stats.coalesced++;
+    } else {
+      this.stats.executions++;
+      const controller = new AbortController();
+      flight = {
+        controller,
+        waiters: 0,
+        promise: (async () => function_(controller.signal))().finally(() => this.inFlight.delete(key))
+      };
+      this.inFlight.set(key, flight);
+    }
+
+    return this.follow(flight, { timeout, signal });
+  }
+
+  /**
+   * Wait for an in-flight execution on behalf of one caller
+   * @param {Object} flight - The in-flight execution
+   * @param {Object} options - The timeout and signal of the caller
+   * @returns {Promise<any>} - The shared result
+   */
+  async follow(flight, { timeout, signal }) {
+    flight.waiters++;
+
+    try {
+      const shared = timeout ? this.wait(flight.promise, timeout) : flight.promise;
+      return await abort.race(shared, signal);
+    } catch (error) {
+      if (signal?.aborted) {
+        this.stats.aborted++;
+        if (flight.waiters === 1) {
+          flight.controller.abort(signal.reason);
+        }
+      }
+
+      throw error;
+    } finally {
+      flight.waiters--;
+    }
+  }
+
+  /**
+   * Wait for a shared result for at most timeout milliseconds
+   * @param {Promise<any>} shared - The shared result
+   * @param {number} timeout - The max wait in milliseconds
+   * @returns {Promise<any>} - The shared result
+   */
+  async wait(shared, timeout) {
+    let timer;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        this.stats.timeouts++;
+        reject(new Error(`Timed out after ${timeout}ms waiting for the in-flight request`));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([shared, deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get coalescing statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      inFlight: this.inFlight.size
+    };
+  }
+}
+
+export default SingleFlight;
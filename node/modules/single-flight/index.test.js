@@ -0,0 +1,110 @@
+import SingleFlight from './index.js';
+
+describe('modules/single-flight', () => {
+  let singleFlight;
+  let resolve;
+  let function_;
+
+  beforeEach(() => {
+    singleFlight = new SingleFlight();
+    function_ = jest.fn(() => new Promise(r => {
+      resolve = r;
+    }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should share one execution between concurrent callers', async () => {
+    const first = singleFlight.run('key', function_);
+    const second = singleFlight.run('key', function_);
+    resolve('result');
+
+    expect(await first).toBe('result');
+    expect(await second).toBe('result');
+    expect(function_).toHaveBeenCalledTimes(1);
+    expect(singleFlight.getStats()).toEqual({ calls: 2, executions: 1, coalesced: 1, timeouts: 0, aborted: 0, inFlight: 0 });
+  });
+
+  test('should run separately for different keys', async () => {
+    const first = singleFlight.run('a', jest.fn().mockResolvedValue('a'));
+    const second = singleFlight.run('b', jest.fn().mockResolvedValue('b'));
+
+    expect(await first).toBe('a');
+    expect(await second).toBe('b');
+  });
+
+  test('should run again once the previous execution settled', async () => {
+    const first = singleFlight.run('key', function_);
+    resolve('first');
+    await first;
+
+    const second = singleFlight.run('key', function_);
+    resolve('second');
+
+    expect(await second).toBe('second');
+    expect(function_).toHaveBeenCalledTimes(2);
+  });
+
+  test('should share failures and forget them', async () => {
+    const failing = jest.fn(() => {
+      throw new Error('Apify down');
+    });
+
+    const first = singleFlight.run('key', failing);
+    const second = singleFlight.run('key', failing);
+
+    await expect(first).rejects.toThrow('Apify down');
+    await expect(second).rejects.toThrow('Apify down');
+    expect(failing).toHaveBeenCalledTimes(1);
+    expect(singleFlight.inFlight.size).toBe(0);
+  });
+
+  test('should time out a caller without affecting the others', async () => {
+    jest.useFakeTimers();
+    const impatient = singleFlight.run('key', function_, { timeout: 1000 });
+    const patient = singleFlight.run('key', function_, { timeout: 5000 });
+    impatient.catch(() => {});
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(impatient).rejects.toThrow('Timed out after 1000ms waiting for the in-flight request');
+
+    resolve('result');
+    expect(await patient).toBe('result');
+    expect(singleFlight.getStats().timeouts).toBe(1);
+  });
+
+  test('should keep the shared execution running while another caller waits', async () => {
+    const controller = new AbortController();
+    const leaving = singleFlight.run('key', function_, { signal: controller.signal });
+    const staying = singleFlight.run('key', function_);
+
+    controller.abort(new Error('Client disconnected'));
+    await expect(leaving).rejects.toThrow('Client disconnected');
+
+    const [signal] = function_.mock.calls[0];
+    expect(signal.aborted).toBe(false);
+    resolve('result');
+    expect(await staying).toBe('result');
+  });
+
+  test('should abort the shared execution once every caller left', async () => {
+    const first = new AbortController();
+    const second = new AbortController();
+    const calls = [
+      singleFlight.run('key', function_, { signal: first.signal }),
+      singleFlight.run('key', function_, { signal: second.signal })
+    ];
+    const [signal] = function_.mock.calls[0];
+
+    first.abort(new Error('Client disconnected'));
+    await expect(calls[0]).rejects.toThrow('Client disconnected');
+    second.abort(new Error('Client disconnected'));
+    await expect(calls[1]).rejects.toThrow('Client disconnected');
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.message).toBe('Client disconnected');
+    expect(singleFlight.getStats().aborted).toBe(2);
+  });
+});
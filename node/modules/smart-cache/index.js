@@ -1,41 +1,138 @@
-import Redis from 'ioredis';
 import logger from '../logger/index.js';
-import time from '../time/index.js';
+import RedisBackend from './redis-backend.js';
+import MemoryBackend from './memory-backend.js';
+import metrics from '../metrics/index.js';
+import { getRegistry } from '../place-registry/index.js';
+
+const lookups = metrics.counter('smart_cache_lookups_total', 'SmartCache lookups by result (hit, stale or miss)', ['result']);
 
 /**
  * Smart Caching System with Predictive Pre-loading
  * Optimized for Google Maps reviews with recency tracking
+ *
+ * Storage is pluggable:
+ * - 'redis': Redis only
+ * - 'memory': bounded in-process LRU only
+ * - 'auto': Redis, switching to the in-process LRU as soon as Redis is unreachable and back to Redis
+ *   once it answers again, retried with an exponential backoff
+ *
+ * Entries are fresh for maxAge seconds but stay stored until their TTL expires.
+ * With staleWhileRevalidate, stale entries are served immediately while one background
+ * refresh per key brings them up to date.
  */
 class SmartCache {
   constructor(options = {}) {
-    this.redis = new Redis({
-      host: options.host || 'localhost',
-      port: options.port || 6379,
-      retryDelayOnFailover: 100,
-      maxRetriesPerRequest: 3,
-      lazyConnect: true
-    });
+    this.backendMode = options.backend || 'auto';
+    this.memoryOptions = { maxEntries: options.maxEntries };
+    this.redisOptions = { host: options.host, port: options.port };
+    this.backend = this.backendMode === 'memory'
+      ? new MemoryBackend(this.memoryOptions)
+      : new RedisBackend(this.redisOptions);
+
+    // Seconds before trying Redis again after falling back, doubled after each failed attempt
+    this.reconnectDelay = options.reconnectDelay || 5;
+    this.maxReconnectDelay = options.maxReconnectDelay || 300;
+    // While on the fallback: the current delay and when to try Redis again
+    this.fallback = undefined;
+    this.reconnecting = undefined;
 
     this.defaultTTL = options.ttl || 3600; // 1 hour default
     this.shortTTL = options.shortTTL || 600; // 10 minutes for hot data
     this.longTTL = options.longTTL || 7200; // 2 hours for cold data
+    this.maxAge = options.maxAge || 300; // 5 minutes for reviews
+    this.staleWhileRevalidate = options.staleWhileRevalidate || false;
+
+    // In-flight background refreshes by key
+    this.refreshing = new Map();
     
     // Track cache performance
     this.stats = {
       hits: 0,
+      staleHits: 0,
       misses: 0,
       prefetches: 0,
+      revalidations: 0,
       evictions: 0
     };
 
-    logger.info('[SmartCache] Initialized with Redis caching');
+    logger.info(`[SmartCache] Initialized with ${this.backend.name} caching (mode: ${this.backendMode})`);
+  }
+
+  /**
+   * Run a storage command, falling back to the in-memory backend in 'auto' mode
+   * when Redis cannot be reached
+   * On the fallback, a command due for a reconnection attempt starts it in the background.
+   */
+  async command(method, ...arguments_) {
+    if (this.fallback && Date.now() >= this.fallback.retryAt) {
+      this.reconnect();
+    }
+
+    try {
+      return await this.backend[method](...arguments_);
+    } catch (error) {
+      if (this.backendMode !== 'auto' || this.backend instanceof MemoryBackend) {
+        throw error;
+      }
+
+      logger.warning(`[SmartCache] Redis unavailable (${error.message}), falling back to in-memory LRU cache for ${this.reconnectDelay}s`);
+      this.backend.disconnect();
+      this.backend = new MemoryBackend(this.memoryOptions);
+      this.fallback = { delay: this.reconnectDelay, retryAt: Date.now() + (this.reconnectDelay * 1000) };
+      return await this.backend[method](...arguments_);
+    }
+  }
+
+  /**
+   * Try to switch back to Redis, one attempt at a time
+   * The entries of the in-memory LRU are dropped, Redis still holds those stored before the fallback.
+   * @returns {Promise<boolean>} - True once back on Redis
+   */
+  reconnect() {
+    this.reconnecting ||= this.tryRedis().finally(() => {
+      this.reconnecting = undefined;
+    });
+    return this.reconnecting;
+  }
+
+  /**
+   * Ping a new Redis connection and use it if it answers, otherwise double the delay before the next attempt
+   * @returns {Promise<boolean>} - True if Redis answered
+   */
+  async tryRedis() {
+    const redis = new RedisBackend(this.redisOptions);
+    try {
+      await redis.ping();
+    } catch (error) {
+      redis.disconnect();
+      const delay = Math.min(this.fallback.delay * 2, this.maxReconnectDelay);
+      this.fallback = { delay, retryAt: Date.now() + (delay * 1000) };
+      logger.warning(`[SmartCache] Redis still unavailable (${error.message}), next attempt in ${delay}s`);
+      return false;
+    }
+
+    const memory = this.backend;
+    this.backend = redis;
+    this.fallback = undefined;
+    await memory.close();
+    logger.info('[SmartCache] Redis reachable again, switched back from the in-memory LRU cache');
+    return true;
+  }
+
+  /**
+   * Check the storage backend is reachable
+   * In 'auto' mode this settles on the backend that will be used.
+   */
+  async initialize() {
+    await this.command('ping');
+    logger.info(`[SmartCache] Using ${this.backend.name} backend`);
   }
 
   /**
    * Generate cache key for FID + parameters
    */
-  generateKey(fid, params = {}) {
-    const { language = 'en', sort = 'newest' } = params;
+  generateKey(fid, parameters = {}) {
+    const { language = 'en', sort = 'newest' } = parameters;
     return `reviews:${fid}:${language}:${sort}`;
   }
 
@@ -51,7 +148,7 @@ class SmartCache {
    */
   async isFresh(key, maxAge = 600) { // 10 minutes default
     try {
-      const meta = await this.redis.get(this.generateMetaKey(key));
+      const meta = await this.command('get', this.generateMetaKey(key));
       if (!meta) return false;
 
       const metadata = JSON.parse(meta);
@@ -65,41 +162,103 @@ class SmartCache {
   }
 
   /**
-   * Get reviews from cache with freshness check
+   * Get a cache entry with its age in seconds
+   * Fresh entries are always returned. Stale entries are only returned in stale-while-revalidate
+   * mode when a refresh function is given, which is then run in the background.
+   * @param {string} fid - The FID of the place
+   * @param {Object} [parameters] - The language and sort of the reviews
+   * @param {Object} [options] - The options
+   * @param {Function} [options.refresh] - async () => Array<Object>, fetches up-to-date reviews
+   * @returns {Promise<{reviews: Array<Object>, age: number, stale: boolean}|undefined>} - The entry, or undefined on a miss
    */
-  async getReviews(fid, params = {}) {
-    const key = this.generateKey(fid, params);
-    
+  async getEntry(fid, parameters = {}, { refresh } = {}) {
+    const key = this.generateKey(fid, parameters);
+
     try {
-      // Check if data exists and is fresh
-      const [data, isFresh] = await Promise.all([
-        this.redis.get(key),
-        this.isFresh(key, 300) // 5 minutes for reviews
+      const [data, meta] = await Promise.all([
+        this.command('get', key),
+        this.command('get', this.generateMetaKey(key))
       ]);
 
-      if (data && isFresh) {
-        this.stats.hits++;
+      if (data && meta) {
+        const age = (Date.now() - JSON.parse(meta).timestamp) / 1000;
         const reviews = JSON.parse(data);
-        logger.info(`[SmartCache] Cache HIT for ${fid} - ${reviews.length} reviews`);
-        return reviews;
+
+        if (age < this.maxAge) {
+          this.stats.hits++;
+          lookups.inc({ result: 'hit' });
+          logger.info(`[SmartCache] Cache HIT for ${fid} - ${reviews.length} reviews`);
+          return { reviews, age: Math.round(age), stale: false };
+        }
+
+        if (this.staleWhileRevalidate && refresh) {
+          this.stats.staleHits++;
+          lookups.inc({ result: 'stale' });
+          logger.info(`[SmartCache] Cache STALE HIT for ${fid} - ${reviews.length} reviews, ${Math.round(age)}s old`);
+          this.revalidate(fid, parameters, refresh);
+          return { reviews, age: Math.round(age), stale: true };
+        }
       }
 
       this.stats.misses++;
+      lookups.inc({ result: 'miss' });
       logger.info(`[SmartCache] Cache MISS for ${fid}`);
-      return null;
+      return;
 
     } catch (error) {
       logger.error('[SmartCache] Error getting cached reviews:', error);
       this.stats.misses++;
-      return null;
+      lookups.inc({ result: 'miss' });
+      return;
     }
   }
 
+  /**
+   * Get fresh reviews from cache
+   * @returns {Promise<Array<Object>|undefined>} - The reviews, or undefined on a miss
+   */
+  async getReviews(fid, parameters = {}) {
+    const entry = await this.getEntry(fid, parameters);
+    return entry?.reviews;
+  }
+
+  /**
+   * Refresh an entry in the background
+   * Concurrent refreshes of the same key share one call to refresh.
+   * @param {string} fid - The FID of the place
+   * @param {Object} parameters - The language and sort of the reviews
+   * @param {Function} refresh - async () => Array<Object>, fetches up-to-date reviews
+   * @returns {Promise<void>} - Settles once the refresh is done, never rejects
+   */
+  revalidate(fid, parameters, refresh) {
+    const key = this.generateKey(fid, parameters);
+
+    if (!this.refreshing.has(key)) {
+      const refreshing = (async () => {
+        try {
+          const reviews = await refresh();
+          if (reviews && reviews.length > 0) {
+            await this.storeReviews(fid, reviews, parameters);
+            this.stats.revalidations++;
+          }
+        } catch (error) {
+          logger.error(`[SmartCache] Background refresh failed for ${fid}:`, error);
+        } finally {
+          this.refreshing.delete(key);
+        }
+      })();
+
+      this.refreshing.set(key, refreshing);
+    }
+
+    return this.refreshing.get(key);
+  }
+
   /**
    * Store reviews in cache with metadata
    */
-  async storeReviews(fid, reviews, params = {}) {
-    const key = this.generateKey(fid, params);
+  async storeReviews(fid, reviews, parameters = {}) {
+    const key = this.generateKey(fid, parameters);
     const metaKey = this.generateMetaKey(key);
     
     try {
@@ -107,7 +266,7 @@ class SmartCache {
       const ttl = this.calculateOptimalTTL(reviews);
       
       // Store reviews
-      await this.redis.setex(key, ttl, JSON.stringify(reviews));
+      await this.command('setex', key, ttl, JSON.stringify(reviews));
       
       // Store metadata
       const metadata = {
@@ -116,7 +275,7 @@ class SmartCache {
         mostRecentReview: this.getMostRecentDate(reviews),
         ttl: ttl
       };
-      await this.redis.setex(metaKey, ttl, JSON.stringify(metadata));
+      await this.command('setex', metaKey, ttl, JSON.stringify(metadata));
 
       logger.info(`[SmartCache] Stored ${reviews.length} reviews for ${fid} (TTL: ${ttl}s)`);
       
@@ -149,8 +308,8 @@ class SmartCache {
     if (!reviews || reviews.length === 0) return new Date(0);
     
     const dates = reviews
-      .map(r => new Date(r.date))
-      .filter(d => !isNaN(d.getTime()))
+      .map(r => new Date(r.publishedAtDate ?? r.date))
+      .filter(d => !Number.isNaN(d.getTime()))
       .sort((a, b) => b - a);
     
     return dates[0] || new Date(0);
@@ -186,8 +345,8 @@ class SmartCache {
 
     // Execute prefetches in batches to avoid overwhelming
     const batchSize = 5;
-    for (let i = 0; i < prefetchTasks.length; i += batchSize) {
-      const batch = prefetchTasks.slice(i, i + batchSize);
+    for (let index = 0; index < prefetchTasks.length; index += batchSize) {
+      const batch = prefetchTasks.slice(index, index + batchSize);
       await Promise.allSettled(batch);
       
       // Brief pause between batches
@@ -206,25 +365,32 @@ class SmartCache {
     return {
       ...this.stats,
       hitRate: hitRate.toFixed(2) + '%',
-      totalRequests: this.stats.hits + this.stats.misses
+      totalRequests: this.stats.hits + this.stats.misses,
+      storage: this.backend.getStats()
     };
   }
 
   /**
    * Warm up cache with high-probability FIDs
+   * The predicted searches are resolved to FIDs through the place registry, which runs a
+   * TurboScraper search only for the searches it does not know a place for.
+   * @param {FIDPredictor} fidPredictor - The search predictor
+   * @param {TurboScraper} scraper - The scraper
+   * @param {number} [limit] - The number of predicted searches
+   * @param {PlaceRegistry} [registry] - The place registry, the shared one by default
    */
-  async warmUp(fidPredictor, scraper, limit = 100) {
+  async warmUp(fidPredictor, scraper, limit = 100, registry = getRegistry()) {
     logger.info(`[SmartCache] Warming up cache with top ${limit} FIDs`);
-    
+
     const topCombinations = fidPredictor.getTopCombinations(limit);
-    
-    // Convert combinations to FIDs (this would need the actual search logic)
-    // For now, we'll simulate with the query strings
-    const fids = topCombinations.map(combo => combo.hash); // Placeholder
-    
+    const results = await Promise.allSettled(topCombinations.map(combo => registry.discover(combo, query => scraper.extractFIDFromSearch(query))));
+    const fids = [...new Set(results
+      .filter(result => result.status === 'fulfilled' && result.value)
+      .map(result => result.value))];
+
     await this.prefetchReviews(fids, scraper);
-    
-    logger.info('[SmartCache] Cache warm-up completed');
+
+    logger.info(`[SmartCache] Cache warm-up completed with ${fids.length} FIDs`);
   }
 
   /**
@@ -232,8 +398,7 @@ class SmartCache {
    */
   async cleanup() {
     try {
-      // Redis handles TTL automatically, but we can track evictions
-      const info = await this.redis.info('memory');
+      await this.command('cleanup');
       logger.info('[SmartCache] Memory cleanup performed');
       
     } catch (error) {
@@ -242,11 +407,11 @@ class SmartCache {
   }
 
   /**
-   * Close Redis connection
+   * Close the storage backend
    */
   async close() {
-    await this.redis.quit();
-    logger.info('[SmartCache] Redis connection closed');
+    await this.backend.close();
+    logger.info(`[SmartCache] ${this.backend.name} backend closed`);
   }
 }
 
@@ -0,0 +1,297 @@
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('./redis-backend.js', () => {
+  const RedisBackend = jest.fn(function () {
+    this.name = 'redis';
+  });
+  RedisBackend.prototype.get = jest.fn();
+  RedisBackend.prototype.setex = jest.fn();
+  RedisBackend.prototype.ping = jest.fn();
+  RedisBackend.prototype.cleanup = jest.fn();
+  RedisBackend.prototype.getStats = jest.fn(() => ({ backend: 'redis' }));
+  RedisBackend.prototype.close = jest.fn();
+  RedisBackend.prototype.disconnect = jest.fn();
+  return RedisBackend;
+});
+
+import logger from '#modules/logger/index.js';
+import RedisBackend from './redis-backend.js';
+import MemoryBackend from './memory-backend.js';
+import SmartCache from './index.js';
+import metrics from '#modules/metrics/index.js';
+
+describe('modules/smart-cache', () => {
+  const reviews = [{ reviewId: '1', publishedAtDate: '2024-01-01T00:00:00.000Z' }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('backend selection', () => {
+    test('should use Redis with fallback by default', () => {
+      const cache = new SmartCache({ host: 'redis', port: 6380 });
+
+      expect(cache.backendMode).toBe('auto');
+      expect(cache.backend).toBeInstanceOf(RedisBackend);
+      expect(RedisBackend).toHaveBeenCalledWith({ host: 'redis', port: 6380 });
+    });
+
+    test('should use the in-memory backend', () => {
+      const cache = new SmartCache({ backend: 'memory', maxEntries: 10 });
+
+      expect(cache.backend).toBeInstanceOf(MemoryBackend);
+      expect(cache.backend.maxEntries).toBe(10);
+      expect(RedisBackend).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('.command()', () => {
+    test('should fall back to the in-memory backend when Redis is unreachable in auto mode', async () => {
+      RedisBackend.prototype.ping.mockRejectedValue(new Error('ECONNREFUSED'));
+      const cache = new SmartCache({ maxEntries: 10 });
+
+      await cache.initialize();
+
+      expect(RedisBackend.prototype.disconnect).toHaveBeenCalled();
+      expect(cache.backend).toBeInstanceOf(MemoryBackend);
+      expect(cache.backend.maxEntries).toBe(10);
+      expect(logger.warning).toHaveBeenCalledWith(expect.stringContaining('ECONNREFUSED'));
+    });
+
+    test('should keep using Redis while it is reachable', async () => {
+      RedisBackend.prototype.ping.mockResolvedValue('PONG');
+      const cache = new SmartCache();
+
+      await cache.initialize();
+
+      expect(cache.backend).toBeInstanceOf(RedisBackend);
+    });
+
+    test('should switch back to Redis once it answers again', async () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+      RedisBackend.prototype.ping.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+      const cache = new SmartCache({ reconnectDelay: 5 });
+      await cache.initialize();
+
+      // Not retried before the delay
+      await cache.command('get', 'key');
+      expect(cache.reconnecting).toBeUndefined();
+
+      jest.advanceTimersByTime(5000);
+      RedisBackend.prototype.ping.mockResolvedValue('PONG');
+      RedisBackend.prototype.get.mockResolvedValue('value');
+      const lookup = cache.command('get', 'key');
+      expect(await cache.reconnecting).toBe(true);
+      await lookup;
+
+      expect(cache.backend).toBeInstanceOf(RedisBackend);
+      expect(cache.fallback).toBeUndefined();
+      expect(await cache.command('get', 'key')).toBe('value');
+      jest.useRealTimers();
+    });
+
+    test('should back off while Redis stays unreachable', async () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+      RedisBackend.prototype.ping.mockRejectedValue(new Error('ECONNREFUSED'));
+      const cache = new SmartCache({ reconnectDelay: 5, maxReconnectDelay: 15 });
+      await cache.initialize();
+
+      for (const delay of [10, 15, 15]) {
+        jest.advanceTimersByTime(cache.fallback.delay * 1000);
+        const lookup = cache.command('get', 'key');
+        expect(await cache.reconnecting).toBe(false);
+        await lookup;
+        expect(cache.fallback.delay).toBe(delay);
+      }
+
+      expect(cache.backend).toBeInstanceOf(MemoryBackend);
+      expect(RedisBackend.prototype.disconnect).toHaveBeenCalledTimes(4);
+      jest.useRealTimers();
+    });
+
+    test('should not fall back in redis mode', async () => {
+      RedisBackend.prototype.ping.mockRejectedValue(new Error('ECONNREFUSED'));
+      const cache = new SmartCache({ backend: 'redis' });
+
+      await expect(cache.initialize()).rejects.toThrow('ECONNREFUSED');
+      expect(cache.backend).toBeInstanceOf(RedisBackend);
+    });
+
+    test('should rethrow in-memory backend errors', async () => {
+      const cache = new SmartCache({ backend: 'memory' });
+      jest.spyOn(cache.backend, 'get').mockRejectedValue(new Error('boom'));
+
+      await expect(cache.command('get', 'key')).rejects.toThrow('boom');
+    });
+  });
+
+  describe('.getReviews()', () => {
+    test('should serve reviews stored after falling back', async () => {
+      RedisBackend.prototype.setex.mockRejectedValue(new Error('ECONNREFUSED'));
+      const cache = new SmartCache();
+
+      await cache.storeReviews('fid', reviews, { language: 'en', sort: 'newest' });
+
+      expect(await cache.getReviews('fid', { language: 'en', sort: 'newest' })).toEqual(reviews);
+      expect(cache.getStats()).toEqual(expect.objectContaining({
+        hits: 1,
+        storage: expect.objectContaining({ backend: 'memory', size: 2 })
+      }));
+    });
+  });
+
+  describe('.getEntry()', () => {
+    let cache;
+
+    beforeEach(async () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+      cache = new SmartCache({ backend: 'memory', maxAge: 300, staleWhileRevalidate: true });
+      await cache.storeReviews('fid', reviews);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should return fresh entries with their age', async () => {
+      jest.advanceTimersByTime(60_000);
+
+      expect(await cache.getEntry('fid')).toEqual({ reviews, age: 60, stale: false });
+      expect(cache.stats.hits).toBe(1);
+    });
+
+    test('should miss stale entries without a refresh function', async () => {
+      jest.advanceTimersByTime(600_000);
+
+      expect(await cache.getEntry('fid')).toBeUndefined();
+      expect(await cache.getReviews('fid')).toBeUndefined();
+      expect(cache.stats.misses).toBe(2);
+    });
+
+    test('should miss stale entries when stale-while-revalidate is off', async () => {
+      cache.staleWhileRevalidate = false;
+      jest.advanceTimersByTime(600_000);
+
+      expect(await cache.getEntry('fid', {}, { refresh: jest.fn() })).toBeUndefined();
+    });
+
+    test('should serve stale entries and refresh them in the background', async () => {
+      const refreshed = [{ reviewId: '2', publishedAtDate: '2025-01-01T00:00:00.000Z' }];
+      const refresh = jest.fn().mockResolvedValue(refreshed);
+      jest.advanceTimersByTime(600_000);
+
+      expect(await cache.getEntry('fid', {}, { refresh })).toEqual({ reviews, age: 600, stale: true });
+      await cache.refreshing.get(cache.generateKey('fid'));
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(await cache.getEntry('fid')).toEqual({ reviews: refreshed, age: 0, stale: false });
+      expect(cache.stats).toEqual(expect.objectContaining({ staleHits: 1, revalidations: 1 }));
+      expect(cache.refreshing.size).toBe(0);
+    });
+
+    test('should miss on storage errors', async () => {
+      jest.spyOn(cache.backend, 'get').mockRejectedValue(new Error('boom'));
+
+      expect(await cache.getEntry('fid')).toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith('[SmartCache] Error getting cached reviews:', expect.any(Error));
+    });
+
+    test('should export lookups by result', async () => {
+      metrics.reset();
+
+      await cache.getEntry('fid');
+      await cache.getEntry('unknown');
+      jest.advanceTimersByTime(600_000);
+      await cache.getEntry('fid', {}, { refresh: jest.fn().mockResolvedValue(reviews) });
+      await cache.refreshing.get(cache.generateKey('fid'));
+
+      const rendered = metrics.render();
+      expect(rendered).toContain('smart_cache_lookups_total{result="hit"} 1');
+      expect(rendered).toContain('smart_cache_lookups_total{result="miss"} 1');
+      expect(rendered).toContain('smart_cache_lookups_total{result="stale"} 1');
+    });
+  });
+
+  describe('.revalidate()', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new SmartCache({ backend: 'memory' });
+    });
+
+    test('should share one refresh between concurrent callers', async () => {
+      let resolve;
+      const refresh = jest.fn(() => new Promise(r => {
+        resolve = r;
+      }));
+
+      const first = cache.revalidate('fid', {}, refresh);
+      const second = cache.revalidate('fid', {}, refresh);
+      resolve(reviews);
+      await Promise.all([first, second]);
+
+      expect(first).toBe(second);
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(await cache.getReviews('fid')).toEqual(reviews);
+    });
+
+    test('should keep the entry when the refresh returns no reviews', async () => {
+      await cache.revalidate('fid', {}, jest.fn().mockResolvedValue([]));
+
+      expect(cache.stats.revalidations).toBe(0);
+    });
+
+    test('should log failed refreshes', async () => {
+      await cache.revalidate('fid', {}, jest.fn().mockRejectedValue(new Error('Scrape timeout')));
+
+      expect(logger.error).toHaveBeenCalledWith('[SmartCache] Background refresh failed for fid:', expect.any(Error));
+      expect(cache.refreshing.size).toBe(0);
+    });
+  });
+
+  describe('.warmUp()', () => {
+    test('should prefetch the FIDs the registry resolves the top searches to', async () => {
+      const cache = new SmartCache({ backend: 'memory' });
+      const combinations = [{ query: 'cafe in Austin, Texas' }, { query: 'bar in Austin, Texas' }, { query: 'gym in Austin, Texas' }];
+      const fidPredictor = { getTopCombinations: jest.fn().mockReturnValue(combinations) };
+      const scraper = { extractFIDFromSearch: jest.fn().mockResolvedValue('0x1:0x2') };
+      const registry = {
+        discover: jest.fn()
+          .mockResolvedValueOnce('0x1:0x2')
+          .mockImplementationOnce((combo, search) => search(combo.query))
+          .mockRejectedValueOnce(new Error('Search failed'))
+      };
+      jest.spyOn(cache, 'prefetchReviews').mockResolvedValue();
+
+      await cache.warmUp(fidPredictor, scraper, 3, registry);
+
+      expect(fidPredictor.getTopCombinations).toHaveBeenCalledWith(3);
+      expect(scraper.extractFIDFromSearch).toHaveBeenCalledWith('bar in Austin, Texas');
+      expect(cache.prefetchReviews).toHaveBeenCalledWith(['0x1:0x2'], scraper);
+    });
+  });
+
+  describe('.cleanup()', () => {
+    test('should clean up the backend', async () => {
+      const cache = new SmartCache({ backend: 'memory' });
+      const cleanup = jest.spyOn(cache.backend, 'cleanup');
+
+      await cache.cleanup();
+
+      expect(cleanup).toHaveBeenCalled();
+    });
+  });
+
+  describe('.close()', () => {
+    test('should close the backend', async () => {
+      const cache = new SmartCache();
+
+      await cache.close();
+
+      expect(RedisBackend.prototype.close).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Bounded in-process LRU storage backend for SmartCache
+ * Mirrors the subset of the Redis API SmartCache uses (get/setex) with the same TTL semantics:
+ * entries expire after their TTL and missing or expired keys read as empty.
+ */
+class MemoryBackend {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * Get a value, refreshing its position in the LRU order
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Set a value with a TTL in seconds, evicting the least recently used entries when full
+   */
+  async setex(key, ttl, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + (ttl * 1000) });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+
+    return 'OK';
+  }
+
+  /**
+   * Check the backend is reachable
+   */
+  async ping() {
+    return 'PONG';
+  }
+
+  /**
+   * Remove expired entries
+   */
+  async cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get backend statistics
+   */
+  getStats() {
+    return {
+      backend: this.name,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions
+    };
+  }
+
+  /**
+   * Drop every entry
+   */
+  async close() {
+    this.entries.clear();
+  }
+}
+
+export default MemoryBackend;
@@ -0,0 +1,68 @@
+import MemoryBackend from './memory-backend.js';
+
+describe('modules/smart-cache/memory-backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    backend = new MemoryBackend({ maxEntries: 2 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should default to 1000 entries', () => {
+    expect(new MemoryBackend().maxEntries).toBe(1000);
+  });
+
+  test('should store and get values', async () => {
+    expect(await backend.setex('a', 60, 'value')).toBe('OK');
+
+    expect(await backend.get('a')).toBe('value');
+  });
+
+  test('should read missing keys as empty', async () => {
+    expect(await backend.get('missing')).toBeUndefined();
+  });
+
+  test('should expire values after their TTL', async () => {
+    await backend.setex('a', 60, 'value');
+    jest.advanceTimersByTime(60_000);
+
+    expect(await backend.get('a')).toBeUndefined();
+    expect(backend.entries.size).toBe(0);
+  });
+
+  test('should evict the least recently used entry when full', async () => {
+    await backend.setex('a', 60, '1');
+    await backend.setex('b', 60, '2');
+    await backend.get('a');
+    await backend.setex('c', 60, '3');
+
+    expect(await backend.get('a')).toBe('1');
+    expect(await backend.get('b')).toBeUndefined();
+    expect(await backend.get('c')).toBe('3');
+    expect(backend.getStats()).toEqual({ backend: 'memory', size: 2, maxEntries: 2, evictions: 1 });
+  });
+
+  test('should answer pings', async () => {
+    expect(await backend.ping()).toBe('PONG');
+  });
+
+  test('should purge expired entries on cleanup', async () => {
+    await backend.setex('a', 30, '1');
+    await backend.setex('b', 90, '2');
+    jest.advanceTimersByTime(60_000);
+    await backend.cleanup();
+
+    expect([...backend.entries.keys()]).toEqual(['b']);
+  });
+
+  test('should drop every entry on close', async () => {
+    await backend.setex('a', 60, '1');
+    await backend.close();
+
+    expect(backend.entries.size).toBe(0);
+  });
+});
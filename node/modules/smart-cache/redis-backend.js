@@ -0,0 +1,60 @@
+import Redis from 'ioredis';
+
+/**
+ * Redis storage backend for SmartCache
+ */
+class RedisBackend {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.redis = new Redis({
+      host: options.host || 'localhost',
+      port: options.port || 6379,
+      retryDelayOnFailover: 100,
+      maxRetriesPerRequest: 3,
+      lazyConnect: true
+    });
+
+    // Connection errors surface on the commands themselves, SmartCache decides what to do with them
+    this.redis.on('error', () => {});
+  }
+
+  async get(key) {
+    return await this.redis.get(key);
+  }
+
+  async setex(key, ttl, value) {
+    return await this.redis.setex(key, ttl, value);
+  }
+
+  async ping() {
+    return await this.redis.ping();
+  }
+
+  /**
+   * Redis expires keys on its own
+   */
+  async cleanup() {}
+
+  getStats() {
+    return {
+      backend: this.name,
+      status: this.redis.status
+    };
+  }
+
+  /**
+   * Close the connection gracefully
+   */
+  async close() {
+    await this.redis.quit();
+  }
+
+  /**
+   * Drop the connection immediately, without waiting for pending replies
+   */
+  disconnect() {
+    this.redis.disconnect();
+  }
+}
+
+export default RedisBackend;
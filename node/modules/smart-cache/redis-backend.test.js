@@ -0,0 +1,64 @@
+jest.mock('ioredis', () => {
+  const Redis = jest.fn();
+  Redis.prototype.on = jest.fn();
+  Redis.prototype.get = jest.fn();
+  Redis.prototype.setex = jest.fn();
+  Redis.prototype.ping = jest.fn();
+  Redis.prototype.quit = jest.fn();
+  Redis.prototype.disconnect = jest.fn();
+  return Redis;
+});
+
+import Redis from 'ioredis';
+import RedisBackend from './redis-backend.js';
+
+describe('modules/smart-cache/redis-backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    backend = new RedisBackend({ host: 'redis', port: 6380 });
+  });
+
+  test('should connect lazily to the configured host', () => {
+    expect(Redis).toHaveBeenCalledWith(expect.objectContaining({ host: 'redis', port: 6380, lazyConnect: true }));
+    expect(Redis.prototype.on).toHaveBeenCalledWith('error', expect.any(Function));
+    expect(() => Redis.prototype.on.mock.calls[0][1](new Error('down'))).not.toThrow();
+  });
+
+  test('should default to localhost', () => {
+    backend = new RedisBackend();
+
+    expect(Redis).toHaveBeenLastCalledWith(expect.objectContaining({ host: 'localhost', port: 6379 }));
+  });
+
+  test('should forward commands to Redis', async () => {
+    Redis.prototype.get.mockResolvedValue('value');
+    Redis.prototype.setex.mockResolvedValue('OK');
+    Redis.prototype.ping.mockResolvedValue('PONG');
+
+    expect(await backend.get('a')).toBe('value');
+    expect(await backend.setex('a', 60, 'value')).toBe('OK');
+    expect(await backend.ping()).toBe('PONG');
+    expect(Redis.prototype.get).toHaveBeenCalledWith('a');
+    expect(Redis.prototype.setex).toHaveBeenCalledWith('a', 60, 'value');
+  });
+
+  test('should leave expiry to Redis on cleanup', async () => {
+    await expect(backend.cleanup()).resolves.toBeUndefined();
+  });
+
+  test('should report the connection status', () => {
+    backend.redis.status = 'ready';
+
+    expect(backend.getStats()).toEqual({ backend: 'redis', status: 'ready' });
+  });
+
+  test('should close and disconnect', async () => {
+    await backend.close();
+    backend.disconnect();
+
+    expect(Redis.prototype.quit).toHaveBeenCalled();
+    expect(Redis.prototype.disconnect).toHaveBeenCalled();
+  });
+});
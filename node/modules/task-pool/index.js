@@ -0,0 +1,186 @@
+import logger from '#modules/logger/index.js';
+import metrics from '#modules/metrics/index.js';
+import random from '#modules/random/index.js';
+
+const draws = metrics.counter('validator_task_pool_draws_total', 'Synthetic task places drawn from the pool by result (hit or miss)', ['result']);
+
+/**
+ * Pool of eligible places for synthetic tasks
+ * Each search returns up to APIFY_SEARCH_MAX_ITEMS places and a task needs one, so the places of every
+ * search are kept and tasks are drawn from them. A place drawn is not drawn again until the exclusion
+ * window has passed, and places are dropped once older than maxAge. When a draw leaves fewer than minSize
+ * places that can be drawn, a refill searches until targetSize places can, in the background of the draw.
+ * A draw that misses starts no refill, its caller searches on demand and adds the places found.
+ * Never rejects: a failed refill search is only logged.
+ */
+class TaskPool {
+  /**
+   * @param {Object} options - The options
+   * @param {Function} options.search - async () => Array<Object>, searches eligible places ({ fid, ... })
+   * @param {number} [options.minSize] - Places that can be drawn below which the pool is refilled
+   * @param {number} [options.targetSize] - Places that can be drawn after a refill
+   * @param {number} [options.maxSearches] - Searches run by one refill at most
+   * @param {number} [options.exclusionWindow] - Seconds a drawn place is excluded from the next draws
+   * @param {number} [options.maxAge] - Seconds a place stays in the pool
+   */
+  constructor({ search, minSize = 20, targetSize = 60, maxSearches = 5, exclusionWindow = 86_400, maxAge = 604_800 }) {
+    this.search = search;
+    this.minSize = minSize;
+    this.targetSize = targetSize;
+    this.maxSearches = maxSearches;
+    this.exclusionWindow = exclusionWindow;
+    this.maxAge = maxAge;
+    this.places = new Map();
+    this.recent = new Map();
+    this.refilling = undefined;
+    this.interval = undefined;
+    this.stats = { hits: 0, misses: 0, refills: 0, searches: 0, failedSearches: 0 };
+  }
+
+  /**
+   * Drop the places older than maxAge and the draws older than the exclusion window
+   * @param {number} [now] - The current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [fid, { addedAt }] of this.places) {
+      if (addedAt <= now - (this.maxAge * 1000)) {
+        this.places.delete(fid);
+      }
+    }
+
+    for (const [fid, drawnAt] of this.recent) {
+      if (drawnAt <= now - (this.exclusionWindow * 1000)) {
+        this.recent.delete(fid);
+      }
+    }
+  }
+
+  /**
+   * Add places, a place already pooled keeps its age
+   * @param {Array<Object>} places - The places, with their fid
+   * @returns {number} - The number of places new to the pool
+   */
+  add(places) {
+    const now = Date.now();
+    let added = 0;
+    for (const place of places) {
+      if (place?.fid && !this.places.has(place.fid)) {
+        this.places.set(place.fid, { place, addedAt: now });
+        added++;
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Get the places that can be drawn
+   * @returns {Array<Object>} - The pooled places not drawn within the exclusion window, in the order they were added
+   */
+  available() {
+    this.prune();
+    return [...this.places.values()]
+      .map(({ place }) => place)
+      .filter(place => !this.recent.has(place.fid));
+  }
+
+  /**
+   * Draw a place and exclude it from the next draws
+   * Starts a refill in the background when the pool runs low, unless nothing could be drawn:
+   * the caller then searches itself, and a refill would run the same search twice.
+   * @example
+   * const place = pool.draw(random.seeded('5f2a9c0d1e3b4a76'));
+   *
+   * @param {import('#modules/random/index.js').Random} [rng] - The random generator, seeded for a reproducible pick given the same pool
+   * @returns {Object|undefined} - The place, undefined if none can be drawn
+   */
+  draw(rng = random) {
+    const candidates = this.available();
+    const place = candidates.length > 0 ? rng.fromArray(candidates) : undefined;
+
+    if (place) {
+      this.recent.set(place.fid, Date.now());
+      this.stats.hits++;
+      draws.inc({ result: 'hit' });
+    } else {
+      this.stats.misses++;
+      draws.inc({ result: 'miss' });
+    }
+
+    if (place && candidates.length - 1 < this.minSize) {
+      this.refill();
+    }
+
+    return place;
+  }
+
+  /**
+   * Search places until targetSize places can be drawn, or maxSearches searches ran
+   * Concurrent calls share the refill in progress.
+   * @returns {Promise<void>}
+   */
+  refill() {
+    this.refilling ||= this.runRefill().finally(() => {
+      this.refilling = undefined;
+    });
+    return this.refilling;
+  }
+
+  /**
+   * Run a refill
+   * @returns {Promise<void>}
+   */
+  async runRefill() {
+    this.stats.refills++;
+    let searches = 0;
+
+    while (this.available().length < this.targetSize && searches < this.maxSearches) {
+      searches++;
+      this.stats.searches++;
+      try {
+        const added = this.add(await this.search());
+        logger.info(`[TaskPool] Refill search added ${added} places, ${this.available().length} can be drawn`);
+      } catch (error) {
+        this.stats.failedSearches++;
+        logger.warning(`[TaskPool] Refill search failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Refill the pool now and then every interval seconds when it runs low
+   * @param {number} interval - The seconds between checks
+   */
+  start(interval) {
+    this.stop();
+    this.refill();
+    this.interval = setInterval(() => {
+      if (this.available().length < this.minSize) {
+        this.refill();
+      }
+    }, interval * 1000);
+  }
+
+  /**
+   * Stop the refill checks
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = undefined;
+  }
+
+  /**
+   * Get the pool statistics
+   */
+  getStats() {
+    return {
+      size: this.places.size,
+      available: this.available().length,
+      excluded: this.recent.size,
+      refilling: Boolean(this.refilling),
+      ...this.stats
+    };
+  }
+}
+
+export default TaskPool;
@@ -0,0 +1,132 @@
+import logger from '#modules/logger/index.js';
+import { Random } from '#modules/random/index.js';
+import TaskPool from './index.js';
+
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+// Places 0x1:0x<start> to 0x1:0x<start + count - 1>
+const places = (count, start = 1) => Array.from({ length: count }, (_, index) => ({ fid: `0x1:0x${(start + index).toString(16)}` }));
+
+// A generator that always picks the first element
+const first = new Random(() => 0);
+
+describe('modules/task-pool', () => {
+  let search;
+  let pool;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: 0 });
+    search = jest.fn().mockResolvedValue([]);
+    pool = new TaskPool({ search, minSize: 2, targetSize: 4, maxSearches: 3, exclusionWindow: 60, maxAge: 600 });
+  });
+
+  afterEach(() => {
+    pool.stop();
+    jest.useRealTimers();
+  });
+
+  describe('.add()', () => {
+    test('should add the places new to the pool', () => {
+      expect(pool.add(places(2))).toBe(2);
+      expect(pool.add(places(2, 2))).toBe(1);
+      expect(pool.available()).toEqual(places(3));
+    });
+  });
+
+  describe('.draw()', () => {
+    test('should draw a place and exclude it for the exclusion window', () => {
+      pool.add(places(4));
+
+      expect(pool.draw(first)).toEqual({ fid: '0x1:0x1' });
+      expect(pool.draw(first)).toEqual({ fid: '0x1:0x2' });
+
+      jest.advanceTimersByTime(60_000);
+      expect(pool.draw(first)).toEqual({ fid: '0x1:0x1' });
+    });
+
+    test('should draw the same place from the same seed and pool', () => {
+      pool.add(places(10));
+      const other = new TaskPool({ search, minSize: 0 });
+      other.add(places(10));
+
+      expect(pool.draw(new Random(() => 0.55))).toEqual(other.draw(new Random(() => 0.55)));
+    });
+
+    test('should drop places older than maxAge', () => {
+      pool.add(places(4));
+      jest.advanceTimersByTime(600_000);
+
+      expect(pool.draw(first)).toBeUndefined();
+      expect(pool.getStats()).toEqual(expect.objectContaining({ size: 0, misses: 1 }));
+    });
+
+    test('should leave the search to the caller when nothing can be drawn', () => {
+      expect(pool.draw(first)).toBeUndefined();
+
+      expect(pool.getStats().refilling).toBe(false);
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    test('should refill in the background when the pool runs low', async () => {
+      pool.add(places(3));
+      search.mockResolvedValue(places(4, 10));
+
+      pool.draw(first);
+      expect(pool.getStats().refilling).toBe(false);
+      pool.draw(first);
+      await pool.refilling;
+
+      expect(search).toHaveBeenCalledTimes(1);
+      expect(pool.available()).toHaveLength(5);
+    });
+  });
+
+  describe('.refill()', () => {
+    test('should search until the target size is reached', async () => {
+      search.mockResolvedValueOnce(places(2)).mockResolvedValueOnce(places(2, 3));
+
+      await pool.refill();
+
+      expect(search).toHaveBeenCalledTimes(2);
+      expect(pool.available()).toHaveLength(4);
+    });
+
+    test('should stop after maxSearches and log failed searches', async () => {
+      search.mockRejectedValue(new Error('Apify error'));
+
+      await pool.refill();
+
+      expect(search).toHaveBeenCalledTimes(3);
+      expect(logger.warning).toHaveBeenCalledWith('[TaskPool] Refill search failed: Apify error');
+      expect(pool.getStats()).toEqual(expect.objectContaining({ refills: 1, searches: 3, failedSearches: 3 }));
+    });
+
+    test('should share the refill in progress', async () => {
+      search.mockResolvedValue(places(4));
+
+      await Promise.all([pool.refill(), pool.refill()]);
+
+      expect(search).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('.start()', () => {
+    test('should refill now and whenever the pool runs low', async () => {
+      search.mockResolvedValue(places(4));
+      pool.start(60);
+      await pool.refilling;
+      expect(search).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(60_000);
+      expect(search).toHaveBeenCalledTimes(1);
+
+      // The places expire, the next check refills the pool
+      await jest.advanceTimersByTimeAsync(600_000);
+      expect(search).toHaveBeenCalledTimes(2);
+    });
+  });
+});
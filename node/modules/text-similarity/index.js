@@ -0,0 +1,157 @@
+/**
+ * "(Translated by Google)" marker, followed by the translation and, when Google kept it,
+ * an "(Original)" marker and the text as written
+ */
+const TRANSLATED_PREFIX = /^\s*\(Translated by Google\)\s*/i;
+const ORIGINAL_MARKER = /\(Original\)\s*/i;
+
+/**
+ * "… More" / "...More" left by scrapers that did not expand a long review
+ */
+const MORE_ARTIFACT = /\s*(?:\.{3}|…)\s*More\s*$/;
+
+/**
+ * Normalize a review text for comparison
+ * - Unicode NFC, so composed and decomposed accents compare equal
+ * - Google translations reduced to the original text, or the translation when the original is missing
+ * - trailing "More" artifacts removed
+ * - whitespace collapsed and trimmed
+ * A missing text normalizes to an empty string.
+ * @example
+ * normalize('(Translated by Google) Great place!\n\n(Original)\nGroßartiger Ort!') // 'Großartiger Ort!'
+ * normalize('Great food, friendly…  More')                                        // 'Great food, friendly'
+ *
+ * @param {string|null|undefined} text - The text
+ * @returns {string} - The normalized text
+ */
+const normalize = (text) => {
+  if (text === null || text === undefined) {
+    return '';
+  }
+
+  let normalized = String(text).normalize('NFC');
+
+  if (TRANSLATED_PREFIX.test(normalized)) {
+    normalized = normalized.replace(TRANSLATED_PREFIX, '');
+    const [translation, original] = normalized.split(ORIGINAL_MARKER);
+    normalized = original?.trim() ? original : translation;
+  }
+
+  return normalized
+    .replace(MORE_ARTIFACT, '')
+    .replaceAll(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Levenshtein distance between two strings, by code point
+ * Keeps two rows of the edit matrix, so memory grows with the shorter string only. With a maximum,
+ * only the cells at most max away from the diagonal are computed and the computation stops once
+ * every cell of a row exceeds it, so the work grows with the length times max.
+ * @example
+ * levenshtein('kitten', 'sitting')             // 3
+ * levenshtein('kitten', 'sitting', { max: 1 }) // 2
+ *
+ * @param {string|Array<string>} first - The first string, or its code points
+ * @param {string|Array<string>} second - The second string, or its code points
+ * @param {Object} [options] - The options
+ * @param {number} [options.max] - The largest distance needed, max + 1 is returned for any larger distance
+ * @returns {number} - The number of insertions, deletions and substitutions
+ */
+const levenshtein = (first, second, { max = Infinity } = {}) => {
+  let longer = [...first];
+  let shorter = [...second];
+  if (shorter.length > longer.length) {
+    [longer, shorter] = [shorter, longer];
+  }
+
+  if (longer.length - shorter.length > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: shorter.length + 1 }, (_, index) => index);
+  let current = Array.from({ length: shorter.length + 1 });
+
+  for (const [row, character] of longer.entries()) {
+    const from = Math.max(1, row + 1 - max);
+    const to = Math.min(shorter.length, row + 1 + max);
+    current[from - 1] = from === 1 ? row + 1 : Infinity;
+
+    let lowest = current[from - 1];
+    for (let column = from; column <= to; column++) {
+      const substitution = previous[column - 1] + (character === shorter[column - 1] ? 0 : 1);
+      current[column] = Math.min(previous[column] + 1, current[column - 1] + 1, substitution);
+      lowest = Math.min(lowest, current[column]);
+    }
+
+    // The next row reads one cell past the band
+    if (to < shorter.length) {
+      current[to + 1] = Infinity;
+    }
+
+    if (lowest > max) {
+      return max + 1;
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return Math.min(previous[shorter.length], max + 1);
+};
+
+/**
+ * Similarity of two texts after normalize(), the normalized Levenshtein ratio
+ * 1 for equal texts, 0 for texts with nothing in common. Two missing texts are equal.
+ * @example
+ * similarity('Great place!', 'Great place!!') // 0.92
+ *
+ * @param {string|null|undefined} first - The first text
+ * @param {string|null|undefined} second - The second text
+ * @returns {number} - The similarity in [0, 1]
+ */
+const similarity = (first, second) => {
+  const normalizedFirst = normalize(first);
+  const normalizedSecond = normalize(second);
+  if (normalizedFirst === normalizedSecond) {
+    return 1;
+  }
+
+  const length = Math.max([...normalizedFirst].length, [...normalizedSecond].length);
+  return 1 - (levenshtein(normalizedFirst, normalizedSecond) / length);
+};
+
+/**
+ * Compare two texts against a similarity threshold
+ * Texts whose lengths alone rule out the threshold are rejected without computing the distance,
+ * which keeps long made-up reviews cheap. Their similarity is then the bound given by the lengths.
+ * The distance of the other texts is only computed up to the edits the threshold allows, texts
+ * with more edits get the similarity of one edit more, an upper bound below the threshold.
+ * @example
+ * compare('Great place!', 'Great place!!', { threshold: 0.9 }) // { similarity: 0.92, match: true }
+ *
+ * @param {string|null|undefined} first - The first text
+ * @param {string|null|undefined} second - The second text
+ * @param {Object} [options] - The options
+ * @param {number} [options.threshold] - The minimum similarity of a match, 1 to require equal normalized texts
+ * @returns {{similarity: number, match: boolean}} - The similarity, rounded to 3 decimals, and whether it reaches the threshold
+ */
+const compare = (first, second, { threshold = 1 } = {}) => {
+  const characters = [[...normalize(first)], [...normalize(second)]];
+  const [shorter, longest] = characters.map(text => text.length).sort((a, b) => a - b);
+  if (longest === 0) {
+    return { similarity: 1, match: true };
+  }
+
+  const bound = shorter / longest;
+  const max = Math.ceil((1 - threshold) * longest);
+  const score = bound < threshold ? bound : 1 - (levenshtein(...characters, { max }) / longest);
+  const rounded = Math.round(score * 1000) / 1000;
+
+  return { similarity: rounded, match: score >= threshold };
+};
+
+export default {
+  normalize,
+  levenshtein,
+  similarity,
+  compare
+};
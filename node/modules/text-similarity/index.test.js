@@ -0,0 +1,84 @@
+import textSimilarity from './index.js';
+
+describe('modules/text-similarity', () => {
+  describe('.normalize()', () => {
+    test('should collapse whitespace and normalize Unicode', () => {
+      expect(textSimilarity.normalize('  Great \n\n place!\t')).toBe('Great place!');
+      expect(textSimilarity.normalize('Cafe\u0301')).toBe('Caf\u00E9');
+    });
+
+    test('should keep the original text of a Google translation', () => {
+      expect(textSimilarity.normalize('(Translated by Google) Great place!\n\n(Original)\nGroßartiger Ort!')).toBe('Großartiger Ort!');
+      expect(textSimilarity.normalize('(Translated by Google) Great place!')).toBe('Great place!');
+    });
+
+    test('should remove trailing More artifacts', () => {
+      expect(textSimilarity.normalize('Great food, friendly… More')).toBe('Great food, friendly');
+      expect(textSimilarity.normalize('Great food, friendly...More')).toBe('Great food, friendly');
+      expect(textSimilarity.normalize('We want More')).toBe('We want More');
+    });
+
+    test('should normalize missing texts to an empty string', () => {
+      expect(textSimilarity.normalize()).toBe('');
+      expect(textSimilarity.normalize(JSON.parse('null'))).toBe('');
+    });
+  });
+
+  describe('.levenshtein()', () => {
+    test('should count the edits between two strings', () => {
+      expect(textSimilarity.levenshtein('kitten', 'sitting')).toBe(3);
+      expect(textSimilarity.levenshtein('', 'abc')).toBe(3);
+      expect(textSimilarity.levenshtein('abc', 'abc')).toBe(0);
+    });
+
+    test('should count code points, not UTF-16 units', () => {
+      expect(textSimilarity.levenshtein('👍', '👎')).toBe(1);
+    });
+
+    test('should stop counting past the maximum', () => {
+      expect(textSimilarity.levenshtein('kitten', 'sitting', { max: 3 })).toBe(3);
+      expect(textSimilarity.levenshtein('kitten', 'sitting', { max: 1 })).toBe(2);
+      expect(textSimilarity.levenshtein('abcdef', 'abc', { max: 1 })).toBe(2);
+      expect(textSimilarity.levenshtein('abcdefgh', 'hgfedcba', { max: 2 })).toBe(3);
+      expect(textSimilarity.levenshtein('abc', 'abc', { max: 0 })).toBe(0);
+    });
+
+    test('should find the distance within the maximum away from the diagonal', () => {
+      expect(textSimilarity.levenshtein('xabcdefgh', 'abcdefghy', { max: 2 })).toBe(2);
+      expect(textSimilarity.levenshtein('xxabcdefgh', 'abcdefghyy', { max: 3 })).toBe(4);
+      expect(textSimilarity.levenshtein('xxabcdefgh', 'abcdefghyy', { max: 4 })).toBe(4);
+    });
+  });
+
+  describe('.similarity()', () => {
+    test('should return the normalized Levenshtein ratio', () => {
+      expect(textSimilarity.similarity('Great place!', 'Great place!!')).toBeCloseTo(12 / 13);
+      expect(textSimilarity.similarity('abc', 'xyz')).toBe(0);
+    });
+
+    test('should compare the normalized texts', () => {
+      expect(textSimilarity.similarity('(Translated by Google) Nice\n\n(Original)\nSchön', 'Schön  ')).toBe(1);
+      expect(textSimilarity.similarity(undefined, '')).toBe(1);
+    });
+  });
+
+  describe('.compare()', () => {
+    test('should match texts at or above the threshold', () => {
+      expect(textSimilarity.compare('Great place!', 'Great place!!', { threshold: 0.9 })).toEqual({ similarity: 0.923, match: true });
+      expect(textSimilarity.compare('Great place!', 'Great place!!')).toEqual({ similarity: 0.923, match: false });
+    });
+
+    test('should give texts past the threshold the similarity of one edit more than it allows', () => {
+      const text = 'The staff was friendly and the food arrived quickly, we will come back!';
+      const rewritten = [...text].reverse().join('');
+
+      expect(textSimilarity.compare(text, rewritten, { threshold: 0.9 })).toEqual({ similarity: 0.873, match: false });
+      expect(textSimilarity.compare(text, rewritten).match).toBe(false);
+      expect(textSimilarity.compare(undefined, '', { threshold: 0.9 })).toEqual({ similarity: 1, match: true });
+    });
+
+    test('should reject texts of too different lengths without computing the distance', () => {
+      expect(textSimilarity.compare('Great', 'Great place, friendly staff', { threshold: 0.9 })).toEqual({ similarity: 0.185, match: false });
+    });
+  });
+});
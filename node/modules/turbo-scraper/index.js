@@ -2,6 +2,7 @@ import puppeteer from 'puppeteer';
 import cluster from 'cluster';
 import os from 'os';
 import logger from '../logger/index.js';
+import Deadline from '../deadline/index.js';
 
 /**
  * Ultra-Fast Google Maps Scraper
@@ -73,6 +74,18 @@ class TurboScraper {
     logger.info(`[TurboScraper] Initialized with ${this.browserPool.length} browsers`);
   }
 
+  /**
+   * Get browser pool statistics
+   */
+  getStats() {
+    return {
+      initialized: this.isInitialized,
+      browsers: this.browserPool.length,
+      concurrency: this.concurrency,
+      maxReviews: this.maxReviews
+    };
+  }
+
   /**
    * Get browser from pool (round-robin)
    */
@@ -136,10 +149,12 @@ class TurboScraper {
 
   /**
    * Scrape reviews for a given FID with maximum speed and volume
+   * Pages stop loading more reviews when the deadline (this.timeout by default) is near,
+   * and return what they have. Aborting the signal closes every page right away.
    */
   async scrapeReviewsByFID(fid, options = {}) {
     const startTime = Date.now();
-    const { language = 'en', sort = 'newest' } = options;
+    const { language = 'en', sort = 'newest', deadline = new Deadline(this.timeout), signal } = options;
     
     logger.info(`[TurboScraper] Starting review scrape for FID: ${fid}`);
 
@@ -152,12 +167,15 @@ class TurboScraper {
         startIndex: i * reviewsPerTask,
         count: reviewsPerTask,
         language,
-        sort
+        sort,
+        deadline,
+        signal
       }));
     }
 
     try {
       const results = await Promise.allSettled(tasks);
+      signal?.throwIfAborted();
       const allReviews = [];
 
       for (const result of results) {
@@ -181,6 +199,10 @@ class TurboScraper {
       return finalReviews;
 
     } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
       logger.error(`[TurboScraper] Error scraping reviews:`, error);
       return [];
     }
@@ -190,10 +212,15 @@ class TurboScraper {
    * Scrape a specific page of reviews
    */
   async scrapeReviewPage(fid, options = {}) {
-    const { startIndex = 0, count = 50, language = 'en', sort = 'newest' } = options;
+    const { startIndex = 0, count = 50, language = 'en', sort = 'newest', deadline = new Deadline(this.timeout), signal } = options;
+    signal?.throwIfAborted();
     const browser = this.getBrowser();
     const page = await browser.newPage();
 
+    // Closing the page makes every pending navigation and evaluation fail right away
+    const closePage = () => page.close().catch(() => {});
+    signal?.addEventListener('abort', closePage, { once: true });
+
     try {
       // Ultra-aggressive optimizations
       await page.setRequestInterception(true);
@@ -208,10 +235,10 @@ class TurboScraper {
 
       // Navigate directly to place with FID
       const url = `https://www.google.com/maps/place/?ftid=${fid}&hl=${language}`;
-      await page.goto(url, { waitUntil: 'domcontentloaded' });
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: deadline.cap(this.timeout) });
 
       // Click reviews tab
-      await page.waitForSelector('[data-tab-index="1"]', { timeout: 5000 });
+      await page.waitForSelector('[data-tab-index="1"]', { timeout: deadline.cap(5000) });
       await page.click('[data-tab-index="1"]');
 
       // Set sort order if needed
@@ -220,7 +247,7 @@ class TurboScraper {
       }
 
       // Scroll to load more reviews
-      await this.scrollToLoadReviews(page, count + startIndex);
+      await this.scrollToLoadReviews(page, count + startIndex, deadline, signal);
 
       // Extract reviews using optimized selectors
       const reviews = await page.evaluate((startIdx, cnt) => {
@@ -235,6 +262,8 @@ class TurboScraper {
             const review = {
               reviewId: element.getAttribute('data-review-id'),
               author: element.querySelector('[data-local-attribute="d3bn"]')?.textContent?.trim(),
+              reviewerUrl: element.querySelector('[data-href*="/maps/contrib/"]')?.getAttribute('data-href')
+                || element.querySelector('a[href*="/maps/contrib/"]')?.href,
               rating: parseInt(element.querySelector('[role="img"]')?.getAttribute('aria-label')?.match(/\d+/)?.[0]) || 0,
               text: element.querySelector('[data-expandable-section]')?.textContent?.trim(),
               date: element.querySelector('[data-date-string]')?.textContent?.trim(),
@@ -257,22 +286,32 @@ class TurboScraper {
       return reviews;
 
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
       logger.error(`[TurboScraper] Error scraping page:`, error);
       return [];
     } finally {
-      await page.close();
+      signal?.removeEventListener('abort', closePage);
+      if (!page.isClosed()) {
+        await page.close();
+      }
     }
   }
 
   /**
    * Scroll to load more reviews
+   * Stops early when less than a second is left, to leave time to extract the loaded reviews.
    */
-  async scrollToLoadReviews(page, targetCount) {
+  async scrollToLoadReviews(page, targetCount, deadline, signal) {
     let loadedCount = 0;
     let attempts = 0;
     const maxAttempts = 10;
 
-    while (loadedCount < targetCount && attempts < maxAttempts) {
+    while (loadedCount < targetCount && attempts < maxAttempts && !(deadline && deadline.remaining() < 1000)) {
+      signal?.throwIfAborted();
+
       // Scroll down
       await page.evaluate(() => {
         const reviewsContainer = document.querySelector('[data-reviews-container]');
@@ -0,0 +1,181 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from '#modules/logger/index.js';
+
+/**
+ * NDJSON file storage backend, for validators without Redis
+ * Mirrors the subset of the Redis API the caches use (get/setex) with the same TTL semantics.
+ * Entries are held in memory and appended to the file as they are set, the file is read on first
+ * use and rewritten without the expired and overwritten entries, then again by the appends once it
+ * holds twice as many lines as the live entries it was last rewritten with.
+ */
+class FileBackend {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.file = options.file;
+    this.entries = new Map();
+    this.lines = 0;
+    this.live = 0;
+    this.loading = undefined;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the file once
+   */
+  load() {
+    this.loading ||= this.read();
+    return this.loading;
+  }
+
+  /**
+   * Read the file into memory, skipping unreadable lines and expired entries
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`[FileBackend] Failed to read ${this.file}: ${error.message}`);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    let lines = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      lines++;
+      try {
+        const { key, value, expiresAt } = JSON.parse(line);
+        if (expiresAt > now) {
+          this.entries.set(key, { value, expiresAt });
+        } else {
+          this.entries.delete(key);
+        }
+      } catch {
+        logger.warning(`[FileBackend] Skipping unreadable line ${lines} of ${this.file}`);
+      }
+    }
+
+    this.lines = lines;
+    this.live = this.entries.size;
+    if (this.entries.size < lines) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Drop the expired entries from memory
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Rewrite the file with the live entries only
+   */
+  async compact() {
+    const temporaryFile = `${this.file}.tmp`;
+    const lines = [...this.entries].map(([key, { value, expiresAt }]) => `${JSON.stringify({ key, value, expiresAt })}\n`);
+
+    try {
+      await fs.writeFile(temporaryFile, lines.join(''));
+      await fs.rename(temporaryFile, this.file);
+      this.lines = lines.length;
+      this.live = lines.length;
+    } catch (error) {
+      logger.error(`[FileBackend] Failed to compact ${this.file}: ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    await this.load();
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Set a value with a TTL in seconds
+   * Appends and compactions are chained so concurrent lines never interleave.
+   */
+  async setex(key, ttl, value) {
+    await this.load();
+
+    const expiresAt = Date.now() + (ttl * 1000);
+    this.entries.set(key, { value, expiresAt });
+
+    const line = `${JSON.stringify({ key, value, expiresAt })}\n`;
+    const appending = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, line);
+      this.lines++;
+
+      // Expired and overwritten entries would otherwise stay in the file and memory of a long-running validator
+      if (this.lines > 2 * this.live) {
+        this.prune();
+        await this.compact();
+      }
+    });
+
+    // A failed append is reported to this caller only, later appends still go ahead
+    this.writing = appending.catch(() => {});
+    await appending;
+    return 'OK';
+  }
+
+  /**
+   * Check the file can be read
+   */
+  async ping() {
+    await this.load();
+    return 'PONG';
+  }
+
+  /**
+   * Remove expired entries, from memory and from the file
+   */
+  async cleanup() {
+    await this.load();
+
+    this.prune();
+    await this.writing;
+    await this.compact();
+  }
+
+  getStats() {
+    return {
+      backend: this.name,
+      file: this.file,
+      size: this.entries.size
+    };
+  }
+
+  /**
+   * Wait for pending appends
+   */
+  async close() {
+    await this.writing;
+  }
+}
+
+export default FileBackend;
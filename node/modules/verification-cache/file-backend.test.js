@@ -0,0 +1,106 @@
+import fs from 'node:fs/promises';
+import logger from '#modules/logger/index.js';
+import FileBackend from './file-backend.js';
+
+jest.mock('node:fs/promises', () => ({
+  readFile: jest.fn(),
+  writeFile: jest.fn(),
+  rename: jest.fn(),
+  appendFile: jest.fn(),
+  mkdir: jest.fn()
+}));
+jest.mock('#modules/logger/index.js', () => ({
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+// One line of the file
+const line = (key, value, expiresAt) => `${JSON.stringify({ key, value, expiresAt })}\n`;
+
+describe('modules/verification-cache/file-backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: 1000 });
+    fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+    fs.writeFile.mockResolvedValue();
+    fs.appendFile.mockResolvedValue();
+    backend = new FileBackend({ file: 'data/verified.ndjson' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should load the live entries of the file once', async () => {
+    fs.readFile.mockResolvedValue(line('a', 'old', 5000) + line('b', 'expired', 500) + line('a', 'new', 5000) + '{broken\n');
+
+    expect(await backend.get('a')).toBe('new');
+    expect(await backend.get('b')).toBeUndefined();
+    expect(fs.readFile).toHaveBeenCalledTimes(1);
+    expect(logger.warning).toHaveBeenCalledWith('[FileBackend] Skipping unreadable line 4 of data/verified.ndjson');
+    expect(fs.writeFile).toHaveBeenCalledWith('data/verified.ndjson.tmp', line('a', 'new', 5000));
+    expect(fs.rename).toHaveBeenCalledWith('data/verified.ndjson.tmp', 'data/verified.ndjson');
+  });
+
+  test('should not compact a file without dead lines', async () => {
+    fs.readFile.mockResolvedValue(line('a', 'value', 5000));
+
+    await backend.ping();
+
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('should start empty when the file cannot be read', async () => {
+    fs.readFile.mockRejectedValue(new Error('permission denied'));
+
+    expect(await backend.get('a')).toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('[FileBackend] Failed to read data/verified.ndjson: permission denied');
+  });
+
+  test('should append set values with their expiry', async () => {
+    expect(await backend.setex('a', 60, 'value')).toBe('OK');
+
+    expect(fs.mkdir).toHaveBeenCalledWith('data', { recursive: true });
+    expect(fs.appendFile).toHaveBeenCalledWith('data/verified.ndjson', line('a', 'value', 61_000));
+    expect(await backend.get('a')).toBe('value');
+
+    jest.setSystemTime(61_000);
+    expect(await backend.get('a')).toBeUndefined();
+  });
+
+  test('should keep appending after a failed append', async () => {
+    fs.appendFile.mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(backend.setex('a', 60, 'value')).rejects.toThrow('disk full');
+    await expect(backend.setex('b', 60, 'value')).resolves.toBe('OK');
+  });
+
+  test('should compact the file once it holds twice the live entries it was last compacted with', async () => {
+    fs.readFile.mockResolvedValue(line('a', 'value', 5000) + line('b', 'value', 5000));
+    await backend.setex('a', 60, 'updated');
+    await backend.setex('c', 1, 'value');
+    expect(fs.writeFile).not.toHaveBeenCalled();
+
+    jest.setSystemTime(5000);
+    await backend.setex('d', 60, 'value');
+
+    expect(fs.writeFile).toHaveBeenCalledWith('data/verified.ndjson.tmp', line('a', 'updated', 61_000) + line('d', 'value', 65_000));
+    expect(fs.rename).toHaveBeenCalledWith('data/verified.ndjson.tmp', 'data/verified.ndjson');
+    expect(backend.getStats().size).toBe(2);
+    expect(backend.lines).toBe(2);
+  });
+
+  test('should drop expired entries on cleanup', async () => {
+    await backend.setex('a', 1, 'value');
+    await backend.setex('b', 60, 'value');
+    jest.setSystemTime(5000);
+
+    await backend.cleanup();
+
+    expect(backend.getStats()).toEqual({ backend: 'file', file: 'data/verified.ndjson', size: 1 });
+    expect(fs.writeFile).toHaveBeenCalledWith('data/verified.ndjson.tmp', line('b', 'value', 61_000));
+    await expect(backend.close()).resolves.toBeUndefined();
+  });
+});
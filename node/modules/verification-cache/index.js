@@ -0,0 +1,121 @@
+import logger from '#modules/logger/index.js';
+import metrics from '#modules/metrics/index.js';
+import RedisBackend from '#modules/smart-cache/redis-backend.js';
+import MemoryBackend from '#modules/smart-cache/memory-backend.js';
+import FileBackend from './file-backend.js';
+
+const lookups = metrics.counter('validator_verification_cache_lookups_total', 'Verified review cache lookups by result (hit or miss)', ['result']);
+
+/**
+ * Create a storage backend
+ * @param {Object} options - The backend options, see VerificationCache
+ * @returns {FileBackend|RedisBackend|MemoryBackend} - The backend
+ */
+const createBackend = ({ backend, file, host, port, maxEntries }) => {
+  switch (backend) {
+    case 'redis': {
+      return new RedisBackend({ host, port });
+    }
+    case 'memory': {
+      return new MemoryBackend({ maxEntries });
+    }
+    case 'file': {
+      return new FileBackend({ file });
+    }
+    default: {
+      throw new Error(`Unknown verification cache backend: ${backend}`);
+    }
+  }
+};
+
+/**
+ * Cache of reviews verified by the spot check actor, by reviewId
+ * A review verified in one round is not scraped again by the next rounds until its TTL expires.
+ * Only reviews found by the actor are stored, so unknown or fabricated reviews are always
+ * scraped and the comparison against the verified data is unchanged.
+ * Never rejects: a failing backend reads as a miss and a failed write is only logged.
+ */
+class VerificationCache {
+  /**
+   * @param {Object} options - The options
+   * @param {string} [options.backend] - 'file', 'redis' or 'memory'
+   * @param {number} [options.ttl] - Seconds a verified review is reused
+   * @param {string} [options.file] - The file of the file backend
+   * @param {string} [options.host] - The Redis host
+   * @param {number} [options.port] - The Redis port
+   * @param {number} [options.maxEntries] - The size of the memory backend
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 21_600;
+    this.backend = createBackend({ ...options, backend: options.backend || 'file' });
+
+    logger.info(`[VerificationCache] Initialized with ${this.backend.name} backend (TTL: ${this.ttl}s)`);
+  }
+
+  /**
+   * Generate the key of a review
+   */
+  generateKey(reviewId) {
+    return `verified-review:${reviewId}`;
+  }
+
+  /**
+   * Get the cached verified reviews
+   * @param {Array<string>} reviewIds - The review IDs
+   * @returns {Promise<Map<string, Object>>} - The verified reviews found, by reviewId
+   */
+  async getMany(reviewIds) {
+    const found = new Map();
+
+    try {
+      const values = await Promise.all(reviewIds.map(reviewId => this.backend.get(this.generateKey(reviewId))));
+      for (const [index, value] of values.entries()) {
+        if (value) {
+          found.set(reviewIds[index], JSON.parse(value));
+        }
+      }
+    } catch (error) {
+      logger.warning(`[VerificationCache] Lookup failed, verifying every review: ${error.message}`);
+      found.clear();
+    }
+
+    lookups.inc({ result: 'hit' }, found.size);
+    lookups.inc({ result: 'miss' }, reviewIds.length - found.size);
+
+    return found;
+  }
+
+  /**
+   * Store verified reviews
+   * @param {Array<Object>} reviews - The reviews returned by the spot check actor, with their reviewId
+   * @returns {Promise<void>}
+   */
+  async setMany(reviews) {
+    try {
+      await Promise.all(reviews
+        .filter(review => review.reviewId)
+        .map(review => this.backend.setex(this.generateKey(review.reviewId), this.ttl, JSON.stringify(review))));
+    } catch (error) {
+      logger.warning(`[VerificationCache] Failed to store verified reviews: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the backend statistics
+   */
+  getStats() {
+    return {
+      ttl: this.ttl,
+      ...this.backend.getStats()
+    };
+  }
+
+  /**
+   * Close the backend
+   */
+  async close() {
+    await this.backend.close();
+  }
+}
+
+export default VerificationCache;
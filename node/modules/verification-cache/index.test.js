@@ -0,0 +1,75 @@
+import logger from '#modules/logger/index.js';
+import metrics from '#modules/metrics/index.js';
+import VerificationCache from './index.js';
+import FileBackend from './file-backend.js';
+
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('ioredis', () => {
+  const Redis = jest.fn();
+  Redis.prototype.on = jest.fn();
+  return Redis;
+});
+
+describe('modules/verification-cache', () => {
+  let cache;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache = new VerificationCache({ backend: 'memory', ttl: 60 });
+  });
+
+  describe('constructor', () => {
+    test('should create the configured backend', () => {
+      expect(cache.backend.name).toBe('memory');
+      expect(new VerificationCache({ backend: 'redis' }).backend.name).toBe('redis');
+      expect(new VerificationCache({ file: 'verified.ndjson' }).backend).toBeInstanceOf(FileBackend);
+    });
+
+    test('should throw on an unknown backend', () => {
+      expect(() => new VerificationCache({ backend: 'disk' })).toThrow('Unknown verification cache backend: disk');
+    });
+  });
+
+  describe('.getMany() / .setMany()', () => {
+    test('should return the stored reviews by reviewId', async () => {
+      metrics.reset();
+      await cache.setMany([{ reviewId: 'a', text: 'Great' }, { text: 'No ID' }]);
+
+      const found = await cache.getMany(['a', 'b']);
+
+      expect(Object.fromEntries(found)).toEqual({ a: { reviewId: 'a', text: 'Great' } });
+      expect(cache.getStats()).toEqual(expect.objectContaining({ ttl: 60, backend: 'memory', size: 1 }));
+      expect(metrics.render()).toContain('validator_verification_cache_lookups_total{result="hit"} 1');
+      expect(metrics.render()).toContain('validator_verification_cache_lookups_total{result="miss"} 1');
+    });
+
+    test('should expire reviews after the TTL', async () => {
+      jest.useFakeTimers({ now: 0 });
+      await cache.setMany([{ reviewId: 'a' }]);
+
+      jest.setSystemTime(60_000);
+      const found = await cache.getMany(['a']);
+      expect(found.size).toBe(0);
+      jest.useRealTimers();
+    });
+
+    test('should read a failing backend as a miss', async () => {
+      cache.backend.get = jest.fn().mockRejectedValue(new Error('down'));
+
+      const found = await cache.getMany(['a']);
+      expect(found.size).toBe(0);
+      expect(logger.warning).toHaveBeenCalledWith('[VerificationCache] Lookup failed, verifying every review: down');
+    });
+
+    test('should only log failed writes', async () => {
+      cache.backend.setex = jest.fn().mockRejectedValue(new Error('down'));
+
+      await expect(cache.setMany([{ reviewId: 'a' }])).resolves.toBeUndefined();
+      expect(logger.warning).toHaveBeenCalledWith('[VerificationCache] Failed to store verified reviews: down');
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import responseService from '#modules/response/index.js';
+import metrics from '#modules/metrics/index.js';
+
+/**
+ * Output the metrics of the node
+ * @returns {string} - The metrics in the Prometheus text exposition format
+ */
+const output = () => {
+  return metrics.render();
+}
+
+/**
+ * Execute the metrics route
+ * Shared by the miner and validator nodes, each exposing the metrics of the modules it runs.
+ * @param {Object} request - The request object
+ * @param {Object} response - The response object
+ * @returns {Object} - The output
+ */
+const execute = (request, response) => {
+  return responseService.text(response, output(), metrics.CONTENT_TYPE);
+}
+
+export default {
+  execute,
+  output
+}
@@ -0,0 +1,32 @@
+import metricsRoute from './metrics.js';
+import responseService from '#modules/response/index.js';
+import metrics from '#modules/metrics/index.js';
+
+jest.mock('#modules/response/index.js', () => ({
+  text: jest.fn(),
+}));
+
+jest.mock('#modules/metrics/index.js', () => ({
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  render: jest.fn(),
+}));
+
+describe('routes/metrics.js', () => {
+  beforeEach(() => {
+    metrics.render.mockReturnValue('# TYPE http_requests_total counter\nhttp_requests_total 1\n');
+  });
+
+  describe('.output()', () => {
+    test('should output the rendered metrics', () => {
+      expect(metricsRoute.output()).toBe('# TYPE http_requests_total counter\nhttp_requests_total 1\n');
+    });
+  });
+
+  describe('.execute()', () => {
+    test('should return the metrics as Prometheus text', () => {
+      const response = {};
+      metricsRoute.execute({}, response);
+      expect(responseService.text).toHaveBeenCalledWith(response, metricsRoute.output(), 'text/plain; version=0.0.4; charset=utf-8');
+    });
+  });
+});
@@ -1,10 +1,25 @@
 import logger from '#modules/logger/index.js';
 import responseService from '#modules/response/index.js';
-import apify from '#modules/apify/index.js';
 import time from '#modules/time/index.js';
 import config from '#config';
-import retryable from '#modules/retryable/index.js';
-import turboReviews from './turbo-reviews.js';
+import reviewProviders from '#modules/review-providers/index.js';
+import ResponseOptimizer from '#modules/response-optimizer/index.js';
+import SingleFlight from '#modules/single-flight/index.js';
+import Deadline from '#modules/deadline/index.js';
+import LatencyWindow from '#modules/latency-window/index.js';
+import fidUtils from '#modules/fid/index.js';
+import { getRegistry } from '#modules/place-registry/index.js';
+
+const responseOptimizer = new ResponseOptimizer({
+  targetVolume: config.MINER.TURBO.MAX_REVIEWS,
+  recencyBoostDays: 30
+});
+
+// Validators query the same place at roughly the same time, so concurrent requests share one fetch
+const singleFlight = new SingleFlight();
+
+// Latency of the recent requests, reported by /stats
+const latencies = new LatencyWindow(config.MINER.STATS.LATENCY_WINDOW);
 
 /**
  * Output the result of the Google Maps Reviews route
@@ -13,11 +28,15 @@ import turboReviews from './turbo-reviews.js';
  * @param {string} language - The language of the reviews
  * @param {string} sort - The sort of the reviews
  * @param {Object[]} items - The reviews
+ * @param {string} [source] - The review provider that returned the reviews
+ * @param {Object} [cache] - The cache age in seconds and staleness, when served from a cache
  * @returns {Object} - The output
  */
-const output = (fid, count, language, sort, items) => {
+const output = (fid, count, language, sort, items, source, cache) => {
   return {
     status: 'success',
+    source,
+    cache,
     fid: fid,
     parameters: {
       count,
@@ -30,11 +49,32 @@ const output = (fid, count, language, sort, items) => {
   }
 }
 
+/**
+ * Register the place of the reviews, so later requests can name it by its CID or placeId
+ * and scraped reviews get its placeId and rating.
+ * Places without reviews and places already registered with their placeId and rating are skipped.
+ * @param {string} fid - The FID of the place
+ * @param {Object[]} reviews - The reviews fetched
+ * @returns {Promise<void>}
+ */
+const registerPlace = async (fid, reviews) => {
+  if (reviews.length === 0) {
+    return;
+  }
+
+  const placeId = reviews.find(review => review.placeId)?.placeId;
+  const totalScore = reviews.find(review => typeof review.totalScore === 'number')?.totalScore;
+  const known = await getRegistry().get(fid);
+  if (!known || (placeId && known.placeId !== placeId) || (totalScore !== undefined && known.totalScore !== totalScore)) {
+    await getRegistry().add({ fid, placeId, totalScore });
+  }
+}
+
 /*
  * Validate the parameters for the Google Maps Reviews route
- * Validates if fid is provided.
+ * Validates if fid is provided and is a FID (0x…:0x…), a Google Maps place URL, a CID or a placeId.
  * Validates if sort is one of the allowed values.
- * Validates if Apify token is configured.
+ * Validates if Apify token is configured when the provider chain uses Apify.
  *
  * @param {Object} parameters - The parameters to validate
  * @returns {Object} - The validation result
@@ -42,7 +82,7 @@ const output = (fid, count, language, sort, items) => {
 const validate = (parameters) => {
   let isValid = true;
   let message = {};
-  const { fid, sort } = parameters;
+  const { fid, sort, chain = reviewProviders.getChain() } = parameters;
   const validSortOptions = ['newest', 'relevant', 'highest', 'lowest'];
 
   if (!fid) {
@@ -50,12 +90,17 @@ const validate = (parameters) => {
     isValid = false;
     message.error = 'fid is required';
     message.message = 'Please provide a valid FID (place identifier)';
+  } else if (!fidUtils.parseIdentifier(fid)) {
+    logger.error(`[Miner] Error: Malformed fid parameter: ${fid}`);
+    isValid = false;
+    message.error = 'Invalid fid parameter';
+    message.message = 'Please provide a FID (0x…:0x…), a Google Maps place URL, a CID or a placeId';
   } else if (!validSortOptions.includes(sort)) {
     logger.error(`[Miner] Error: Invalid sort parameter: ${sort}`);
     isValid = false;
     message.error = 'Invalid sort parameter';
     message.message = `Sort must be one of: ${validSortOptions.join(', ')}`;
-  } else if (!process.env.APIFY_TOKEN) {
+  } else if (chain.includes('apify') && !process.env.APIFY_TOKEN) {
     logger.error(`[Miner] Error: APIFY_TOKEN not configured`);
     isValid = false;
     message.error = 'Configuration error';
@@ -68,57 +113,87 @@ const validate = (parameters) => {
 /**
  * Google Maps Reviews Route
  * This route is used to fetch reviews for a given place FID.
- * It uses the Apify actor to fetch the reviews.
+ * The place may also be given as a URL-encoded Google Maps place URL, a decimal CID or a placeId, which
+ * are resolved to the FID through the place registry. The response always holds the resolved FID.
+ * It walks the review provider chain (see modules/review-providers) until a provider returns reviews.
+ * Every request gets a deadline from its timeout (in seconds, sent by the Python miner), which each stage
+ * uses to cut its work short so the response lands before the validator gives up.
+ * Concurrent requests for the same fid, language and sort share one walk of the chain,
+ * bounded by the deadline of the first one, and each request stops waiting at its own deadline.
+ * When the caller disconnects, the request stops waiting, and the shared work (Apify runs, browser pages,
+ * retries) is aborted once no other request waits for it.
+ * In turbo mode the reviews are optimized for the validator score before they are returned.
  * It returns a structured response with the reviews and metadata.
  * Uses fixed count from config.MINER.REVIEW_COUNT
  *
  * @example
- * GET /google-maps/reviews/:fid?language=en&sort=newest
+ * GET /google-maps/reviews/:fid?language=en&sort=newest&timeout=120
+ * GET /google-maps/reviews/16642113626023113190?language=en&sort=newest
  *
  * @param {import('express').Request} request - The request object
  * @param {import('express').Response} response - The response object
  * @returns {Promise<void>}
  */
 const execute = async (request, response) => {
-  // Check if TURBO mode is enabled via environment variable
-  const useTurboMode = process.env.MINER_TURBO_MODE === 'true';
-  
-  if (useTurboMode) {
-    logger.info('[Miner] Using TURBO mode for enhanced performance');
-    return await turboReviews.execute(request, response);
-  }
+  const deadline = Deadline.fromTimeout(request.query.timeout);
+
+  // The request 'close' event fires once the request body is read, so the response tells us the caller left
+  const controller = new AbortController();
+  response.on('close', () => {
+    if (!response.writableFinished) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
 
-  // Fallback to original Apify implementation
   try {
-    const { fid } = request.params;
+    const { fid: identifier } = request.params;
     const { language = 'en', sort = 'newest' } = request.query;
     // Use fixed count from config instead of query parameter
     const countNumber = config.MINER.REVIEW_COUNT;
 
-    logger.info(`[Miner] Fetching reviews - FID: ${fid}, Count: ${countNumber}, Language: ${language}, Sort: ${sort}`);
+    logger.info(`[Miner] Fetching reviews - FID: ${identifier}, Count: ${countNumber}, Language: ${language}, Sort: ${sort}`);
 
     // Validate the parameters and continue if valid.
-    const { isValid, message } = validate({ fid, sort });
+    const { isValid, message } = validate({ fid: identifier, sort });
     if (!isValid) {
       return responseService.badRequest(response, message);
     }
 
-    // Run the Apify actor and get the results
-    logger.info(`[Miner] Starting Apify actor for reviews fetch...`);
-    const items = await retryable(async () => {
-      return await apify.runActorAndGetResults(config.MINER.APIFY_ACTORS.GOOGLE_MAPS_REVIEWS, {
-        placeFIDs: [fid],
-        maxItems: countNumber,
-        language: language,
-        sort: sort,
+    const fid = await getRegistry().resolve(identifier);
+    if (!fid) {
+      logger.error(`[Miner] Error: Unknown place: ${identifier}`);
+      return responseService.notFound(response, {
+        error: 'Unknown place',
+        message: `${identifier} is not in the place registry, please provide its FID`
       });
-    }, 10);
+    }
+
+    // Walk the provider chain, or join the walk already in flight for the same request
+    const { reviews, provider, cache } = await singleFlight.run(
+      `${fid}:${language}:${sort}`,
+      (signal) => reviewProviders.fetchReviews({ fid, language, sort, count: countNumber, deadline, signal }),
+      { timeout: deadline.cap(deadline.budget), signal: controller.signal }
+    );
+    // Off the response path, the registry only serves later requests
+    registerPlace(fid, reviews).catch((error) => {
+      logger.error(`[Miner] Failed to register place ${fid}: ${error.message}`);
+    });
+
+    // The optimizer sorts in place, and the reviews are shared with the requests that joined the walk
+    const items = reviewProviders.isTurboMode() ? responseOptimizer.optimizeForScore([...reviews], deadline) : reviews;
 
     // Return structured response with reviews and metadata
-    const result = output(fid, countNumber, language, sort, items);
+    const result = output(fid, countNumber, language, sort, items, provider, cache);
+    latencies.record(deadline.elapsed());
     return responseService.success(response, result);
   } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(`[Miner] Client disconnected, stopped fetching reviews for ${request.params.fid}`);
+      return;
+    }
+
     logger.error(`[Miner] Error fetching reviews:`, error);
+    latencies.record(deadline.elapsed());
     return responseService.internalServerError(response, {
       error: 'Failed to fetch reviews',
       message: error.message,
@@ -127,8 +202,21 @@ const execute = async (request, response) => {
   }
 }
 
+/**
+ * Get the statistics of the route
+ * @returns {Object} - The latency percentiles of the recent requests and the request coalescing statistics
+ */
+const getStats = () => {
+  return {
+    latency: latencies.getStats(),
+    coalescing: singleFlight.getStats()
+  };
+}
+
 export default {
   execute,
   validate,
   output,
+  getStats,
+  singleFlight,
 };
@@ -1,8 +1,11 @@
 import reviewsRoute from './reviews.js';
 import responseService from '#modules/response/index.js';
-import apify from '#modules/apify/index.js';
-import retryable from '#modules/retryable/index.js';
+import reviewProviders from '#modules/review-providers/index.js';
+import ResponseOptimizer from '#modules/response-optimizer/index.js';
 import config from '#config';
+import Deadline from '#modules/deadline/index.js';
+import { getRegistry } from '#modules/place-registry/index.js';
+import logger from '#modules/logger/index.js';
 
 jest.mock('#modules/logger/index.js', () => ({
   info: jest.fn(),
@@ -17,23 +20,44 @@ jest.mock('#modules/response/index.js', () => ({
   success: jest.fn(),
   badRequest: jest.fn(),
   internalServerError: jest.fn(),
+  notFound: jest.fn(),
 }));
 
-jest.mock('#modules/retryable/index.js');
-jest.mock('#modules/apify/index.js');
+jest.mock('#modules/review-providers/index.js', () => ({
+  getChain: jest.fn(),
+  isTurboMode: jest.fn(),
+  fetchReviews: jest.fn(),
+}));
+
+jest.mock('#modules/response-optimizer/index.js', () => {
+  const ResponseOptimizer = jest.fn();
+  ResponseOptimizer.prototype.optimizeForScore = jest.fn();
+  return ResponseOptimizer;
+});
+
+jest.mock('#modules/place-registry/index.js', () => {
+  const registry = {
+    resolve: jest.fn(),
+    get: jest.fn(),
+    add: jest.fn()
+  };
+  return { getRegistry: () => registry };
+});
 
 describe('routes/miner/google-maps/reviews.js', () => {
   beforeEach(() => {
     jest.resetModules();
     process.env.APIFY_TOKEN = 'test';
+    reviewProviders.getChain.mockReturnValue(['apify']);
   });
 
   describe('.output()', () => {
     test('should output the result properly', () => {
-      const result = reviewsRoute.output('1234567890', 10, 'en', 'newest', []);
+      const result = reviewsRoute.output('0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', 10, 'en', 'newest', [], 'apify');
       expect(result).toEqual({
         status: 'success',
-        fid: '1234567890',
+        source: 'apify',
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
         parameters: {
           count: 10,
           language: 'en',
@@ -44,6 +68,14 @@ describe('routes/miner/google-maps/reviews.js', () => {
         timestamp: expect.any(String),
       });
     });
+
+    test('should output the cache age of cached reviews', () => {
+      const result = reviewsRoute.output('0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', 10, 'en', 'newest', [], 'redis-cache', { age: 600, stale: true });
+      expect(result).toEqual(expect.objectContaining({
+        source: 'redis-cache',
+        cache: { age: 600, stale: true }
+      }));
+    });
   });
 
   describe('.validate()', () => {
@@ -58,8 +90,29 @@ describe('routes/miner/google-maps/reviews.js', () => {
       });
     });
 
+    test('should fail if fid is malformed', () => {
+      const result = reviewsRoute.validate({ fid: 'not a place', sort: 'newest' });
+      expect(result).toEqual({
+        isValid: false,
+        message: {
+          error: 'Invalid fid parameter',
+          message: 'Please provide a FID (0x…:0x…), a Google Maps place URL, a CID or a placeId'
+        }
+      });
+    });
+
+    test('should accept a place URL, a CID or a placeId instead of the fid', () => {
+      for (const fid of [
+        'https://www.google.com/maps/place/Joe/data=!4m6!3m5!1s0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
+        '16642113626023113190',
+        'ChIJN1t_tDeuEmsRUsoyG83frY4'
+      ]) {
+        expect(reviewsRoute.validate({ fid, sort: 'newest' })).toEqual({ isValid: true, message: {} });
+      }
+    });
+
     test('should fail if sort is invalid', () => {
-      const result = reviewsRoute.validate({ fid: '1234567890', sort: 'invalid' });
+      const result = reviewsRoute.validate({ fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', sort: 'invalid' });
       expect(result).toEqual({
         isValid: false,
         message: {
@@ -71,7 +124,7 @@ describe('routes/miner/google-maps/reviews.js', () => {
 
     test('should fail if APIFY_TOKEN is not configured', () => {
       delete process.env.APIFY_TOKEN;
-      const result = reviewsRoute.validate({ fid: '1234567890', sort: 'newest' });
+      const result = reviewsRoute.validate({ fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', sort: 'newest' });
       expect(result).toEqual({
         isValid: false,
         message: {
@@ -81,8 +134,17 @@ describe('routes/miner/google-maps/reviews.js', () => {
       });
     });
 
+    test('should not require APIFY_TOKEN if the provider chain does not use Apify', () => {
+      delete process.env.APIFY_TOKEN;
+      const result = reviewsRoute.validate({ fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', sort: 'newest', chain: ['redis-cache', 'puppeteer'] });
+      expect(result).toEqual({
+        isValid: true,
+        message: {}
+      });
+    });
+
     test('should pass if all parameters are valid', () => {
-      const result = reviewsRoute.validate({ fid: '1234567890', sort: 'newest' });
+      const result = reviewsRoute.validate({ fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', sort: 'newest' });
       expect(result).toEqual({
         isValid: true,
         message: {}
@@ -96,13 +158,16 @@ describe('routes/miner/google-maps/reviews.js', () => {
     let items;
 
     beforeEach(() => {
+      jest.clearAllMocks();
       response = {
         status: jest.fn(),
         json: jest.fn(),
+        on: jest.fn(),
+        writableFinished: false,
       };
       request = {
         params: {
-          fid: '1234567890',
+          fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
         },
         query: {
           language: 'en',
@@ -110,11 +175,24 @@ describe('routes/miner/google-maps/reviews.js', () => {
         },
       };
       items = Array.from({ length: config.MINER.REVIEW_COUNT }, (_, index) => ({
-        id: index + 1,
-        text: `Review ${index + 1}`
+        reviewId: `review-${index + 1}`,
+        reviewUrl: `https://www.google.com/maps/reviews/${index + 1}`,
+        reviewerId: `${index + 1}`,
+        reviewerUrl: `https://www.google.com/maps/contrib/${index + 1}`,
+        reviewerName: `Reviewer ${index + 1}`,
+        text: `Review ${index + 1}`,
+        stars: 5,
+        likesCount: 0,
+        publishedAtDate: '2025-01-01T00:00:00.000Z',
+        lastEditedAtDate: '2025-01-01T00:00:00.000Z',
+        placeId: 'place-id',
+        cid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
+        totalScore: 4.5
       }));
-      retryable.mockImplementation((function_) => function_());
-      apify.runActorAndGetResults.mockResolvedValue(items);
+      reviewProviders.isTurboMode.mockReturnValue(false);
+      reviewProviders.fetchReviews.mockResolvedValue({ reviews: items, provider: 'apify', attempts: [] });
+      getRegistry().resolve.mockImplementation(async identifier => identifier);
     });
 
     test('should fail if validate() fails', async () => {
@@ -127,11 +205,76 @@ describe('routes/miner/google-maps/reviews.js', () => {
       });
     });
 
-    test('should fail if apify.runActorAndGetResults() fails', async () => {
-      retryable.mockImplementation(() => {
-        throw new Error('Failed to fetch reviews');
+    test('should resolve the place to its FID', async () => {
+      request.params.fid = '16642113626023113190';
+      getRegistry().resolve.mockResolvedValue('0x89c259af336b3341:0xe6f4aa2b4ecbb1e6');
+      await reviewsRoute.execute(request, response);
+      expect(getRegistry().resolve).toHaveBeenCalledWith('16642113626023113190');
+      expect(reviewProviders.fetchReviews).toHaveBeenCalledWith(expect.objectContaining({
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6'
+      }));
+      expect(responseService.success).toHaveBeenCalledWith(response, expect.objectContaining({
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6'
+      }));
+    });
+
+    test('should fail if the place is not in the registry', async () => {
+      request.params.fid = 'ChIJN1t_tDeuEmsRUsoyG83frY4';
+      getRegistry().resolve.mockResolvedValue();
+      await reviewsRoute.execute(request, response);
+      expect(reviewProviders.fetchReviews).not.toHaveBeenCalled();
+      expect(responseService.notFound).toHaveBeenCalledWith(response, {
+        error: 'Unknown place',
+        message: 'ChIJN1t_tDeuEmsRUsoyG83frY4 is not in the place registry, please provide its FID'
       });
-      apify.runActorAndGetResults.mockRejectedValue(new Error('Failed to fetch reviews'));
+    });
+
+    test('should register the place of the reviews', async () => {
+      await reviewsRoute.execute(request, response);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(getRegistry().add).toHaveBeenCalledWith({
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
+        placeId: 'place-id',
+        totalScore: 4.5
+      });
+    });
+
+    test('should register the rating of a place known without it', async () => {
+      getRegistry().get.mockResolvedValue({ fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', placeId: 'place-id' });
+      await reviewsRoute.execute(request, response);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(getRegistry().add).toHaveBeenCalledWith({
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
+        placeId: 'place-id',
+        totalScore: 4.5
+      });
+    });
+
+    test('should not register a place already known', async () => {
+      getRegistry().get.mockResolvedValue({ fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6', placeId: 'place-id', totalScore: 4.5 });
+      await reviewsRoute.execute(request, response);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(getRegistry().add).not.toHaveBeenCalled();
+    });
+
+    test('should not register a place without reviews', async () => {
+      reviewProviders.fetchReviews.mockResolvedValue({ reviews: [], provider: 'apify', attempts: [] });
+      await reviewsRoute.execute(request, response);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(getRegistry().get).not.toHaveBeenCalled();
+      expect(getRegistry().add).not.toHaveBeenCalled();
+    });
+
+    test('should respond without waiting for the registry and log its failures', async () => {
+      getRegistry().get.mockRejectedValue(new Error('disk full'));
+      await reviewsRoute.execute(request, response);
+      expect(responseService.success).toHaveBeenCalled();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(logger.error).toHaveBeenCalledWith('[Miner] Failed to register place 0x89c259af336b3341:0xe6f4aa2b4ecbb1e6: disk full');
+    });
+
+    test('should fail if every review provider fails', async () => {
+      reviewProviders.fetchReviews.mockRejectedValue(new Error('Failed to fetch reviews'));
       await reviewsRoute.execute(request, response);
       expect(responseService.internalServerError).toHaveBeenCalledWith(response, {
         error: 'Failed to fetch reviews',
@@ -140,17 +283,114 @@ describe('routes/miner/google-maps/reviews.js', () => {
       });
     });
 
+    test('should share one fetch between concurrent requests for the same place', async () => {
+      await Promise.all([
+        reviewsRoute.execute(request, response),
+        reviewsRoute.execute(request, response)
+      ]);
+      expect(reviewProviders.fetchReviews).toHaveBeenCalledTimes(1);
+      expect(responseService.success).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop waiting at the request deadline', async () => {
+      let resolve;
+      jest.useFakeTimers();
+      reviewProviders.fetchReviews.mockReturnValue(new Promise(r => {
+        resolve = r;
+      }));
+      request.query.timeout = '5';
+      const budget = 5000 - config.MINER.DEADLINE.SAFETY_MARGIN;
+      const execution = reviewsRoute.execute(request, response);
+      await jest.advanceTimersByTimeAsync(budget);
+      await execution;
+      jest.useRealTimers();
+      resolve({ reviews: [] });
+      await reviewsRoute.singleFlight.inFlight.get('0x89c259af336b3341:0xe6f4aa2b4ecbb1e6:en:newest');
+      expect(responseService.internalServerError).toHaveBeenCalledWith(response, expect.objectContaining({
+        message: `Timed out after ${budget}ms waiting for the in-flight request`
+      }));
+    });
+
+    test('should abort fetching when the client disconnects', async () => {
+      let resolve;
+      reviewProviders.fetchReviews.mockReturnValue(new Promise(r => {
+        resolve = r;
+      }));
+      request.params.fid = '0x89c259af336b3341:0x1';
+      const execution = reviewsRoute.execute(request, response);
+      await new Promise(resolve => setImmediate(resolve));
+      const { signal } = reviewProviders.fetchReviews.mock.calls[0][0];
+      const [event, onClose] = response.on.mock.calls[0];
+      expect(event).toBe('close');
+      onClose();
+      await execution;
+      resolve({ reviews: [] });
+      expect(signal.aborted).toBe(true);
+      expect(responseService.success).not.toHaveBeenCalled();
+      expect(responseService.internalServerError).not.toHaveBeenCalled();
+    });
+
+    test('should not abort once the response was sent', async () => {
+      await reviewsRoute.execute(request, response);
+      const { signal } = reviewProviders.fetchReviews.mock.calls[0][0];
+      response.writableFinished = true;
+      response.on.mock.calls[0][1]();
+      expect(signal.aborted).toBe(false);
+    });
+
+    test('should record the latency of answered requests', async () => {
+      const before = reviewsRoute.getStats().latency.count;
+      await reviewsRoute.execute(request, response);
+      const stats = reviewsRoute.getStats();
+      expect(stats.latency.count).toBe(before + 1);
+      expect(stats.coalescing).toEqual(expect.objectContaining({ calls: expect.any(Number) }));
+    });
+
+    test('should build the deadline from the timeout in seconds', async () => {
+      request.query.timeout = '120';
+      await reviewsRoute.execute(request, response);
+      const { deadline } = reviewProviders.fetchReviews.mock.calls[0][0];
+      expect(deadline.budget).toBe(120_000 - config.MINER.DEADLINE.SAFETY_MARGIN);
+    });
+
+    test('should optimize the reviews in turbo mode', async () => {
+      const optimized = items.slice(0, 10);
+      reviewProviders.isTurboMode.mockReturnValue(true);
+      ResponseOptimizer.prototype.optimizeForScore.mockReturnValue(optimized);
+      await reviewsRoute.execute(request, response);
+      expect(ResponseOptimizer.prototype.optimizeForScore).toHaveBeenCalledWith(items, expect.any(Deadline));
+      expect(responseService.success).toHaveBeenCalledWith(response, expect.objectContaining({
+        reviewCount: 10,
+        reviews: optimized
+      }));
+    });
+
+    test('should optimize a copy of the reviews shared with the coalesced requests', async () => {
+      const shared = [...items];
+      reviewProviders.isTurboMode.mockReturnValue(true);
+      ResponseOptimizer.prototype.optimizeForScore.mockImplementation(reviews => reviews.reverse());
+      await reviewsRoute.execute(request, response);
+      expect(ResponseOptimizer.prototype.optimizeForScore.mock.calls[0][0]).not.toBe(items);
+      expect(items).toEqual(shared);
+      expect(responseService.success).toHaveBeenCalledWith(response, expect.objectContaining({
+        reviews: shared.toReversed()
+      }));
+    });
+
     test('should return response properly', async () => {
       await reviewsRoute.execute(request, response);
-      expect(apify.runActorAndGetResults).toHaveBeenCalledWith(config.MINER.APIFY_ACTORS.GOOGLE_MAPS_REVIEWS, {
-        placeFIDs: ['1234567890'],
-        maxItems: expect.any(Number),
+      expect(reviewProviders.fetchReviews).toHaveBeenCalledWith({
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
+        count: config.MINER.REVIEW_COUNT,
         language: 'en',
-        sort: 'newest'
+        sort: 'newest',
+        deadline: expect.any(Deadline),
+        signal: expect.any(AbortSignal)
       });
       expect(responseService.success).toHaveBeenCalledWith(response, {
         status: 'success',
-        fid: '1234567890',
+        source: 'apify',
+        fid: '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6',
         parameters: {
           count: 100,
           language: 'en',
@@ -0,0 +1,34 @@
+import responseService from '#modules/response/index.js';
+import reviewProviders from '#modules/review-providers/index.js';
+
+/**
+ * Output the health of the miner node
+ * @returns {Object} - The output
+ */
+const output = () => {
+  return {
+    status: 'healthy',
+    node: 'miner',
+    endpoints: ['/google-maps/reviews/:fid', '/health', '/ready', '/stats', '/metrics'],
+    config: {
+      review_providers: reviewProviders.getChain(),
+      turbo_mode: reviewProviders.isTurboMode()
+    }
+  }
+}
+
+/**
+ * Execute the health route
+ * The miner is healthy as soon as it serves requests, see the ready route for readiness.
+ * @param {Object} request - The request object
+ * @param {Object} response - The response object
+ * @returns {Object} - The output
+ */
+const execute = (request, response) => {
+  return responseService.success(response, output());
+}
+
+export default {
+  execute,
+  output
+}
@@ -0,0 +1,42 @@
+import healthRoute from './health.js';
+import responseService from '#modules/response/index.js';
+import reviewProviders from '#modules/review-providers/index.js';
+
+jest.mock('#modules/response/index.js', () => ({
+  success: jest.fn(),
+}));
+
+jest.mock('#modules/review-providers/index.js', () => ({
+  getChain: jest.fn(),
+  isTurboMode: jest.fn(),
+}));
+
+describe('routes/miner/health.js', () => {
+  beforeEach(() => {
+    reviewProviders.getChain.mockReturnValue(['redis-cache', 'apify']);
+    reviewProviders.isTurboMode.mockReturnValue(true);
+  });
+
+  describe('.output()', () => {
+    test('should output the result properly', () => {
+      const result = healthRoute.output();
+      expect(result).toEqual({
+        status: 'healthy',
+        node: 'miner',
+        endpoints: ['/google-maps/reviews/:fid', '/health', '/ready', '/stats', '/metrics'],
+        config: {
+          review_providers: ['redis-cache', 'apify'],
+          turbo_mode: true
+        }
+      });
+    });
+  });
+
+  describe('.execute()', () => {
+    test('should return response properly', async () => {
+      const response = {};
+      await healthRoute.execute({}, response);
+      expect(responseService.success).toHaveBeenCalledWith(response, healthRoute.output());
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import responseService from '#modules/response/index.js';
+import reviewProviders from '#modules/review-providers/index.js';
+
+/**
+ * Output the readiness of the miner node
+ * @returns {Object} - The output
+ */
+const output = () => {
+  const { ready, providers } = reviewProviders.getReadiness();
+
+  return {
+    ready,
+    node: 'miner',
+    providers
+  }
+}
+
+/**
+ * Execute the ready route
+ * Responds 503 until every review provider of the chain (browser pool, cache) is initialized.
+ * @param {Object} request - The request object
+ * @param {Object} response - The response object
+ * @returns {Object} - The output
+ */
+const execute = (request, response) => {
+  const result = output();
+  return result.ready ? responseService.success(response, result) : responseService.serviceUnavailable(response, result);
+}
+
+export default {
+  execute,
+  output
+}
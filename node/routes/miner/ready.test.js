@@ -0,0 +1,48 @@
+import readyRoute from './ready.js';
+import responseService from '#modules/response/index.js';
+import reviewProviders from '#modules/review-providers/index.js';
+
+jest.mock('#modules/response/index.js', () => ({
+  success: jest.fn(),
+  serviceUnavailable: jest.fn(),
+}));
+
+jest.mock('#modules/review-providers/index.js', () => ({
+  getReadiness: jest.fn(),
+}));
+
+describe('routes/miner/ready.js', () => {
+  describe('.output()', () => {
+    test('should output the result properly', () => {
+      reviewProviders.getReadiness.mockReturnValue({ ready: true, providers: { apify: { status: 'ready' } } });
+      expect(readyRoute.output()).toEqual({
+        ready: true,
+        node: 'miner',
+        providers: { apify: { status: 'ready' } }
+      });
+    });
+  });
+
+  describe('.execute()', () => {
+    let response;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      response = {};
+    });
+
+    test('should respond success once ready', async () => {
+      reviewProviders.getReadiness.mockReturnValue({ ready: true, providers: {} });
+      await readyRoute.execute({}, response);
+      expect(responseService.success).toHaveBeenCalledWith(response, { ready: true, node: 'miner', providers: {} });
+    });
+
+    test('should respond service unavailable until ready', async () => {
+      const providers = { puppeteer: { status: 'pending' } };
+      reviewProviders.getReadiness.mockReturnValue({ ready: false, providers });
+      await readyRoute.execute({}, response);
+      expect(responseService.serviceUnavailable).toHaveBeenCalledWith(response, { ready: false, node: 'miner', providers });
+      expect(responseService.success).not.toHaveBeenCalled();
+    });
+  });
+});
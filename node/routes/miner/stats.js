@@ -0,0 +1,43 @@
+import responseService from '#modules/response/index.js';
+import time from '#modules/time/index.js';
+import apify from '#modules/apify/index.js';
+import reviewProviders from '#modules/review-providers/index.js';
+import googleMapsReviewsRoute from '#routes/miner/google-maps/reviews.js';
+
+/**
+ * Output the statistics of the miner node
+ * @returns {Object} - The output
+ */
+const output = () => {
+  const resources = reviewProviders.getResourceStats();
+  const reviews = googleMapsReviewsRoute.getStats();
+
+  return {
+    node: 'miner',
+    uptime: process.uptime(),
+    latency: reviews.latency,
+    coalescing: reviews.coalescing,
+    providers: reviewProviders.getStats(),
+    cache: resources['redis-cache'],
+    browserPool: resources.puppeteer,
+    apify: apify.getUsage(),
+    timestamp: time.getCurrentTimestamp()
+  }
+}
+
+/**
+ * Execute the stats route
+ * Reports the recent latency percentiles, provider success rates, cache hit rate,
+ * browser pool size and Apify usage of the miner.
+ * @param {Object} request - The request object
+ * @param {Object} response - The response object
+ * @returns {Object} - The output
+ */
+const execute = (request, response) => {
+  return responseService.success(response, output());
+}
+
+export default {
+  execute,
+  output
+}
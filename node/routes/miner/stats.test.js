@@ -0,0 +1,67 @@
+import statsRoute from './stats.js';
+import responseService from '#modules/response/index.js';
+import apify from '#modules/apify/index.js';
+import reviewProviders from '#modules/review-providers/index.js';
+import googleMapsReviewsRoute from '#routes/miner/google-maps/reviews.js';
+
+jest.mock('#modules/response/index.js', () => ({
+  success: jest.fn(),
+}));
+
+jest.mock('#modules/time/index.js', () => ({
+  getCurrentTimestamp: jest.fn().mockReturnValue("2025-01-01 00:00:00"),
+}));
+
+jest.mock('#modules/apify/index.js', () => ({
+  getUsage: jest.fn(),
+}));
+
+jest.mock('#modules/review-providers/index.js', () => ({
+  getStats: jest.fn(),
+  getResourceStats: jest.fn(),
+}));
+
+jest.mock('#routes/miner/google-maps/reviews.js', () => ({
+  getStats: jest.fn(),
+}));
+
+describe('routes/miner/stats.js', () => {
+  beforeEach(() => {
+    apify.getUsage.mockReturnValue({ runs: 3 });
+    reviewProviders.getStats.mockReturnValue({ apify: { successRate: 1 } });
+    reviewProviders.getResourceStats.mockReturnValue({ 'redis-cache': { hitRate: '50.00%' }, puppeteer: { browsers: 8 } });
+    googleMapsReviewsRoute.getStats.mockReturnValue({ latency: { p50: 1200 }, coalescing: { coalesced: 4 } });
+  });
+
+  describe('.output()', () => {
+    test('should output the result properly', () => {
+      expect(statsRoute.output()).toEqual({
+        node: 'miner',
+        uptime: expect.any(Number),
+        latency: { p50: 1200 },
+        coalescing: { coalesced: 4 },
+        providers: { apify: { successRate: 1 } },
+        cache: { hitRate: '50.00%' },
+        browserPool: { browsers: 8 },
+        apify: { runs: 3 },
+        timestamp: '2025-01-01 00:00:00'
+      });
+    });
+
+    test('should leave out the resources of providers that are not used', () => {
+      reviewProviders.getResourceStats.mockReturnValue({});
+      expect(statsRoute.output()).toEqual(expect.objectContaining({ cache: undefined, browserPool: undefined }));
+    });
+  });
+
+  describe('.execute()', () => {
+    test('should return response properly', async () => {
+      const response = {};
+      await statsRoute.execute({}, response);
+      expect(responseService.success).toHaveBeenCalledWith(response, {
+        ...statsRoute.output(),
+        uptime: expect.any(Number)
+      });
+    });
+  });
+});
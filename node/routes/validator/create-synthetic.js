@@ -2,6 +2,7 @@ import config from '#config';
 import responseService from '#modules/response/index.js';
 import time from '#modules/time/index.js';
 import logger from '#modules/logger/index.js';
+import random from '#modules/random/index.js';
 import retryable from '#modules/retryable/index.js';
 import getEligiblePlace from '#utils/validator/google-maps/create-synthetic/get-eligible-place.js';
 
@@ -10,11 +11,13 @@ import getEligiblePlace from '#utils/validator/google-maps/create-synthetic/get-
  * @param {Object} param0 - The parameters
  * @returns {Object} - The output
  */
-const output = ({ selectedPlace, totalDuration }) => {
+const output = ({ selectedPlace, totalDuration, seed }) => {
   return {
     status: 'success',
+    seed,
     task: {
       dataId: selectedPlace.fid,  // Use fid as dataId
+      country: selectedPlace.country,  // ISO code of the country the place was searched in
       synapse_params: {
         language: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.language,
         sort: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.sort,
@@ -54,8 +57,13 @@ const validate = () => {
  * Create Synthetic Task Route
  * This route is used to create a synthetic task for a given place.
  * It returns the place FID and synapse parameters for miners to fetch reviews.
+ * The place is drawn from the synthetic task pool, and searched with Apify only when the pool has none to draw.
+ * The random picks are drawn from a seeded generator, the seed is returned and can be passed
+ * back, in the body or the query, to re-derive the same location, place type and place (given the same pool
+ * and search results).
  * @example
  * GET /validator/create-synthetic
+ * POST /create-synthetic-task { "seed": "5f2a9c0d1e3b4a76" }
  * @param {import('express').Request} request - The request object
  * @param {import('express').Response} response - The response object
  * @returns {Promise<void>}
@@ -69,16 +77,19 @@ const execute = async (request, response) => {
     return responseService.internalServerError(response, message);
   }
 
+  const seed = request.body?.seed || request.query?.seed || random.createSeed();
+  const rng = random.seeded(seed);
+
   try {
     // Get an eligible place
-    logger.info(`Starting synthetic task creation.`);
-    const selectedPlace = await retryable(getEligiblePlace, 10);
+    logger.info(`Starting synthetic task creation (seed: ${seed}).`);
+    const selectedPlace = await retryable(() => getEligiblePlace(rng), 10);
 
     const totalDuration = time.getDuration(startTime);
     logger.info(`Successfully created synthetic task in ${totalDuration.toFixed(2)}s`);
 
     // Return the synthetic task data
-    const result = output({ selectedPlace, totalDuration });
+    const result = output({ selectedPlace, totalDuration, seed });
     responseService.success(response, result);
   } catch (error) {
     const totalDuration = time.getDuration(startTime);
@@ -86,6 +97,7 @@ const execute = async (request, response) => {
     responseService.internalServerError(response, {
       error: 'Failed to create synthetic task',
       message: error.message,
+      seed,
       totalTime: totalDuration,
       timestamp: time.getCurrentTimestamp()
     });
@@ -52,6 +52,7 @@ describe('routes/validator/create-synthetic.js', () => {
       title: 'Selected Place',
       reviewsCount: 10_000,
       type: 'place',
+      country: 'JP',
     }
 
     getEligiblePlace.mockResolvedValue(selectedPlace);
@@ -67,11 +68,14 @@ describe('routes/validator/create-synthetic.js', () => {
       const result = createSyntheticRoute.output({
         selectedPlace,
         totalDuration: 100,
+        seed: 'seed'
       });
       expect(result).toEqual({
         status: 'success',
+        seed: 'seed',
         task: {
           dataId: selectedPlace.fid,
+          country: 'JP',
           synapse_params: {
             language: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.language,
             sort: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.sort,
@@ -122,12 +126,18 @@ describe('routes/validator/create-synthetic.js', () => {
 
     test('should return response properly', async () => {
       apify.runActorAndGetResults.mockResolvedValue([selectedPlace]);
+      random.createSeed.mockReturnValue('seed');
+      random.seeded.mockReturnValue(random);
 
       await createSyntheticRoute.execute(request, response);
+      expect(random.seeded).toHaveBeenCalledWith('seed');
+      expect(getEligiblePlace).toHaveBeenCalledWith(random);
       expect(responseService.success).toHaveBeenCalledWith(response, {
         status: 'success',
+        seed: 'seed',
         task: {
           dataId: selectedPlace.fid,
+          country: 'JP',
           synapse_params: {
             language: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.language,
             sort: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.sort,
@@ -139,6 +149,22 @@ describe('routes/validator/create-synthetic.js', () => {
       });
     });
 
+    test('should reuse the seed given in the query', async () => {
+      request.query = { seed: 'given-seed' };
+
+      await createSyntheticRoute.execute(request, response);
+      expect(random.createSeed).not.toHaveBeenCalled();
+      expect(random.seeded).toHaveBeenCalledWith('given-seed');
+      expect(responseService.success).toHaveBeenCalledWith(response, expect.objectContaining({ seed: 'given-seed' }));
+    });
+
+    test('should reuse the seed given in the body', async () => {
+      request.body = { seed: 'body-seed' };
+
+      await createSyntheticRoute.execute(request, response);
+      expect(random.seeded).toHaveBeenCalledWith('body-seed');
+    });
+
     test('should fail if getEligiblePlace() fails', async () => {
       getEligiblePlace.mockRejectedValue(new Error('Failed to get eligible place'));
 
@@ -0,0 +1,42 @@
+import responseService from '#modules/response/index.js';
+import time from '#modules/time/index.js';
+import scoreHistory from '#utils/validator/score-history.js';
+
+/**
+ * Output the leaderboard
+ * @param {Array<Object>} miners - The ranked miners from scoreHistory.getLeaderboard()
+ * @returns {Object} - The output
+ */
+const output = (miners) => {
+  return {
+    status: 'success',
+    window: scoreHistory.window,
+    miners,
+    timestamp: time.getCurrentTimestamp()
+  }
+}
+
+/**
+ * Leaderboard Route
+ * Ranks the miners by the moving average of their scores over the last rounds.
+ *
+ * @example
+ * GET /leaderboard?limit=10
+ *
+ * @param {import('express').Request} request - The request object
+ * @param {import('express').Response} response - The response object
+ * @returns {Promise<void>}
+ */
+const execute = async(request, response) => {
+  // At least one, a negative limit would slice from the other end
+  const parsed = Number.parseInt(request.query.limit, 10);
+  const limit = Number.isNaN(parsed) ? undefined : Math.max(1, parsed);
+  const miners = await scoreHistory.getLeaderboard({ limit });
+
+  return responseService.success(response, output(miners));
+}
+
+export default {
+  execute,
+  output
+}
@@ -0,0 +1,59 @@
+import leaderboardRoute from './leaderboard.js';
+import responseService from '#modules/response/index.js';
+import time from '#modules/time/index.js';
+import scoreHistory from '#utils/validator/score-history.js';
+
+jest.mock('#modules/time/index.js');
+jest.mock('#modules/response/index.js', () => ({
+  success: jest.fn(),
+}));
+jest.mock('#utils/validator/score-history.js', () => ({
+  window: 10,
+  getLeaderboard: jest.fn(),
+}));
+
+describe('routes/validator/leaderboard.js', () => {
+  const timestamp = '2025-01-01 00:00:00.000';
+  const miners = [{ rank: 1, minerUID: 12, movingAverage: 0.8 }];
+
+  beforeEach(() => {
+    time.getCurrentTimestamp.mockReturnValue(timestamp);
+    scoreHistory.getLeaderboard.mockResolvedValue(miners);
+  });
+
+  describe('.output()', () => {
+    test('should output the result properly', () => {
+      expect(leaderboardRoute.output(miners)).toEqual({
+        status: 'success',
+        window: 10,
+        miners,
+        timestamp
+      });
+    });
+  });
+
+  describe('.execute()', () => {
+    test('should return the ranked miners', async () => {
+      const response = {};
+
+      await leaderboardRoute.execute({ query: { limit: '5' } }, response);
+
+      expect(scoreHistory.getLeaderboard).toHaveBeenCalledWith({ limit: 5 });
+      expect(responseService.success).toHaveBeenCalledWith(response, leaderboardRoute.output(miners));
+    });
+
+    test('should return at least one miner', async () => {
+      for (const limit of ['0', '-5']) {
+        await leaderboardRoute.execute({ query: { limit } }, {});
+
+        expect(scoreHistory.getLeaderboard).toHaveBeenLastCalledWith({ limit: 1 });
+      }
+    });
+
+    test('should use the default limit without a valid one', async () => {
+      await leaderboardRoute.execute({ query: { limit: 'all' } }, {});
+
+      expect(scoreHistory.getLeaderboard).toHaveBeenCalledWith({ limit: undefined });
+    });
+  });
+});
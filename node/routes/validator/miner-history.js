@@ -0,0 +1,51 @@
+import responseService from '#modules/response/index.js';
+import time from '#modules/time/index.js';
+import scoreHistory from '#utils/validator/score-history.js';
+
+/**
+ * Output the score history of a miner
+ * @param {Object} history - The history from scoreHistory.getHistory()
+ * @returns {Object} - The output
+ */
+const output = ({ minerUID, summary, rounds }) => {
+  return {
+    status: 'success',
+    minerUID,
+    summary,
+    rounds,
+    timestamp: time.getCurrentTimestamp()
+  }
+}
+
+/**
+ * Miner History Route
+ * Returns the moving averages, pass rate and trend of a miner with its most recent scoring rounds, newest first.
+ *
+ * @example
+ * GET /miners/12/history?limit=20
+ *
+ * @param {import('express').Request} request - The request object
+ * @param {import('express').Response} response - The response object
+ * @returns {Promise<void>}
+ */
+const execute = async(request, response) => {
+  const { uid } = request.params;
+  // At least one, a negative limit would slice from the other end
+  const parsed = Number.parseInt(request.query.limit, 10);
+  const limit = Number.isNaN(parsed) ? undefined : Math.max(1, parsed);
+
+  const history = await scoreHistory.getHistory(uid, { limit });
+  if (!history) {
+    return responseService.notFound(response, {
+      error: 'Unknown miner',
+      message: `No score history for miner ${uid}`
+    });
+  }
+
+  return responseService.success(response, output(history));
+}
+
+export default {
+  execute,
+  output
+}
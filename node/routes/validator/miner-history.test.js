@@ -0,0 +1,80 @@
+import minerHistoryRoute from './miner-history.js';
+import responseService from '#modules/response/index.js';
+import time from '#modules/time/index.js';
+import scoreHistory from '#utils/validator/score-history.js';
+
+jest.mock('#modules/time/index.js');
+jest.mock('#modules/response/index.js', () => ({
+  success: jest.fn(),
+  notFound: jest.fn(),
+}));
+jest.mock('#utils/validator/score-history.js', () => ({
+  getHistory: jest.fn(),
+}));
+
+describe('routes/validator/miner-history.js', () => {
+  const timestamp = '2025-01-01 00:00:00.000';
+  const history = {
+    minerUID: 12,
+    summary: { movingAverage: 0.8, passRate: 1, trend: 'up' },
+    rounds: [{ score: 0.8 }]
+  };
+
+  beforeEach(() => {
+    time.getCurrentTimestamp.mockReturnValue(timestamp);
+  });
+
+  describe('.output()', () => {
+    test('should output the result properly', () => {
+      expect(minerHistoryRoute.output(history)).toEqual({
+        status: 'success',
+        ...history,
+        timestamp
+      });
+    });
+  });
+
+  describe('.execute()', () => {
+    let response;
+
+    beforeEach(() => {
+      response = {};
+    });
+
+    test('should return the history of the miner', async () => {
+      scoreHistory.getHistory.mockResolvedValue(history);
+
+      await minerHistoryRoute.execute({ params: { uid: '12' }, query: { limit: '20' } }, response);
+
+      expect(scoreHistory.getHistory).toHaveBeenCalledWith('12', { limit: 20 });
+      expect(responseService.success).toHaveBeenCalledWith(response, minerHistoryRoute.output(history));
+    });
+
+    test('should use the default limit without a valid one', async () => {
+      scoreHistory.getHistory.mockResolvedValue(history);
+
+      await minerHistoryRoute.execute({ params: { uid: '12' }, query: { limit: 'all' } }, response);
+
+      expect(scoreHistory.getHistory).toHaveBeenCalledWith('12', { limit: undefined });
+    });
+
+    test('should return at least one round', async () => {
+      scoreHistory.getHistory.mockResolvedValue(history);
+
+      await minerHistoryRoute.execute({ params: { uid: '12' }, query: { limit: '-5' } }, response);
+
+      expect(scoreHistory.getHistory).toHaveBeenCalledWith('12', { limit: 1 });
+    });
+
+    test('should return notFound for an unknown miner', async () => {
+      scoreHistory.getHistory.mockResolvedValue();
+
+      await minerHistoryRoute.execute({ params: { uid: '99' }, query: {} }, response);
+
+      expect(responseService.notFound).toHaveBeenCalledWith(response, {
+        error: 'Unknown miner',
+        message: 'No score history for miner 99'
+      });
+    });
+  });
+});
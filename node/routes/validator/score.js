@@ -1,19 +1,63 @@
+import { randomUUID } from 'node:crypto';
+import config from '#config';
 import responseService from '#modules/response/index.js';
 import time from '#modules/time/index.js';
 import logger from '#modules/logger/index.js';
-import performBatchSpotCheck from '#utils/validator/google-maps/score/perform-batch-spot-check.js';
-import validateMinerAgainstBatch from '#utils/validator/google-maps/score/validate-miner-against-batch.js';
+import metrics from '#modules/metrics/index.js';
+import random from '#modules/random/index.js';
+import runSpotCheck from '#utils/validator/google-maps/score/run-spot-check.js';
+import applySpotCheck from '#utils/validator/google-maps/score/apply-spot-check.js';
 import calculateFinalScores from '#utils/validator/google-maps/score/calculate-final-scores.js';
 import { prepareResponses } from '#utils/validator/google-maps/score/prepare-responses.js';
+import scoreHistory from '#utils/validator/score-history.js';
+import auditLog from '#utils/validator/audit-log.js';
+
+const spotChecks = metrics.counter('validator_spot_checks_total', 'Miner spot checks by result (passed, failed or inconclusive when no review could be looked up)', ['result']);
+const scoreComponents = metrics.histogram(
+  'validator_score_component',
+  'Score components of the miners that passed validation',
+  ['component'],
+  [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]
+);
+
+/**
+ * Record the score and its components of every miner that passed validation
+ * Rejected miners are left out since their zero scores would drown the distributions,
+ * they are counted by the spot check metric instead.
+ * @param {Array<Object>} finalScores - The final scores from calculateFinalScores()
+ */
+const recordScores = (finalScores) => {
+  for (const { passedValidation, score, components } of finalScores) {
+    if (passedValidation) {
+      scoreComponents.observe({ component: 'final' }, score);
+      scoreComponents.observe({ component: 'speed' }, components.speedScore);
+      scoreComponents.observe({ component: 'volume' }, components.volumeScore);
+      scoreComponents.observe({ component: 'recency' }, components.recencyScore);
+    }
+  }
+}
+
+/**
+ * Check if the scoring rounds are audited
+ * Read on every call so VALIDATOR_AUDIT_LOG applies even when set after the modules are loaded (dotenv).
+ * @returns {boolean} - False with VALIDATOR_AUDIT_LOG=false
+ */
+const isAuditLogEnabled = () => {
+  return process.env.VALIDATOR_AUDIT_LOG === undefined
+    ? config.VALIDATOR.AUDIT_LOG.ENABLED
+    : process.env.VALIDATOR_AUDIT_LOG !== 'false';
+}
 
 /**
  * Output the result of the score route
  * @param {Object} param0 - The parameters
  * @returns {Object} - The output
  */
-const output = ({ fid, scores, minScore, maxScore, meanScore, finalScores }) => {
+const output = ({ roundId, seed, fid, scores, minScore, maxScore, meanScore, finalScores, profile, spotCheck }) => {
   return {
     status: 'success',
+    roundId,
+    seed,
     fid,
     scores,
     statistics: {
@@ -22,6 +66,8 @@ const output = ({ fid, scores, minScore, maxScore, meanScore, finalScores }) =>
       min: minScore || 0,
       max: maxScore || 0
     },
+    scoring: profile,
+    spotCheck,
     timestamp: time.getCurrentTimestamp(),
     detailedResults: finalScores
   }
@@ -80,9 +126,13 @@ const validate = ({ fid, responses }) => {
  *   ],
  *   "responseTimes": [2.5],
  *   "synapseTimeout": 120,
- *   "minerUIDs": [1]
+ *   "minerUIDs": [1],
+ *   "seed": "5f2a9c0d1e3b4a76"
  * }
  *
+ * The seed is optional, a new one is generated and returned when missing. Passing back the seed
+ * of a round re-derives the same spot check selection.
+ *
  * @param {import('express').Request} request - The request object
  * @param {import('express').Response} response - The response object
  * @returns {Promise<void>}
@@ -94,7 +144,8 @@ const execute = async(request, response) => {
       responses,
       responseTimes = [],
       synapseTimeout = 120,
-      minerUIDs = []
+      minerUIDs = [],
+      seed = random.createSeed()
     } = request.body;
 
     // Validate the request
@@ -108,54 +159,59 @@ const execute = async(request, response) => {
     logger.info(`Response times provided: ${responseTimes.length > 0 ? 'Yes' : 'No'}`);
     logger.info(`Synapse timeout: ${synapseTimeout} seconds`);
     logger.info(`Miner UIDs: [${minerUIDs.join(', ')}]`);
+    logger.info(`Seed: ${seed}`);
 
     // Phase 1: Process all responses and collect spot check reviews
-    const { validationData, allSpotCheckReviews } = prepareResponses(responses, minerUIDs, fid);
+    const { validationData, allSpotCheckReviews } = prepareResponses(responses, minerUIDs, fid, random.seeded(seed));
 
-    // Phase 2: Batch spot check if we have any reviews to check
+    // Phase 2: Batch spot check if we have any reviews to check, re-drawing the reviews not found
     let verifiedReviewsMap = new Map();
+    let unavailable = new Set();
+    let spotCheckStats;
+    let spotCheckError;
     if (allSpotCheckReviews.length > 0) {
       try {
-        verifiedReviewsMap = await performBatchSpotCheck(allSpotCheckReviews, fid);
+        ({ verifiedReviews: verifiedReviewsMap, unavailable, stats: spotCheckStats } = await runSpotCheck(validationData, allSpotCheckReviews, fid));
       } catch (error) {
+        // Nothing could be looked up even after retries, the miners are inconclusive and only get the inconclusive credit
         logger.error('Batch spot check failed:', error);
-        // If batch spot check fails, fail all miners that needed spot checking
-        for (const minerData of validationData) {
-          if (minerData.data.length > 0) {
-            minerData.passedValidation = false;
-            minerData.validationError = 'Batch spot check failed';
-          }
-        }
+        spotCheckError = error.message;
+        unavailable = new Set(allSpotCheckReviews.flatMap(({ reviews }) => reviews.map(review => review.reviewId)));
       }
     }
 
     // Phase 3: Validate each miner against batch results
-    for (const minerData of validationData) {
-      if (minerData.data.length > 0 && minerData.passedValidation) {
-        const spotCheckPassed = validateMinerAgainstBatch(
-          minerData.data,
-          fid,
-          minerData.minerUID,
-          verifiedReviewsMap
-        );
-
-        if (spotCheckPassed) {
-          logger.info(`UID ${minerData.minerUID}: Validation complete - ${minerData.count} reviews, most recent: ${minerData.mostRecentDate?.toISOString()}`);
-        } else {
-          logger.error(`UID ${minerData.minerUID}: Failed spot check validation`);
-          minerData.passedValidation = false;
-          minerData.validationError = 'Failed spot check verification';
-          minerData.count = 0;
-          minerData.mostRecentDate = undefined;
-        }
-      }
+    const spotCheckResults = applySpotCheck(validationData, fid, verifiedReviewsMap, unavailable);
+    for (const { result } of spotCheckResults) {
+      spotChecks.inc({ result });
     }
 
     // Phase 4: Create scoring results with timing information
-    const { scores, meanScore, minScore, maxScore, finalScores } = calculateFinalScores(validationData, responseTimes, synapseTimeout);
+    const { scores, meanScore, minScore, maxScore, finalScores, profile } = calculateFinalScores(validationData, responseTimes, synapseTimeout);
+    recordScores(finalScores);
+    await scoreHistory.record({ fid, finalScores, profile: profile?.name });
 
     // Return scoring results with statistics
-    const result = output({fid, scores, minScore, maxScore, meanScore, finalScores});
+    const roundId = logger.getContext().requestId || randomUUID();
+    const result = output({roundId, seed, fid, scores, minScore, maxScore, meanScore, finalScores, profile, spotCheck: spotCheckStats});
+
+    // Keep everything needed to replay the round offline, see npm run validator:replay
+    if (isAuditLogEnabled()) {
+      await auditLog.append({
+        roundId,
+        request: { fid, responses, responseTimes, synapseTimeout, minerUIDs, seed },
+        spotCheck: {
+          sample: validationData
+            .filter(minerData => minerData.data.length > 0)
+            .map(({ minerUID, data, replaced = new Set() }) => ({ minerUID, reviews: data, replaced: [...replaced] })),
+          verified: Object.fromEntries(verifiedReviewsMap),
+          unavailable: [...unavailable],
+          error: spotCheckError
+        },
+        output: result
+      });
+    }
+
     return responseService.success(response, result);
   } catch (error) {
     logger.error(`Error scoring responses:`, error);
@@ -171,4 +227,5 @@ export default {
   execute,
   output,
   validate,
+  recordScores,
 }
@@ -3,8 +3,12 @@ import responseService from '#modules/response/index.js';
 import time from '#modules/time/index.js';
 import { prepareResponses } from '#utils/validator/google-maps/score/prepare-responses.js';
 import calculateFinalScores from '#utils/validator/google-maps/score/calculate-final-scores.js';
-import performBatchSpotCheck from '#utils/validator/google-maps/score/perform-batch-spot-check.js';
-import validateMinerAgainstBatch from '#utils/validator/google-maps/score/validate-miner-against-batch.js';
+import runSpotCheck from '#utils/validator/google-maps/score/run-spot-check.js';
+import { verifyReviews } from '#utils/validator/google-maps/score/validate-miner-against-batch.js';
+import metrics from '#modules/metrics/index.js';
+import scoreHistory from '#utils/validator/score-history.js';
+import auditLog from '#utils/validator/audit-log.js';
+import random from '#modules/random/index.js';
 
 jest.mock('#modules/time/index.js');
 jest.mock('#utils/validator/google-maps/score/prepare-responses.js', () => ({
@@ -12,8 +16,18 @@ jest.mock('#utils/validator/google-maps/score/prepare-responses.js', () => ({
   getReviewsForSpotCheck: jest.fn(),
 }));
 jest.mock('#utils/validator/google-maps/score/calculate-final-scores.js');
-jest.mock('#utils/validator/google-maps/score/perform-batch-spot-check.js');
+jest.mock('#utils/validator/google-maps/score/run-spot-check.js');
 jest.mock('#utils/validator/google-maps/score/validate-miner-against-batch.js');
+jest.mock('#utils/validator/score-history.js', () => ({
+  record: jest.fn(),
+}));
+jest.mock('#modules/random/index.js', () => ({
+  createSeed: jest.fn(),
+  seeded: jest.fn()
+}));
+jest.mock('#utils/validator/audit-log.js', () => ({
+  append: jest.fn(),
+}));
 
 jest.mock('#modules/response/index.js', () => ({
   success: jest.fn(),
@@ -22,9 +36,14 @@ jest.mock('#modules/response/index.js', () => ({
 }));
 jest.mock('#modules/logger/index.js', () => ({
   info: jest.fn(),
+  warning: jest.fn(),
   error: jest.fn(),
+  getContext: jest.fn(() => ({ requestId: 'request-id' })),
 }));
 
+// Reported by runSpotCheck() for a batch of 3 miners returning the same 2 reviews
+const spotCheckStats = { requested: 6, cached: 0, sent: 2, saved: 4, runs: 1, failedRuns: 0, redrawn: 0 };
+
 describe('routes/validator/score.js', () => {
   let timestamp;
 
@@ -33,6 +52,9 @@ describe('routes/validator/score.js', () => {
 
     timestamp = '2021-01-01T00:00:00.000Z';
     time.getCurrentTimestamp.mockReturnValue(timestamp);
+    jest.clearAllMocks();
+    random.createSeed.mockReturnValue('seed');
+    random.seeded.mockImplementation(seed => ({ seed }));
   });
 
   describe('.output()', () => {
@@ -43,7 +65,8 @@ describe('routes/validator/score.js', () => {
         minScore: 1,
         maxScore: 1,
         meanScore: 1,
-        finalScores: []
+        finalScores: [],
+        profile: { name: 'default' }
       });
       expect(result).toEqual({
         status: 'success',
@@ -55,6 +78,7 @@ describe('routes/validator/score.js', () => {
           min: 1,
           max: 1
         },
+        scoring: { name: 'default' },
         timestamp,
         detailedResults: []
       });
@@ -114,6 +138,26 @@ describe('routes/validator/score.js', () => {
     });
   });
 
+  describe('.recordScores()', () => {
+    beforeEach(() => {
+      metrics.reset();
+    });
+
+    test('should observe the score components of the miners that passed validation', () => {
+      scoreRoute.recordScores([
+        { passedValidation: true, score: 0.85, components: { speedScore: 0.5, volumeScore: 1, recencyScore: 1 } },
+        { passedValidation: false, score: 0, components: { speedScore: 0, volumeScore: 0, recencyScore: 0 } }
+      ]);
+
+      const rendered = metrics.render();
+      expect(rendered).toContain('validator_score_component_bucket{component="final",le="0.8"} 0');
+      expect(rendered).toContain('validator_score_component_bucket{component="final",le="0.9"} 1');
+      expect(rendered).toContain('validator_score_component_count{component="speed"} 1');
+      expect(rendered).toContain('validator_score_component_sum{component="volume"} 1');
+      expect(rendered).toContain('validator_score_component_count{component="recency"} 1');
+    });
+  });
+
   describe('.execute()', () => {
     let response;
     let request;
@@ -143,11 +187,16 @@ describe('routes/validator/score.js', () => {
         meanScore: 0,
         minScore: 0,
         maxScore: 0,
-        finalScores: []
+        finalScores: [],
+        profile: { name: 'default' }
       });
 
-      performBatchSpotCheck.mockResolvedValue(new Map());
-      validateMinerAgainstBatch.mockReturnValue(true)
+      runSpotCheck.mockResolvedValue({ verifiedReviews: new Map(), unavailable: new Set(), stats: spotCheckStats });
+      verifyReviews.mockReturnValue([{ reviewId: '1', outcome: 'verified' }]);
+    });
+
+    afterEach(() => {
+      delete process.env.VALIDATOR_AUDIT_LOG;
     });
 
     test('should return a badRequest if the request is invalid', async () => {
@@ -173,8 +222,18 @@ describe('routes/validator/score.js', () => {
 
     test('should return a success if the execution succeeds with empty values', async () => {
       await scoreRoute.execute(request, response);
+      expect(prepareResponses).toHaveBeenCalledWith([], [], 'fid', { seed: 'seed' });
+      expect(scoreHistory.record).toHaveBeenCalledWith({ fid: 'fid', finalScores: [], profile: 'default' });
+      expect(auditLog.append).toHaveBeenCalledWith({
+        roundId: 'request-id',
+        request: { fid: 'fid', responses: [], responseTimes: [], synapseTimeout: 120, minerUIDs: [], seed: 'seed' },
+        spotCheck: { sample: [], verified: {}, unavailable: [], error: undefined },
+        output: expect.objectContaining({ roundId: 'request-id', seed: 'seed', scoring: { name: 'default' } })
+      });
       expect(responseService.success).toHaveBeenCalledWith(response, {
         status: 'success',
+        roundId: 'request-id',
+        seed: 'seed',
         fid: "fid",
         scores: [],
         statistics: {
@@ -183,11 +242,27 @@ describe('routes/validator/score.js', () => {
           min: 0,
           max: 0
         },
+        scoring: { name: 'default' },
         timestamp,
         detailedResults: []
       });
     });
 
+    test('should not audit the round with VALIDATOR_AUDIT_LOG=false', async () => {
+      process.env.VALIDATOR_AUDIT_LOG = 'false';
+      await scoreRoute.execute(request, response);
+      expect(auditLog.append).not.toHaveBeenCalled();
+      expect(responseService.success).toHaveBeenCalled();
+    });
+
+    test('should reuse the seed given in the request', async () => {
+      request.body.seed = 'given-seed';
+      await scoreRoute.execute(request, response);
+      expect(random.createSeed).not.toHaveBeenCalled();
+      expect(prepareResponses).toHaveBeenCalledWith([], [], 'fid', { seed: 'given-seed' });
+      expect(responseService.success).toHaveBeenCalledWith(response, expect.objectContaining({ seed: 'given-seed' }));
+    });
+
     test('should return a success if the execution succeeds', async () => {
       request.body.responseTimes = [100, 200, 300];
       prepareResponses.mockReturnValue({
@@ -201,10 +276,12 @@ describe('routes/validator/score.js', () => {
         maxScore: 0,
         finalScores: []
       });
-      performBatchSpotCheck.mockResolvedValue(new Map());
+      runSpotCheck.mockResolvedValue({ verifiedReviews: new Map(), unavailable: new Set(), stats: spotCheckStats });
       await scoreRoute.execute(request, response);
       expect(responseService.success).toHaveBeenCalledWith(response, {
         status: 'success',
+        roundId: 'request-id',
+        seed: 'seed',
         fid: "fid",
         scores: [],
         statistics: {
@@ -213,6 +290,7 @@ describe('routes/validator/score.js', () => {
           min: 0,
           max: 0
         },
+        spotCheck: spotCheckStats,
         timestamp,
         detailedResults: []
       });
@@ -220,8 +298,8 @@ describe('routes/validator/score.js', () => {
 
     test('should return empty results if the spot check fails', async () => {
       prepareResponses.mockReturnValue({
-        validationData: [{data: [1], minerUID: 1}, {data: [], minerUID: 2}],
-        allSpotCheckReviews: [1]
+        validationData: [{passedValidation: true, data: [{ reviewId: '1' }], minerUID: 1}, {data: [], minerUID: 2}],
+        allSpotCheckReviews: [{ minerUID: 1, reviews: [{ reviewId: '1' }] }]
       });
       calculateFinalScores.mockReturnValue({
         scores: [],
@@ -230,10 +308,19 @@ describe('routes/validator/score.js', () => {
         maxScore: 0,
         finalScores: []
       });
-      performBatchSpotCheck.mockRejectedValue(new Error('Spot check failed'));
+      runSpotCheck.mockRejectedValue(new Error('Spot check failed'));
+      verifyReviews.mockReturnValue([{ reviewId: '1', outcome: 'inconclusive', reason: 'Spot check run failed' }]);
+      metrics.reset();
       await scoreRoute.execute(request, response);
+      expect(verifyReviews).toHaveBeenCalledWith([{ reviewId: '1' }], 'fid', 1, new Map(), new Set(['1']));
+      expect(metrics.render()).toContain('validator_spot_checks_total{result="inconclusive"} 1');
+      expect(auditLog.append).toHaveBeenCalledWith(expect.objectContaining({
+        spotCheck: { sample: [{ minerUID: 1, reviews: [{ reviewId: '1' }], replaced: [] }], verified: {}, unavailable: ['1'], error: 'Spot check failed' }
+      }));
       expect(responseService.success).toHaveBeenCalledWith(response, {
         status: 'success',
+        roundId: 'request-id',
+        seed: 'seed',
         fid: "fid",
         scores: [],
         statistics: {
@@ -259,10 +346,14 @@ describe('routes/validator/score.js', () => {
         maxScore: 0,
         finalScores: []
       });
-      performBatchSpotCheck.mockResolvedValue(new Map());
+      runSpotCheck.mockResolvedValue({ verifiedReviews: new Map(), unavailable: new Set(), stats: spotCheckStats });
+      metrics.reset();
       await scoreRoute.execute(request, response);
+      expect(metrics.render()).toContain('validator_spot_checks_total{result="passed"} 1');
       expect(responseService.success).toHaveBeenCalledWith(response, {
         status: 'success',
+        roundId: 'request-id',
+        seed: 'seed',
         fid: "fid",
         scores: [],
         statistics: {
@@ -271,6 +362,7 @@ describe('routes/validator/score.js', () => {
           min: 0,
           max: 0
         },
+        spotCheck: spotCheckStats,
         timestamp,
         detailedResults: []
       });
@@ -288,11 +380,15 @@ describe('routes/validator/score.js', () => {
         maxScore: 0,
         finalScores: []
       });
-      performBatchSpotCheck.mockResolvedValue(new Map());
-      validateMinerAgainstBatch.mockReturnValue(false);
+      runSpotCheck.mockResolvedValue({ verifiedReviews: new Map(), unavailable: new Set(), stats: spotCheckStats });
+      verifyReviews.mockReturnValue([{ reviewId: '1', outcome: 'mismatched', reason: 'Text mismatch' }]);
+      metrics.reset();
       await scoreRoute.execute(request, response);
+      expect(metrics.render()).toContain('validator_spot_checks_total{result="failed"} 1');
       expect(responseService.success).toHaveBeenCalledWith(response, {
         status: 'success',
+        roundId: 'request-id',
+        seed: 'seed',
         fid: "fid",
         scores: [],
         statistics: {
@@ -301,6 +397,7 @@ describe('routes/validator/score.js', () => {
           min: 0,
           max: 0
         },
+        spotCheck: spotCheckStats,
         timestamp,
         detailedResults: []
       });
@@ -0,0 +1,49 @@
+/* eslint-disable no-console */
+import auditLog from '#utils/validator/audit-log.js';
+import { replayRound } from '#utils/validator/google-maps/score/replay-round.js';
+
+/**
+ * Replay an audited scoring round and print how its scores differ from the logged ones
+ *
+ * @example
+ * npm run validator:replay -- <roundId>
+ * npm run validator:replay -- <roundId> --file data/audit/score-rounds-2025-01-01.ndjson
+ * npm run validator:replay                  # the latest round
+ *
+ * Exits with 1 when the replayed scores differ, 2 when the round cannot be found.
+ */
+
+// Scoring logs every miner, keep the output to the diff unless asked otherwise
+process.env.LOG_LEVEL ||= 'warning';
+
+/**
+ * Run the replay
+ * @param {Array<string>} arguments_ - The command line arguments
+ * @returns {Promise<number>} - The exit code
+ */
+const main = async (arguments_) => {
+  const fileIndex = arguments_.indexOf('--file');
+  const file = fileIndex === -1 ? undefined : arguments_[fileIndex + 1];
+  const roundId = arguments_.find((argument, index) => !argument.startsWith('--') && (fileIndex === -1 || index !== fileIndex + 1));
+
+  const round = await auditLog.search(record => !roundId || record.roundId === roundId, { file });
+  if (!round) {
+    console.error(roundId ? `Round ${roundId} not found in the audit log` : 'The audit log is empty');
+    return 2;
+  }
+
+  const { profiles, differences } = replayRound(round);
+
+  console.log(`Round ${round.roundId} - fid ${round.request.fid} - recorded at ${round.recordedAt}`);
+  console.log(`Scoring profile: ${profiles.original?.name ?? 'unknown'} -> ${profiles.replayed.name}`);
+
+  if (differences.length === 0) {
+    console.log('Replayed scores match the logged scores');
+    return 0;
+  }
+
+  console.table(differences);
+  return 1;
+};
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,14 @@
+import config from '#config';
+import AuditLog from '#modules/audit-log/index.js';
+
+/**
+ * The audit log of the scoring rounds of the validator node
+ * Written by the score route and read by the replay command.
+ */
+const auditLog = new AuditLog({
+  dir: config.VALIDATOR.AUDIT_LOG.DIR,
+  prefix: 'score-rounds',
+  maxDays: config.VALIDATOR.AUDIT_LOG.MAX_DAYS
+});
+
+export default auditLog;
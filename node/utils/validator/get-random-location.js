@@ -1,17 +1,19 @@
-import { City, State }  from 'country-state-city';
+import config from '#config';
 import random from '#modules/random/index.js';
+import geography from '#modules/geography/index.js';
 
 /**
- * Get a random location in the US
- * @returns {string} - The random location
+ * Get a random location in the countries of config.VALIDATOR.GEOGRAPHY
+ * The country is drawn by weight and the city with the configured strategy (see modules/geography).
+ * @param {import('#modules/random/index.js').Random} [rng] - The random generator, seeded for a reproducible pick
+ * @returns {{location: string, city: string|undefined, state: string|undefined, country: string, countryCode: string}} - The random location,
+ *   location being the "City, State, Country" searched
  */
-const getRandomLocation = () => {
-  const states = State.getStatesOfCountry('US')
-  const randomState = random.fromArray(states);
-  const cities = City.getCitiesOfState('US', randomState.isoCode);
-  const randomCity = random.fromArray(cities);
-  const location = `${randomCity.name}, ${randomState.name}`;
-  return location;
+const getRandomLocation = (rng = random) => {
+  return geography.pickLocation(rng, {
+    countries: config.VALIDATOR.GEOGRAPHY.COUNTRIES,
+    strategy: config.VALIDATOR.GEOGRAPHY.STRATEGY
+  });
 }
 
 export default getRandomLocation;
@@ -1,16 +1,13 @@
 import getRandomLocation from './get-random-location.js';
 import random from '#modules/random/index.js';
+import geography from '#modules/geography/index.js';
+import config from '#config';
+
 jest.mock('#modules/random/index.js', () => ({
-  fromArray: jest.fn().mockImplementation((array) => array[0])
+  fromArray: jest.fn()
 }));
-
-jest.mock('country-state-city', () => ({
-  City: {
-    getCitiesOfState: jest.fn().mockReturnValue([{ name: 'city1', isoCode: 'city1' }, { name: 'city2', isoCode: 'city2' }])
-  },
-  State: {
-    getStatesOfCountry: jest.fn().mockReturnValue([{ name: 'state1', isoCode: 'state1' }, { name: 'state2', isoCode: 'state2' }])
-  }
+jest.mock('#modules/geography/index.js', () => ({
+  pickLocation: jest.fn()
 }));
 
 describe('#utils/validator/get-random-location.js', () => {
@@ -18,11 +15,20 @@ describe('#utils/validator/get-random-location.js', () => {
     jest.clearAllMocks();
   });
 
-  test('should return a random location', () => {
+  test('should return a random location in the configured countries', () => {
+    const location = { location: 'Austin, Texas, United States', city: 'Austin', state: 'Texas', country: 'United States', countryCode: 'US' };
+    geography.pickLocation.mockReturnValue(location);
+
     const result = getRandomLocation();
-    expect(random.fromArray).toHaveBeenCalledTimes(2);
-    expect(random.fromArray).toHaveBeenCalledWith([{ name: 'city1', isoCode: 'city1' }, { name: 'city2', isoCode: 'city2' }]);
-    expect(random.fromArray).toHaveBeenCalledWith([{ name: 'state1', isoCode: 'state1' }, { name: 'state2', isoCode: 'state2' }]);
-    expect(result).toEqual('city1, state1');
+    expect(geography.pickLocation).toHaveBeenCalledWith(random, {
+      countries: config.VALIDATOR.GEOGRAPHY.COUNTRIES,
+      strategy: config.VALIDATOR.GEOGRAPHY.STRATEGY
+    });
+    expect(result).toEqual(location);
+  });
+
+  test('should only name known countries in the configuration', () => {
+    const countries = jest.requireActual('#modules/geography/index.js').default.resolveCountries(config.VALIDATOR.GEOGRAPHY.COUNTRIES);
+    expect(countries.length).toBeGreaterThan(1);
   });
 });
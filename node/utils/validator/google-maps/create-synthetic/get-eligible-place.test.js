@@ -1,74 +1,64 @@
 import getEligiblePlace from './get-eligible-place.js';
-import random from '#modules/random/index.js';
-import apify from '#modules/apify/index.js';
-import config from '#config';
-import getRandomLocation from '#utils/validator/get-random-location.js';
+import searchEligiblePlaces from './search-eligible-places.js';
+import taskPool, { isTaskPoolEnabled } from '#utils/validator/task-pool.js';
+import { Random } from '#modules/random/index.js';
 
-jest.mock('#modules/random/index.js', () => ({
-  fromArray: jest.fn()
-}));
-jest.mock('#modules/apify/index.js', () => ({
-  runActorAndGetResults: jest.fn()
-}));
 jest.mock('#modules/logger/index.js', () => ({
   info: jest.fn()
 }));
-jest.mock('#modules/time/index.js', () => ({
-  getDuration: jest.fn().mockReturnValue(0)
+jest.mock('./search-eligible-places.js', () => jest.fn());
+jest.mock('#utils/validator/task-pool.js', () => ({
+  draw: jest.fn(),
+  add: jest.fn(),
+  isTaskPoolEnabled: jest.fn()
 }));
-jest.mock('#utils/validator/get-random-location.js', () => jest.fn());
 
 describe('utils/validator/google-maps/create-synthetic/get-eligible-place.js', () => {
-  let selectedPlace;
-  let items;
+  const places = [
+    { fid: '0x1:0x1', name: 'First', reviewCount: 100 },
+    { fid: '0x1:0x2', name: 'Second', reviewCount: 200 }
+  ];
+  const rng = new Random(() => 0.99);
 
   beforeEach(() => {
-    selectedPlace = {
-      fid: 'selected-fid',
-      title: 'Selected Place',
-      reviewsCount: 10_000,
-      type: 'place',
-    }
-
-    items = Array.from({ length: config.VALIDATOR.APIFY_SEARCH_MAX_ITEMS }, (_, index) => ({
-      fid: `fid-${index}`,
-      title: `title-${index}`,
-      reviewsCount: index,
-      type: 'place',
-    }));
+    jest.clearAllMocks();
+    isTaskPoolEnabled.mockReturnValue(true);
+    searchEligiblePlaces.mockResolvedValue(places);
+  });
 
-    getRandomLocation.mockReturnValueOnce('location')
-    random.fromArray.mockReturnValueOnce('place')
-    random.fromArray.mockReturnValue(selectedPlace);
+  test('should draw a place from the pool without searching', async () => {
+    taskPool.draw.mockReturnValue(places[0]);
 
-    apify.runActorAndGetResults.mockResolvedValue(items);
+    expect(await getEligiblePlace(rng)).toEqual(places[0]);
+    expect(taskPool.draw).toHaveBeenCalledWith(rng);
+    expect(searchEligiblePlaces).not.toHaveBeenCalled();
   });
 
-  test('should return a selected place properly', async () => {
-    items[0].reviewsCount = 10_000;
-    items[1].reviewsCount = undefined;
-    apify.runActorAndGetResults.mockResolvedValue(items);
+  test('should search and pool the places when the pool has none to draw', async () => {
+    taskPool.draw.mockReturnValueOnce().mockReturnValueOnce(places[1]);
+
+    expect(await getEligiblePlace(rng)).toEqual(places[1]);
+    expect(searchEligiblePlaces).toHaveBeenCalledWith(rng);
+    expect(taskPool.add).toHaveBeenCalledWith(places);
+  });
 
-    const result = await getEligiblePlace();
+  test('should fail when every place found was drawn recently', async () => {
+    taskPool.draw.mockReturnValue();
 
-    expect(apify.runActorAndGetResults).toHaveBeenCalledWith(config.VALIDATOR.APIFY_ACTORS.GOOGLE_MAPS_SEARCH, {
-      searchTerms: ['place in location'],
-      language: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.language,
-      maxItems: config.VALIDATOR.APIFY_SEARCH_MAX_ITEMS
-    });
-    expect(getRandomLocation).toHaveBeenCalledTimes(1);
-    expect(result).toEqual(selectedPlace);
+    await expect(getEligiblePlace(rng)).rejects.toThrow('Every eligible place found was drawn recently');
   });
 
-  test('should handle empty results from apify', async () => {
-    apify.runActorAndGetResults.mockResolvedValue([]);
+  test('should fail when the search fails', async () => {
+    taskPool.draw.mockReturnValue();
+    searchEligiblePlaces.mockRejectedValue(new Error('Apify error'));
 
-    await expect(getEligiblePlace()).rejects.toThrow();
+    await expect(getEligiblePlace(rng)).rejects.toThrow('Apify error');
   });
 
-  test('should handle apify errors', async () => {
-    apify.runActorAndGetResults.mockRejectedValue(new Error('Apify error'));
+  test('should search every time without the pool', async () => {
+    isTaskPoolEnabled.mockReturnValue(false);
 
-    await expect(getEligiblePlace()).rejects.toThrow('Apify error');
+    expect(await getEligiblePlace(rng)).toEqual(places[1]);
+    expect(taskPool.draw).not.toHaveBeenCalled();
   });
 });
@@ -0,0 +1,78 @@
+import config from '#config';
+import logger from '#modules/logger/index.js';
+import time from '#modules/time/index.js';
+import random from '#modules/random/index.js';
+import apify from '#modules/apify/index.js';
+import { getRegistry } from '#modules/place-registry/index.js';
+import getRandomLocation from '#utils/validator/get-random-location.js';
+
+/**
+ * Search eligible places
+ * It picks a random location in the configured countries and a place type from the hardcoded list
+ * It searches for places with Apify
+ * It records every place found in the place registry, with the type and location searched
+ * It filters places with enough reviews for meaningful validation
+ * If no eligible places are found, it throws an error
+ * @param {import('#modules/random/index.js').Random} [rng] - The random generator, seeded for a reproducible search
+ * @returns {Promise<Array<Object>>} - The eligible places ({ fid, name, reviewCount, country }), country being the ISO code of the country searched
+ */
+const searchEligiblePlaces = async (rng = random) => {
+  const startTime = Date.now();
+
+  // Get random location and place type
+  const { location, countryCode } = getRandomLocation(rng);
+  const placeType = rng.fromArray(config.VALIDATOR.PLACE_TYPES);
+
+  logger.info(`Creating synthetic task - Location: ${location}, Type: ${placeType}`);
+
+  // Create the search query
+  const searchQuery = `${placeType} in ${location}`;
+  logger.info(`Searching with Apify Google Maps Search: ${searchQuery}`);
+
+  // Run the Apify actor to search for places
+  const items = await apify.runActorAndGetResults(config.VALIDATOR.APIFY_ACTORS.GOOGLE_MAPS_SEARCH, {
+    searchTerms: [searchQuery],
+    language: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.language,
+    maxItems: config.VALIDATOR.APIFY_SEARCH_MAX_ITEMS
+  });
+
+  // Transform Apify results to our format - only include fields we actually use
+  const places = items
+  .filter(result => result.type === 'place') // Only include place results
+  .map(place => ({
+    fid: place.fid,
+    name: place.title,
+    reviewCount: place.reviewsCount || 0,
+    country: countryCode
+  }));
+
+  logger.info(`Found ${places.length} places from Apify search`);
+
+  await getRegistry().addMany(items
+    .filter(result => result.type === 'place')
+    .map(place => ({
+      fid: place.fid,
+      placeId: place.placeId,
+      name: place.title,
+      totalScore: place.totalScore,
+      reviewCount: place.reviewsCount || 0,
+      placeType,
+      location,
+      country: countryCode,
+      coordinates: place.location
+    })));
+
+  // Filter places with enough reviews for meaningful validation
+  const eligiblePlaces = places.filter(place => place.reviewCount >= config.VALIDATOR.MIN_REVIEWS_REQUIRED);
+  logger.info(`${eligiblePlaces.length} places meet review count threshold (>=${config.VALIDATOR.MIN_REVIEWS_REQUIRED}, search took ${time.getDuration(startTime).toFixed(2)}s)`);
+
+  // If no eligible places are found, throw an error
+  if (eligiblePlaces.length === 0) {
+    const retryDuration = time.getDuration(startTime);
+    throw new Error(`No eligible places found for ${placeType} in ${location} (took ${retryDuration.toFixed(2)}s), trying another combination...`);
+  }
+
+  return eligiblePlaces;
+}
+
+export default searchEligiblePlaces;
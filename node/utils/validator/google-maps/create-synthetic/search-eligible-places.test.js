@@ -0,0 +1,96 @@
+import searchEligiblePlaces from './search-eligible-places.js';
+import random from '#modules/random/index.js';
+import apify from '#modules/apify/index.js';
+import config from '#config';
+import getRandomLocation from '#utils/validator/get-random-location.js';
+import { getRegistry } from '#modules/place-registry/index.js';
+
+jest.mock('#modules/random/index.js', () => ({
+  fromArray: jest.fn()
+}));
+jest.mock('#modules/apify/index.js', () => ({
+  runActorAndGetResults: jest.fn()
+}));
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn()
+}));
+jest.mock('#modules/time/index.js', () => ({
+  getDuration: jest.fn().mockReturnValue(0)
+}));
+jest.mock('#utils/validator/get-random-location.js', () => jest.fn());
+jest.mock('#modules/place-registry/index.js', () => {
+  const registry = { addMany: jest.fn() };
+  return { getRegistry: () => registry };
+});
+
+describe('utils/validator/google-maps/create-synthetic/search-eligible-places.js', () => {
+  let items;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    items = Array.from({ length: config.VALIDATOR.APIFY_SEARCH_MAX_ITEMS }, (_, index) => ({
+      fid: `fid-${index}`,
+      title: `title-${index}`,
+      reviewsCount: index,
+      type: 'place',
+    }));
+
+    getRandomLocation.mockReturnValueOnce({ location: 'location', countryCode: 'FR' })
+    random.fromArray.mockReturnValueOnce('place')
+
+    apify.runActorAndGetResults.mockResolvedValue(items);
+  });
+
+  test('should return the places with enough reviews', async () => {
+    items[0].reviewsCount = 10_000;
+    items[1].reviewsCount = undefined;
+    apify.runActorAndGetResults.mockResolvedValue(items);
+
+    const result = await searchEligiblePlaces();
+
+    expect(apify.runActorAndGetResults).toHaveBeenCalledWith(config.VALIDATOR.APIFY_ACTORS.GOOGLE_MAPS_SEARCH, {
+      searchTerms: ['place in location'],
+      language: config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.language,
+      maxItems: config.VALIDATOR.APIFY_SEARCH_MAX_ITEMS
+    });
+    expect(getRandomLocation).toHaveBeenCalledTimes(1);
+    expect(result).toEqual(items
+      .filter(item => item.reviewsCount >= config.VALIDATOR.MIN_REVIEWS_REQUIRED)
+      .map(item => ({ fid: item.fid, name: item.title, reviewCount: item.reviewsCount, country: 'FR' })));
+    expect(result[0]).toEqual({ fid: 'fid-0', name: 'title-0', reviewCount: 10_000, country: 'FR' });
+  });
+
+  test('should record every place found in the registry', async () => {
+    items[0] = { ...items[0], placeId: 'ChIJ0', totalScore: 4.5, reviewsCount: 10_000, location: { lat: 30.27, lng: -97.74 } };
+    items[1] = { type: 'search' };
+    apify.runActorAndGetResults.mockResolvedValue(items);
+
+    await searchEligiblePlaces();
+
+    const [[places]] = getRegistry().addMany.mock.calls;
+    expect(places).toHaveLength(items.length - 1);
+    expect(places[0]).toEqual({
+      fid: 'fid-0',
+      placeId: 'ChIJ0',
+      name: 'title-0',
+      totalScore: 4.5,
+      reviewCount: 10_000,
+      placeType: 'place',
+      location: 'location',
+      country: 'FR',
+      coordinates: { lat: 30.27, lng: -97.74 }
+    });
+  });
+
+  test('should handle empty results from apify', async () => {
+    apify.runActorAndGetResults.mockResolvedValue([]);
+
+    await expect(searchEligiblePlaces()).rejects.toThrow();
+  });
+
+  test('should handle apify errors', async () => {
+    apify.runActorAndGetResults.mockRejectedValue(new Error('Apify error'));
+
+    await expect(searchEligiblePlaces()).rejects.toThrow('Apify error');
+  });
+});
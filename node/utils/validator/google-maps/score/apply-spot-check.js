@@ -0,0 +1,86 @@
+import logger from '#modules/logger/index.js';
+import { verifyReviews } from './validate-miner-against-batch.js';
+
+/**
+ * Decide the spot check outcome of a miner from the outcomes of its reviews
+ * - failed: a review is mismatched, or a review was not found although its lookup succeeded and it was not re-drawn
+ * - passed: at least one review is verified, none is mismatched and every review not found was re-drawn
+ * - inconclusive: nothing verified because actor runs failed, see applySpotCheck() for how the miner is scored
+ * @param {Array<Object>} reviews - The review outcomes from verifyReviews()
+ * @param {Set<string>} [replaced] - The reviewIds re-drawn by runSpotCheck(), their replacements decide instead
+ * @returns {Object} - The outcome and, for failed miners, the validation error
+ */
+const decide = (reviews, replaced = new Set()) => {
+  if (reviews.some(({ outcome }) => outcome === 'mismatched')) {
+    return { outcome: 'failed', validationError: 'Failed spot check verification' };
+  }
+
+  if (reviews.some(({ reviewId, reason }) => reason === 'Review not found' && !replaced.has(reviewId))) {
+    return { outcome: 'failed', validationError: 'Spot check reviews not found' };
+  }
+
+  if (reviews.some(({ outcome }) => outcome === 'verified')) {
+    return { outcome: 'passed' };
+  }
+
+  return { outcome: 'inconclusive' };
+}
+
+/**
+ * Get the lowest text similarity measured on the reviews of a miner, the weakest match
+ * @param {Array<Object>} reviews - The review outcomes from verifyReviews()
+ * @returns {number|undefined} - The lowest similarity, undefined if no review was compared with similar-text
+ */
+const lowestSimilarity = (reviews) => {
+  const similarities = reviews
+    .flatMap(({ checks = [] }) => checks)
+    .filter(({ similarity }) => similarity !== undefined)
+    .map(({ similarity }) => similarity);
+
+  return similarities.length > 0 ? Math.min(...similarities) : undefined;
+}
+
+/**
+ * Apply the batch spot check results to the miners that passed the structural validation.
+ * Each miner gets a spotCheck field with its outcome, the lowest text similarity of its reviews and the outcome,
+ * reason and rule results of each review, see decide().
+ * Failed miners lose their count and date.
+ * Shared by the score route and the replay of audited rounds.
+ *
+ * @param {Array<Object>} validationData - The validation data from prepareResponses(), updated in place
+ * @param {string} fid - The FID of the place
+ * @param {Map<string, Object>} verifiedReviewsMap - The verified reviews by reviewId
+ * @param {Set<string>} [unavailable] - The reviewIds whose actor run failed
+ * @returns {Array<Object>} - The spot check result of each checked miner: { minerUID, result: 'passed' | 'failed' | 'inconclusive' }
+ */
+const applySpotCheck = (validationData, fid, verifiedReviewsMap, unavailable = new Set()) => {
+  const results = [];
+
+  for (const minerData of validationData) {
+    if (minerData.data.length === 0 || !minerData.passedValidation) {
+      continue;
+    }
+
+    const reviews = verifyReviews(minerData.data, fid, minerData.minerUID, verifiedReviewsMap, unavailable);
+    const { outcome, validationError } = decide(reviews, minerData.replaced);
+    minerData.spotCheck = { outcome, textSimilarity: lowestSimilarity(reviews), reviews };
+
+    if (outcome === 'failed') {
+      logger.error(`UID ${minerData.minerUID}: Failed spot check validation`);
+      minerData.passedValidation = false;
+      minerData.validationError = validationError;
+      minerData.count = 0;
+      minerData.mostRecentDate = undefined;
+    } else if (outcome === 'inconclusive') {
+      logger.warning(`UID ${minerData.minerUID}: Spot check inconclusive - ${minerData.count} reviews scored unverified`);
+    } else {
+      logger.info(`UID ${minerData.minerUID}: Validation complete - ${minerData.count} reviews, most recent: ${minerData.mostRecentDate?.toISOString()}`);
+    }
+
+    results.push({ minerUID: minerData.minerUID, result: outcome });
+  }
+
+  return results;
+};
+
+export default applySpotCheck;
@@ -0,0 +1,129 @@
+import applySpotCheck from './apply-spot-check.js';
+
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const fid = 'fid';
+const review = (reviewId, overrides = {}) => ({
+  reviewId,
+  reviewerId: `reviewer-${reviewId}`,
+  placeId: 'place',
+  text: `Review ${reviewId}`,
+  lastEditedAtDate: '2025-01-01T00:00:00.000Z',
+  ...overrides
+});
+const verified = (reviewId, overrides = {}) => ({
+  reviewId,
+  fid,
+  reviewerId: `reviewer-${reviewId}`,
+  placeId: 'place',
+  text: `Review ${reviewId}`,
+  publishedAtDate: '2025-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('#utils/validator/google-maps/score/apply-spot-check.js', () => {
+  let validationData;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validationData = [
+      { minerUID: 1, passedValidation: true, count: 10, mostRecentDate: new Date('2025-01-01'), data: [review('1')] },
+      { minerUID: 2, passedValidation: true, count: 20, mostRecentDate: new Date('2025-01-01'), data: [review('2')] },
+      { minerUID: 3, passedValidation: false, validationError: 'Invalid response', count: 0, data: [] }
+    ];
+  });
+
+  test('should fail the miners whose reviews do not match their verified version', () => {
+    const verifiedReviewsMap = new Map([['1', verified('1')], ['2', verified('2', { text: 'Other' })]]);
+
+    const results = applySpotCheck(validationData, fid, verifiedReviewsMap);
+
+    expect(results).toEqual([
+      { minerUID: 1, result: 'passed' },
+      { minerUID: 2, result: 'failed' }
+    ]);
+    expect(validationData[0]).toEqual(expect.objectContaining({ passedValidation: true, count: 10 }));
+    expect(validationData[0].spotCheck).toEqual({
+      outcome: 'passed',
+      textSimilarity: 1,
+      reviews: [expect.objectContaining({ reviewId: '1', outcome: 'verified', reason: undefined })]
+    });
+    expect(validationData[1]).toEqual(expect.objectContaining({
+      passedValidation: false,
+      validationError: 'Failed spot check verification',
+      count: 0,
+      mostRecentDate: undefined
+    }));
+    expect(validationData[1].spotCheck).toEqual({
+      outcome: 'failed',
+      textSimilarity: expect.any(Number),
+      reviews: [expect.objectContaining({ reviewId: '2', outcome: 'mismatched', reason: 'text mismatch' })]
+    });
+    expect(validationData[2].validationError).toBe('Invalid response');
+    expect(validationData[2].spotCheck).toBeUndefined();
+  });
+
+  test('should pass a miner whose review not found was re-drawn and verified', () => {
+    validationData[0].data = [review('deleted'), review('1')];
+    validationData[0].replaced = new Set(['deleted']);
+
+    const results = applySpotCheck(validationData, fid, new Map([['1', verified('1')], ['2', verified('2')]]));
+
+    expect(results[0]).toEqual({ minerUID: 1, result: 'passed' });
+    expect(validationData[0].spotCheck.reviews[0]).toEqual({ reviewId: 'deleted', outcome: 'inconclusive', reason: 'Review not found' });
+  });
+
+  test('should fail a miner padding a real review with fabricated ones', () => {
+    validationData[0].data.push(review('fabricated-1'), review('fabricated-2'));
+    validationData[0].replaced = new Set(['fabricated-1']);
+
+    const results = applySpotCheck(validationData, fid, new Map([['1', verified('1')], ['2', verified('2')]]));
+
+    expect(results[0]).toEqual({ minerUID: 1, result: 'failed' });
+    expect(validationData[0]).toEqual(expect.objectContaining({
+      passedValidation: false,
+      validationError: 'Spot check reviews not found',
+      count: 0
+    }));
+  });
+
+  test('should not fail a miner for the reviews whose spot check run failed', () => {
+    validationData[0].data.push(review('unavailable'));
+
+    const results = applySpotCheck(validationData, fid, new Map([['1', verified('1')], ['2', verified('2')]]), new Set(['unavailable']));
+
+    expect(results[0]).toEqual({ minerUID: 1, result: 'passed' });
+  });
+
+  test('should record the lowest text similarity of a miner', () => {
+    validationData[0].data.push(review('3', { text: 'Review 3 ' }), review('4', { text: 'Review number 4' }));
+    const verifiedReviewsMap = new Map([['1', verified('1')], ['3', verified('3')], ['4', verified('4', { text: 'Review numbr 4' })]]);
+
+    const results = applySpotCheck(validationData, fid, verifiedReviewsMap);
+
+    expect(results[0]).toEqual({ minerUID: 1, result: 'passed' });
+    expect(validationData[0].spotCheck.textSimilarity).toBe(0.933);
+  });
+
+  test('should fail a miner none of whose reviews are found', () => {
+    const results = applySpotCheck(validationData, fid, new Map([['1', verified('1')]]));
+
+    expect(results[1]).toEqual({ minerUID: 2, result: 'failed' });
+    expect(validationData[1].validationError).toBe('Spot check reviews not found');
+  });
+
+  test('should leave miners inconclusive when their spot check runs failed', () => {
+    const results = applySpotCheck(validationData, fid, new Map(), new Set(['1', '2']));
+
+    expect(results.map(({ result }) => result)).toEqual(['inconclusive', 'inconclusive']);
+    expect(validationData[0]).toEqual(expect.objectContaining({ passedValidation: true, count: 10 }));
+    expect(validationData[1].spotCheck).toEqual({
+      outcome: 'inconclusive',
+      reviews: [{ reviewId: '2', outcome: 'inconclusive', reason: 'Spot check run failed' }]
+    });
+  });
+});
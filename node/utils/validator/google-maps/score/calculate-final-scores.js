@@ -1,18 +1,33 @@
 import logger from '#modules/logger/index.js';
 import time from '#modules/time/index.js';
 import generateValidationData from '#utils/validator/validation-data.js';
+import normalizers from './normalizers.js';
+import getScoringProfile from './scoring-profile.js';
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// Values outside the normalization ranges, those of inconclusive miners, could score outside [0, 1]
+const clamp = (score) => Math.min(1, Math.max(0, score));
 
 /**
- * Calculate final scores using the new three-component scoring system:
- * - Speed Score (30%): Based on response time
- * - Volume Score (50%): Based on number of reviews returned
- * - Recency Score (20%): Based on most recent review date
+ * Calculate final scores using the three-component scoring system:
+ * - Speed Score (30% by default): Based on response time
+ * - Volume Score (50% by default): Based on number of reviews returned
+ * - Recency Score (20% by default): Based on most recent review date
+ *
+ * The weights and the normalization of each component come from the scoring profile,
+ * see config.VALIDATOR.SCORING.
+ *
+ * Miners whose spot check was inconclusive keep only the inconclusive credit of the profile, and their
+ * unchecked values set the normalization ranges only when no miner could be checked.
  *
  * @param {Array} validationData - Array of validation data with metrics
+ * @param {Array<number>} responseTimes - The response time of each miner in seconds
  * @param {number} synapseTimeout - The synapse timeout value in seconds
- * @returns {Array} Final scores for each miner
+ * @param {Object} [profile] - The scoring profile, see getScoringProfile()
+ * @returns {Object} Final scores for each miner, their statistics and the scoring profile used
  */
-const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 120) => {
+const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 120, profile = getScoringProfile()) => {
   // Update the scoring results with the response time
   const scoringResults = validationData.map((minerData, index) => ({
     ...minerData,
@@ -41,7 +56,8 @@ const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 12
       passedValidation: false,
       validationError: result.validationError || 'No valid responses',
       responseTime: result.responseTime,
-      count: 0
+      count: 0,
+      spotCheck: result.spotCheck
     }));
 
     const scores = finalScores.map(result => result.score);
@@ -50,14 +66,17 @@ const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 12
       meanScore: 0,
       minScore: 0,
       maxScore: 0,
-      finalScores
+      finalScores,
+      profile
     };
   }
 
   // Calculate the response times, counts, and most recent dates
-  const validResponseTimes = validResults.map(response => response.responseTime);
-  const validCounts = validResults.map(response => response.count);
-  const validRecentDates = validResults
+  const checkedResults = validResults.filter(response => response.spotCheck?.outcome !== 'inconclusive');
+  const referenceResults = checkedResults.length > 0 ? checkedResults : validResults;
+  const validResponseTimes = referenceResults.map(response => response.responseTime);
+  const validCounts = referenceResults.map(response => response.count);
+  const validRecentDates = referenceResults
     .map(response => response.mostRecentDate)
     .filter(date => date !== undefined);
 
@@ -69,7 +88,13 @@ const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 12
   const dateRange = mostRecentDateOverall && oldestDateOverall ?
     (mostRecentDateOverall.getTime() - oldestDateOverall.getTime()) : 0;
 
-  logger.info(`Scoring parameters - Tmin: ${Tmin.toFixed(2)}s, Vmax: ${Vmax} reviews, Date range: ${dateRange / (1000 * 60 * 60 * 24)} days`);
+  // Days between the oldest and each most recent review, the raw recency value
+  const validRecencies = dateRange > 0 ? validRecentDates.map(date => (date.getTime() - oldestDateOverall.getTime()) / DAY) : [];
+
+  // Weights are relative, so the final score stays within [0, 1]
+  const totalWeight = profile.weights.speed + profile.weights.volume + profile.weights.recency;
+
+  logger.info(`Scoring parameters - Profile: ${profile.name}, Tmin: ${Tmin.toFixed(2)}s, Vmax: ${Vmax} reviews, Date range: ${dateRange / DAY} days`);
 
   const finalScores = scoringResults.map((result, index) => {
     const { passedValidation, count, mostRecentDate, responseTime, minerUID } = result;
@@ -88,31 +113,45 @@ const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 12
         passedValidation: false,
         validationError: result.validationError || (responseTime >= synapseTimeout ? `Response timeout (>= ${synapseTimeout}s)` : 'Unknown error'),
         responseTime,
-        count: count || 0
+        count: count || 0,
+        spotCheck: result.spotCheck
       };
     }
 
-    // Speed score (30%) - faster responses get higher scores
-     /* istanbul ignore next */
-    const speedScore = responseTime > 0 ? Tmin / responseTime : 0;
+    // Speed score - faster responses get higher scores
+    const speedScore = clamp(normalizers.normalize(profile.normalizers.speed.type, responseTime, validResponseTimes, {
+      direction: 'lower',
+      cap: profile.normalizers.speed.cap
+    }));
 
-    // Volume score (50%) - more reviews get higher scores
-    const volumeScore = Vmax > 0 ? count / Vmax : 0;
+    // Volume score - more reviews get higher scores
+    const volumeScore = clamp(normalizers.normalize(profile.normalizers.volume.type, count, validCounts, {
+      direction: 'higher',
+      cap: profile.normalizers.volume.cap
+    }));
 
-    // Recency score (20%) - more recent reviews get higher scores
+    // Recency score - more recent reviews get higher scores
     let recencyScore = 0;
     if (mostRecentDate && dateRange > 0) {
-      const dateScore = (mostRecentDate.getTime() - oldestDateOverall.getTime()) / dateRange;
-      recencyScore = dateScore;
+      const recency = (mostRecentDate.getTime() - oldestDateOverall.getTime()) / DAY;
+      recencyScore = clamp(normalizers.normalize(profile.normalizers.recency.type, recency, validRecencies, {
+        direction: 'higher',
+        cap: profile.normalizers.recency.cap
+      }));
     } else if (mostRecentDate && dateRange === 0) {
       // All miners have same date, give full score
       recencyScore = 1;
     }
 
-    // Final score is weighted average of all components
-    const finalScore = (0.3 * speedScore) + (0.5 * volumeScore) + (0.2 * recencyScore);
+    // Final score is weighted average of all components, unchecked responses only get the inconclusive credit
+    const credit = result.spotCheck?.outcome === 'inconclusive' ? profile.inconclusiveCredit : 1;
+    const finalScore = credit * (
+      (profile.weights.speed * speedScore) +
+      (profile.weights.volume * volumeScore) +
+      (profile.weights.recency * recencyScore)
+    ) / totalWeight;
 
-    logger.info(`Miner ${minerUID} Final Score: ${finalScore.toFixed(4)} - Speed: ${speedScore.toFixed(4)} (${responseTime.toFixed(2)}s), Volume: ${volumeScore.toFixed(4)} (${count} reviews), Recency: ${recencyScore.toFixed(4)}`);
+    logger.info(`Miner ${minerUID} Final Score: ${finalScore.toFixed(4)} - Speed: ${speedScore.toFixed(4)} (${responseTime.toFixed(2)}s), Volume: ${volumeScore.toFixed(4)} (${count} reviews), Recency: ${recencyScore.toFixed(4)}${credit < 1 ? `, Inconclusive credit: ${credit}` : ''}`);
 
     return {
       minerUID,
@@ -126,7 +165,8 @@ const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 12
       passedValidation: true,
       responseTime,
       count,
-      mostRecentDate: mostRecentDate?.toISOString()
+      mostRecentDate: mostRecentDate?.toISOString(),
+      spotCheck: result.spotCheck
     };
   });
 
@@ -143,7 +183,8 @@ const calculateFinalScores = (validationData, responseTimes, synapseTimeout = 12
     meanScore,
     minScore: Math.min(...scores),
     maxScore: Math.max(...scores),
-    finalScores
+    finalScores,
+    profile
   }
 }
 
@@ -175,4 +175,63 @@ describe('#utils/validator/google-maps/score/calculate-final-scores.js', () => {
     expect(result.finalScores[0].components.recencyScore).toBe(1);
     expect(result.finalScores[1].components.recencyScore).toBe(1);
   });
+
+  test('should return the scoring profile it used', () => {
+    const result = calculateFinalScores(validationData, responseTimes, synapseTimeout);
+
+    expect(result.profile).toEqual(expect.objectContaining({
+      name: 'default',
+      weights: { speed: 0.3, volume: 0.5, recency: 0.2 }
+    }));
+  });
+
+  test('should apply the weights and normalizers of the profile', () => {
+    const profile = {
+      name: 'custom',
+      weights: { speed: 1, volume: 2, recency: 1 },
+      normalizers: { speed: { type: 'capped', cap: 30 }, volume: { type: 'rank' }, recency: { type: 'linear' } }
+    };
+
+    const result = calculateFinalScores(validationData, responseTimes, synapseTimeout, profile);
+
+    // Both within 30s, miner2 has fewer reviews and the oldest date
+    expect(result.finalScores[1].components).toEqual({ speedScore: 1, volumeScore: 0, recencyScore: 0 });
+    expect(result.finalScores[1].score).toBe(0.25); // (1 * 1 + 2 * 0 + 1 * 0) / 4
+    expect(result.finalScores[0].score).toBe(1);
+    expect(result.profile).toBe(profile);
+  });
+
+  test('should give inconclusive miners only the inconclusive credit', () => {
+    validationData[0] = { ...validationData[0], count: 500, spotCheck: { outcome: 'inconclusive' } };
+    validationData[1].spotCheck = { outcome: 'passed' };
+
+    const result = calculateFinalScores(validationData, responseTimes, synapseTimeout);
+
+    expect(result.finalScores[0].score).toBe(0);
+    expect(result.finalScores[0].passedValidation).toBe(true);
+    // The unchecked count does not set the volume range
+    expect(result.finalScores[1].components).toEqual(expect.objectContaining({ speedScore: 1, volumeScore: 1 }));
+  });
+
+  test('should cap the score of inconclusive miners at the inconclusive credit', () => {
+    validationData[0].spotCheck = { outcome: 'inconclusive' };
+    validationData[1].spotCheck = { outcome: 'inconclusive' };
+    const profile = {
+      name: 'custom',
+      weights: { speed: 0.3, volume: 0.5, recency: 0.2 },
+      normalizers: { speed: { type: 'linear' }, volume: { type: 'linear' }, recency: { type: 'linear' } },
+      inconclusiveCredit: 0.5
+    };
+
+    const result = calculateFinalScores(validationData, responseTimes, synapseTimeout, profile);
+
+    expect(result.scores).toEqual([0.5, 0.2]);
+  });
+
+  test('should return the scoring profile when no result is valid', () => {
+    validationData[0].passedValidation = false;
+    validationData[1].passedValidation = false;
+
+    expect(calculateFinalScores(validationData, responseTimes, synapseTimeout).profile.name).toBe('default');
+  });
 });
@@ -0,0 +1,164 @@
+import textSimilarity from '#modules/text-similarity/index.js';
+import reviewDates from './review-dates.js';
+
+/**
+ * Spot check field rules
+ * Each rule compares the value a miner submitted with the value returned by the spot check actor
+ * and returns whether they match, or { passed, ...details } when it measures more than that.
+ * The rules applied to each field are set in config.VALIDATOR.SPOT_CHECK_RULES.
+ */
+
+/**
+ * Treat null and undefined alike, the actor and the miners do not agree on which one marks a missing value
+ */
+const isMissing = (value) => value === null || value === undefined;
+
+/**
+ * Exact: strictly equal, a missing value only matches another missing value
+ * @example
+ * exact('place123', 'place123') // true
+ * exact('place123', 'PLACE123') // false
+ */
+const exact = (expected, actual) => {
+  if (isMissing(expected) || isMissing(actual)) {
+    return isMissing(expected) && isMissing(actual);
+  }
+
+  return expected === actual;
+};
+
+/**
+ * Normalized text: equal after textSimilarity.normalize(), so line breaks, padding, Unicode forms,
+ * Google translation markers and "More" artifacts do not count
+ * @example
+ * normalizedText('Great  place!\n', 'Great place!') // true
+ * normalizedText(undefined, '')                    // true
+ */
+const normalizedText = (expected, actual) => textSimilarity.normalize(expected) === textSimilarity.normalize(actual);
+
+/**
+ * Similar text: normalized Levenshtein ratio of the normalized texts at or above threshold
+ * @example
+ * similarText('Great place!', 'Great place!!', { threshold: 0.9 }) // { passed: true, similarity: 0.923 }
+ */
+const similarText = (expected, actual, { threshold = 1 } = {}) => {
+  const { similarity, match } = textSimilarity.compare(expected, actual, { threshold });
+  return { passed: match, similarity };
+};
+
+/**
+ * Numeric equal: both numbers and at most tolerance apart
+ * @example
+ * numericEqual(5, 5)                       // true
+ * numericEqual(12, 15, { tolerance: 5 })   // true
+ */
+const numericEqual = (expected, actual, { tolerance = 0 } = {}) => {
+  if (isMissing(expected) || isMissing(actual)) {
+    return isMissing(expected) && isMissing(actual);
+  }
+
+  const difference = Math.abs(Number(expected) - Number(actual));
+  return Number.isFinite(difference) && difference <= tolerance;
+};
+
+/**
+ * Date within tolerance: both dates truncated to the second and at most tolerance seconds apart
+ * With a tolerance of 0 the dates must fall in the same second.
+ * @example
+ * dateWithin('2024-03-20T10:00:00.123Z', '2024-03-20T10:00:00.456Z')                 // true
+ * dateWithin('2024-03-20T10:00:00Z', '2024-03-20T10:00:30Z', { tolerance: 60 })      // true
+ */
+const dateWithin = (expected, actual, { tolerance = 0 } = {}) => {
+  const expectedSeconds = Math.floor(new Date(expected).getTime() / 1000);
+  const actualSeconds = Math.floor(new Date(actual).getTime() / 1000);
+  const difference = Math.abs(expectedSeconds - actualSeconds);
+
+  return Number.isFinite(difference) && difference <= tolerance;
+};
+
+/**
+ * Review date: the last edit dates of both reviews at most tolerance seconds apart, see reviewDates.reconcileDates()
+ * Compares whole reviews, the field only names the result.
+ * @example
+ * reviewDate(undefined, undefined, { tolerance: 0 }, { original, verified }) // { passed: true, reason: undefined }
+ */
+const reviewDate = (expected, actual, options, { original, verified }) => reviewDates.reconcileDates(original, verified, options);
+
+const RULES = {
+  'exact': exact,
+  'normalized-text': normalizedText,
+  'similar-text': similarText,
+  'numeric-equal': numericEqual,
+  'date-within': dateWithin,
+  'review-date': reviewDate
+};
+
+/**
+ * Describe a mismatch, texts are left out of the message
+ * @param {Object} fieldRule - The field rule, see checkFields()
+ * @param {any} expected - The submitted value
+ * @param {any} actual - The verified value
+ * @returns {string} - The mismatch
+ */
+const describeMismatch = ({ field, rule }, expected, actual) => {
+  return rule === 'normalized-text' || rule === 'similar-text'
+    ? `${field} mismatch`
+    : `${field} mismatch - expected ${expected}, got ${actual}`;
+};
+
+/**
+ * Check a submitted review against its verified version with a list of field rules
+ * @example
+ * checkFields(review, verified, 'fid', [
+ *   { field: 'fid', rule: 'exact', source: 'round' },
+ *   { field: 'lastEditedAtDate', rule: 'review-date', tolerance: 0 },
+ *   { field: 'likesCount', rule: 'numeric-equal', tolerance: 5, enforce: false }
+ * ]);
+ *
+ * @param {Object} original - The review submitted by the miner
+ * @param {Object} verified - The review returned by the spot check actor
+ * @param {string} fid - The FID of the round
+ * @param {Array<Object>} fieldRules - The field rules, applied in order
+ * @param {string} fieldRules[].field - The field of the submitted review
+ * @param {string} fieldRules[].rule - exact, normalized-text, similar-text, numeric-equal, date-within or review-date
+ * @param {string} [fieldRules[].verifiedField] - The field of the verified review, the same field by default
+ * @param {string} [fieldRules[].source] - 'round' to compare with the FID of the round instead of the submitted value
+ * @param {number} [fieldRules[].tolerance] - The tolerance of numeric-equal, date-within and review-date (seconds)
+ * @param {number} [fieldRules[].threshold] - The minimum similarity of similar-text, in [0, 1]
+ * @param {boolean} [fieldRules[].enforce] - false to only report the result, a mismatch then does not fail the review
+ * @returns {Array<Object>} - The result of each rule: { field, rule, enforced, passed, reason } and the details it measured, like the similarity of similar-text
+ */
+const checkFields = (original, verified, fid, fieldRules) => {
+  return fieldRules.map((fieldRule) => {
+    const { field, rule, verifiedField = field, source, enforce = true } = fieldRule;
+    const compare = RULES[rule];
+    if (!compare) {
+      throw new Error(`Unknown spot check rule: ${rule}`);
+    }
+
+    const expected = source === 'round' ? fid : original[field];
+    const actual = verified[verifiedField];
+    const result = compare(expected, actual, fieldRule, { original, verified });
+    const { passed, reason, ...details } = typeof result === 'boolean' ? { passed: result } : result;
+
+    return {
+      field,
+      rule,
+      enforced: enforce,
+      passed,
+      ...details,
+      reason: passed ? undefined : reason || describeMismatch(fieldRule, expected, actual)
+    };
+  });
+};
+
+export default {
+  RULES,
+  checkFields,
+  exact,
+  normalizedText,
+  similarText,
+  numericEqual,
+  dateWithin,
+  reviewDate
+};
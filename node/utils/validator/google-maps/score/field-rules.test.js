@@ -0,0 +1,92 @@
+import fieldRules from './field-rules.js';
+
+describe('#utils/validator/google-maps/score/field-rules.js', () => {
+  describe('.exact()', () => {
+    test('should compare values strictly', () => {
+      expect(fieldRules.exact('place123', 'place123')).toBe(true);
+      expect(fieldRules.exact('place123', 'PLACE123')).toBe(false);
+      expect(fieldRules.exact('5', 5)).toBe(false);
+    });
+
+    test('should treat null and undefined alike', () => {
+      const { text } = JSON.parse('{ "text": null }');
+
+      expect(fieldRules.exact(undefined, text)).toBe(true);
+      expect(fieldRules.exact(text, 'value')).toBe(false);
+    });
+  });
+
+  describe('.normalizedText()', () => {
+    test('should ignore whitespace and Unicode normalization differences', () => {
+      expect(fieldRules.normalizedText('Great  place!\n', ' Great place!')).toBe(true);
+      expect(fieldRules.normalizedText('Cafe\u0301', 'Caf\u00E9')).toBe(true);
+      expect(fieldRules.normalizedText(undefined, '')).toBe(true);
+    });
+
+    test('should keep case and punctuation', () => {
+      expect(fieldRules.normalizedText('Great place!', 'great place!')).toBe(false);
+      expect(fieldRules.normalizedText('Great place!', 'Great place')).toBe(false);
+    });
+  });
+
+  describe('.numericEqual()', () => {
+    test('should compare numbers within the tolerance', () => {
+      expect(fieldRules.numericEqual(5, 5)).toBe(true);
+      expect(fieldRules.numericEqual(5, 4)).toBe(false);
+      expect(fieldRules.numericEqual(12, 15, { tolerance: 5 })).toBe(true);
+      expect(fieldRules.numericEqual(12, 18, { tolerance: 5 })).toBe(false);
+    });
+
+    test('should not match missing or invalid numbers', () => {
+      expect(fieldRules.numericEqual(5)).toBe(false);
+      expect(fieldRules.numericEqual('abc', 'abc')).toBe(false);
+      expect(fieldRules.numericEqual()).toBe(true);
+    });
+  });
+
+  describe('.dateWithin()', () => {
+    test('should compare dates truncated to the second', () => {
+      expect(fieldRules.dateWithin('2024-03-20T10:00:00.123Z', '2024-03-20T10:00:00.456Z')).toBe(true);
+      expect(fieldRules.dateWithin('2024-03-20T10:00:00.999Z', '2024-03-20T10:00:01.000Z')).toBe(false);
+    });
+
+    test('should accept dates within the tolerance', () => {
+      expect(fieldRules.dateWithin('2024-03-20T10:00:00Z', '2024-03-20T10:00:30Z', { tolerance: 60 })).toBe(true);
+      expect(fieldRules.dateWithin('2024-03-20T10:00:00Z', '2024-03-20T10:02:00Z', { tolerance: 60 })).toBe(false);
+    });
+
+    test('should not match invalid dates', () => {
+      expect(fieldRules.dateWithin(undefined, '2024-03-20T10:00:00Z')).toBe(false);
+    });
+  });
+
+  describe('.checkFields()', () => {
+    const original = { reviewerId: 'reviewer', lastEditedAtDate: '2024-03-20T10:00:00Z', likesCount: 2 };
+    const verified = { fid: 'fid', reviewerId: 'other', publishedAtDate: '2024-03-20T10:00:00Z', likesCount: 2 };
+
+    test('should report the result of each rule in order', () => {
+      expect(fieldRules.checkFields(original, verified, 'fid', [
+        { field: 'fid', rule: 'exact', source: 'round' },
+        { field: 'reviewerId', rule: 'exact', enforce: false },
+        { field: 'lastEditedAtDate', verifiedField: 'publishedAtDate', rule: 'date-within' },
+        { field: 'likesCount', rule: 'numeric-equal', tolerance: 5 }
+      ])).toEqual([
+        { field: 'fid', rule: 'exact', enforced: true, passed: true, reason: undefined },
+        { field: 'reviewerId', rule: 'exact', enforced: false, passed: false, reason: 'reviewerId mismatch - expected reviewer, got other' },
+        { field: 'lastEditedAtDate', rule: 'date-within', enforced: true, passed: true, reason: undefined },
+        { field: 'likesCount', rule: 'numeric-equal', enforced: true, passed: true, reason: undefined }
+      ]);
+    });
+
+    test('should leave texts out of the reason', () => {
+      const [check] = fieldRules.checkFields({ text: 'Great' }, { text: 'Bad' }, 'fid', [{ field: 'text', rule: 'normalized-text' }]);
+
+      expect(check.reason).toBe('text mismatch');
+    });
+
+    test('should throw on an unknown rule', () => {
+      expect(() => fieldRules.checkFields(original, verified, 'fid', [{ field: 'fid', rule: 'fuzzy' }]))
+        .toThrow('Unknown spot check rule: fuzzy');
+    });
+  });
+});
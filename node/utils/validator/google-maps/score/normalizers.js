@@ -0,0 +1,104 @@
+/**
+ * Score normalizers
+ * Each normalizer maps a miner's raw value to [0, 1] relative to the values of every valid miner.
+ * With direction 'higher' bigger values are better (review count), with 'lower' smaller values are (response time).
+ */
+
+/**
+ * Linear: the value over the best value
+ * @example
+ * linear(50, [50, 100], { direction: 'higher' }) // 0.5
+ * linear(20, [10, 20], { direction: 'lower' })   // 0.5
+ */
+const linear = (value, values, { direction }) => {
+  if (direction === 'lower') {
+    return value > 0 ? Math.min(...values) / value : 0;
+  }
+
+  const max = Math.max(...values);
+  return max > 0 ? value / max : 0;
+};
+
+/**
+ * Log-scaled: like linear on log(1 + value), so differences between large values matter less
+ * @example
+ * log(50, [50, 100], { direction: 'higher' }) // 0.85
+ */
+const log = (value, values, { direction }) => {
+  if (direction === 'lower') {
+    return value > 0 ? Math.log1p(Math.min(...values)) / Math.log1p(value) : 0;
+  }
+
+  const max = Math.max(...values);
+  return max > 0 ? Math.log1p(value) / Math.log1p(max) : 0;
+};
+
+/**
+ * Rank-based: the share of the other miners doing strictly worse, so only the order matters
+ * @example
+ * rank(50, [50, 100, 200], { direction: 'higher' }) // 0
+ * rank(100, [50, 100, 200], { direction: 'higher' }) // 0.5
+ */
+const rank = (value, values, { direction }) => {
+  if (values.length <= 1) {
+    return 1;
+  }
+
+  const worse = values.filter(other => (direction === 'lower' ? other > value : other < value)).length;
+  return worse / (values.length - 1);
+};
+
+/**
+ * Capped: the value over a fixed target, full score at or beyond the target
+ * Without a cap it behaves like linear.
+ * @example
+ * capped(150, [150, 300], { direction: 'higher', cap: 100 }) // 1
+ * capped(60, [10, 60], { direction: 'lower', cap: 30 })      // 0.5
+ */
+const capped = (value, values, { direction, cap }) => {
+  if (!(cap > 0)) {
+    return linear(value, values, { direction });
+  }
+
+  if (direction === 'lower') {
+    return value > 0 ? Math.min(1, cap / value) : 0;
+  }
+
+  return Math.min(value, cap) / cap;
+};
+
+const NORMALIZERS = {
+  linear,
+  log,
+  rank,
+  capped
+};
+
+/**
+ * Normalize a value with a named normalizer
+ * @param {string} type - linear, log, rank or capped
+ * @param {number} value - The raw value of the miner
+ * @param {Array<number>} values - The raw values of every valid miner
+ * @param {Object} options - The options
+ * @param {string} options.direction - 'higher' or 'lower', which values are better
+ * @param {number} [options.cap] - The target of the capped normalizer
+ * @returns {number} - The normalized value in [0, 1], 0 if it cannot be computed
+ */
+const normalize = (type, value, values, options) => {
+  const normalizer = NORMALIZERS[type];
+  if (!normalizer) {
+    throw new Error(`Unknown score normalizer: ${type}`);
+  }
+
+  const result = normalizer(value, values, options);
+  return Number.isFinite(result) ? Math.min(1, Math.max(0, result)) : 0;
+};
+
+export default {
+  NORMALIZERS,
+  normalize,
+  linear,
+  log,
+  rank,
+  capped
+};
@@ -0,0 +1,80 @@
+import normalizers from './normalizers.js';
+
+describe('#utils/validator/google-maps/score/normalizers.js', () => {
+  const counts = [50, 100, 200];
+  const times = [10, 20, 40];
+
+  describe('.linear()', () => {
+    test('should divide by the highest value when higher is better', () => {
+      expect(normalizers.linear(100, counts, { direction: 'higher' })).toBe(0.5);
+      expect(normalizers.linear(0, [0, 0], { direction: 'higher' })).toBe(0);
+    });
+
+    test('should divide the lowest value when lower is better', () => {
+      expect(normalizers.linear(20, times, { direction: 'lower' })).toBe(0.5);
+      expect(normalizers.linear(0, times, { direction: 'lower' })).toBe(0);
+    });
+  });
+
+  describe('.log()', () => {
+    test('should compress the differences between large values', () => {
+      const score = normalizers.log(100, counts, { direction: 'higher' });
+
+      expect(score).toBeCloseTo(Math.log1p(100) / Math.log1p(200));
+      expect(score).toBeGreaterThan(normalizers.linear(100, counts, { direction: 'higher' }));
+      expect(normalizers.log(0, [0], { direction: 'higher' })).toBe(0);
+    });
+
+    test('should score the fastest response 1 when lower is better', () => {
+      expect(normalizers.log(10, times, { direction: 'lower' })).toBe(1);
+      expect(normalizers.log(40, times, { direction: 'lower' })).toBeCloseTo(Math.log1p(10) / Math.log1p(40));
+      expect(normalizers.log(0, times, { direction: 'lower' })).toBe(0);
+    });
+  });
+
+  describe('.rank()', () => {
+    test('should score the share of miners doing strictly worse', () => {
+      expect(normalizers.rank(200, counts, { direction: 'higher' })).toBe(1);
+      expect(normalizers.rank(100, counts, { direction: 'higher' })).toBe(0.5);
+      expect(normalizers.rank(50, counts, { direction: 'higher' })).toBe(0);
+      expect(normalizers.rank(10, times, { direction: 'lower' })).toBe(1);
+    });
+
+    test('should give full score to a single miner and share ties', () => {
+      expect(normalizers.rank(50, [50], { direction: 'higher' })).toBe(1);
+      expect(normalizers.rank(50, [50, 50, 10], { direction: 'higher' })).toBe(0.5);
+    });
+  });
+
+  describe('.capped()', () => {
+    test('should give full score at or beyond the cap', () => {
+      expect(normalizers.capped(200, counts, { direction: 'higher', cap: 100 })).toBe(1);
+      expect(normalizers.capped(50, counts, { direction: 'higher', cap: 100 })).toBe(0.5);
+    });
+
+    test('should give full score at or under the cap when lower is better', () => {
+      expect(normalizers.capped(20, times, { direction: 'lower', cap: 30 })).toBe(1);
+      expect(normalizers.capped(60, times, { direction: 'lower', cap: 30 })).toBe(0.5);
+      expect(normalizers.capped(0, times, { direction: 'lower', cap: 30 })).toBe(0);
+    });
+
+    test('should behave like linear without a cap', () => {
+      expect(normalizers.capped(100, counts, { direction: 'higher' })).toBe(0.5);
+    });
+  });
+
+  describe('.normalize()', () => {
+    test('should run the named normalizer', () => {
+      expect(normalizers.normalize('rank', 100, counts, { direction: 'higher' })).toBe(0.5);
+    });
+
+    test('should keep results within [0, 1] and replace invalid results by 0', () => {
+      expect(normalizers.normalize('linear', 300, counts, { direction: 'higher' })).toBe(1);
+      expect(normalizers.normalize('linear', Number.NaN, counts, { direction: 'higher' })).toBe(0);
+    });
+
+    test('should throw for an unknown normalizer', () => {
+      expect(() => normalizers.normalize('sigmoid', 1, [1], { direction: 'higher' })).toThrow('Unknown score normalizer: sigmoid');
+    });
+  });
+});
@@ -1,51 +1,136 @@
 import logger from '#modules/logger/index.js';
 import time from '#modules/time/index.js';
 import apify from '#modules/apify/index.js';
+import array from '#modules/array/index.js';
+import Deadline from '#modules/deadline/index.js';
 import config from '#config';
+import getVerificationCache from '#utils/validator/verification-cache.js';
+
+/**
+ * Collect the review URLs to verify, once per review
+ * Miners often return the same newest review, it only needs to be verified once.
+ * @param {Array} allSelectedReviews - The selected reviews of each miner, see performBatchSpotCheck()
+ * @returns {Object} - The unique reviews to verify ({ reviewId, url }) and the number of reviews requested before deduplication
+ */
+const collectStartUrls = (allSelectedReviews) => {
+  const seenIds = new Set();
+  const seenUrls = new Set();
+  const uniqueReviews = [];
+  let requested = 0;
+
+  for (const { reviews } of allSelectedReviews) {
+    for (const review of reviews) {
+      requested++;
+      if ((review.reviewId && seenIds.has(review.reviewId)) || seenUrls.has(review.reviewUrl)) {
+        continue;
+      }
+
+      seenIds.add(review.reviewId);
+      seenUrls.add(review.reviewUrl);
+      uniqueReviews.push({
+        reviewId: review.reviewId,
+        url: review.reviewUrl
+      });
+    }
+  }
+
+  return { uniqueReviews, requested };
+}
+
+/**
+ * Run the spot check actor on a chunk of reviews, retrying failed runs
+ * @param {Array<Object>} chunk - The reviews to verify ({ reviewId, url })
+ * @returns {Promise<Array<Object>|undefined>} - The verified reviews, undefined if every attempt failed
+ */
+const runChunk = async (chunk) => {
+  const retries = config.VALIDATOR.SPOT_CHECK_RETRIES;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await apify.runActorAndGetResults(
+        config.VALIDATOR.APIFY_ACTORS.GOOGLE_MAPS_REVIEWS_SPOT_CHECK,
+        {
+          startUrls: chunk.map(review => ({ url: review.url, method: "GET" })),
+        },
+        { deadline: new Deadline(config.VALIDATOR.SPOT_CHECK_CHUNK_TIMEOUT * 1000) }
+      );
+    } catch (error) {
+      logger.warning(`Spot check run of ${chunk.length} reviews failed (attempt ${attempt + 1}/${retries + 1}): ${error.message}`);
+    }
+  }
+
+  return;
+}
 
 /**
  * Perform batch spot check on reviews from all miners by verifying them against Google Maps.
  * This function takes reviews from multiple miners and validates their authenticity by checking
  * them against the actual Google Maps data using Apify actor.
+ * Reviews selected by several miners are verified once, and reviews verified by a recent round
+ * are taken from the verification cache (config.VALIDATOR.VERIFICATION_CACHE). The other URLs are
+ * split into chunks of config.VALIDATOR.SPOT_CHECK_CHUNK_SIZE that run in parallel, each bounded by
+ * config.VALIDATOR.SPOT_CHECK_CHUNK_TIMEOUT. A failed run is retried config.VALIDATOR.SPOT_CHECK_RETRIES
+ * times, then its reviews are reported as unavailable so their miners are not failed for it.
  *
- * @param {Array} allSelectedReviews - Array of objects containing miner information and their reviews. Each object has format {minerUID: string, reviews: Array<{reviewUrl: string, ...}>}
+ * @param {Array} allSelectedReviews - Array of objects containing miner information and their reviews. Each object has format {minerUID: string, reviews: Array<{reviewId: string, reviewUrl: string, ...}>}
  * @param {string} fid - The FID (Facility ID) of the place in Google Maps to verify reviews against
- * @returns {Promise<Object>} - Returns a Map where keys are review IDs and values are verification results containing details about whether the review exists and matches the submitted data
+ * @returns {Promise<Object>} - { verifiedReviews, unavailable, stats }, verifiedReviews is a Map where keys are review IDs and values are the verified reviews,
+ *                              unavailable is the Set of review IDs whose run failed, stats has the number of reviews requested,
+ *                              the reviews found in the cache, the URLs sent, the lookups saved by deduplication and the cache,
+ *                              the actor runs and the runs that failed
  */
 const performBatchSpotCheck = async (allSelectedReviews, fid) => {
   const startTime = Date.now();
 
   try {
-    // Collect all unique URLs from all miners
-    const startUrls = allSelectedReviews
-      .flatMap(selectedReview => selectedReview.reviews.map(review => ({
-        url: review.reviewUrl,
-        method: "GET"
-      }))
-    );
-
-    logger.info(`Batch spot check: Verifying ${startUrls.length} reviews from ${allSelectedReviews.length} miners for fid: ${fid}`);
-
-    // Make one batch call to Apify with all URLs
-    const results = await apify.runActorAndGetResults(
-      config.VALIDATOR.APIFY_ACTORS.GOOGLE_MAPS_REVIEWS_SPOT_CHECK,
-      {
-        startUrls,
+    const { uniqueReviews, requested } = collectStartUrls(allSelectedReviews);
+
+    // Reviews verified by a recent round are not scraped again
+    const cache = getVerificationCache();
+    const cachedReviews = cache
+      ? await cache.getMany(uniqueReviews.filter(review => review.reviewId).map(review => review.reviewId))
+      : new Map();
+    const startUrls = uniqueReviews.filter(review => !cachedReviews.has(review.reviewId));
+
+    const chunks = array.chunk(startUrls, config.VALIDATOR.SPOT_CHECK_CHUNK_SIZE);
+    const stats = {
+      requested,
+      cached: cachedReviews.size,
+      sent: startUrls.length,
+      saved: requested - startUrls.length,
+      runs: chunks.length,
+      failedRuns: 0
+    };
+
+    logger.info(`Batch spot check: Verifying ${startUrls.length} reviews (${requested - uniqueReviews.length} duplicates skipped, ${cachedReviews.size} cached) from ${allSelectedReviews.length} miners in ${chunks.length} runs for fid: ${fid}`);
+
+    // One actor run per chunk, all in parallel
+    const chunkResults = await Promise.all(chunks.map(chunk => runChunk(chunk)));
+
+    // The reviews of failed runs can be neither verified nor rejected
+    const unavailable = new Set();
+    for (const [index, results] of chunkResults.entries()) {
+      if (!results) {
+        stats.failedRuns++;
+        for (const review of chunks[index]) {
+          unavailable.add(review.reviewId);
+        }
       }
-    );
+    }
 
     // Create a map of verified reviews by reviewId for easy lookup
-    const verifiedReviews = new Map();
-    for (const verified of results) {
-      if (verified.reviewId) {
-        verifiedReviews.set(verified.reviewId, verified);
-      }
+    const verifiedReviews = new Map(cachedReviews);
+    const scrapedReviews = chunkResults.flat().filter(verified => verified?.reviewId);
+    for (const verified of scrapedReviews) {
+      verifiedReviews.set(verified.reviewId, verified);
     }
 
+    await cache?.setMany(scrapedReviews);
+
     const duration = time.getDuration(startTime);
-    logger.info(`Batch spot check complete: Verified ${results.length} reviews in ${duration.toFixed(2)}s`);
+    logger.info(`Batch spot check complete: Verified ${verifiedReviews.size} reviews in ${duration.toFixed(2)}s (${stats.failedRuns}/${chunks.length} runs failed)`);
 
-    return verifiedReviews;
+    return { verifiedReviews, unavailable, stats };
   } catch (error) {
     const duration = time.getDuration(startTime);
     logger.error(`Batch spot check failed with error (took ${duration.toFixed(2)}s):`, error);
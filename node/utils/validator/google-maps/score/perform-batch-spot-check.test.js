@@ -1,9 +1,12 @@
 import performBatchSpotCheck from './perform-batch-spot-check.js';
 import apify from '#modules/apify/index.js';
 import config from '#config';
+import Deadline from '#modules/deadline/index.js';
+import getVerificationCache from '#utils/validator/verification-cache.js';
 
 jest.mock('#modules/logger/index.js', () => ({
   info: jest.fn(),
+  warning: jest.fn(),
   error: jest.fn(),
 }));
 
@@ -12,13 +15,18 @@ jest.mock('#modules/time/index.js', () => ({
 }));
 
 jest.mock('#modules/apify/index.js');
+jest.mock('#utils/validator/verification-cache.js', () => jest.fn());
 
 describe('#utils/validator/google-maps/score/perform-batch-spot-check.js', () => {
+  const chunkSize = config.VALIDATOR.SPOT_CHECK_CHUNK_SIZE;
   let responses;
   let results;
   let fid;
 
   beforeEach(() => {
+    jest.clearAllMocks();
+    config.VALIDATOR.SPOT_CHECK_CHUNK_SIZE = chunkSize;
+    getVerificationCache.mockReturnValue();
     fid = "fid"
     responses = [{
       minerUID: 1,
@@ -34,18 +42,115 @@ describe('#utils/validator/google-maps/score/perform-batch-spot-check.js', () =>
   });
 
   test('should fail properly if there is a problem on the execution', async () => {
-    apify.runActorAndGetResults.mockRejectedValue(new Error("Error"));
+    getVerificationCache.mockImplementation(() => {
+      throw new Error("Error");
+    });
     await expect(performBatchSpotCheck(responses, fid)).rejects.toThrow("Error");
   });
 
   test('should return the results properly', async () => {
-    const result = await performBatchSpotCheck(responses, fid);
+    const { verifiedReviews, stats } = await performBatchSpotCheck(responses, fid);
     expect(apify.runActorAndGetResults).toHaveBeenCalledWith(
       config.VALIDATOR.APIFY_ACTORS.GOOGLE_MAPS_REVIEWS_SPOT_CHECK, {
         startUrls: [{ url: "reviewUrl", method: "GET" }]
-      }
+      },
+      { deadline: expect.any(Deadline) }
     );
-    const reviews = result.get("reviewId");
+    const reviews = verifiedReviews.get("reviewId");
     expect(reviews).toEqual({ reviewId: "reviewId" });
+    expect(stats).toEqual({ requested: 1, cached: 0, sent: 1, saved: 0, runs: 1, failedRuns: 0 });
+  });
+
+  test('should verify reviews selected by several miners once', async () => {
+    responses = [
+      { minerUID: 1, reviews: [{ reviewId: 'a', reviewUrl: 'url-a' }, { reviewId: 'b', reviewUrl: 'url-b' }] },
+      { minerUID: 2, reviews: [{ reviewId: 'a', reviewUrl: 'url-a' }, { reviewId: 'c', reviewUrl: 'url-c' }] },
+      { minerUID: 3, reviews: [{ reviewId: 'a', reviewUrl: 'url-a-other' }, { reviewId: 'd', reviewUrl: 'url-b' }] }
+    ];
+
+    const { stats } = await performBatchSpotCheck(responses, fid);
+
+    expect(apify.runActorAndGetResults).toHaveBeenCalledTimes(1);
+    expect(apify.runActorAndGetResults.mock.calls[0][1].startUrls.map(({ url }) => url)).toEqual(['url-a', 'url-b', 'url-c']);
+    expect(stats).toEqual({ requested: 6, cached: 0, sent: 3, saved: 3, runs: 1, failedRuns: 0 });
+  });
+
+  test('should split the URLs into parallel runs and merge their results', async () => {
+    config.VALIDATOR.SPOT_CHECK_CHUNK_SIZE = 2;
+    responses = [
+      { minerUID: 1, reviews: [{ reviewId: 'a', reviewUrl: 'url-a' }, { reviewId: 'b', reviewUrl: 'url-b' }] },
+      { minerUID: 2, reviews: [{ reviewId: 'c', reviewUrl: 'url-c' }] }
+    ];
+    apify.runActorAndGetResults.mockImplementation(async (actor, { startUrls }) => startUrls.map(({ url }) => ({ reviewId: url.slice(4) })));
+
+    const { verifiedReviews, stats } = await performBatchSpotCheck(responses, fid);
+
+    expect(apify.runActorAndGetResults).toHaveBeenCalledTimes(2);
+    expect([...verifiedReviews.keys()]).toEqual(['a', 'b', 'c']);
+    expect(stats).toEqual({ requested: 3, cached: 0, sent: 3, saved: 0, runs: 2, failedRuns: 0 });
+  });
+
+  test('should only scrape the reviews missing from the verification cache', async () => {
+    const cache = {
+      getMany: jest.fn().mockResolvedValue(new Map([['a', { reviewId: 'a', cached: true }]])),
+      setMany: jest.fn()
+    };
+    getVerificationCache.mockReturnValue(cache);
+    responses = [
+      { minerUID: 1, reviews: [{ reviewId: 'a', reviewUrl: 'url-a' }, { reviewId: 'b', reviewUrl: 'url-b' }] },
+      { minerUID: 2, reviews: [{ reviewId: 'a', reviewUrl: 'url-a' }] }
+    ];
+    apify.runActorAndGetResults.mockResolvedValue([{ reviewId: 'b' }, {}]);
+
+    const { verifiedReviews, stats } = await performBatchSpotCheck(responses, fid);
+
+    expect(cache.getMany).toHaveBeenCalledWith(['a', 'b']);
+    expect(apify.runActorAndGetResults.mock.calls[0][1].startUrls).toEqual([{ url: 'url-b', method: 'GET' }]);
+    expect(cache.setMany).toHaveBeenCalledWith([{ reviewId: 'b' }]);
+    expect(Object.fromEntries(verifiedReviews)).toEqual({ a: { reviewId: 'a', cached: true }, b: { reviewId: 'b' } });
+    expect(stats).toEqual({ requested: 3, cached: 1, sent: 1, saved: 2, runs: 1, failedRuns: 0 });
+  });
+
+  test('should not run the actor when every review is cached', async () => {
+    getVerificationCache.mockReturnValue({
+      getMany: jest.fn().mockResolvedValue(new Map([['reviewId', { reviewId: 'reviewId' }]])),
+      setMany: jest.fn()
+    });
+    responses = [{ minerUID: 1, reviews: [{ reviewId: 'reviewId', reviewUrl: 'reviewUrl' }] }];
+
+    const { verifiedReviews, stats } = await performBatchSpotCheck(responses, fid);
+
+    expect(apify.runActorAndGetResults).not.toHaveBeenCalled();
+    expect(verifiedReviews.get('reviewId')).toEqual({ reviewId: 'reviewId' });
+    expect(stats.runs).toBe(0);
+  });
+
+  test('should retry a failed run', async () => {
+    apify.runActorAndGetResults.mockRejectedValueOnce(new Error('Run timed out'));
+
+    const { verifiedReviews, unavailable, stats } = await performBatchSpotCheck(responses, fid);
+
+    expect(apify.runActorAndGetResults).toHaveBeenCalledTimes(2);
+    expect(verifiedReviews.has('reviewId')).toBe(true);
+    expect(unavailable.size).toBe(0);
+    expect(stats.failedRuns).toBe(0);
+  });
+
+  test('should report the reviews of runs that keep failing as unavailable', async () => {
+    config.VALIDATOR.SPOT_CHECK_CHUNK_SIZE = 1;
+    responses = [{ minerUID: 1, reviews: [{ reviewId: 'a', reviewUrl: 'url-a' }, { reviewId: 'b', reviewUrl: 'url-b' }] }];
+    apify.runActorAndGetResults.mockImplementation(async (actor, { startUrls }) => {
+      if (startUrls[0].url === 'url-b') {
+        throw new Error('Run timed out');
+      }
+      return [{ reviewId: 'a' }];
+    });
+
+    const { verifiedReviews, unavailable, stats } = await performBatchSpotCheck(responses, fid);
+
+    expect(apify.runActorAndGetResults).toHaveBeenCalledTimes(1 + 1 + config.VALIDATOR.SPOT_CHECK_RETRIES);
+    expect([...verifiedReviews.keys()]).toEqual(['a']);
+    expect([...unavailable]).toEqual(['b']);
+    expect(stats).toEqual({ requested: 2, cached: 0, sent: 2, saved: 0, runs: 2, failedRuns: 1 });
   });
 });
@@ -3,6 +3,10 @@ import config from '#config';
 import checkResponseValidity from '#utils/validator/check-response-validity.js';
 import generateValidationData from '#utils/validator/validation-data.js';
 import array from '#modules/array/index.js';
+import reviewSchema from '#modules/review-schema/index.js';
+import fidUtils from '#modules/fid/index.js';
+import random from '#modules/random/index.js';
+import reviewDates from './review-dates.js';
 
 /**
  * Selects a subset of reviews for spot checking, including the most recent review and random samples.
@@ -14,12 +18,14 @@ import array from '#modules/array/index.js';
  * @param {string} reviews[].publishedAtDate - ISO date string of when the review was published
  * @param {string} fid - Facility ID associated with the reviews
  * @param {string|number} minerUID - Unique identifier for the miner, used for logging purposes
+ * @param {import('#modules/random/index.js').Random} [rng] - The random generator, seeded for a reproducible selection
  *
  * @returns {Object} An object containing the selected reviews and most recent date
  * @returns {Date|undefined} .mostRecentDate - Date object of the most recent review, or undefined if no reviews
  * @returns {Array<Object>} .selectedReviews - Array of selected review objects for spot checking
  *                                             Contains at most config.VALIDATOR.SPOT_CHECK_COUNT reviews,
  *                                             always including the most recent review if available
+ * @returns {Array<Object>} .reserveReviews - The other reviews in random order, drawn from when a selected review cannot be found
  *
  * @example
  * const result = getReviewsForSpotCheck([
@@ -28,12 +34,13 @@ import array from '#modules/array/index.js';
  * ], 'facility123', 'miner456');
  * // Returns { mostRecentDate: Date('2024-03-20'), selectedReviews: [...] }
  */
-const getReviewsForSpotCheck = (reviews, fid, minerUID) => {
+const getReviewsForSpotCheck = (reviews, fid, minerUID, rng = random) => {
   // Early return if no reviews
   if (!reviews?.length) {
     return {
       mostRecentDate: undefined,
-      selectedReviews: []
+      selectedReviews: [],
+      reserveReviews: []
     }
   };
 
@@ -42,7 +49,8 @@ const getReviewsForSpotCheck = (reviews, fid, minerUID) => {
   if (spotCheckCount === 0) {
     return {
       mostRecentDate: undefined,
-      selectedReviews: []
+      selectedReviews: [],
+      reserveReviews: []
     }
   };
 
@@ -58,39 +66,65 @@ const getReviewsForSpotCheck = (reviews, fid, minerUID) => {
   }
 
   // Log the most recent review selection
-  logger.info(
+  logger.debug(
     `UID ${minerUID}: Selected most recent review ${mostRecentReview.reviewId} - (${mostRecentReview.publishedAtDate}) for spot check`
   );
 
+  // Get remaining reviews excluding the most recent one, in random order
+  const remainingReviews = rng.shuffle(reviews.filter(review => review.reviewId !== mostRecentReview.reviewId));
+
   // If we only need one review, return just the most recent
   if (spotCheckCount === 1) {
     return {
       mostRecentDate,
-      selectedReviews: [mostRecentReview]
+      selectedReviews: [mostRecentReview],
+      reserveReviews: remainingReviews
     };
   }
 
-  // Get remaining reviews excluding the most recent one
-  const remainingReviews = reviews.filter(review => review.reviewId !== mostRecentReview.reviewId);
-
-  // Select random reviews with the number of spot check count - 1
-  const randomReviews = remainingReviews
-    .sort(() => Math.random() - 0.5)  // Fisher-Yates shuffle in place
-    .slice(0, spotCheckCount - 1);
+  // Select random reviews with the number of spot check count - 1, the rest are kept for re-draws
+  const randomReviews = remainingReviews.slice(0, spotCheckCount - 1);
 
   // Log random selections for spot check
   for (const review of randomReviews) {
-    logger.info(
+    logger.debug(
       `UID ${minerUID}: Selected random review ${review.reviewId} - (${review.publishedAtDate}) for spot check`
     );
   }
 
   return {
     mostRecentDate,
-    selectedReviews: [mostRecentReview, ...randomReviews]
+    selectedReviews: [mostRecentReview, ...randomReviews],
+    reserveReviews: remainingReviews.slice(spotCheckCount - 1)
   }
 };
 
+/**
+ * Validation rules tying the cid and reviewUrl of a review to the task FID
+ * The cid must be the CID half of the FID, and a reviewUrl carrying a FID must carry the same place.
+ * Without a well-formed task FID there is nothing to compare against and no rule is added.
+ * @param {string} fid - The FID of the task
+ * @returns {Array<Object>} - The field rules, see array.validateArray()
+ */
+const placeFields = (fid) => {
+  const cid = fidUtils.toCid(fid);
+  if (!cid) {
+    return [];
+  }
+
+  return [
+    { name: 'cid', type: 'string', validate: (value) => value === cid || `cid ${value} does not match the fid ${fid}` },
+    {
+      name: 'reviewUrl',
+      type: 'string',
+      validate: (value) => {
+        const urlCid = fidUtils.cidFromUrl(value);
+        return !urlCid || urlCid === cid || `reviewUrl points to cid ${urlCid}, not the fid ${fid}`;
+      }
+    }
+  ];
+};
+
 /**
  * Processes and validates an array of Google Maps review responses, performing data cleaning,
  * structural validation, and selecting reviews for spot checking.
@@ -99,6 +133,7 @@ const getReviewsForSpotCheck = (reviews, fid, minerUID) => {
  *                                          contains review objects
  * @param {Array<string|number>} minerUIDs - Array of miner unique identifiers corresponding to each response
  * @param {string} fid - Facility ID that should match across all reviews
+ * @param {import('#modules/random/index.js').Random} [rng] - The random generator of the round, seeded for a reproducible selection
  *
  * @returns {Object} An object containing validation results and selected reviews for spot checking
  * @returns {Array<Object>} .validationData - Array of validation results for each miner
@@ -108,6 +143,7 @@ const getReviewsForSpotCheck = (reviews, fid, minerUID) => {
  * @returns {number} [.validationData[].count] - Number of valid reviews if validation passed
  * @returns {Date} [.validationData[].mostRecentDate] - Date of the most recent review if validation passed
  * @returns {Array<Object>} [.validationData[].data] - Selected reviews for spot checking if validation passed
+ * @returns {Array<Object>} [.validationData[].reserve] - Reviews to draw from when a selected review cannot be found
  * @returns {Array<Object>} .allSpotCheckReviews - Array of selected reviews grouped by miner for spot checking
  * @returns {string|number} .allSpotCheckReviews[].minerUID - The miner's unique identifier
  * @returns {Array<Object>} .allSpotCheckReviews[].reviews - Array of selected reviews for spot checking
@@ -147,7 +183,7 @@ const getReviewsForSpotCheck = (reviews, fid, minerUID) => {
  * //   }]
  * // }
  */
-const prepareResponses = (responses, minerUIDs, fid) => {
+const prepareResponses = (responses, minerUIDs, fid, rng = random) => {
   const validationData = [];
   const allSpotCheckReviews = [];
 
@@ -168,19 +204,11 @@ const prepareResponses = (responses, minerUIDs, fid) => {
     const uniqueReviews = array.uniqueBy(response, 'reviewId');
     logger.info(`UID ${minerUID}: Data cleaning - ${response.length} reviews -> ${uniqueReviews.length} unique reviews`);
 
-    // Structural Validation - Check required fields and types
+    // Structural Validation - Check required fields and types, and that every review belongs to the task place
     const requiredFields = [
-      { name: 'reviewerId', type: 'string' },
-      { name: 'reviewerUrl', type: 'string' },
-      { name: 'reviewerName', type: 'string' },
-      { name: 'reviewId', type: 'string' },
-      { name: 'reviewUrl', type: 'string' },
-      { name: 'publishedAtDate', type: 'string' },
-      { name: 'placeId', type: 'string' },
-      { name: 'cid', type: 'string' },
-      { name: 'fid', type: 'string' },
-      { name: 'totalScore', type: 'number' },
-      { name: 'fid', type: 'string', validate: (value) => value === fid }
+      ...reviewSchema.REQUIRED_FIELDS,
+      { name: 'fid', type: 'string', validate: (value) => value === fid },
+      ...placeFields(fid)
     ];
 
     // Validate the reviews
@@ -195,12 +223,23 @@ const prepareResponses = (responses, minerUIDs, fid) => {
       continue;
     }
 
+    // Date validation - Dates must parse and must not lie in the future
+    const dateErrors = validReviews.map(review => reviewDates.checkReviewDates(review)).filter(Boolean);
+    if (dateErrors.length > 0) {
+      logger.warning(`UID ${minerUID}: Date validation failed on ${dateErrors.length} reviews - ${dateErrors[0]}`);
+      validationData.push({
+        ...generateValidationData({ minerUID }),
+        validationError: `Date validation failed on review objects: ${dateErrors[0]}`,
+      });
+      continue;
+    }
+
     logger.info(`UID ${minerUID}: Structural validation passed - ${validReviews.length} reviews validated successfully`);
 
     // Calculate metrics for this miner
     const count = validReviews.length;
 
-    const { mostRecentDate, selectedReviews } = getReviewsForSpotCheck(validReviews, fid, minerUID);
+    const { mostRecentDate, selectedReviews, reserveReviews } = getReviewsForSpotCheck(validReviews, fid, minerUID, rng);
 
     // Store validation data and selected reviews for batch processing
     validationData.push(
@@ -209,6 +248,7 @@ const prepareResponses = (responses, minerUIDs, fid) => {
         count,
         mostRecentDate,
         data: selectedReviews,
+        reserve: reserveReviews,
         passedValidation: true
       })
     );
@@ -3,9 +3,11 @@ import config from '#config';
 import checkResponseValidity from '#utils/validator/check-response-validity.js';
 import generateValidationData from '#utils/validator/validation-data.js';
 import array from '#modules/array/index.js';
+import random from '#modules/random/index.js';
 import { prepareResponses, getReviewsForSpotCheck } from './prepare-responses.js';
 
 jest.mock('#modules/logger/index.js', () => ({
+  debug: jest.fn(),
   info: jest.fn(),
   warning: jest.fn(),
   error: jest.fn()
@@ -31,7 +33,8 @@ describe('#utils/validator/google-maps/score/prepare-responses.js', () => {
 
       expect(result).toEqual({
         mostRecentDate: undefined,
-        selectedReviews: []
+        selectedReviews: [],
+        reserveReviews: []
       });
     });
 
@@ -40,7 +43,8 @@ describe('#utils/validator/google-maps/score/prepare-responses.js', () => {
 
       expect(result).toEqual({
         mostRecentDate: undefined,
-        selectedReviews: []
+        selectedReviews: [],
+        reserveReviews: []
       });
     });
 
@@ -54,7 +58,8 @@ describe('#utils/validator/google-maps/score/prepare-responses.js', () => {
 
       expect(result).toEqual({
         mostRecentDate: undefined,
-        selectedReviews: []
+        selectedReviews: [],
+        reserveReviews: []
       });
     });
 
@@ -70,7 +75,7 @@ describe('#utils/validator/google-maps/score/prepare-responses.js', () => {
       expect(result.selectedReviews).toHaveLength(1);
       expect(result.selectedReviews[0].reviewId).toBe('1');
       expect(result.mostRecentDate).toEqual(new Date('2024-03-20'));
-      expect(logger.info).toHaveBeenCalledWith(
+      expect(logger.debug).toHaveBeenCalledWith(
         expect.stringContaining('Selected most recent review 1')
       );
     });
@@ -89,10 +94,10 @@ describe('#utils/validator/google-maps/score/prepare-responses.js', () => {
       expect(result.selectedReviews).toHaveLength(3);
       expect(result.selectedReviews[0].reviewId).toBe('1'); // Most recent
       expect(result.mostRecentDate).toEqual(new Date('2024-03-20'));
-      expect(logger.info).toHaveBeenCalledWith(
+      expect(logger.debug).toHaveBeenCalledWith(
         expect.stringContaining('Selected most recent review 1')
       );
-      expect(logger.info).toHaveBeenCalledTimes(3); // Most recent + 2 random
+      expect(logger.debug).toHaveBeenCalledTimes(3); // Most recent + 2 random
     });
 
     test('should handle when reviews count is less than spot check count', () => {
@@ -124,14 +129,43 @@ describe('#utils/validator/google-maps/score/prepare-responses.js', () => {
       expect(result.selectedReviews).toHaveLength(3);
       expect(result.selectedReviews[0].reviewId).toBe('1'); // Most recent
       expect(result.mostRecentDate).toEqual(new Date('2024-03-20'));
-      expect(logger.info).toHaveBeenCalledWith(
+      expect(logger.debug).toHaveBeenCalledWith(
         expect.stringContaining('Selected most recent review 1')
       );
-      expect(logger.info).toHaveBeenCalledWith(
+      expect(logger.debug).toHaveBeenCalledWith(
         expect.stringMatching(/Selected random review [234]/)
       );
     });
 
+    test('should select the same reviews for the same seed', () => {
+      config.VALIDATOR.SPOT_CHECK_COUNT = 3;
+      const reviews = Array.from({ length: 20 }, (_, index) => ({
+        reviewId: String(index),
+        publishedAtDate: `2024-03-${String(20 - index).padStart(2, '0')}`
+      }));
+
+      const first = getReviewsForSpotCheck(reviews, 'fid123', 'miner1', random.seeded('seed'));
+      const second = getReviewsForSpotCheck(reviews, 'fid123', 'miner1', random.seeded('seed'));
+
+      expect(second.selectedReviews).toEqual(first.selectedReviews);
+      expect(new Set(first.selectedReviews.map(review => review.reviewId)).size).toBe(3);
+      expect(reviews.map(review => review.reviewId)).toEqual(Array.from({ length: 20 }, (_, index) => String(index)));
+    });
+
+    test('should keep the reviews not selected as reserve', () => {
+      config.VALIDATOR.SPOT_CHECK_COUNT = 3;
+      const reviews = Array.from({ length: 10 }, (_, index) => ({
+        reviewId: String(index),
+        publishedAtDate: `2024-03-${String(20 - index).padStart(2, '0')}`
+      }));
+
+      const { selectedReviews, reserveReviews } = getReviewsForSpotCheck(reviews, 'fid123', 'miner1', random.seeded('seed'));
+
+      expect(reserveReviews).toHaveLength(7);
+      const ids = [...selectedReviews, ...reserveReviews].map(review => review.reviewId);
+      expect(new Set(ids)).toEqual(new Set(reviews.map(review => review.reviewId)));
+    });
+
     test('should handle all reviews having same date', () => {
       const sameDate = '2024-03-20';
       const reviews = [
@@ -238,6 +272,50 @@ describe('#utils/validator/google-maps/score/prepare-responses.js', () => {
       });
     });
 
+    test('should check the cid and reviewUrl of each review against the task fid', () => {
+      const taskFid = '0x89c259af336b3341:0xe6f4aa2b4ecbb1e6';
+      prepareResponses([validResponse], minerUIDs, taskFid);
+
+      const [[, requiredFields]] = array.validateArray.mock.calls;
+      const cidRule = requiredFields.find(field => field.name === 'cid' && field.validate);
+      const urlRule = requiredFields.find(field => field.name === 'reviewUrl' && field.validate);
+
+      expect(cidRule.validate('16642113626023113190')).toBe(true);
+      expect(cidRule.validate('123')).toBe(`cid 123 does not match the fid ${taskFid}`);
+      expect(urlRule.validate(`https://www.google.com/maps/reviews/data=!4m8!14m7!1m6!2m5!1sabc!2m1!1s0x0:0xe6f4aa2b4ecbb1e6`)).toBe(true);
+      expect(urlRule.validate('https://www.google.com/maps/reviews/review1')).toBe(true);
+      expect(urlRule.validate('https://maps.google.com/?cid=123')).toBe(`reviewUrl points to cid 123, not the fid ${taskFid}`);
+    });
+
+    test('should not check the cid without a well-formed task fid', () => {
+      prepareResponses([validResponse], minerUIDs, fid);
+
+      const [[, requiredFields]] = array.validateArray.mock.calls;
+      expect(requiredFields.filter(field => field.name === 'cid' && field.validate)).toEqual([]);
+    });
+
+    test('should fail a miner whose review dates do not parse', () => {
+      validResponse[0].publishedAtDate = '3 days ago';
+
+      const result = prepareResponses([validResponse], minerUIDs, fid);
+
+      expect(result.validationData[0]).toMatchObject({
+        minerUID: 'miner1',
+        passedValidation: false,
+        validationError: 'Date validation failed on review objects: publishedAtDate is missing or invalid'
+      });
+      expect(result.allSpotCheckReviews).toHaveLength(0);
+    });
+
+    test('should fail a miner with reviews dated in the future', () => {
+      validResponse[0].lastEditedAtDate = new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString();
+
+      const result = prepareResponses([validResponse], minerUIDs, fid);
+
+      expect(result.validationData[0].validationError).toBe('Date validation failed on review objects: Review date is in the future');
+      expect(logger.warning).toHaveBeenCalledWith(expect.stringContaining('Date validation failed on 1 reviews'));
+    });
+
     test('should handle invalid response object', () => {
       checkResponseValidity.mockReturnValue({
         isValid: false,
@@ -0,0 +1,103 @@
+import { prepareResponses } from './prepare-responses.js';
+import applySpotCheck from './apply-spot-check.js';
+import calculateFinalScores from './calculate-final-scores.js';
+import random from '#modules/random/index.js';
+
+// Fields of each miner's final score compared between the logged and the replayed round
+const COMPARED_FIELDS = [
+  'score',
+  'passedValidation',
+  'validationError',
+  'count',
+  'components.speedScore',
+  'components.volumeScore',
+  'components.recencyScore',
+  'spotCheck.outcome'
+];
+
+/**
+ * Get a nested value
+ * @param {Object} object - The object
+ * @param {string} path - The dotted path, as in 'components.speedScore'
+ * @returns {any} - The value, undefined if a parent is missing
+ */
+const getPath = (object, path) => {
+  let value = object;
+  for (const key of path.split('.')) {
+    value = value?.[key];
+  }
+
+  return value;
+};
+
+/**
+ * Compare the final scores of two runs of a round
+ * @param {Array<Object>} original - The logged final scores
+ * @param {Array<Object>} replayed - The replayed final scores
+ * @returns {Array<Object>} - One { minerUID, field, before, after } per changed field
+ */
+const diffScores = (original = [], replayed = []) => {
+  const originalByUID = new Map(original.map(result => [String(result.minerUID), result]));
+  const differences = [];
+
+  for (const result of replayed) {
+    const before = originalByUID.get(String(result.minerUID));
+
+    for (const field of COMPARED_FIELDS) {
+      const [was, is] = [getPath(before, field), getPath(result, field)];
+      if (was !== is) {
+        differences.push({ minerUID: result.minerUID, field, before: was, after: is });
+      }
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Replay an audited scoring round offline.
+ * Runs prepareResponses, the spot check validation and calculateFinalScores again on the logged inputs,
+ * reusing the logged spot check sample and verified reviews instead of calling Apify, so only
+ * changes in the code or the scoring configuration can change the result.
+ *
+ * @param {Object} round - The audit log record of the round, see routes/validator/score.js
+ * @returns {Object} - The round ID, both scoring profiles, the replayed final scores and the differences
+ */
+const replayRound = (round) => {
+  const { fid, responses, responseTimes = [], synapseTimeout = 120, minerUIDs = [], seed } = round.request;
+  const { validationData } = prepareResponses(responses, minerUIDs, fid, seed === undefined ? random : random.seeded(seed));
+
+  // The seed re-derives the same sample, but rounds logged before seeds or a changed selection
+  // would not be covered by the logged verified reviews
+  const sample = new Map(round.spotCheck.sample.map(entry => [String(entry.minerUID), entry]));
+  for (const minerData of validationData) {
+    const logged = sample.get(String(minerData.minerUID));
+    minerData.data = logged?.reviews || minerData.data;
+    minerData.replaced = new Set(logged?.replaced);
+  }
+
+  // A failed spot check left every sampled review unavailable
+  const unavailable = round.spotCheck.error
+    ? round.spotCheck.sample.flatMap(({ reviews }) => reviews.map(review => review.reviewId))
+    : round.spotCheck.unavailable || [];
+  applySpotCheck(validationData, fid, new Map(Object.entries(round.spotCheck.verified || {})), new Set(unavailable));
+
+  const { finalScores, profile } = calculateFinalScores(validationData, responseTimes, synapseTimeout);
+
+  return {
+    roundId: round.roundId,
+    fid,
+    recordedAt: round.recordedAt,
+    profiles: {
+      original: round.output.scoring,
+      replayed: profile
+    },
+    finalScores,
+    differences: diffScores(round.output.detailedResults, finalScores)
+  };
+}
+
+export {
+  replayRound,
+  diffScores
+}
@@ -0,0 +1,118 @@
+import { replayRound, diffScores } from './replay-round.js';
+import { prepareResponses } from './prepare-responses.js';
+import applySpotCheck from './apply-spot-check.js';
+import calculateFinalScores from './calculate-final-scores.js';
+import random from '#modules/random/index.js';
+
+jest.mock('./prepare-responses.js', () => ({
+  prepareResponses: jest.fn()
+}));
+jest.mock('./apply-spot-check.js');
+jest.mock('./calculate-final-scores.js');
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('#utils/validator/google-maps/score/replay-round.js', () => {
+  let round;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    round = {
+      roundId: 'abc',
+      recordedAt: '2025-01-01T00:00:00.000Z',
+      request: { fid: 'fid', responses: [[{ reviewId: '1' }]], responseTimes: [12], synapseTimeout: 120, minerUIDs: [7] },
+      spotCheck: {
+        sample: [{ minerUID: 7, reviews: [{ reviewId: '1' }] }],
+        verified: { 1: { reviewId: '1' } }
+      },
+      output: {
+        scoring: { name: 'default' },
+        detailedResults: [{ minerUID: 7, score: 0.9, passedValidation: true, count: 1, components: { speedScore: 1, volumeScore: 1, recencyScore: 0.5 } }]
+      }
+    };
+    prepareResponses.mockReturnValue({
+      validationData: [{ minerUID: 7, passedValidation: true, data: [{ reviewId: 'resampled' }] }]
+    });
+    calculateFinalScores.mockReturnValue({
+      finalScores: [{ minerUID: 7, score: 0.8, passedValidation: true, count: 1, components: { speedScore: 1, volumeScore: 1, recencyScore: 0 } }],
+      profile: { name: 'recency-light' }
+    });
+  });
+
+  describe('replayRound()', () => {
+    test('should replay the round with the logged sample and verified reviews', () => {
+      const replay = replayRound(round);
+
+      expect(prepareResponses).toHaveBeenCalledWith(round.request.responses, [7], 'fid', random);
+      const [[validationData, fid, verifiedReviewsMap, unavailable]] = applySpotCheck.mock.calls;
+      expect(validationData[0].data).toEqual([{ reviewId: '1' }]);
+      expect(fid).toBe('fid');
+      expect(verifiedReviewsMap).toEqual(new Map([['1', { reviewId: '1' }]]));
+      expect(unavailable).toEqual(new Set());
+      expect(calculateFinalScores).toHaveBeenCalledWith(validationData, [12], 120);
+
+      expect(replay).toEqual({
+        roundId: 'abc',
+        fid: 'fid',
+        recordedAt: '2025-01-01T00:00:00.000Z',
+        profiles: { original: { name: 'default' }, replayed: { name: 'recency-light' } },
+        finalScores: calculateFinalScores().finalScores,
+        differences: [
+          { minerUID: 7, field: 'score', before: 0.9, after: 0.8 },
+          { minerUID: 7, field: 'components.recencyScore', before: 0.5, after: 0 }
+        ]
+      });
+    });
+
+    test('should replay the selection of a seeded round', () => {
+      round.request.seed = 'seed';
+
+      replayRound(round);
+
+      expect(prepareResponses).toHaveBeenCalledWith(round.request.responses, [7], 'fid', expect.objectContaining({ seed: 'seed' }));
+    });
+
+    test('should replay the reviews whose spot check run failed', () => {
+      round.spotCheck.unavailable = ['1'];
+
+      replayRound(round);
+
+      expect(applySpotCheck).toHaveBeenCalledWith(expect.any(Array), 'fid', expect.any(Map), new Set(['1']));
+    });
+
+    test('should replay the reviews re-drawn by the spot check', () => {
+      round.spotCheck.sample[0].replaced = ['0'];
+
+      replayRound(round);
+
+      const [[validationData]] = applySpotCheck.mock.calls;
+      expect(validationData[0].replaced).toEqual(new Set(['0']));
+    });
+
+    test('should replay a failed batch spot check', () => {
+      round.spotCheck.error = 'Apify down';
+      round.spotCheck.verified = {};
+      round.request = { fid: 'fid', responses: [] };
+
+      replayRound(round);
+
+      expect(applySpotCheck).toHaveBeenCalledWith(expect.any(Array), 'fid', new Map(), new Set(['1']));
+      expect(calculateFinalScores).toHaveBeenCalledWith(expect.any(Array), [], 120);
+    });
+  });
+
+  describe('diffScores()', () => {
+    test('should report miners missing from the logged round', () => {
+      expect(diffScores(undefined, [{ minerUID: 1, score: 0.5 }])).toEqual([
+        { minerUID: 1, field: 'score', before: undefined, after: 0.5 }
+      ]);
+    });
+
+    test('should report nothing for identical rounds', () => {
+      expect(diffScores(round.output.detailedResults, round.output.detailedResults)).toEqual([]);
+      expect(diffScores()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import config from '#config';
+import reviewSchema from '#modules/review-schema/index.js';
+
+/**
+ * Review date policy
+ * A review has a publishedAtDate and, once edited, a lastEditedAtDate. Unedited reviews may leave
+ * lastEditedAtDate out, their last edit is their publication. The spot check actor returns the last
+ * edit date as publishedAtDate, so the last edit dates are what the spot check compares.
+ */
+
+/**
+ * Parse an absolute review date
+ * @param {any} value - The date, an ISO string as returned by the actors
+ * @returns {Date|undefined} - The date, undefined if missing or unparsable
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string' && !(value instanceof Date)) {
+    return;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Get the last edit date of a review, its publication date if it was never edited
+ * @param {Object} review - The review
+ * @returns {Date|undefined} - The last edit date, undefined if the date given is missing or unparsable
+ */
+const lastEditDate = (review) => {
+  const edited = review.lastEditedAtDate;
+  return edited === null || edited === undefined ? parseDate(review.publishedAtDate) : parseDate(edited);
+};
+
+/**
+ * Check the dates of a submitted review
+ * Dates must parse, may not lie in the future by more than config.VALIDATOR.REVIEW_DATES.CLOCK_SKEW
+ * seconds and a review cannot be edited before it was published.
+ * @example
+ * checkReviewDates({ publishedAtDate: 'yesterday-ish' }) // 'publishedAtDate is missing or invalid'
+ *
+ * @param {Object} review - The review submitted by a miner
+ * @param {number} [now] - The reference time in milliseconds
+ * @returns {string|undefined} - The problem found, undefined if the dates are valid
+ */
+const checkReviewDates = (review, now = Date.now()) => {
+  const skew = config.VALIDATOR.REVIEW_DATES.CLOCK_SKEW * 1000;
+
+  const published = parseDate(review.publishedAtDate);
+  if (!published) {
+    return 'publishedAtDate is missing or invalid';
+  }
+
+  const edited = lastEditDate(review);
+  if (!edited) {
+    return 'lastEditedAtDate is invalid';
+  }
+
+  if (published.getTime() > now + skew || edited.getTime() > now + skew) {
+    return 'Review date is in the future';
+  }
+
+  if (edited.getTime() < published.getTime() - skew) {
+    return 'lastEditedAtDate is before publishedAtDate';
+  }
+
+  return;
+};
+
+/**
+ * Reconcile the last edit date of a submitted review with its verified version
+ * The verified last edit is its lastEditedAtDate when the actor returns one, else its publishedAtDate.
+ * Both dates are truncated to the second and may be at most tolerance seconds apart. A submitted date
+ * estimated from a relative date ("3 weeks ago") is only known to within its datePrecision unit,
+ * the tolerance is widened by that unit.
+ * @example
+ * reconcileDates(
+ *   { publishedAtDate: '2024-03-01T10:00:00Z', lastEditedAtDate: '2024-03-20T10:00:00.123Z' },
+ *   { publishedAtDate: '2024-03-20T10:00:00.456Z' }
+ * ) // { passed: true }
+ * reconcileDates(
+ *   { publishedAtDate: '2024-03-01T10:00:00Z', datePrecision: 'week' },
+ *   { publishedAtDate: '2024-03-04T08:00:00Z' }
+ * ) // { passed: true }
+ *
+ * @param {Object} original - The review submitted by the miner
+ * @param {Object} verified - The review returned by the spot check actor
+ * @param {Object} [options] - The options
+ * @param {number} [options.tolerance] - Seconds the last edit dates may differ
+ * @returns {{passed: boolean, reason: string|undefined}} - Whether the dates match, and why not
+ */
+const reconcileDates = (original, verified, { tolerance = 0 } = {}) => {
+  const submitted = lastEditDate(original);
+  if (!submitted) {
+    return { passed: false, reason: 'Submitted review date is missing or invalid' };
+  }
+
+  const actual = lastEditDate(verified);
+  if (!actual) {
+    return { passed: false, reason: 'Verified review date is missing or invalid' };
+  }
+
+  const precision = (reviewSchema.RELATIVE_DATE_UNITS[original.datePrecision] ?? 0) / 1000;
+  const difference = Math.abs(Math.floor(submitted.getTime() / 1000) - Math.floor(actual.getTime() / 1000));
+  return difference <= tolerance + precision
+    ? { passed: true, reason: undefined }
+    : { passed: false, reason: `Date mismatch - expected ${submitted.toISOString()}, got ${actual.toISOString()}` };
+};
+
+export default {
+  parseDate,
+  lastEditDate,
+  checkReviewDates,
+  reconcileDates
+};
@@ -0,0 +1,96 @@
+import config from '#config';
+import reviewDates from './review-dates.js';
+
+describe('#utils/validator/google-maps/score/review-dates.js', () => {
+  const now = new Date('2025-01-15T00:00:00.000Z').getTime();
+
+  beforeEach(() => {
+    config.VALIDATOR.REVIEW_DATES.CLOCK_SKEW = 300;
+  });
+
+  describe('.parseDate()', () => {
+    test('should parse absolute dates', () => {
+      expect(reviewDates.parseDate('2025-01-01T10:00:00Z')).toEqual(new Date('2025-01-01T10:00:00Z'));
+    });
+
+    test('should return undefined for missing or unparsable dates', () => {
+      expect(reviewDates.parseDate()).toBeUndefined();
+      expect(reviewDates.parseDate('3 days ago')).toBeUndefined();
+      expect(reviewDates.parseDate(12_345)).toBeUndefined();
+    });
+  });
+
+  describe('.lastEditDate()', () => {
+    test('should fall back to the publication date of a review never edited', () => {
+      expect(reviewDates.lastEditDate({ publishedAtDate: '2025-01-01T10:00:00Z' })).toEqual(new Date('2025-01-01T10:00:00Z'));
+      expect(reviewDates.lastEditDate({ publishedAtDate: '2025-01-01T10:00:00Z', lastEditedAtDate: '2025-01-02T10:00:00Z' }))
+        .toEqual(new Date('2025-01-02T10:00:00Z'));
+    });
+
+    test('should not fall back when the last edit date is invalid', () => {
+      expect(reviewDates.lastEditDate({ publishedAtDate: '2025-01-01T10:00:00Z', lastEditedAtDate: 'never' })).toBeUndefined();
+    });
+  });
+
+  describe('.checkReviewDates()', () => {
+    test('should accept valid dates', () => {
+      expect(reviewDates.checkReviewDates({ publishedAtDate: '2025-01-01T10:00:00Z' }, now)).toBeUndefined();
+      expect(reviewDates.checkReviewDates({ publishedAtDate: '2025-01-01T10:00:00Z', lastEditedAtDate: '2025-01-15T00:04:00Z' }, now)).toBeUndefined();
+    });
+
+    test('should report missing or invalid dates', () => {
+      expect(reviewDates.checkReviewDates({}, now)).toBe('publishedAtDate is missing or invalid');
+      expect(reviewDates.checkReviewDates({ publishedAtDate: '2025-01-01T10:00:00Z', lastEditedAtDate: 'never' }, now)).toBe('lastEditedAtDate is invalid');
+    });
+
+    test('should report dates in the future beyond the clock skew', () => {
+      expect(reviewDates.checkReviewDates({ publishedAtDate: '2025-01-15T00:10:00Z' }, now)).toBe('Review date is in the future');
+
+      config.VALIDATOR.REVIEW_DATES.CLOCK_SKEW = 900;
+      expect(reviewDates.checkReviewDates({ publishedAtDate: '2025-01-15T00:10:00Z' }, now)).toBeUndefined();
+    });
+
+    test('should report reviews edited before they were published', () => {
+      expect(reviewDates.checkReviewDates({ publishedAtDate: '2025-01-10T00:00:00Z', lastEditedAtDate: '2025-01-01T00:00:00Z' }, now))
+        .toBe('lastEditedAtDate is before publishedAtDate');
+    });
+  });
+
+  describe('.reconcileDates()', () => {
+    const original = { publishedAtDate: '2024-03-01T10:00:00Z', lastEditedAtDate: '2024-03-20T10:00:00.123Z' };
+
+    test('should compare the last edit dates truncated to the second', () => {
+      expect(reviewDates.reconcileDates(original, { publishedAtDate: '2024-03-20T10:00:00.456Z' })).toEqual({ passed: true, reason: undefined });
+      expect(reviewDates.reconcileDates(original, { publishedAtDate: '2024-03-21T10:00:00Z' })).toEqual({
+        passed: false,
+        reason: 'Date mismatch - expected 2024-03-20T10:00:00.123Z, got 2024-03-21T10:00:00.000Z'
+      });
+    });
+
+    test('should prefer the last edit date of the verified review when it has one', () => {
+      expect(reviewDates.reconcileDates(original, { publishedAtDate: '2024-03-01T10:00:00Z', lastEditedAtDate: '2024-03-20T10:00:00Z' }).passed).toBe(true);
+    });
+
+    test('should accept dates within the tolerance', () => {
+      expect(reviewDates.reconcileDates(original, { publishedAtDate: '2024-03-20T10:00:30Z' }, { tolerance: 60 }).passed).toBe(true);
+    });
+
+    test('should widen the tolerance by the precision of relative dates', () => {
+      const relative = { publishedAtDate: '2024-03-01T10:00:00Z', lastEditedAtDate: '2024-03-01T10:00:00Z', datePrecision: 'week' };
+      expect(reviewDates.reconcileDates(relative, { publishedAtDate: '2024-03-06T10:00:00Z' }).passed).toBe(true);
+      expect(reviewDates.reconcileDates(relative, { publishedAtDate: '2024-03-09T10:00:00Z' }).passed).toBe(false);
+      expect(reviewDates.reconcileDates({ ...relative, datePrecision: 'fortnight' }, { publishedAtDate: '2024-03-06T10:00:00Z' }).passed).toBe(false);
+    });
+
+    test('should fail missing or invalid dates', () => {
+      expect(reviewDates.reconcileDates({}, { publishedAtDate: '2024-03-20T10:00:00Z' })).toEqual({
+        passed: false,
+        reason: 'Submitted review date is missing or invalid'
+      });
+      expect(reviewDates.reconcileDates(original, {})).toEqual({
+        passed: false,
+        reason: 'Verified review date is missing or invalid'
+      });
+    });
+  });
+});
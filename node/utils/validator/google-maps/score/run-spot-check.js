@@ -0,0 +1,100 @@
+import logger from '#modules/logger/index.js';
+import config from '#config';
+import performBatchSpotCheck from './perform-batch-spot-check.js';
+
+/**
+ * Perform a batch spot check, retrying it when it fails
+ * @param {Array<Object>} batch - The reviews of each miner, see performBatchSpotCheck()
+ * @param {string} fid - The FID of the place
+ * @returns {Promise<Object>} - The result of performBatchSpotCheck()
+ * @throws {Error} - The error of the last attempt
+ */
+const checkWithRetries = async (batch, fid) => {
+  const retries = config.VALIDATOR.SPOT_CHECK_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await performBatchSpotCheck(batch, fid);
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+
+      logger.warning(`Batch spot check failed (attempt ${attempt + 1}/${retries + 1}), retrying: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Run the spot check of a scoring round.
+ * The selected reviews of every miner are verified in one batch. Then each review that was not found
+ * is replaced by the next review of the miner's reserve and the replacements are verified, up to
+ * config.VALIDATOR.SPOT_CHECK_REDRAWS times. A deleted review then no longer decides the outcome of a
+ * miner, while a miner whose replacements cannot be found either stands out.
+ * Reviews of failed actor runs are not re-drawn, their runs were already retried. A batch that fails as
+ * a whole is retried config.VALIDATOR.SPOT_CHECK_RETRIES times before the spot check fails.
+ *
+ * @param {Array<Object>} validationData - The validation data from prepareResponses(), the replacements are added to the data of each miner
+ *   and the reviewIds they replace to its replaced set
+ * @param {Array<Object>} allSpotCheckReviews - The selected reviews of each miner, see prepareResponses()
+ * @param {string} fid - The FID of the place
+ * @returns {Promise<Object>} - { verifiedReviews, unavailable, stats }, see performBatchSpotCheck(), the stats add up every batch and count the re-drawn reviews
+ */
+const runSpotCheck = async (validationData, allSpotCheckReviews, fid) => {
+  const verifiedReviews = new Map();
+  const unavailable = new Set();
+  const stats = { requested: 0, cached: 0, sent: 0, saved: 0, runs: 0, failedRuns: 0, redrawn: 0 };
+
+  const check = async (batch) => {
+    const result = await checkWithRetries(batch, fid);
+    for (const [reviewId, verified] of result.verifiedReviews) {
+      verifiedReviews.set(reviewId, verified);
+    }
+    for (const reviewId of result.unavailable) {
+      unavailable.add(reviewId);
+    }
+    for (const [key, value] of Object.entries(result.stats)) {
+      stats[key] += value;
+    }
+  };
+
+  await check(allSpotCheckReviews);
+
+  for (let redraw = 1; redraw <= config.VALIDATOR.SPOT_CHECK_REDRAWS; redraw++) {
+    const batch = [];
+
+    for (const minerData of validationData) {
+      if (!minerData.passedValidation || !minerData.reserve?.length) {
+        continue;
+      }
+
+      minerData.replaced ||= new Set();
+      const missing = minerData.data.filter(review => !verifiedReviews.has(review.reviewId)
+        && !unavailable.has(review.reviewId)
+        && !minerData.replaced.has(review.reviewId));
+
+      const replacements = [];
+      for (const review of missing.slice(0, minerData.reserve.length)) {
+        minerData.replaced.add(review.reviewId);
+        replacements.push(minerData.reserve.shift());
+      }
+
+      if (replacements.length > 0) {
+        logger.info(`UID ${minerData.minerUID}: Re-drawing ${replacements.length} reviews not found by the spot check (${redraw}/${config.VALIDATOR.SPOT_CHECK_REDRAWS})`);
+        minerData.data.push(...replacements);
+        batch.push({ minerUID: minerData.minerUID, reviews: replacements });
+        stats.redrawn += replacements.length;
+      }
+    }
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    await check(batch);
+  }
+
+  return { verifiedReviews, unavailable, stats };
+}
+
+export default runSpotCheck;
@@ -0,0 +1,103 @@
+import config from '#config';
+import runSpotCheck from './run-spot-check.js';
+import performBatchSpotCheck from './perform-batch-spot-check.js';
+
+jest.mock('./perform-batch-spot-check.js', () => jest.fn());
+jest.mock('#modules/logger/index.js', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const stats = { requested: 1, cached: 0, sent: 1, saved: 0, runs: 1, failedRuns: 0 };
+
+describe('#utils/validator/google-maps/score/run-spot-check.js', () => {
+  let validationData;
+  let allSpotCheckReviews;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.VALIDATOR.SPOT_CHECK_REDRAWS = 1;
+    validationData = [
+      { minerUID: 1, passedValidation: true, data: [{ reviewId: 'a' }], reserve: [{ reviewId: 'a2' }] },
+      { minerUID: 2, passedValidation: true, data: [{ reviewId: 'b' }], reserve: [{ reviewId: 'b2' }] }
+    ];
+    allSpotCheckReviews = validationData.map(({ minerUID, data }) => ({ minerUID, reviews: [...data] }));
+  });
+
+  test('should not re-draw when every review is found', async () => {
+    performBatchSpotCheck.mockResolvedValue({
+      verifiedReviews: new Map([['a', { reviewId: 'a' }], ['b', { reviewId: 'b' }]]),
+      unavailable: new Set(),
+      stats
+    });
+
+    const result = await runSpotCheck(validationData, allSpotCheckReviews, 'fid');
+
+    expect(performBatchSpotCheck).toHaveBeenCalledTimes(1);
+    expect(performBatchSpotCheck).toHaveBeenCalledWith(allSpotCheckReviews, 'fid');
+    expect([...result.verifiedReviews.keys()]).toEqual(['a', 'b']);
+    expect(result.stats).toEqual({ ...stats, redrawn: 0 });
+    expect(validationData[0].data).toEqual([{ reviewId: 'a' }]);
+  });
+
+  test('should re-draw the reviews not found from the reserve', async () => {
+    performBatchSpotCheck
+      .mockResolvedValueOnce({ verifiedReviews: new Map([['a', { reviewId: 'a' }]]), unavailable: new Set(), stats })
+      .mockResolvedValueOnce({ verifiedReviews: new Map([['b2', { reviewId: 'b2' }]]), unavailable: new Set(), stats });
+
+    const result = await runSpotCheck(validationData, allSpotCheckReviews, 'fid');
+
+    expect(performBatchSpotCheck).toHaveBeenLastCalledWith([{ minerUID: 2, reviews: [{ reviewId: 'b2' }] }], 'fid');
+    expect(validationData[1].data).toEqual([{ reviewId: 'b' }, { reviewId: 'b2' }]);
+    expect(validationData[1].reserve).toEqual([]);
+    expect(validationData[1].replaced).toEqual(new Set(['b']));
+    expect([...result.verifiedReviews.keys()]).toEqual(['a', 'b2']);
+    expect(result.stats).toEqual({ requested: 2, cached: 0, sent: 2, saved: 0, runs: 2, failedRuns: 0, redrawn: 1 });
+  });
+
+  test('should not re-draw the reviews of failed runs', async () => {
+    performBatchSpotCheck.mockResolvedValue({
+      verifiedReviews: new Map([['a', { reviewId: 'a' }]]),
+      unavailable: new Set(['b']),
+      stats: { ...stats, failedRuns: 1 }
+    });
+
+    const result = await runSpotCheck(validationData, allSpotCheckReviews, 'fid');
+
+    expect(performBatchSpotCheck).toHaveBeenCalledTimes(1);
+    expect([...result.unavailable]).toEqual(['b']);
+    expect(result.stats.failedRuns).toBe(1);
+  });
+
+  test('should stop re-drawing after the configured number of re-draws', async () => {
+    config.VALIDATOR.SPOT_CHECK_REDRAWS = 2;
+    validationData[1].reserve = [{ reviewId: 'b2' }, { reviewId: 'b3' }, { reviewId: 'b4' }];
+    performBatchSpotCheck.mockResolvedValue({ verifiedReviews: new Map([['a', { reviewId: 'a' }]]), unavailable: new Set(), stats });
+
+    const result = await runSpotCheck(validationData, allSpotCheckReviews, 'fid');
+
+    expect(performBatchSpotCheck).toHaveBeenCalledTimes(3);
+    expect(validationData[1].data.map(review => review.reviewId)).toEqual(['b', 'b2', 'b3']);
+    expect(validationData[1].reserve).toEqual([{ reviewId: 'b4' }]);
+    expect(result.stats.redrawn).toBe(2);
+  });
+
+  test('should retry a failed batch', async () => {
+    performBatchSpotCheck
+      .mockRejectedValueOnce(new Error('Apify down'))
+      .mockResolvedValue({ verifiedReviews: new Map([['a', { reviewId: 'a' }], ['b', { reviewId: 'b' }]]), unavailable: new Set(), stats });
+
+    const result = await runSpotCheck(validationData, allSpotCheckReviews, 'fid');
+
+    expect(performBatchSpotCheck).toHaveBeenCalledTimes(2);
+    expect([...result.verifiedReviews.keys()]).toEqual(['a', 'b']);
+  });
+
+  test('should fail when the spot check fails after its retries', async () => {
+    performBatchSpotCheck.mockRejectedValue(new Error('Apify down'));
+
+    await expect(runSpotCheck(validationData, allSpotCheckReviews, 'fid')).rejects.toThrow('Apify down');
+    expect(performBatchSpotCheck).toHaveBeenCalledTimes(config.VALIDATOR.SPOT_CHECK_RETRIES + 1);
+  });
+});
@@ -0,0 +1,62 @@
+import config from '#config';
+import normalizers from './normalizers.js';
+
+// Score components and their key in config.VALIDATOR.SCORING
+const COMPONENTS = {
+  speed: 'SPEED',
+  volume: 'VOLUME',
+  recency: 'RECENCY'
+};
+
+/**
+ * Build the scoring profile from the scoring configuration
+ * The profile is echoed in the /score-responses output so a score can be reproduced after the configuration changed.
+ *
+ * @example
+ * getScoringProfile();
+ * // {
+ * //   name: 'default',
+ * //   weights: { speed: 0.3, volume: 0.5, recency: 0.2 },
+ * //   normalizers: { speed: { type: 'linear' }, volume: { type: 'linear' }, recency: { type: 'linear' } },
+ * //   inconclusiveCredit: 0
+ * // }
+ *
+ * @param {Object} [scoring] - The scoring configuration, config.VALIDATOR.SCORING by default
+ * @returns {Object} - The profile name, the weight and the normalizer of each component and the credit of inconclusive miners
+ * @throws {Error} If a weight is negative, all weights are 0, a normalizer is unknown or the credit is not within [0, 1]
+ */
+const getScoringProfile = (scoring = config.VALIDATOR.SCORING) => {
+  const profile = {
+    name: scoring.PROFILE,
+    weights: {},
+    normalizers: {},
+    inconclusiveCredit: scoring.INCONCLUSIVE_CREDIT ?? 0
+  };
+
+  for (const [component, key] of Object.entries(COMPONENTS)) {
+    const weight = scoring.WEIGHTS[key];
+    if (!(weight >= 0)) {
+      throw new Error(`Invalid ${component} score weight: ${weight}`);
+    }
+
+    const type = scoring.NORMALIZERS?.[key] || 'linear';
+    if (!normalizers.NORMALIZERS[type]) {
+      throw new Error(`Unknown score normalizer for ${component}: ${type}`);
+    }
+
+    profile.weights[component] = weight;
+    profile.normalizers[component] = type === 'capped' ? { type, cap: scoring.CAPS?.[key] } : { type };
+  }
+
+  if (Object.values(profile.weights).every(weight => weight === 0)) {
+    throw new Error('At least one score weight must be greater than 0');
+  }
+
+  if (!(profile.inconclusiveCredit >= 0 && profile.inconclusiveCredit <= 1)) {
+    throw new Error(`Invalid inconclusive credit: ${profile.inconclusiveCredit}`);
+  }
+
+  return profile;
+};
+
+export default getScoringProfile;
@@ -0,0 +1,64 @@
+import getScoringProfile from './scoring-profile.js';
+
+describe('#utils/validator/google-maps/score/scoring-profile.js', () => {
+  let scoring;
+
+  beforeEach(() => {
+    scoring = {
+      PROFILE: 'volume-heavy',
+      WEIGHTS: { SPEED: 0.2, VOLUME: 0.7, RECENCY: 0.1 },
+      NORMALIZERS: { SPEED: 'log', VOLUME: 'capped', RECENCY: 'rank' },
+      CAPS: { SPEED: 30, VOLUME: 100, RECENCY: 30 }
+    };
+  });
+
+  test('should build the default profile from the config', () => {
+    expect(getScoringProfile()).toEqual({
+      name: 'default',
+      weights: { speed: 0.3, volume: 0.5, recency: 0.2 },
+      normalizers: { speed: { type: 'linear' }, volume: { type: 'linear' }, recency: { type: 'linear' } },
+      inconclusiveCredit: 0
+    });
+  });
+
+  test('should build a profile with the caps of capped normalizers', () => {
+    expect(getScoringProfile(scoring)).toEqual({
+      name: 'volume-heavy',
+      weights: { speed: 0.2, volume: 0.7, recency: 0.1 },
+      normalizers: { speed: { type: 'log' }, volume: { type: 'capped', cap: 100 }, recency: { type: 'rank' } },
+      inconclusiveCredit: 0
+    });
+  });
+
+  test('should default to linear normalizers', () => {
+    delete scoring.NORMALIZERS;
+
+    expect(getScoringProfile(scoring).normalizers.volume).toEqual({ type: 'linear' });
+  });
+
+  test('should reject negative or missing weights', () => {
+    scoring.WEIGHTS.SPEED = -0.1;
+    expect(() => getScoringProfile(scoring)).toThrow('Invalid speed score weight: -0.1');
+
+    delete scoring.WEIGHTS.SPEED;
+    expect(() => getScoringProfile(scoring)).toThrow('Invalid speed score weight: undefined');
+  });
+
+  test('should reject unknown normalizers', () => {
+    scoring.NORMALIZERS.RECENCY = 'sigmoid';
+
+    expect(() => getScoringProfile(scoring)).toThrow('Unknown score normalizer for recency: sigmoid');
+  });
+
+  test('should reject profiles where every weight is 0', () => {
+    scoring.WEIGHTS = { SPEED: 0, VOLUME: 0, RECENCY: 0 };
+
+    expect(() => getScoringProfile(scoring)).toThrow('At least one score weight must be greater than 0');
+  });
+
+  test('should reject an inconclusive credit outside [0, 1]', () => {
+    scoring.INCONCLUSIVE_CREDIT = 1.5;
+
+    expect(() => getScoringProfile(scoring)).toThrow('Invalid inconclusive credit: 1.5');
+  });
+});
@@ -1,76 +1,67 @@
 import logger from '#modules/logger/index.js';
+import config from '#config';
+import fieldRules from './field-rules.js';
 
 /**
- * Normalizes text values by converting null or undefined to undefined, preserving other values
- * @param {string|null|undefined} text - The text value to normalize
- * @returns {string|undefined} Returns undefined if input is null or undefined, otherwise returns the original text
- */
-const normalizeNullableText = (text) => (text === null || text === undefined) ? undefined : text;
-
-/**
- * Validates a miner's submitted reviews against batch verification results by comparing
- * key fields like reviewId, fid, reviewerId, placeId, review text, and dates.
+ * Verifies each of a miner's submitted reviews against the batch verification results with the
+ * field rules of config.VALIDATOR.SPOT_CHECK_RULES (fid, reviewerId, placeId, review text, dates...).
+ * Each review gets one of three outcomes:
+ * - verified: found and passing every enforced rule
+ * - mismatched: found and failing an enforced rule, the reason is the first one failed
+ * - inconclusive: not found, which can mean deleted, fabricated or lost by a failed actor run,
+ *   the reason tells the two apart ('Review not found' or 'Spot check run failed')
  *
  * @param {Array<Object>} reviews - List of original reviews submitted by the miner
  * @param {string} fid - The Facility ID (FID) of the place that should match all reviews
  * @param {number|string} minerUID - The unique identifier of the miner for logging purposes
  * @param {Map<string, Object>} verifiedReviewsMap - Map of verified reviews from batch check, keyed by reviewId
- * @returns {boolean} Returns true if all reviews match their verified counterparts, false if any discrepancy is found
+ * @param {Set<string>} [unavailable] - The reviewIds whose actor run failed
+ * @returns {Array<{reviewId: string, outcome: string, reason: string|undefined, checks: Array<Object>|undefined}>} The outcome of each review,
+ *   with the result of every rule when it was found, see fieldRules.checkFields()
  *
- * @throws {Error} Implicitly may throw if date parsing fails
+ * @throws {Error} If a field rule is unknown
  *
  * @example
  * const reviews = [{ reviewId: '123', reviewerId: 'user1', placeId: 'place1', text: 'Great!', lastEditedAtDate: '2024-03-20' }];
  * const verifiedMap = new Map([['123', { reviewId: '123', reviewerId: 'user1', placeId: 'place1', text: 'Great!', publishedAtDate: '2024-03-20' }]]);
- * const result = validateMinerAgainstBatch(reviews, 'fid123', 'miner1', verifiedMap);
+ * verifyReviews(reviews, 'fid123', 'miner1', verifiedMap);
+ * // [{ reviewId: '123', outcome: 'verified', reason: undefined, checks: [{ field: 'fid', rule: 'exact', enforced: true, passed: true }, ...] }]
  */
-const validateMinerAgainstBatch = (reviews, fid, minerUID, verifiedReviewsMap) => {
-  // Compare each original review with its verified version by matching reviewId
-  for (const original of reviews) {
-    const verified = verifiedReviewsMap.get(original.reviewId);
+const verifyReviews = (reviews, fid, minerUID, verifiedReviewsMap, unavailable = new Set()) => {
+  return reviews.map((original) => {
+    const { reviewId } = original;
+    const verified = verifiedReviewsMap.get(reviewId);
 
     if (!verified) {
-      logger.error(`UID ${minerUID}: Spot check failed: No verified review found for reviewId ${original.reviewId}`);
-      return false;
-    }
-
-    // Check string fields that must match exactly
-    const stringFieldsToCheck = [
-      { field: 'fid', expected: fid },
-      { field: 'reviewerId', expected: original.reviewerId },
-      { field: 'placeId', expected: original.placeId }
-    ];
-
-    for (const { field, expected } of stringFieldsToCheck) {
-      if (verified[field] !== expected) {
-        logger.error(`UID ${minerUID}: Spot check failed: ${field} mismatch for reviewId ${original.reviewId} - expected ${expected}, got ${verified[field]}`);
-        return false;
-      }
+      const reason = unavailable.has(reviewId) ? 'Spot check run failed' : 'Review not found';
+      logger.warning(`UID ${minerUID}: Spot check inconclusive: No verified review found for reviewId ${reviewId} (${reason})`);
+      return { reviewId, outcome: 'inconclusive', reason };
     }
 
-    // Check if review text matches (both null/undefined or both have same text)
-    const originalText = normalizeNullableText(original.text);
-    const verifiedText = normalizeNullableText(verified.text);
-
-    if (originalText !== verifiedText) {
-      logger.error(`UID ${minerUID}: Spot check failed: Text mismatch for reviewId ${original.reviewId}`);
-      return false;
+    const checks = fieldRules.checkFields(original, verified, fid, config.VALIDATOR.SPOT_CHECK_RULES);
+    const mismatch = checks.find(({ enforced, passed }) => enforced && !passed);
+    if (mismatch) {
+      logger.error(`UID ${minerUID}: Spot check failed: ${mismatch.reason} for reviewId ${reviewId}`);
+      return { reviewId, outcome: 'mismatched', reason: mismatch.reason, checks };
     }
 
-    // Check if dates match - use lastEditedAtDate from original and publishedAtDate from verified since spot check actor returns lastEditedAtDate as publishedAtDate
-    // We truncate milliseconds to avoid issues with different timestamps
-    const originalDate = new Date(original.lastEditedAtDate);
-    originalDate.setMilliseconds(0); // Truncate milliseconds
-    const verifiedDate = new Date(verified.publishedAtDate);
-    verifiedDate.setMilliseconds(0); // Truncate milliseconds
-
-    if (originalDate.toISOString() !== verifiedDate.toISOString()) {
-      logger.error(`UID ${minerUID}: Spot check failed: Date mismatch for reviewId ${original.reviewId}`);
-      return false;
-    }
-  }
+    return { reviewId, outcome: 'verified', reason: undefined, checks };
+  });
+}
 
-  return true;
+/**
+ * Validates a miner's submitted reviews against batch verification results, see verifyReviews()
+ *
+ * @param {Array<Object>} reviews - List of original reviews submitted by the miner
+ * @param {string} fid - The Facility ID (FID) of the place that should match all reviews
+ * @param {number|string} minerUID - The unique identifier of the miner for logging purposes
+ * @param {Map<string, Object>} verifiedReviewsMap - Map of verified reviews from batch check, keyed by reviewId
+ * @returns {boolean} Returns true if all reviews are verified, false if any is mismatched or inconclusive
+ */
+const validateMinerAgainstBatch = (reviews, fid, minerUID, verifiedReviewsMap) => {
+  return verifyReviews(reviews, fid, minerUID, verifiedReviewsMap).every(({ outcome }) => outcome === 'verified');
 }
 
+export { verifyReviews };
+
 export default validateMinerAgainstBatch
@@ -1,8 +1,10 @@
 import logger from '#modules/logger/index.js';
-import validateMinerAgainstBatch from './validate-miner-against-batch.js';
+import config from '#config';
+import validateMinerAgainstBatch, { verifyReviews } from './validate-miner-against-batch.js';
 
 jest.mock('#modules/logger/index.js', () => ({
   error: jest.fn(),
+  warning: jest.fn(),
   info: jest.fn(),
 }));
 
@@ -12,9 +14,12 @@ describe('#utils/validator/google-maps/score/validate-miner-against-batch.js', (
   let reviews;
   let verifiedReviewsMap;
 
+  const rules = config.VALIDATOR.SPOT_CHECK_RULES;
+
   beforeEach(() => {
     // Reset mocks
     jest.clearAllMocks();
+    config.VALIDATOR.SPOT_CHECK_RULES = rules;
 
     // Setup base test data
     reviews = [{
@@ -49,7 +54,7 @@ describe('#utils/validator/google-maps/score/validate-miner-against-batch.js', (
       verifiedReviewsMap = new Map();
       const result = validateMinerAgainstBatch(reviews, fid, minerUID, verifiedReviewsMap);
       expect(result).toBe(false);
-      expect(logger.error).toHaveBeenCalledWith(
+      expect(logger.warning).toHaveBeenCalledWith(
         expect.stringContaining('No verified review found for reviewId review123')
       );
     });
@@ -98,7 +103,7 @@ describe('#utils/validator/google-maps/score/validate-miner-against-batch.js', (
       const result = validateMinerAgainstBatch(reviews, fid, minerUID, verifiedReviewsMap);
       expect(result).toBe(false);
       expect(logger.error).toHaveBeenCalledWith(
-        expect.stringContaining('Text mismatch')
+        expect.stringContaining('text mismatch')
       );
     });
 
@@ -136,6 +141,20 @@ describe('#utils/validator/google-maps/score/validate-miner-against-batch.js', (
       expect(logger.error).not.toHaveBeenCalled();
     });
 
+    test('should compare the publication date of a review never edited', () => {
+      reviews[0].publishedAtDate = reviews[0].lastEditedAtDate;
+      delete reviews[0].lastEditedAtDate;
+      const result = validateMinerAgainstBatch(reviews, fid, minerUID, verifiedReviewsMap);
+      expect(result).toBe(true);
+    });
+
+    test('should fail a review without dates instead of throwing', () => {
+      delete reviews[0].lastEditedAtDate;
+      expect(verifyReviews(reviews, fid, minerUID, verifiedReviewsMap)).toEqual([
+        expect.objectContaining({ outcome: 'mismatched', reason: 'Submitted review date is missing or invalid' })
+      ]);
+    });
+
     test('should validate multiple reviews correctly', () => {
       reviews.push({
         reviewId: 'review456',
@@ -166,4 +185,64 @@ describe('#utils/validator/google-maps/score/validate-miner-against-batch.js', (
       expect(logger.error).not.toHaveBeenCalled();
     });
   });
+
+  describe('verifyReviews', () => {
+    test('should report the outcome and reason of each review', () => {
+      reviews.push(
+        { ...reviews[0], reviewId: 'mismatched', text: 'Made up' },
+        { ...reviews[0], reviewId: 'missing' },
+        { ...reviews[0], reviewId: 'lost' }
+      );
+      verifiedReviewsMap.set('mismatched', { ...verifiedReviewsMap.get('review123'), reviewId: 'mismatched' });
+
+      expect(verifyReviews(reviews, fid, minerUID, verifiedReviewsMap, new Set(['lost']))).toEqual([
+        expect.objectContaining({ reviewId: 'review123', outcome: 'verified', reason: undefined }),
+        expect.objectContaining({ reviewId: 'mismatched', outcome: 'mismatched', reason: 'text mismatch' }),
+        { reviewId: 'missing', outcome: 'inconclusive', reason: 'Review not found' },
+        { reviewId: 'lost', outcome: 'inconclusive', reason: 'Spot check run failed' }
+      ]);
+    });
+
+    test('should report the mismatched field', () => {
+      verifiedReviewsMap.set('review123', { ...verifiedReviewsMap.get('review123'), placeId: 'other' });
+
+      expect(verifyReviews(reviews, fid, minerUID, verifiedReviewsMap)).toEqual([
+        expect.objectContaining({ reviewId: 'review123', outcome: 'mismatched', reason: 'placeId mismatch - expected place123, got other' })
+      ]);
+    });
+
+    test('should report the result of every field rule', () => {
+      reviews[0].likesCount = 3;
+      verifiedReviewsMap.set('review123', { ...verifiedReviewsMap.get('review123'), likesCount: 12 });
+
+      const [{ outcome, checks }] = verifyReviews(reviews, fid, minerUID, verifiedReviewsMap);
+
+      expect(outcome).toBe('verified');
+      expect(checks).toHaveLength(config.VALIDATOR.SPOT_CHECK_RULES.length);
+      expect(checks).toContainEqual({ field: 'placeId', rule: 'exact', enforced: true, passed: true, reason: undefined });
+      expect(checks).toContainEqual({
+        field: 'likesCount',
+        rule: 'numeric-equal',
+        enforced: false,
+        passed: false,
+        reason: 'likesCount mismatch - expected 3, got 12'
+      });
+    });
+
+    test('should fail a review on a report-only rule once it is enforced', () => {
+      config.VALIDATOR.SPOT_CHECK_RULES = [{ field: 'totalScore', rule: 'numeric-equal' }];
+      reviews[0].totalScore = 5;
+      verifiedReviewsMap.set('review123', { ...verifiedReviewsMap.get('review123'), totalScore: 1 });
+
+      expect(verifyReviews(reviews, fid, minerUID, verifiedReviewsMap)).toEqual([
+        expect.objectContaining({ outcome: 'mismatched', reason: 'totalScore mismatch - expected 5, got 1' })
+      ]);
+    });
+
+    test('should ignore whitespace differences in texts', () => {
+      reviews[0].text = '  Great\n place! ';
+
+      expect(verifyReviews(reviews, fid, minerUID, verifiedReviewsMap)[0].outcome).toBe('verified');
+    });
+  });
 });
@@ -0,0 +1,15 @@
+import config from '#config';
+import ScoreHistory from '#modules/score-history/index.js';
+
+/**
+ * The score history of the validator node
+ * Shared by the score route, which records every round, and the history and leaderboard routes.
+ */
+const scoreHistory = new ScoreHistory({
+  file: config.VALIDATOR.SCORE_HISTORY.FILE,
+  maxRounds: config.VALIDATOR.SCORE_HISTORY.MAX_ROUNDS,
+  window: config.VALIDATOR.SCORE_HISTORY.WINDOW,
+  trendThreshold: config.VALIDATOR.SCORE_HISTORY.TREND_THRESHOLD
+});
+
+export default scoreHistory;
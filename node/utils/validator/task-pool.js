@@ -0,0 +1,31 @@
+import config from '#config';
+import TaskPool from '#modules/task-pool/index.js';
+import searchEligiblePlaces from '#utils/validator/google-maps/create-synthetic/search-eligible-places.js';
+
+const { TASK_POOL } = config.VALIDATOR;
+
+/**
+ * The synthetic task pool of the validator node
+ * Filled by the searches of the create synthetic task route and by its background refill job.
+ */
+const taskPool = new TaskPool({
+  search: () => searchEligiblePlaces(),
+  minSize: TASK_POOL.MIN_SIZE,
+  targetSize: TASK_POOL.TARGET_SIZE,
+  maxSearches: TASK_POOL.MAX_SEARCHES,
+  exclusionWindow: TASK_POOL.EXCLUSION_WINDOW,
+  maxAge: TASK_POOL.MAX_AGE
+});
+
+/**
+ * Check if synthetic tasks are drawn from the pool
+ * Read on every call so VALIDATOR_TASK_POOL applies even when set after the modules are loaded (dotenv).
+ * @returns {boolean} - False with VALIDATOR_TASK_POOL=false
+ */
+export const isTaskPoolEnabled = () => {
+  return process.env.VALIDATOR_TASK_POOL === undefined
+    ? TASK_POOL.ENABLED
+    : process.env.VALIDATOR_TASK_POOL !== 'false';
+};
+
+export default taskPool;
@@ -0,0 +1,25 @@
+import { isTaskPoolEnabled } from './task-pool.js';
+import config from '#config';
+
+jest.mock('#modules/task-pool/index.js', () => jest.fn());
+jest.mock('#utils/validator/google-maps/create-synthetic/search-eligible-places.js', () => jest.fn());
+
+describe('#utils/validator/task-pool.js', () => {
+  afterEach(() => {
+    delete process.env.VALIDATOR_TASK_POOL;
+  });
+
+  describe('.isTaskPoolEnabled()', () => {
+    test('should follow the configuration by default', () => {
+      expect(isTaskPoolEnabled()).toBe(config.VALIDATOR.TASK_POOL.ENABLED);
+    });
+
+    test('should be turned off by VALIDATOR_TASK_POOL=false', () => {
+      process.env.VALIDATOR_TASK_POOL = 'false';
+      expect(isTaskPoolEnabled()).toBe(false);
+
+      process.env.VALIDATOR_TASK_POOL = 'true';
+      expect(isTaskPoolEnabled()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import config from '#config';
+import VerificationCache from '#modules/verification-cache/index.js';
+
+const { VERIFICATION_CACHE } = config.VALIDATOR;
+
+let cache;
+
+/**
+ * Get the verified review cache of the validator node, creating it on first use
+ * Created lazily so VALIDATOR_VERIFICATION_CACHE, its backend and the Redis host and port are read
+ * after the .env file is loaded.
+ * @returns {VerificationCache|undefined} - The cache, undefined when disabled
+ */
+const getVerificationCache = () => {
+  const enabled = process.env.VALIDATOR_VERIFICATION_CACHE === undefined
+    ? VERIFICATION_CACHE.ENABLED
+    : process.env.VALIDATOR_VERIFICATION_CACHE !== 'false';
+  if (!enabled) {
+    return;
+  }
+
+  cache ||= new VerificationCache({
+    backend: process.env.VALIDATOR_VERIFICATION_CACHE_BACKEND || VERIFICATION_CACHE.BACKEND,
+    ttl: VERIFICATION_CACHE.TTL,
+    file: VERIFICATION_CACHE.FILE,
+    maxEntries: VERIFICATION_CACHE.MEMORY_MAX_ENTRIES,
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT && Number(process.env.REDIS_PORT)
+  });
+
+  return cache;
+};
+
+export default getVerificationCache;
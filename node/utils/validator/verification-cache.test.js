@@ -0,0 +1,38 @@
+import getVerificationCache from './verification-cache.js';
+import VerificationCache from '#modules/verification-cache/index.js';
+import config from '#config';
+
+jest.mock('#modules/verification-cache/index.js', () => jest.fn());
+
+describe('#utils/validator/verification-cache.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    delete process.env.VALIDATOR_VERIFICATION_CACHE;
+    delete process.env.VALIDATOR_VERIFICATION_CACHE_BACKEND;
+  });
+
+  test('should not create the cache with VALIDATOR_VERIFICATION_CACHE=false', () => {
+    process.env.VALIDATOR_VERIFICATION_CACHE = 'false';
+
+    expect(getVerificationCache()).toBeUndefined();
+    expect(VerificationCache).not.toHaveBeenCalled();
+  });
+
+  test('should create the cache once with the backend from the environment', () => {
+    process.env.VALIDATOR_VERIFICATION_CACHE_BACKEND = 'memory';
+
+    const cache = getVerificationCache();
+
+    expect(cache).toBeInstanceOf(VerificationCache);
+    expect(getVerificationCache()).toBe(cache);
+    expect(VerificationCache).toHaveBeenCalledTimes(1);
+    expect(VerificationCache).toHaveBeenCalledWith(expect.objectContaining({
+      backend: 'memory',
+      ttl: config.VALIDATOR.VERIFICATION_CACHE.TTL,
+      file: config.VALIDATOR.VERIFICATION_CACHE.FILE
+    }));
+  });
+});
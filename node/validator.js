@@ -4,8 +4,14 @@ import config from '#config';
 import healthRoute from '#routes/validator/health.js';
 import scoreRoute from '#routes/validator/score.js';
 import localhostOnly from '#modules/middlewares/localhost-only.js';
+import requestId from '#modules/middlewares/request-id.js';
+import requestMetrics from '#modules/middlewares/metrics.js';
+import metricsRoute from '#routes/metrics.js';
 import logger from '#modules/logger/index.js';
 import createSyntheticRoute from '#routes/validator/create-synthetic.js';
+import minerHistoryRoute from '#routes/validator/miner-history.js';
+import leaderboardRoute from '#routes/validator/leaderboard.js';
+import taskPool, { isTaskPoolEnabled } from '#utils/validator/task-pool.js';
 
 dotenv.config();
 
@@ -13,8 +19,10 @@ const app = express();
 const PORT = process.env.VALIDATOR_NODE_PORT || 3002;
 
 // Middleware
+app.use(requestId);
 app.use(express.json({ limit: '100mb' }));
 app.use(localhostOnly);
+app.use(requestMetrics);
 
 // Create synthetic validation tasks with place data
 app.post('/create-synthetic-task', createSyntheticRoute.execute);
@@ -22,15 +30,31 @@ app.post('/create-synthetic-task', createSyntheticRoute.execute);
 // Score miner responses using spot check validation
 app.post('/score-responses', scoreRoute.execute);
 
+// Score history of a miner over the last rounds
+app.get('/miners/:uid/history', minerHistoryRoute.execute);
+
+// Miners ranked by moving average score
+app.get('/leaderboard', leaderboardRoute.execute);
+
 // Health check endpoint
 app.get('/health', healthRoute.execute);
 
+// Prometheus metrics
+app.get('/metrics', metricsRoute.execute);
+
+// Keep the synthetic task pool filled, so task creation rarely waits for a search
+if (isTaskPoolEnabled() && process.env.APIFY_TOKEN) {
+  taskPool.start(config.VALIDATOR.TASK_POOL.REFILL_INTERVAL);
+}
+
 // Start server and log configuration
 app.listen(PORT, () => {
   logger.info('='.repeat(50));
   logger.info(`Node running on port ${PORT}`);
   logger.info(`Synthetic task endpoint: POST /create-synthetic-task`);
   logger.info(`Scoring endpoint: POST /score-responses`);
+  logger.info(`Score history endpoints: GET /miners/:uid/history, GET /leaderboard`);
+  logger.info(`Metrics endpoint: GET /metrics`);
   logger.info(`Configuration:`);
   logger.info(`  - Spot check validation: ${config.VALIDATOR.SPOT_CHECK_COUNT} reviews per validation`);
   logger.info(`  - Synapse timeout: ${config.VALIDATOR.SYNAPSE_TIMEOUT} seconds`);
@@ -39,5 +63,6 @@ app.listen(PORT, () => {
   logger.info(`    * Language: ${config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.language}`);
   logger.info(`    * Sort: ${config.VALIDATOR.GOOGLE_REVIEWS_SYNAPSE_PARAMS.sort}`);
   logger.info(`  - Apify token configured: ${Boolean(process.env.APIFY_TOKEN)}`);
+  logger.info(`  - Synthetic task pool: ${isTaskPoolEnabled() ? `${config.VALIDATOR.TASK_POOL.TARGET_SIZE} places, refilled below ${config.VALIDATOR.TASK_POOL.MIN_SIZE}` : 'disabled'}`);
   logger.info('='.repeat(50));
 });